@@ -22,20 +22,251 @@
  */
 const CONFIG = {
   WEDDING_DATE: "2025-05-09T13:00:00",
+  // Milestone dates without an offset are wall-clock times in this zone, wherever the guest is
+  WEDDING_TIME_ZONE: 'Europe/Madrid',
+
+  // Calendar export (.ics); reminders are iCalendar triggers relative to the event's start
+  CALENDAR_EVENT_DURATION: 'PT4H',
+  CALENDAR_EVENT_ALARMS: ['-P1D', '-PT2H'],
+  CALENDAR_ANNIVERSARY_ALARMS: ['-P7D', 'PT9H'], // All-day: a week before, and at 9:00 on the day
   ANIMATION_DURATION: 300,
+
+  // Celebrations (puzzle solved, bonus found, milestone reached), drawn by ConfettiEffect.
+  // Visitors whose system asks for reduced motion don't get them
+  CELEBRATION_COLORS: ['#e94560', '#f5f5f5', '#ffd166', '#0f3460'],
+  CELEBRATION_SHAPES: ['square', 'circle', 'heart'], // Any of 'square', 'circle', 'heart', 'star'
+  CELEBRATION_INTENSITY: 1, // Scales every burst's particle count; 0 turns celebrations off
+  CELEBRATION_DURATION: 3000, // ms a particle lives
   DEBOUNCE_DELAY: 150,
   VIDEO_SEEK_STEP: 10,
   VOLUME_STEP: 0.1,
-
-  // Bonus puzzle encrypted answers for security
-  ENCRYPTED_ANSWERS: [
-    'a3hoeXI=', 'a3hoeXJ2', 'ZnJtcnFodg==', 'aWRuaA=='
-  ],
-
-  // Direct answers as fallback
-  ACCEPTED_ANSWERS: [
-    'photoshop', 'fake', 'falsa', 'montaje', 'editada', 'trucada', 'modificada'
-  ]
+  VIDEO_QUALITY_STORAGE_KEY: 'videoQuality', // Label of the "sources" entry the guest picked, for every video
+
+  // Gallery manifest (see gallery.json) and the container each gallery key renders into.
+  // Keys not listed here render into [data-gallery-target="<key>"] (secret galleries of the puzzles)
+  GALLERY_MANIFEST_URL: 'gallery.json',
+  GALLERY_TARGETS: {
+    'main': '#gallery-container'
+  },
+
+  // Lightbox deep links look like #photo/<manifest id>
+  PHOTO_HASH_PREFIX: '#photo/',
+
+  // Lightbox slideshow (TV mode)
+  SLIDESHOW_INTERVAL: 6000, // ms per photo
+  SLIDESHOW_INTERVALS: [3000, 6000, 10000, 15000], // Choices offered in the modal
+  SLIDESHOW_SHUFFLE: false,
+  SLIDESHOW_PAUSE_ON_HOVER: true,
+  SLIDESHOW_KEN_BURNS: true,
+  SLIDESHOW_LOOP: true,
+  SLIDESHOW_AUDIO_URL: null, // Optional background track (mp3/ogg URL)
+  SLIDESHOW_AUDIO_VOLUME: 0.6,
+
+  // Lightbox touch gestures
+  SWIPE_MIN_DISTANCE: 50, // px horizontally to change item
+  SWIPE_CLOSE_DISTANCE: 100, // px downwards to close
+  DOUBLE_TAP_DELAY: 300, // ms between taps
+  DOUBLE_TAP_ZOOM: 2.5,
+  MODAL_MAX_ZOOM: 4,
+
+  // Lightbox neighbour preloading
+  MODAL_PRELOAD_AHEAD: 2, // Items after the current one
+  MODAL_PRELOAD_BEHIND: 1, // Items before it
+  MODAL_PRELOAD_CACHE_SIZE: 8, // Max preloaded items kept around
+  MODAL_PRELOAD_MAX_BYTES: 150 * 1024 * 1024, // Decoded pixel budget (~37 MP)
+
+  // Downloads ("boda-<caption>.jpeg", "boda-preboda.zip")
+  DOWNLOAD_FILENAME_PREFIX: 'boda-',
+  // ZIPs are built in memory and without ZIP64 (4 GB at most); files past this are left out
+  ZIP_MAX_BYTES: 500 * 1024 * 1024,
+
+  // Lightbox info panel ("i" key)
+  MODAL_INFO_STORAGE_KEY: 'modalInfoVisible',
+  EXIF_READ_BYTES: 128 * 1024, // EXIF sits in the first segment of a JPEG
+
+  // Offline support (see sw.js); null skips the service worker and hides "save for offline"
+  SERVICE_WORKER_URL: 'sw.js',
+  OFFLINE_ALBUM_CACHE: 'boda-album', // Same name as ALBUM_CACHE in sw.js
+  OFFLINE_ALBUM_CONCURRENCY: 3, // Files downloaded at a time when saving the album
+
+  // Guest uploads (see server/upload-server.js); null hides the upload section.
+  // Static hosting has no backend: set it to 'api/uploads' when serving with server/upload-server.js
+  UPLOAD_ENDPOINT: null,
+  UPLOAD_MAX_BYTES: 250 * 1024 * 1024,
+  // Same list as EXTENSIONS in server/upload-server.js, which answers 415 to anything else
+  UPLOAD_TYPES: ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/heic', 'video/mp4', 'video/quicktime', 'video/webm'],
+  UPLOAD_MAX_DIMENSION: 2560, // Photos are downscaled to this long edge before upload
+  UPLOAD_JPEG_QUALITY: 0.85,
+  UPLOAD_AUTO_RETRIES: 2,
+  MODERATION_TOKEN_KEY: 'uploadModerationToken',
+
+  // Site content (letter, puzzles, wedding date) and the admin mode that edits it (?admin)
+  CONTENT_URL: 'content.json',
+  SITE_DRAFT_STORAGE_KEY: 'siteContentDraft', // Unpublished admin edits, applied in this browser only
+  // SHA-256 of the admin password; null keeps ?admin disabled. To enable it, open the site (HTTPS or
+  // localhost), run `await sha256Hex('the password')` in the browser console and paste the hex string
+  // here; never write the password itself. The gate is cosmetic: it runs in the browser, drafts only live in
+  // this browser's localStorage and the letter is rendered as HTML client-side, so it keeps curious guests
+  // out of the editor but protects nothing. Publishing means exporting content.json and uploading it to the host.
+  ADMIN_PASSWORD_HASH: null,
+  ADMIN_SESSION_KEY: 'adminUnlocked',
+
+  // Published puzzles are sealed (PuzzleSystem.seal); hotspot answers become a cell of this grid
+  PUZZLE_HOTSPOT_GRID: 20,
+
+  // Puzzle hints ("hints" of a question, revealed one by one) and scoring
+  PUZZLE_HINTS_AFTER_ATTEMPTS: 1, // Failed checks before the hint button shows up
+  PUZZLE_SCORE_BASE: 1000,
+  PUZZLE_SCORE_ATTEMPT_PENALTY: 150, // Per failed check
+  PUZZLE_SCORE_HINT_PENALTY: 100, // Per hint revealed
+  PUZZLE_SCORE_MINUTE_PENALTY: 20, // Per minute from the first answer to solving it
+  PUZZLE_SCORE_MAX_TIME_PENALTY: 300, // Guests who come back another day aren't punished forever
+  PUZZLE_SCORE_MINIMUM: 100, // Solving always earns something
+  BONUS_SCORE: 500,
+  BONUS_SCORE_ATTEMPT_PENALTY: 50,
+
+  // Interface languages (see I18N_MESSAGES); the visitor's choice is remembered, ?lang=en overrides it
+  LANGUAGES: ['es', 'en', 'ca'],
+  DEFAULT_LANGUAGE: 'es', // Source of the catalogs and of plain-string texts in content.json/gallery.json
+  LANGUAGE_STORAGE_KEY: 'siteLanguage',
+
+  // Free-text answers (bonus and "text" questions), see AnswerMatcher
+  ANSWER_LANGUAGES: ['es', 'en', 'ca'], // Whose negations count ("no es fake" is wrong, "no, es fake" and "sin duda es fake" right)
+  ANSWER_MAX_WORDS: 4, // Longest run of the guest's words compared with an accepted answer
+  ANSWER_TYPO_MIN_LENGTH: 5, // Shorter answers must be spelled right; longer ones allow one typo
+  ANSWER_MAX_LENGTH: 200, // Sealed answers: longer pastes are cut, every word and run of them is hashed
+  ANSWER_TYPO_MAX_LENGTH: 60, // Sealed answers: longer ones must be spelled right (each letter costs ~75 hashes)
+
+  // Live leaderboard of the puzzle and bonus scores (see server/scores-server.js); null hides it.
+  // Static hosting has no backend: set it to 'api/scores' when serving with server/upload-server.js
+  LEADERBOARD_ENDPOINT: null,
+  LEADERBOARD_POLL_INTERVAL: 15000,
+  LEADERBOARD_SIZE: 20,
+  LEADERBOARD_PLAYER_KEY: 'leaderboardPlayer', // { id, nickname } of this guest
+
+  // Guest progress (answers, solved puzzles, bonus) saved in this browser.
+  // Bump the version when the stored shape changes and add a step to ProgressStore.migrate()
+  PROGRESS_STORAGE_KEY: 'weddingProgress',
+  PROGRESS_VERSION: 1,
+
+  // Rendition keys from smallest to largest, and the `sizes` hint per gallery layout
+  RENDITION_ORDER: ['thumb', 'medium', 'full'],
+  // Thumb and medium sizes come from gallery.json (tools/make-renditions.js). Opt-in image-resizing
+  // service for items without them, e.g. 'https://wsrv.nl/?url={url}&w={width}&we&output=webp&q=82'
+  // ({url} is the encoded original, {width} the rendition width); it sees every photo URL.
+  // Images fall back to the original if it fails. '' loads originals.
+  IMAGE_RESIZE_URL: '',
+  RESIZED_RENDITION_WIDTHS: { thumb: 480, medium: 1280 }, // Same as tools/make-renditions.js
+  GALLERY_IMAGE_SIZES: '(max-width: 768px) 100vw, (max-width: 1200px) 50vw, 33vw',
+  SECRET_IMAGE_SIZES: '(max-width: 768px) 100vw, 300px',
+
+  // Lazy loading distance and windowing for large galleries
+  LAZY_LOAD_ROOT_MARGIN: '300px 0px',
+  GALLERY_WINDOW_THRESHOLD: 60, // Main galleries larger than this are windowed
+  GALLERY_WINDOW_INITIAL_ITEMS: 24, // Items mounted to measure the grid
+  GALLERY_WINDOW_OVERSCAN_ROWS: 3,
+
+  // Story timeline entries animate in once they are this far inside the viewport
+  TIMELINE_REVEAL_MARGIN: '0px 0px -10% 0px',
+
+  // Bonus answer lock (plus near-miss hashes) and the encrypted photos it reveals, from BonusSystem.seal()
+  BONUS_SECRET: {
+    salt: '8300f9c5c64233f1f3da022fbac55ade',
+    lock: [
+      { hash: '4fbacf585b700fbf5ad9706455ba877ffde1afbc5266ea298148e158304078c9', unlock: 'dbe842ba50161f8d0ecfa407b2aebebd63e1b9e8c6ee086984063d5b2b9ba346' },
+      { hash: 'e2c38d076a4fdf32074160e578ac27a490448efb4b5d780b9c39d842443ab666', unlock: 'af918f7bb9807cc9797c469ec09d4f7f505c5c22cdee414d4b6cdf973dc6b2d0' },
+      { hash: 'b40957684990b28654cbee88205bb33b5b6145311fa386b791700fd4884ce5d3', unlock: '25e992edc7af30998d14d5875e2d0632a5ecb592fd01aa427e3c74afc1ba6b7f' },
+      { hash: 'c842a995b1d2e8088b467c54975de05c816af6ffcf38b3b064239ae921ded31c', unlock: 'b5dcc27c98e319213af5e634bcdc8c323fa9647144bf61d6d36413a5e3adacef' },
+      { hash: 'd82e83a21b0fae7f600fafe0e9728012a56785301a22967809bf4023d2f9d36f', unlock: '2dc12f33c418a40ce6d316e3c70ddce18bea18c7bda02c0cce80987c7bc38b62' },
+      { hash: '99202e6fac27d285c0a70d3d7065bff18f846a146b537f0bd053a10dfc48b2ff', unlock: '548bd815377ccb1f9d14c117319644c4e4d158b1c3d4cb8a72d1e79e83186c9f' },
+      { hash: '34b555899f2e847bc3ffe9cead882906905a8493287b819ac01fa0ba1127cf97', unlock: 'c5a9ac33fa98306c8c3b1c2f7f75c33c1e30fe572f9405362fb496a2aad862a2' },
+      { hash: '6e71c0dcc397ce58a6afa1d0225a7f9a32a6c2ab03a7c1dc28df8d133a3fbc3b', unlock: '5f86e722b03765902232f6a6a8684d072acdeefa4c2b47d0b07ae29b5fc27370' },
+      { hash: 'fde11d45f24497d2dccdf96ec73862ad79f66dabccc897fb847491d84b3985ae', unlock: '0ee53468e017ccd70683ba7cf3b01a69d9b12a3fc7c63a276c251d87cf818a5a' },
+      { hash: '00ff6bb52445de144200dc723c2f41fbb81dff60fe72ccda3eaaa699fe87717b', unlock: 'b85d8269fc247041bc69f4618a96958da939d1ec4b746b94177d0ff048ebcb8f' },
+      { hash: '10137e5b84f5d6658d3c9aecd0fd21889c942c8f42d747e48085fe2c19a5437b', unlock: '763b903788e97bd478a88a45f72c408cc2902cac5fdd5ce6ca1cea1ccd1df07f' },
+      { hash: '481e1e03c30f8990712896c9c7f182cf4c5e30a673b7c23367e4ca428653a835', unlock: 'e0809d70b83068c37c31f9d264829c4709d32a998b8bc688476dffd03b5f699c' },
+      { hash: 'cd111faec47bb2fa39ae7e66ee03d8a0408c6b7788a5ac832ab0a8668660b2cc', unlock: '61a88e440f5df1e994093a1f7ae87f0e26138710c046a4328b3e07eb839c62bd' },
+      { hash: 'bd2183d9dce0a24a7cac956a25eb1270930e0280fb73400561df41253d5ca2a3', unlock: '1cc2fdc166b53ba73a73b2d76652d322b8c58c656f2019a94bd5fc981524a735' },
+      { hash: '0925648a145eba9a1b0d0437060b2ac0e27be77aac3c556760495ab6743c58bd', unlock: '442c0cb008f3bfa5eb32b4e1e4f1eab6358c3c99cf1e5a7463f0ebf411a83a82' },
+      { hash: '4d7f6b97d65610f1e42a93606827ba83ba6e5ad7e1cfaf81a0c3a72349a3aa59', unlock: 'ad9086135d66b8f00080276430d9345d969e31b69ea249c0faf41159c248dd4b' },
+      { hash: '6a0f76a6a4e5ae3e7e8726a363753ba3e930ba8fadd700558a6017fe0e211ca2', unlock: '5dcfea60cf5f7a78c1c84b3c20e681bb63633df94a4245b8365b7a584f720c90' }
+    ],
+    near: [
+      '6c3f759d9c02178f', '459849326eacc08c', '863d52a9ec5d8a56', '491b782db80937ac', 'fab06929ef40b191',
+      'bea04eda680858ea', 'a03329ea4b7a07a3', 'c39f42484cd0e12d', '7c060240c7e3319a', '8400478ca4ce2c8f',
+      'e038bfa8d383974e', 'd9e9ba35046e269f', '75b2a62968f240ea', '7704be88852a00f5', 'ac8c568ab6088cd4',
+      'bbec9f8ababf68c0', '9391a2d09111dee4', '533cddf0b0c750e0', '4bf3eaa02e2032ec', 'fd3a579686639396',
+      'a3d26f9f161b7c74', 'fe94f6150bf3d96c', 'bae55442c15adf9d', '0d62c708df804d84', 'f3fbe04046e4bc76',
+      '4191da8c2614f343', 'd330da833f3ebfc9', '36d2ed9212273ac9', '17a907269dff5a3d', '8504f264ca3bce67',
+      'c653b527bf6c8a82', '5ada0257929e593c', '85578468cc7d5f39', '6e2df1b7abd98a4d', '94039865155d47fd',
+      '587cfd76d7116f62', '284f07ebd08a1a4e', 'a82a703a7a2857e8', 'cd9f107a244ff044', 'fef18401715b64ec',
+      'a5d4ff19e564b274', '205fcfb7259cf4b4', 'bb1422ea97c7bba3', '638be16c2312a40c', '198a86ae93e946fc',
+      '9e56bc7158f029c5', '1531e67faa77d731', '94399b7729aaa36f', '529dfe1a13f59ba0', '75c728678c30db51',
+      '33c65eadf8bda1bc', '579903bf8d53b6a7', '8cfc91d867c1f04b', 'd9d43eccc162f3b8', '6ecffbecc4e1706a',
+      '24320e91603dedc0', '8f91653fa708ff38', '60c0170603d83956', 'd8d4dd643fe7c57b', 'ca266a17e0466823',
+      'c30650c8db926f28', 'e86f72ebfd3cf223', '6dece7a9b8717b47', '6b5447bd3a1b04c6', '0eee6bef3228880b',
+      '76aca32a707c5796', '6e99761181928ad6', 'a33c1157c49a0e48', '36cceafe002ab8c7', '9bb66976eecbc8cd',
+      '476ff39b9a57ac67', '2e14d9ffd726ffe3', 'c5f6b6e1d57c3d59', '655dae6dfbdd9441', 'ffbc137f5ca11e38',
+      '87810298ee48cae8', 'bf7272ed04801934', 'cb9f59551cb9c9e8', 'c295b841f86b0289', 'eba1b433e173b847',
+      'c2c9a1312deab425', 'ce7541446a01829b', '7f6dc15590961116', '443d95e4b4dc2c62', 'a7dbab5445c8abfc',
+      '63e6b04326cc48d4', '0a32d829ebd311b0', 'c0181d0bb4b48215', '3d9ba24fe751f3f0', '239710bde9ddef6d',
+      '6e4e13741374a763', '45ba8cb9fa442dd4', '79b249d3971b9f5e', '4b86d988ae0ffecb', 'd155458e63089814',
+      'a25226f221aa6046', '8a93b83519441edc', 'acc336f8d8a85dc3', '4fdf824ef83a4970', '8b74c88cc0a2c1a3',
+      '37dfc6ea719d90da', '8e27abfb56d98d47', '7bd7ce1d58094f89', 'fa543741aebceca7', 'c7a6d705665eba08',
+      '96cf54e3fa28ef79', 'b0a5469848247bc5', 'b6c682a2314cf4bb', '1857d6f52dfe9824', 'db86140d0a19207f',
+      'dba91bf94375f9e1', '7556daf6d1897aee', '759340b4b8c4f284', '31b76c3bedd95582', 'a44ac332017568bf',
+      '015c8b04dfa50ac1', '9ae0fb4fa0d418a3', 'f0b41d900b27f177', '1d41ab63727b32fc', 'af8c859575ca3941',
+      '4a67914d0df0b8e8', '46b464cacd6f7532', 'b14718a2f60d85b2', '96bc76ea9e3777ed', '005f0a336ee14d6a',
+      '93406ded512197a5', '4ffaab8ab570679b', '87ddb8ffdc4c21c0', '0ed33e8069cf781e', '08c43cb84a5d9178',
+      '3e5681876f659d49', '2e50352afd3ca75f', '1a2c6c3a476deb7e', 'b494f52dcbecce9e', '270ac9db1eb1850a',
+      '3b2333d9d0b2542f', 'b7adfd5f1bb1b502', 'a7f007e4cea37489', 'ff10fb58dc9bec1f', '34140463c1c9c652',
+      '90f57eb1cce60245', 'aa2fea9b9d1fdc10', 'e57de825feb91d26', 'b873a9b74975aae4', 'f6bca03c9e57aff7',
+      'e5bc0cf09d83084b', '68b93f84efc38f93', 'f356bd60c6536037', '38f9256dad7b82fa', 'cf11d3b643ca2e06',
+      '6ddf78d7e59f5b8a', 'a1bd0af88d4fe6da', '40671a17c0789b6f', '8ec51cd20f1be398', '82a4510520625b08',
+      '4b9623e98d5c346c', '47209c3aa96e49b4', '0616c00c3ed50d59', '48023336985e1dd1', '6e7fb0c5863f9e62',
+      'f7d136e1697adccb', '07358f2cea9472d8', '5e9c93ecb555c370', '97de11001a6787da', '0413b680ded3f69b',
+      'e3838553ec88118f', 'd79f873405ca828c', '03d1033e35990daf', '380bae00d01700e7', 'd4b1ab924f1031df',
+      '44f54cf6434b6db1', '7b6f51503fbadbfa', 'c4888e8aaa98032f', 'ced707c9eaa2ac18', '621ac2aa11104d87',
+      '62dc4c2047761f0a', 'ac3f11a031ecad30', '2266bfabf5efda13', '65cd78c7d07f3e27', '018e1eacb8d7c5b0',
+      '5bfba15ebae5ac4c', '2902be328f5ad80f', 'ee843515a4339a89', '471c9773704ab553', '9d4c2498bc15ef0c',
+      '9b60843e0f838161', '12e3865d10909c48', '6520f527cce86ede', 'afec972b0e09c13d', 'accb23d01caa2d0e',
+      '3b397d4d6038a949', '546b4116bcff87b5', '242c9968ca9f2afc', 'f9df54e09d5e6466', 'c5a3f17210b4ff39',
+      'a08bf8b1511cdf1b', 'cc54115ea769a420', '56733ccf31658119', '502925eb17c051df', '92a46862e97e3bfb',
+      '8224e80e15ec22cd', '3637c84394782558', '73bde2d900d98dfb', 'bf0ee1b2ad04035f', 'a821b298b39f7b2a',
+      'a3d0da58d3f760b8', 'bf849eb4e1a320af', 'e728e66a345263a5', '11c55a575c5186e7', 'd0c917f6f9a6c7ed',
+      '2af860aa1f1411f1', 'e0177d8a1c4a6ead', '1b36ae9415693a3c', '8c62c9f1dc69654d', 'dac62caff35a49b1',
+      '737a2621651130f0', 'd33776ed9a0e34b7', '4954f286ddcfb74f', '673db32b105fa9ec', '9d1afc07aedabf38',
+      '3a5e046a540a4e58', '05531a5647e24b08', 'b69d090c8ff28f38', '9527ed5bb5a327ac', 'b72250dac1fed588',
+      'a221d30e08fbb68d', '9bb5857a30221f1f', '029f53418a72bf03', '740ad6c1adcebfd2', '6d55d86bd62c286b',
+      '1833cd4338da936e', 'adc3b240d0051ce7', 'db692e058f1ba0eb', '0be9b17a04ef62ca', 'cef6421b4cfd1397',
+      'fe2477c4164a14f2', '8f6087d8899b7347', '22584a234b8afa95', 'a115f53c5f865c21', '779484a55361c5f0',
+      'b5c93dcadffb486d', '6a61cc522ec665c4', '2855e2025afe10cb', '19b14759d97e28c7', 'cd79ae17113d6333',
+      '113533e14f9f6b3e', '32660251ea992e8a', 'c2ad69d08bfe8922', '70dcde96e0be66cd', '9be8edadd0f728c7',
+      '63a2c9e8490af621', 'c9f0aac98896323b', '069bd39105b190f2', '335d6e2f4d2f4a2f', '2ee8d2840a17cb7c',
+      'b5d3c26ef222388b', '328b4920c27bf00e', '05ce960ded784680', '07efe05b7bfdfe31', 'b711fc6f19f47210',
+      '2911696d90bad276', '5869376429875eca', '96f74e25a5481151', '065830f071f26114', '4541ab72bb18fa84',
+      'c8ae311620c03bb1', '2269a45e4a646f8b', '30e9743514c8a0c4', '9997deb812c03063', '832565a04c3979c9',
+      '513160ed31929d88', '5983c27affb2c74e', '8116207cd29f6bd0', 'f9a847c0da638b4a', 'ec469c2ad64c07ff',
+      '0f06d3ebd7c8d92c', '39c0fc5ff97faa3e', '29fb6684c021e5f9', 'b7fda689dd3fe4dd', '9cf554201eab3b18',
+      'b280d4eecde550ac', 'b99b4585a6174e47', '38f4cb030de4fadf', '9aeb71cc1677cc56', 'cab83a229d62961c',
+      'f600859dc0a17cb4', '606cbe3756560987', '5616fc241b848230', 'b188979501f857b4', '74d818252dadf481',
+      '6ebf569778eb9100', '2e20e720ca11057d', '16b60e85bbe0f659', '42af95c14121b298', 'bcd3c08d9e489a72',
+      '2e9a001bdb866eb7', '73dee1c453b6864c', '5becc868f7e60270', 'd2bd2997d95a113e', '39f54ef2f2cfb22c',
+      '9a8e61501a39095a', '63feb8a73d7334d4', '0183f41856241b13', 'b0cc9ffb8bb0b0f1', 'e22a55488ec73195',
+      '372a4272eac895ae', 'd223d4ec0b73e590', '09d6bd8c5b802a30', 'ff3e1543efe3a871', '8753bc0ed40663ef',
+      '26ea1d461857b075', '9e7fdfeecf6a8649', 'd8fb92c2bf163fba', '727ef958e4fd020f', '22d2b5a642bec0fb',
+      '443079389d0500ef', 'e29ae3db0628512f', '7b896f8ec6fd30af', 'd7ad295c1537ad75', '331dd7eec504a309',
+      '8058eaa8dd8ece88', '278512f69c2572e0', '16ebe6f65c48cea6', 'bcbad95ba7b40c67', 'd4bcdcbc64eadd56',
+      '0f9cfced7ee73b58', '48af080f9dddc1a1', '9127db31d215cf09', '31a1ef0f37f8b2a3', '517d6db70b85e0cc',
+      'f22f78acca4d28f9', '869f0a6097b672d1', '89cba8221326b056', '70b73099b0acb677', '8b6275703e3cd54f',
+      'cd1d5b8a62012958', 'b86ac6ec04186c7c', '39b419ec624ba311', '7dd15c12bfaf4ecb', '881c464e8d84c136',
+      '2d1740a8c51e54a3', '425fa3705237f08a', 'eb4cc228c6371451', '230292119454c964', '4204a3a67f8af221',
+      '8699286283825b2d', '770dbbca5328f768', 'ed89d5885e84aa95', 'f8a75a171dcaab82', 'a18473f97d2e6887',
+      '9bd5e2d1b125acc1', '75cc25f8fb7a6801', '0201314cbd35192b', '2a60596385c9489a', 'cffeb8cc1122a892',
+      '2a64ee18122c83d9', 'db96657d93929990', '002d78c5cc33d64c'
+    ],
+    vault: 'WUNJF22Uztay9lumW4lejRjNYrif9d/qqSZZLqZLluI6mbe+74PI8M1Uv2I9SvpJhWBG0mDLcbt5Lfq8V+UHZT519V4BCkVu3cjPInYsTlE4+XYY5JBDqedupqFUuzKhoOhpRhJX4rsgh2AN6v03xi8NIxBZJhz0T96F9VAaL9aV9w/CrRSOLqMNxZkBThyMlq3NsAM6uUMtVDYmyKIN5wbTVU3K/dA9Ul00Z0nA6sE1TaGJdv2qlrhiwM7kjjHz6I+yCcIA9GZ7gH86Ptz6BhmWgp12J6iuGxaOAWfyNFo/oZ1rAKs1WjAnsiSTmYdVGdkFNb4qe8ewfftw4kCNkBySjfHiblnfVtmwJDyUgxnjKFKPgPlBE3txZ+9DQYI1GuVTQZJdxcSwiQMx07mmOTNTpzM+E9ddEd7LbPpy+EuwkeEk8fjkS1W5u8JR0ES321JrdtQanmygQr1kT0frcYXUww27LIoxgfjMBsP95+2nbtbop0cLReih3ag='
+  }
 };
 
 /**
@@ -74,6 +305,17 @@ const formatTime = (time) => {
   return `${minutes}:${seconds.toString().padStart(2, '0')}`;
 };
 
+/**
+ * Parse a chapter time from the manifest
+ * @param {number|string} value - Seconds, or "m:ss" / "h:mm:ss"
+ * @returns {number} Seconds, NaN when unreadable
+ */
+const parseTimecode = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string' || !/^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(value.trim())) return NaN;
+  return value.trim().split(':').reduce((total, part) => total * 60 + Number(part), 0);
+};
+
 /**
  * Normalize text for comparison (removes accents and converts to lowercase)
  * @param {string} text - Text to normalize
@@ -84,437 +326,2717 @@ const normalizeText = (text) => {
 };
 
 /**
- * Decrypt bonus puzzle answers for validation
- * @param {string} encrypted - Encrypted answer
- * @returns {string} Decrypted answer
+ * Normalize a typed answer: normalizeText, trimmed and single-spaced
+ * @param {string} text - Answer as typed
+ * @returns {string}
  */
-const decryptAnswer = (encrypted) => {
-  try {
-    return atob(encrypted).split('').map(char =>
-      String.fromCharCode(char.charCodeAt(0) - 3)
-    ).join('');
-  } catch (error) {
-    console.error('Decryption error:', error);
-    return '';
-  }
+const normalizeAnswer = (text) => {
+  return normalizeText(String(text)).trim().replace(/\s+/g, ' ');
 };
 
 /**
- * ========================================================================
- * ENHANCED VIDEO PLAYER CLASS
- * ========================================================================
+ * Build an img srcset from gallery renditions (only those with a known width)
+ * @param {Object} renditions - Rendition key -> { src, width }
+ * @returns {string} srcset attribute value, empty if no widths are known
  */
-class EnhancedVideoPlayer {
-  /**
-   * Constructor for Enhanced Video Player
-   * @param {HTMLElement} container - Video player container element
-   */
-  constructor(container) {
-    this.container = container;
-    this.video = container.querySelector('.video-player');
-    this.overlay = container.querySelector('[data-video-overlay]');
-    this.controls = container.querySelector('[data-video-controls]');
+const buildSrcset = (renditions) => {
+  return CONFIG.RENDITION_ORDER
+    .map(key => renditions?.[key])
+    .filter(rendition => rendition && rendition.width)
+    .map(rendition => `${rendition.src} ${rendition.width}w`)
+    .join(', ');
+};
 
-    // Control elements
-    this.playButton = container.querySelector('[data-play-button]');
-    this.playPauseBtn = container.querySelector('[data-play-pause-btn]');
-    this.progressContainer = container.querySelector('[data-progress-container]');
-    this.progressBar = container.querySelector('[data-progress-bar]');
-    this.progressHandle = container.querySelector('[data-progress-handle]');
-    this.timeDisplay = container.querySelector('[data-time-display]');
-    this.muteBtn = container.querySelector('[data-mute-btn]');
-    this.volumeSlider = container.querySelector('[data-volume-slider]');
-    this.fullscreenBtn = container.querySelector('[data-fullscreen-btn]');
+/**
+ * @param {string} src - Absolute URL of the original image
+ * @param {number} width - Wanted width in pixels
+ * @returns {string} The image resized by CONFIG.IMAGE_RESIZE_URL
+ */
+const getResizedImageUrl = (src, width) => {
+  return CONFIG.IMAGE_RESIZE_URL
+    .replace('{url}', encodeURIComponent(src))
+    .replace('{width}', String(width));
+};
 
-    // State management
-    this.isPlaying = false;
-    this.isDragging = false;
-    this.wasPlayingBeforeDrag = false;
-    this.controlsTimeout = null;
+/**
+ * Pick the smallest rendition that covers the requested pixel width
+ * @param {Object} renditions - Rendition key -> { src, width }
+ * @param {number} targetWidth - Required width in device pixels
+ * @returns {Object|null} Chosen rendition, falling back to the largest available
+ */
+const pickRendition = (renditions, targetWidth) => {
+  const available = CONFIG.RENDITION_ORDER
+    .map(key => renditions?.[key])
+    .filter(Boolean);
+  if (!available.length) return null;
+
+  return available.find(rendition => rendition.width && rendition.width >= targetWidth)
+    || available[available.length - 1];
+};
 
-    this.initialize();
+/**
+ * Build a readable download filename for a gallery entry, e.g. "boda-momento-especial-1.jpeg"
+ * @param {Object} entry - Gallery entry
+ * @returns {string} Filename with the extension of the original file
+ */
+const getDownloadFilename = (entry) => {
+  const path = new URL(entry.src, window.location.href).pathname;
+  const extension = (path.match(/\.([a-z0-9]+)$/i)?.[1] || (entry.type === 'video' ? 'mp4' : 'jpg')).toLowerCase();
+  const slug = normalizeText(entry.caption || entry.id)
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || entry.id;
+  return `${CONFIG.DOWNLOAD_FILENAME_PREFIX}${slug}.${extension}`;
+};
+
+/**
+ * Save a Blob through a temporary object URL and <a download>
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested filename
+ */
+const saveBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Copy text to the clipboard, falling back to a hidden textarea
+ * @param {string} text - Text to copy
+ * @returns {Promise<boolean>} Whether the text was copied
+ */
+const copyText = async (text) => {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch (error) {
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.setAttribute('readonly', '');
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    textarea.select();
+    const copied = !!(document.execCommand && document.execCommand('copy'));
+    textarea.remove();
+    return copied;
   }
+};
 
-  /**
-   * Initialize video player with event listeners and setup
-   */
-  initialize() {
-    if (!this.video) {
-        console.error('Video element not found in container:', this.container);
-        return;
+let crc32Table = null;
+
+/**
+ * CRC-32 checksum as required by the ZIP format
+ * @param {Uint8Array} bytes - Data to checksum
+ * @returns {number} Unsigned 32-bit checksum
+ */
+const crc32 = (bytes) => {
+  if (!crc32Table) {
+    crc32Table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crc32Table[n] = c >>> 0;
     }
-    this.setupEventListeners();
-    this.setupKeyboardControls();
-    this.updateTimeDisplay();
-    this.updateVolumeUI(); // Initialize volume UI correctly
+  }
 
-    // Hide controls initially
-    this.hideControlsAfterDelay();
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
   }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
 
-  /**
-   * Setup all event listeners for video player functionality
-   */
-  setupEventListeners() {
-    // Play button overlay events
-    this.playButton?.addEventListener('click', (e) => {
-      e.stopPropagation();
-      this.togglePlay();
-    });
+/**
+ * Pack files into an uncompressed ("stored") ZIP archive. Photos and videos
+ * are already compressed, so deflating them again would only cost time.
+ * No ZIP64: the whole archive must stay under 4 GB (see CONFIG.ZIP_MAX_BYTES).
+ * @param {Array<{name: string, data: Uint8Array, date?: Date}>} files - Archive contents
+ * @returns {Blob} application/zip blob
+ */
+const createZipBlob = (files) => {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const date = file.date || new Date();
+    const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const dosDate = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    const crc = crc32(file.data);
+    const size = file.data.length;
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true); // Local file header signature
+    local.setUint16(4, 20, true); // Version needed
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, 0, true); // Stored
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, size, true);
+    local.setUint32(22, size, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    localParts.push(local, name, file.data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true); // Central directory header signature
+    central.setUint16(4, 20, true); // Version made by
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, dosTime, true);
+    central.setUint16(14, dosDate, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, size, true);
+    central.setUint32(24, size, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true); // Offset of the local header
+    centralParts.push(central, name);
+
+    offset += 30 + name.length + size;
+  });
 
-    this.overlay?.addEventListener('click', () => this.togglePlay());
+  const centralSize = centralParts.reduce((sum, part) => sum + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true); // End of central directory signature
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
 
-    // Control button events
-    this.playPauseBtn?.addEventListener('click', () => this.togglePlay());
-    this.muteBtn?.addEventListener('click', () => this.toggleMute());
-    this.fullscreenBtn?.addEventListener('click', () => this.toggleFullscreen());
+  return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+};
 
-    // Progress bar events with enhanced interaction
-    this.setupProgressBarEvents();
+/**
+ * Read the EXIF fields shown in the lightbox info panel from a JPEG
+ * @param {ArrayBuffer} buffer - Start of the JPEG file (the APP1 segment sits near the top)
+ * @returns {Object|null} { dateTaken, make, model, exposureTime, fNumber, iso, focalLength } or null
+ */
+const parseExif = (buffer) => {
+  const view = new DataView(buffer);
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return null; // Not a JPEG
+
+  // Walk the JPEG segments until the APP1 "Exif\0\0" block
+  let offset = 2;
+  let tiffStart = -1;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    const length = view.getUint16(offset + 2);
+    if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) { // "Exif"
+      tiffStart = offset + 10;
+      break;
+    }
+    if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) return null; // Image data reached
+    offset += 2 + length;
+  }
+  if (tiffStart === -1 || tiffStart + 8 > view.byteLength) return null;
+
+  const little = view.getUint16(tiffStart) === 0x4949; // "II" = Intel byte order
+  const readIfd = (ifdOffset, tags) => {
+    const values = {};
+    const start = tiffStart + ifdOffset;
+    if (start + 2 > view.byteLength) return values;
+
+    const count = view.getUint16(start, little);
+    for (let i = 0; i < count; i++) {
+      const entry = start + 2 + i * 12;
+      if (entry + 12 > view.byteLength) break;
+      const name = tags[view.getUint16(entry, little)];
+      if (!name) continue;
+
+      const type = view.getUint16(entry + 2, little);
+      const length = view.getUint32(entry + 4, little);
+      const valueOffset = entry + 8;
+      const pointer = tiffStart + view.getUint32(valueOffset, little);
+
+      if (type === 2) { // ASCII, inline when it fits in 4 bytes
+        const from = length > 4 ? pointer : valueOffset;
+        let text = '';
+        for (let j = 0; j < length - 1 && from + j < view.byteLength; j++) {
+          text += String.fromCharCode(view.getUint8(from + j));
+        }
+        values[name] = text.trim();
+      } else if (type === 3) { // SHORT
+        values[name] = view.getUint16(valueOffset, little);
+      } else if (type === 4) { // LONG
+        values[name] = view.getUint32(valueOffset, little);
+      } else if (type === 5 && pointer + 8 <= view.byteLength) { // RATIONAL
+        const denominator = view.getUint32(pointer + 4, little);
+        values[name] = denominator ? view.getUint32(pointer, little) / denominator : 0;
+      }
+    }
+    return values;
+  };
 
-    // Volume control events
-    this.volumeSlider?.addEventListener('input', (e) => {
-      this.setVolume(e.target.value);
-    });
+  const ifd0 = readIfd(view.getUint32(tiffStart + 4, little), {
+    0x010F: 'make', 0x0110: 'model', 0x0132: 'dateTime', 0x8769: 'exifPointer'
+  });
+  const exif = ifd0.exifPointer ? readIfd(ifd0.exifPointer, {
+    0x9003: 'dateTimeOriginal', 0x829A: 'exposureTime', 0x829D: 'fNumber',
+    0x8827: 'iso', 0x920A: 'focalLength'
+  }) : {};
+
+  // EXIF dates look like "2023:09:15 19:59:22" (camera local time)
+  const rawDate = exif.dateTimeOriginal || ifd0.dateTime;
+  const dateMatch = rawDate && rawDate.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+  const dateTaken = dateMatch
+    ? new Date(+dateMatch[1], dateMatch[2] - 1, +dateMatch[3], +dateMatch[4], +dateMatch[5], +dateMatch[6])
+    : null;
+
+  const result = {
+    dateTaken,
+    make: ifd0.make || null,
+    model: ifd0.model || null,
+    exposureTime: exif.exposureTime || null,
+    fNumber: exif.fNumber || null,
+    iso: exif.iso || null,
+    focalLength: exif.focalLength || null
+  };
+  return Object.values(result).some(Boolean) ? result : null;
+};
 
-    // Video element events
-    this.setupVideoEvents();
+/**
+ * Resolve a path below a configured API endpoint
+ * @param {string} endpoint - e.g. CONFIG.LEADERBOARD_ENDPOINT
+ * @param {string} [path=''] - Path below it
+ * @returns {URL}
+ */
+const getEndpointUrl = (endpoint, path = '') => {
+  return new URL(endpoint.replace(/\/?$/, '/') + path, document.baseURI);
+};
 
-    // Container hover events for control visibility
-    this.setupControlVisibility();
+/**
+ * Resolve a path below CONFIG.UPLOAD_ENDPOINT
+ * @param {string} [path=''] - e.g. 'approved' or '<id>/approve'
+ * @returns {URL}
+ */
+const getUploadUrl = (path = '') => getEndpointUrl(CONFIG.UPLOAD_ENDPOINT, path);
 
-    // Touch/mobile support
-    this.setupTouchEvents();
-  }
+/**
+ * Hex-encoded SHA-256 digest (SubtleCrypto, secure contexts only)
+ * @param {string} text - Text to hash
+ * @returns {Promise<string>}
+ */
+const sha256Hex = async (text) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
 
-  /**
-   * Setup progress bar interaction events
-   */
-  setupProgressBarEvents() {
-    if (!this.progressContainer) return;
+/**
+ * Random hex string from the browser CSPRNG
+ * @param {number} [bytes=16] - Number of random bytes
+ * @returns {string}
+ */
+const randomHex = (bytes = 16) => {
+  return Array.from(crypto.getRandomValues(new Uint8Array(bytes)), byte => byte.toString(16).padStart(2, '0')).join('');
+};
 
-    // Click to seek
-    this.progressContainer.addEventListener('click', (e) => {
-      if (!this.isDragging) {
-        this.seekTo(e);
-      }
-    });
+/**
+ * XOR two hex strings of the same length
+ * @param {string} a
+ * @param {string} b
+ * @returns {string}
+ */
+const xorHex = (a, b) => {
+  return a.match(/../g).map((pair, i) =>
+    (parseInt(pair, 16) ^ parseInt(b.substr(i * 2, 2), 16)).toString(16).padStart(2, '0')
+  ).join('');
+};
 
-    // Drag to seek functionality
-    this.progressContainer.addEventListener('mousedown', (e) => {
-      this.startDragging(e);
-    });
+/**
+ * Lock a secret behind a set of accepted answers. Each entry holds a hash that
+ * recognises one answer and the secret masked with a pad only that answer can
+ * rebuild, so the page contains neither the answers nor the secret. This beats
+ * View Source, not guessing: a question with three options has three keys to try.
+ * @param {string} salt - Random, one per puzzle
+ * @param {string|number} scope - Question the lock belongs to
+ * @param {Array<string>} answerKeys - Accepted answers, already normalized
+ * @param {string} secret - Hex secret
+ * @returns {Promise<Array<{hash: string, unlock: string}>>}
+ */
+const createAnswerLock = async (salt, scope, answerKeys, secret) => {
+  return Promise.all([...new Set(answerKeys)].map(async (key) => ({
+    hash: await sha256Hex(`${salt}|${scope}|check|${key}`),
+    unlock: xorHex(secret, await sha256Hex(`${salt}|${scope}|unlock|${key}`))
+  })));
+};
 
-    document.addEventListener('mousemove', (e) => {
-      if (this.isDragging) {
-        this.seekTo(e);
-      }
-    });
+/**
+ * @param {string} salt - Salt the lock was created with
+ * @param {string|number} scope - Question the lock belongs to
+ * @param {string} answerKey - Normalized answer to try
+ * @param {Array<{hash: string, unlock: string}>} lock - From createAnswerLock()
+ * @returns {Promise<string|null>} The secret, or null if the answer isn't accepted
+ */
+const openAnswerLock = async (salt, scope, answerKey, lock) => {
+  const hash = await sha256Hex(`${salt}|${scope}|check|${answerKey}`);
+  const entry = (lock || []).find(candidate => candidate.hash === hash);
+  if (!entry) return null;
+  return xorHex(entry.unlock, await sha256Hex(`${salt}|${scope}|unlock|${answerKey}`));
+};
 
-    document.addEventListener('mouseup', () => {
-      this.stopDragging();
-    });
+/**
+ * AES-GCM key derived from unlocked secrets (order matters)
+ * @param {Array<string>} secrets - Hex secrets
+ * @returns {Promise<CryptoKey>}
+ */
+const deriveVaultKey = async (secrets) => {
+  const material = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(secrets.join('|')));
+  return crypto.subtle.importKey('raw', material, 'AES-GCM', false, ['encrypt', 'decrypt']);
+};
 
-    // Show handle on hover
-    this.progressContainer.addEventListener('mouseenter', () => {
-      if (this.progressHandle) {
-        this.progressHandle.style.opacity = '1';
-      }
-    });
+/**
+ * Encrypt JSON so that only the given secrets open it again
+ * @param {*} data - Serializable value
+ * @param {Array<string>} secrets - Hex secrets
+ * @returns {Promise<string>} Base64 of IV + ciphertext
+ */
+const encryptVault = async (data, secrets) => {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const plaintext = new TextEncoder().encode(JSON.stringify(data));
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, await deriveVaultKey(secrets), plaintext));
+
+  let binary = '';
+  [...iv, ...ciphertext].forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+};
 
-    this.progressContainer.addEventListener('mouseleave', () => {
-      if (this.progressHandle && !this.isDragging) {
-        this.progressHandle.style.opacity = '0';
-      }
-    });
+/**
+ * @param {string} vault - From encryptVault()
+ * @param {Array<string>} secrets - Hex secrets
+ * @returns {Promise<*>} Decrypted JSON (rejects with wrong secrets)
+ */
+const decryptVault = async (vault, secrets) => {
+  const bytes = Uint8Array.from(atob(vault), char => char.charCodeAt(0));
+  const key = await deriveVaultKey(secrets);
+  const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: bytes.slice(0, 12) }, key, bytes.slice(12));
+  return JSON.parse(new TextDecoder().decode(plaintext));
+};
+
+/**
+ * Shuffled copy of an array (Fisher-Yates)
+ * @param {Array} items - Items to shuffle
+ * @returns {Array}
+ */
+const shuffle = (items) => {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
   }
+  return copy;
+};
 
-  /**
-   * Setup video element event listeners
-   */
-  setupVideoEvents() {
-    if (!this.video) return;
+/**
+ * Wall-clock fields of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA zone, e.g. "Europe/Madrid"
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}} Month is 1-12
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(date);
+  const field = (type) => Number(parts.find(part => part.type === type).value);
+  return {
+    year: field('year'), month: field('month'), day: field('day'),
+    hour: field('hour'), minute: field('minute'), second: field('second')
+  };
+};
 
-    this.video.addEventListener('loadedmetadata', () => {
-      this.updateTimeDisplay();
-      this.updateVolumeUI(); // Ensure volume UI is correct on load
-    });
+/**
+ * Instant of a wall-clock time in a time zone. Values with their own offset
+ * ("Z", "+02:00") are taken as they are.
+ * @param {string|Object} value - "2025-05-09T13:00[:00]", or fields as returned by getZonedParts()
+ * @param {string} timeZone - IANA zone
+ * @returns {Date} Invalid Date when the value can't be read
+ */
+const zonedTimeToDate = (value, timeZone) => {
+  let fields = value;
+  if (typeof value === 'string') {
+    const match = value.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?$/);
+    if (!match) return new Date(value); // Has an offset, or isn't a date at all
+    const [year, month, day, hour = 0, minute = 0, second = 0] = match.slice(1).map(part => Number(part || 0));
+    fields = { year, month, day, hour, minute, second };
+  }
 
-    this.video.addEventListener('timeupdate', () => {
-      if (!this.isDragging) {
-        this.updateProgress();
-        this.updateTimeDisplay();
-      }
-    });
+  const asUtc = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second);
+  const offsetAt = (time) => {
+    const zoned = getZonedParts(new Date(time), timeZone);
+    return Date.UTC(zoned.year, zoned.month - 1, zoned.day, zoned.hour, zoned.minute, zoned.second) - time;
+  };
+  // The offset may change between the guess and the answer (DST), so check it once more
+  const guess = asUtc - offsetAt(asUtc);
+  return new Date(asUtc - offsetAt(guess));
+};
 
-    this.video.addEventListener('ended', () => {
-      this.onVideoEnd();
-    });
+/**
+ * Calendar difference between two instants as seen in a time zone:
+ * whole years, months and days, then the exact remaining time
+ * @param {Date} from - Earlier instant
+ * @param {Date} to - Later instant
+ * @param {string} timeZone - IANA zone the calendar is read in
+ * @returns {{years: number, months: number, days: number, hours: number, minutes: number, seconds: number}}
+ */
+const getCalendarDifference = (from, to, timeZone) => {
+  const start = getZonedParts(from, timeZone);
+  const end = getZonedParts(to, timeZone);
+  // start moved by whole months and days; the day is clamped to the month's length (31 Jan + 1 month = 28 Feb)
+  const shift = (months, days = 0) => {
+    const month = new Date(Date.UTC(start.year, start.month - 1 + months, 1));
+    const monthLength = new Date(Date.UTC(month.getUTCFullYear(), month.getUTCMonth() + 1, 0)).getUTCDate();
+    const day = new Date(Date.UTC(month.getUTCFullYear(), month.getUTCMonth(), Math.min(start.day, monthLength) + days));
+    return zonedTimeToDate({
+      year: day.getUTCFullYear(), month: day.getUTCMonth() + 1, day: day.getUTCDate(),
+      hour: start.hour, minute: start.minute, second: start.second
+    }, timeZone);
+  };
 
-    this.video.addEventListener('play', () => {
-      this.onPlay();
-    });
+  let months = (end.year - start.year) * 12 + (end.month - start.month);
+  if (shift(months) > to) months--;
+  const anchor = getZonedParts(shift(months), timeZone);
+  let days = Math.round((Date.UTC(end.year, end.month - 1, end.day) - Date.UTC(anchor.year, anchor.month - 1, anchor.day)) / 86400000);
+  if (shift(months, days) > to) days--;
+
+  const rest = Math.max(0, Math.floor((to - shift(months, days)) / 1000));
+  return {
+    years: Math.floor(months / 12),
+    months: months % 12,
+    days,
+    hours: Math.floor(rest / 3600),
+    minutes: Math.floor((rest % 3600) / 60),
+    seconds: rest % 60
+  };
+};
 
-    this.video.addEventListener('pause', () => {
-      this.onPause();
-    });
+/**
+ * iCalendar (.ics, RFC 5545) text for a list of events. Timed events are
+ * written in UTC; all-day ones use their calendar date in timeZone.
+ * @param {Array<Object>} events - { uid, title, start: Date, allDay?, duration?, rrule?, description?, url?, alarms? };
+ *   duration and alarms are iCalendar durations, alarms relative to the start ("-P1D")
+ * @param {Object} [options]
+ * @param {string} [options.name] - Calendar name shown by some apps
+ * @param {string} [options.timeZone] - IANA zone of the all-day dates
+ * @returns {string}
+ */
+const createIcsCalendar = (events, { name = '', timeZone = 'UTC' } = {}) => {
+  const escape = (text) => String(text).replace(/[\\;,]/g, match => `\\${match}`).replace(/\r?\n/g, '\\n');
+  const utc = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const day = (date, offset = 0) => {
+    const parts = getZonedParts(date, timeZone);
+    return new Date(Date.UTC(parts.year, parts.month - 1, parts.day + offset)).toISOString().slice(0, 10).replace(/-/g, '');
+  };
+  // Lines longer than 75 bytes continue on the next line after a space
+  const encoder = new TextEncoder();
+  const fold = (line) => {
+    const chunks = [''];
+    for (const char of line) {
+      const limit = chunks.length === 1 ? 75 : 74;
+      if (encoder.encode(chunks[chunks.length - 1] + char).length > limit) chunks.push('');
+      chunks[chunks.length - 1] += char;
+    }
+    return chunks.join('\r\n ');
+  };
 
-    this.video.addEventListener('volumechange', () => {
-      this.updateVolumeUI();
-    });
+  const stamp = utc(new Date());
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Borja & Laura//Boda//ES', 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+  if (name) lines.push(`X-WR-CALNAME:${escape(name)}`);
 
-    // Click on video to toggle play/pause
-    this.video.addEventListener('click', () => {
-      this.togglePlay();
+  events.forEach(event => {
+    lines.push('BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${stamp}`);
+    if (event.allDay) {
+      lines.push(`DTSTART;VALUE=DATE:${day(event.start)}`, `DTEND;VALUE=DATE:${day(event.start, 1)}`);
+    } else {
+      lines.push(`DTSTART:${utc(event.start)}`, `DURATION:${event.duration || 'PT1H'}`);
+    }
+    if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+    lines.push(`SUMMARY:${escape(event.title)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escape(event.description)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    (event.alarms || []).forEach(trigger => {
+      lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `TRIGGER:${trigger}`, `DESCRIPTION:${escape(event.title)}`, 'END:VALARM');
     });
+    lines.push('END:VEVENT');
+  });
 
-    // Double click for fullscreen
-    this.video.addEventListener('dblclick', () => {
-      this.toggleFullscreen();
-    });
+  lines.push('END:VCALENDAR');
+  return `${lines.map(fold).join('\r\n')}\r\n`;
+};
 
-    // Loading events
-    this.video.addEventListener('waiting', () => {
-      this.showBuffering();
-    });
+/**
+ * Inline icon from the SVG sprite in index.html
+ * @param {string} name - Symbol id without the "icon-" prefix
+ * @param {string} [className] - Extra classes
+ * @returns {string} Markup
+ */
+const iconMarkup = (name, className = '') =>
+  `<svg class="icon${className ? ` ${className}` : ''}" aria-hidden="true"><use href="#icon-${name}"></use></svg>`;
 
-    this.video.addEventListener('canplay', () => {
-      this.hideBuffering();
-    });
-  }
+/**
+ * Point an icon at another symbol (play/pause, volume levels)
+ * @param {Element|null} icon - An <svg class="icon">
+ * @param {string} name - Symbol id without the "icon-" prefix
+ */
+const setIcon = (icon, name) => {
+  icon?.querySelector('use')?.setAttribute('href', `#icon-${name}`);
+};
 
+/**
+ * ========================================================================
+ * INTERNATIONALIZATION - Message catalogs, plurals and the language switcher
+ * ========================================================================
+ */
+
+/**
+ * Interface strings per language, keyed by message id. Spanish is the source:
+ * the other catalogs fall back to it for anything they leave out. A message is
+ * a string with {placeholders} or, when it depends on a number, an object of
+ * plural forms (Intl.PluralRules categories: zero, one, two, few, many, other)
+ * picked by the "count" parameter.
+ *
+ * Static markup is translated through data-i18n attributes (see I18n.apply).
+ * Texts from content.json and gallery.json may be plain strings (in
+ * CONFIG.DEFAULT_LANGUAGE) or per-language objects, { es: '…', en: '…' } (see
+ * I18n.localize). The couple's own tools (?admin, ?moderar) stay in Spanish.
+ */
+const I18N_MESSAGES = {
+  es: {
+    'language.name': 'Español',
+    'language.locale': 'es-ES',
+    'language.switcher': 'Idioma',
+    'site.title': 'Borja & Laura - Celebración',
+
+    'counter.invalid': 'Fecha de boda no válida.',
+    'counter.married': 'Llevan casados {time}.',
+    'counter.next': '{label}: faltan {time}',
+    'duration.years': { one: '{count} año', other: '{count} años' },
+    'duration.months': { one: '{count} mes', other: '{count} meses' },
+    'duration.days': { one: '{count} día', other: '{count} días' },
+    'duration.clock': '{hours}h {minutes}m {seconds}s',
+    'milestone.timeline': 'Fechas importantes',
+    'milestone.ceremony': 'La boda',
+    'milestone.anniversary': { one: '{count} año de casados', other: '{count} años de casados' },
+    'calendar.add': 'Añadir al calendario',
+    'calendar.addMilestone': 'Añadir «{label}» al calendario',
+    'calendar.name': 'Borja y Laura',
+    'calendar.event': '{label} · Borja y Laura',
+    'calendar.anniversary': 'Aniversario de boda de Borja y Laura',
+    'calendar.filename': 'fechas',
+    'timeline.heading': 'Nuestra historia',
+    'timeline.photos': { one: '{count} foto', other: '{count} fotos' },
+
+    'gallery.heading': 'Momentos Compartidos',
+    'gallery.filters': 'Filtrar momentos',
+    'gallery.all': 'Todos',
+    'gallery.slideshow': 'Ver presentación',
+    'gallery.select': 'Seleccionar',
+    'gallery.downloadSelection': 'Descargar selección',
+    'gallery.downloadAlbum': 'Descargar álbum',
+    'gallery.defaultCaption': 'Momento especial {number}',
+
+    'modal.close': 'Cerrar modal',
+    'modal.loading': 'Cargando...',
+    'modal.title': 'Visor de medios',
+    'modal.itemAlt': 'Media {number}',
+    'modal.actions': 'Acciones',
+    'modal.download': 'Descargar original',
+    'modal.share': 'Compartir',
+    'modal.info': 'Información (tecla I)',
+    'modal.infoPanel': 'Información de la foto',
+    'modal.previous': 'Medio anterior',
+    'modal.next': 'Siguiente medio',
+    'info.date': 'Fecha',
+    'info.camera': 'Cámara',
+    'info.settings': 'Ajustes',
+
+    'slideshow.label': 'Presentación',
+    'slideshow.play': 'Iniciar presentación',
+    'slideshow.pause': 'Pausar presentación',
+    'slideshow.interval': 'Intervalo entre fotos',
+    'slideshow.seconds': '{count} s',
+    'slideshow.shuffle': 'Orden aleatorio',
+    'slideshow.music': 'Música de fondo',
+
+    'video.unsupported': 'Tu navegador no soporta la reproducción de video HTML5.',
+    'video.tapToPlay': 'Aprieta para reproducir',
+    'video.playPause': 'Reproducir/Pausar',
+    'video.mute': 'Silenciar/Activar sonido',
+    'video.volume': 'Control de volumen',
+    'video.fullscreen': 'Pantalla completa',
+    'video.chapters': 'Capítulos',
+    'video.quality': 'Calidad',
+    'video.playlist': 'Lista de vídeos',
+    'video.previous': 'Vídeo anterior',
+    'video.next': 'Vídeo siguiente',
+    'video.chapterNumber': 'Capítulo {number}',
+    'video.clipNumber': 'Vídeo {number}',
+
+    'share.copyPrompt': 'Copia este enlace:',
+    'share.copied': 'Enlace copiado',
+    'zip.filename': 'seleccion',
+    'zip.preparing': 'Preparando ZIP… {current}/{total}',
+    'zip.ready': 'ZIP listo',
+    'zip.readyWithIssues': 'ZIP listo ({issues})',
+    'zip.issueFailed': {
+      one: '{count} no se pudo descargar',
+      other: '{count} no se pudieron descargar'
+    },
+    'zip.issueTooLarge': {
+      one: '{count} archivo no cabía: máx. {size} MB por ZIP',
+      other: '{count} archivos no cabían: máx. {size} MB por ZIP'
+    },
+    'zip.failed': 'No se pudo descargar ningún archivo',
+    'zip.notCreated': 'No se pudo crear el ZIP ({issues})',
+    'zip.tooLarge': 'Demasiado grande para un ZIP (máx. {size} MB); elige menos archivos',
+    'offline.save': 'Guardar para ver sin conexión',
+    'offline.update': 'Actualizar la copia sin conexión',
+    'offline.remove': 'Quitar del dispositivo',
+    'offline.saving': 'Guardando {done} de {total}…',
+    'offline.saved': {
+      one: '{count} archivo disponible sin conexión',
+      other: '{count} archivos disponibles sin conexión'
+    },
+    'offline.failed': {
+      one: 'No se pudo guardar {count} archivo; vuelve a intentarlo con más cobertura',
+      other: 'No se pudieron guardar {count} archivos; vuelve a intentarlo con más cobertura'
+    },
+
+    'upload.heading': 'Comparte tus fotos',
+    'upload.intro': 'Sube tus fotos y vídeos de la boda. Aparecerán en la galería cuando los novios las aprueben.',
+    'upload.name': 'Tu nombre',
+    'upload.caption': 'Comentario (opcional)',
+    'upload.dropzone': 'Arrastra aquí tus fotos o vídeos, o pulsa para elegirlos',
+    'upload.camera': 'Usar la cámara',
+    'upload.invalidType': 'Solo se admiten fotos (JPEG, PNG, WebP, GIF, HEIC) y vídeos (MP4, MOV, WebM)',
+    'upload.tooLarge': 'Archivo demasiado grande (máx. {size} MB)',
+    'upload.preparing': 'Preparando…',
+    'upload.uploading': 'Subiendo… {percent}%',
+    'upload.done': '¡Gracias! Aparecerá cuando los novios la aprueben',
+    'upload.failed': 'Error al subir',
+    'upload.failedWithReason': 'Error al subir ({reason})',
+    'upload.retry': 'Reintentar',
+    'upload.defaultCaption': 'Foto de {name}',
+    'upload.defaultCaptionAnonymous': 'Foto de un invitado',
+
+    'moderation.heading': 'Fotos pendientes',
+    'moderation.token': 'Clave de moderación',
+    'moderation.login': 'Entrar',
+    'moderation.wrongToken': 'Clave incorrecta',
+    'moderation.loading': 'Cargando…',
+    'moderation.empty': 'No hay fotos pendientes',
+    'moderation.anonymous': 'Anónimo',
+    'moderation.approve': 'Aprobar',
+    'moderation.reject': 'Rechazar',
+
+    'links.heading': 'Enlaces de Interés',
+    'links.venue.title': 'Encuentro de Reflexión',
+    'links.venue.text': 'Podéis asistir a la Sala de Tradiciones de Vigo, donde tendrá lugar una reunión, seguido de un tiempo de convivencia en el Espacio de los Doce Pasos. Consulta todos los detalles sobre puntos de encuentro y el programa de "Solo por hoy".',
+    'links.venue.button': 'Me interesa',
+    'links.gifts.title': 'Lista de Regalos',
+    'links.gifts.text': 'Si deseas hacerles un regalo a los novios, aquí encontrarás su lista de bodas.',
+    'links.gifts.button': 'Ver lista de regalos',
+    'links.hotel.title': 'Alojamiento',
+    'links.hotel.text': 'Hemos negociado tarifas especiales para los invitados en varios hoteles cercanos. Reserva con el código "BorjaLaura2025" para obtener descuento.',
+    'links.hotel.button': 'Ver opciones',
+    'links.experience.title': 'Experiencia',
+    'links.experience.text': 'Disfrutad de una experiencia única! No todo el mundo tiene la oportunidad de disfrutarlo!',
+    'links.experience.button': 'Reservar aventura',
+
+    'puzzle.defaultTitle': 'Desbloquea Fotos Secretas',
+    'puzzle.check': 'Verificar Respuestas',
+    'puzzle.successTitle': '¡Felicidades! Has desbloqueado las fotos secretas.',
+    'puzzle.failureTitle': '¡Casi! Algunas respuestas no son correctas.',
+    'puzzle.failureText': 'Inténtalo de nuevo, ¡estás cerca!',
+    'puzzle.galleryTitle': 'Momentos Especiales Desbloqueados',
+    'puzzle.multipleAnswers': 'Puede haber más de una respuesta correcta.',
+    'puzzle.answerPlaceholder': 'Escribe tu respuesta',
+    'puzzle.moveUp': 'Subir',
+    'puzzle.moveDown': 'Bajar',
+    'puzzle.choose': 'Elige…',
+    'puzzle.showHint': 'Ver pista ({current}/{total})',
+    'answer.close': '¡Casi! Revisa cómo lo has escrito.',
+    'answer.cryptoUnavailable': 'Este navegador no puede comprobar las respuestas (se necesita HTTPS)',
+    'answer.checkFailed': 'No se han podido comprobar las respuestas. Inténtalo de nuevo.',
+    'result.points': { one: '{count} punto', other: '{count} puntos' },
+    'result.failedAttempts': { one: '{count} intento fallido', other: '{count} intentos fallidos' },
+    'result.hints': { one: '{count} pista', other: '{count} pistas' },
+    'results.title': 'Tus resultados',
+    'results.share': 'Compartir resultados',
+    'results.solved': 'Resuelto',
+    'results.unsolved': 'Sin resolver',
+    'results.total': '{solved} de {total} resueltos · {points}',
+    'results.summary': '🧩 {points} en los puzzles de {site}',
+    'results.copied': 'Resultados copiados. ¡Pégalos donde quieras!',
+    'results.copyPrompt': 'Copia tus resultados:',
+
+    'bonus.button': 'Bonus Track',
+    'bonus.title': 'Pregunta bonus',
+    'bonus.imageAlt': 'Foto misteriosa con un objeto oculto',
+    'bonus.question': '¿No notas nada extraño en la foto?',
+    'bonus.answerLabel': 'Tu respuesta a la pregunta bonus',
+    'bonus.placeholder': 'Escribe aquí tu respuesta...',
+    'bonus.submit': 'Comprobar',
+    'bonus.hint': 'Pista: Dos hermanos inseparables, en bolsa protegidos van,<br>guardianes de la vida futura, en conjunto siempre están.<br>Sensibles al tacto y al frío, ascendiendo y descendiendo van,<br>parte importante del cuerpo, que el hombre debe cuidar.<br>¿Qué son?',
+    'bonus.successTitle': '¡Correcto! Has descubierto el secreto',
+    'bonus.successText': 'Aquí tienes una foto muy especial que nadie más ha visto...',
+
+    'leaderboard.heading': 'Clasificación',
+    'leaderboard.intro': '¿Quién conoce mejor a los novios? Elige un apodo y tus puntos de los puzzles y del bonus aparecerán aquí.',
+    'leaderboard.nickname': 'Tu apodo',
+    'leaderboard.join': 'Unirme',
+    'leaderboard.rename': 'Cambiar apodo',
+    'leaderboard.nicknameRequired': 'Escribe un apodo para aparecer en la clasificación.',
+    'leaderboard.playing': 'Jugando como {name}.',
+    'leaderboard.playingNoScore': 'Jugando como {name}. Resuelve un puzzle para sumar puntos.',
+    'leaderboard.submitFailed': 'No se pudo enviar tu puntuación; lo intentaremos de nuevo.',
+    'leaderboard.unavailable': 'La clasificación no está disponible ahora mismo.',
+    'leaderboard.empty': 'Aún no hay puntuaciones. ¡Sé el primero!',
+    'leaderboard.score': '{points} · {challenges}',
+    'leaderboard.challenges': { one: '{count} reto', other: '{count} retos' },
+
+    'footer.love': 'Con todo nuestro cariño',
+    'footer.date': 'Mayo 2025',
+    'footer.reset': 'Borrar mi progreso',
+    'progress.resetConfirm': '¿Borrar tus respuestas y volver a bloquear las sorpresas?',
+
+    'admin.title': 'Administración',
+    'admin.close': 'Cerrar administración',
+    'admin.password': 'Contraseña',
+    'admin.login': 'Entrar',
+    'admin.wrongPassword': 'Contraseña incorrecta',
+    'admin.cryptoUnavailable': 'El navegador no permite comprobar la contraseña (se necesita HTTPS)',
+    'admin.showingDraft': 'Mostrando cambios sin publicar guardados en este navegador.',
+    'admin.editingLanguage': 'Editando los textos en {language}. Para traducirlos, cambia el idioma de la web.',
+    'admin.translatingLanguage': 'Traduciendo los textos a {language}: lo que quede vacío se muestra en {fallback}.',
+    'admin.tab.gallery': 'Galería',
+    'admin.tab.puzzles': 'Preguntas',
+    'admin.tab.texts': 'Textos',
+    'admin.tab.backup': 'Copia de seguridad',
+    'admin.galleryHint': 'Arrastra para reordenar. Las fotos ocultas no se muestran a los invitados.',
+    'admin.puzzlesHint': 'Marca la respuesta correcta de cada pregunta. Al publicar, las respuestas y las fotos secretas se cifran: guarda la exportación completa para poder editarlas después.',
+    'admin.weddingDate': 'Fecha y hora de la boda',
+    'admin.letterHeading': 'Encabezado de la carta',
+    'admin.letter': 'Carta (HTML)',
+    'admin.milestones': 'Otras fechas importantes',
+    'admin.milestonesHint': 'Primera cita, pedida… Aparecen en la cuenta atrás y en la lista de fechas; las anuales se repiten en el calendario.',
+    'admin.milestone.label': 'Nombre',
+    'admin.milestone.date': 'Fecha',
+    'admin.milestone.yearly': 'Cada año',
+    'admin.addMilestone': 'Añadir fecha',
+    'admin.removeMilestone': 'Quitar fecha',
+    'admin.backupHint': 'Los cambios se guardan solo en este navegador. Para publicarlos, descarga content.json y gallery.json y súbelos al sitio. Las respuestas y las galerías secretas se publican cifradas; la exportación completa es la única copia sin cifrar, guárdala en privado.',
+    'admin.exportAll': 'Exportar todo (JSON)',
+    'admin.import': 'Importar JSON',
+    'admin.discard': 'Descartar cambios',
+    'admin.save': 'Guardar cambios',
+    'admin.caption': 'Pie de foto',
+    'admin.gallery': 'Galería',
+    'admin.album': 'Álbum',
+    'admin.visible': 'Visible',
+    'admin.moveUp': 'Subir',
+    'admin.moveDown': 'Bajar',
+    'admin.type': 'Tipo',
+    'admin.type.single': 'Una respuesta',
+    'admin.type.multi': 'Varias respuestas',
+    'admin.type.text': 'Respuesta escrita',
+    'admin.type.order': 'Ordenar',
+    'admin.type.match': 'Emparejar fotos',
+    'admin.type.hotspot': 'Señalar en la foto',
+    'admin.puzzleLegend': 'Puzzle {number}',
+    'admin.puzzleLegendGallery': 'Puzzle {number} · desbloquea "{gallery}"',
+    'admin.puzzle.gallery': 'Galería que desbloquea',
+    'admin.puzzle.title': 'Título',
+    'admin.puzzle.description': 'Descripción',
+    'admin.puzzle.successTitle': 'Título al acertar',
+    'admin.puzzle.successText': 'Texto al acertar',
+    'admin.puzzle.failureTitle': 'Título al fallar',
+    'admin.puzzle.failureText': 'Texto al fallar',
+    'admin.puzzle.galleryTitle': 'Título de la galería',
+    'admin.puzzle.galleryText': 'Texto de la galería',
+    'admin.sealed': { one: '{count} pregunta protegida. Para cambiarla o ver sus fotos, importa la exportación completa.', other: '{count} preguntas protegidas. Para cambiarlas o ver sus fotos, importa la exportación completa.' },
+    'admin.question': 'Pregunta {number}',
+    'admin.answerJson': 'Respuesta (JSON)',
+    'admin.hints': 'Pistas (una por línea, se muestran tras fallar)',
+    'admin.explanation': 'Explicación al resolver',
+    'admin.option': 'Opción',
+    'admin.optionImage': 'Imagen (URL)',
+    'admin.correct': 'Respuesta correcta',
+    'admin.removeOption': 'Quitar opción',
+    'admin.addOption': 'Opción',
+    'admin.addQuestion': 'Añadir pregunta',
+    'admin.removeQuestion': 'Quitar pregunta',
+    'admin.addPuzzle': 'Añadir puzzle',
+    'admin.removePuzzle': 'Quitar puzzle',
+    'admin.removePuzzleConfirm': '¿Quitar este puzzle y todas sus preguntas?',
+    'admin.saved': 'Guardado en este navegador. Exporta el JSON para publicarlo para todos.',
+    'admin.saveFailed': 'Los cambios se ven en la página, pero este navegador no permite guardarlos (almacenamiento lleno o bloqueado). Exporta el JSON para no perderlos.',
+    'admin.publishFailed': 'No se pudo preparar {file}: {reason}',
+    'admin.exportFilename': 'contenido',
+    'admin.seal.noQuestions': 'El puzzle «{puzzle}» no tiene preguntas',
+    'admin.seal.unknownType': 'Tipo de pregunta desconocido: «{type}»',
+    'admin.seal.noAnswer': 'La pregunta {number} de «{puzzle}» no tiene respuesta correcta',
+    'admin.seal.noBonusAnswer': 'La pregunta bonus no tiene ninguna respuesta aceptada',
+    'admin.notAnExport': 'El archivo no es una exportación del sitio',
+    'admin.imported': 'Importado "{name}". Revisa los cambios y pulsa Guardar.',
+    'admin.importFailed': 'No se pudo importar: {reason}',
+    'admin.discardConfirm': '¿Descartar los cambios guardados en este navegador?',
+    'admin.discardFailed': 'No se pudieron descartar los cambios: este navegador no permite acceder a su almacenamiento.'
+  },
+  en: {
+    'language.name': 'English',
+    'language.locale': 'en-GB',
+    'language.switcher': 'Language',
+    'site.title': 'Borja & Laura - Celebration',
+
+    'counter.invalid': 'Invalid wedding date.',
+    'counter.married': 'Married for {time}.',
+    'counter.next': '{label}: in {time}',
+    'duration.years': { one: '{count} year', other: '{count} years' },
+    'duration.months': { one: '{count} month', other: '{count} months' },
+    'duration.days': { one: '{count} day', other: '{count} days' },
+    'milestone.timeline': 'Important dates',
+    'milestone.ceremony': 'The wedding',
+    'milestone.anniversary': { one: '{count} year married', other: '{count} years married' },
+    'calendar.add': 'Add to calendar',
+    'calendar.addMilestone': 'Add “{label}” to your calendar',
+    'calendar.name': 'Borja & Laura',
+    'calendar.event': '{label} · Borja & Laura',
+    'calendar.anniversary': 'Borja & Laura\'s wedding anniversary',
+    'calendar.filename': 'dates',
+    'timeline.heading': 'Our story',
+    'timeline.photos': { one: '{count} photo', other: '{count} photos' },
+
+    'gallery.heading': 'Shared Moments',
+    'gallery.filters': 'Filter moments',
+    'gallery.all': 'All',
+    'gallery.slideshow': 'Watch slideshow',
+    'gallery.select': 'Select',
+    'gallery.downloadSelection': 'Download selection',
+    'gallery.downloadAlbum': 'Download album',
+    'gallery.defaultCaption': 'Special moment {number}',
+
+    'modal.close': 'Close viewer',
+    'modal.loading': 'Loading...',
+    'modal.title': 'Media viewer',
+    'modal.itemAlt': 'Item {number}',
+    'modal.actions': 'Actions',
+    'modal.download': 'Download original',
+    'modal.share': 'Share',
+    'modal.info': 'Information (I key)',
+    'modal.infoPanel': 'Photo information',
+    'modal.previous': 'Previous item',
+    'modal.next': 'Next item',
+    'info.date': 'Date',
+    'info.camera': 'Camera',
+    'info.settings': 'Settings',
+
+    'slideshow.label': 'Slideshow',
+    'slideshow.play': 'Start slideshow',
+    'slideshow.pause': 'Pause slideshow',
+    'slideshow.interval': 'Time per photo',
+    'slideshow.shuffle': 'Shuffle',
+    'slideshow.music': 'Background music',
+
+    'video.unsupported': 'Your browser doesn\'t support HTML5 video.',
+    'video.tapToPlay': 'Tap to play',
+    'video.playPause': 'Play/Pause',
+    'video.mute': 'Mute/Unmute',
+    'video.volume': 'Volume',
+    'video.fullscreen': 'Full screen',
+    'video.chapters': 'Chapters',
+    'video.quality': 'Quality',
+    'video.playlist': 'Playlist',
+    'video.previous': 'Previous video',
+    'video.next': 'Next video',
+    'video.chapterNumber': 'Chapter {number}',
+    'video.clipNumber': 'Video {number}',
+
+    'share.copyPrompt': 'Copy this link:',
+    'share.copied': 'Link copied',
+    'zip.filename': 'selection',
+    'zip.preparing': 'Preparing ZIP… {current}/{total}',
+    'zip.ready': 'ZIP ready',
+    'zip.readyWithIssues': 'ZIP ready ({issues})',
+    'zip.issueFailed': {
+      one: '{count} file could not be downloaded',
+      other: '{count} files could not be downloaded'
+    },
+    'zip.issueTooLarge': {
+      one: '{count} file did not fit: max. {size} MB per ZIP',
+      other: '{count} files did not fit: max. {size} MB per ZIP'
+    },
+    'zip.failed': 'No file could be downloaded',
+    'zip.notCreated': 'The ZIP could not be created ({issues})',
+    'zip.tooLarge': 'Too large for a ZIP (max. {size} MB); select fewer files',
+    'offline.save': 'Save for offline viewing',
+    'offline.update': 'Update the offline copy',
+    'offline.remove': 'Remove from this device',
+    'offline.saving': 'Saving {done} of {total}…',
+    'offline.saved': {
+      one: '{count} file available offline',
+      other: '{count} files available offline'
+    },
+    'offline.failed': {
+      one: '{count} file could not be saved; try again with better coverage',
+      other: '{count} files could not be saved; try again with better coverage'
+    },
+
+    'upload.heading': 'Share your photos',
+    'upload.intro': 'Upload your photos and videos of the wedding. They will appear in the gallery once the couple approves them.',
+    'upload.name': 'Your name',
+    'upload.caption': 'Comment (optional)',
+    'upload.dropzone': 'Drag your photos or videos here, or tap to choose them',
+    'upload.camera': 'Use the camera',
+    'upload.invalidType': 'Only photos (JPEG, PNG, WebP, GIF, HEIC) and videos (MP4, MOV, WebM) are allowed',
+    'upload.tooLarge': 'File too large (max. {size} MB)',
+    'upload.preparing': 'Preparing…',
+    'upload.uploading': 'Uploading… {percent}%',
+    'upload.done': 'Thank you! It will appear once the couple approves it',
+    'upload.failed': 'Upload failed',
+    'upload.failedWithReason': 'Upload failed ({reason})',
+    'upload.retry': 'Retry',
+    'upload.defaultCaption': 'Photo by {name}',
+    'upload.defaultCaptionAnonymous': 'Photo by a guest',
+
+    'moderation.heading': 'Pending photos',
+    'moderation.token': 'Moderation key',
+    'moderation.login': 'Sign in',
+    'moderation.wrongToken': 'Wrong key',
+    'moderation.loading': 'Loading…',
+    'moderation.empty': 'No pending photos',
+    'moderation.anonymous': 'Anonymous',
+    'moderation.approve': 'Approve',
+    'moderation.reject': 'Reject',
+
+    'links.heading': 'Useful Links',
+    'links.venue.title': 'A Moment of Reflection',
+    'links.venue.text': 'You can come to the Hall of Traditions in Vigo, where a meeting will be held, followed by some time together in the Twelve Steps Space. Check all the details about meeting points and the "Just for today" programme.',
+    'links.venue.button': 'I\'m interested',
+    'links.gifts.title': 'Gift List',
+    'links.gifts.text': 'If you would like to give the couple a present, here is their wedding list.',
+    'links.gifts.button': 'See the gift list',
+    'links.hotel.title': 'Accommodation',
+    'links.hotel.text': 'We have arranged special rates for guests at several nearby hotels. Book with the code "BorjaLaura2025" to get a discount.',
+    'links.hotel.button': 'See options',
+    'links.experience.title': 'Experience',
+    'links.experience.text': 'Enjoy a unique experience! Not everyone gets the chance!',
+    'links.experience.button': 'Book the adventure',
+
+    'puzzle.defaultTitle': 'Unlock Secret Photos',
+    'puzzle.check': 'Check Answers',
+    'puzzle.successTitle': 'Congratulations! You\'ve unlocked the secret photos.',
+    'puzzle.failureTitle': 'Almost! Some answers aren\'t right.',
+    'puzzle.failureText': 'Try again, you\'re close!',
+    'puzzle.galleryTitle': 'Special Moments Unlocked',
+    'puzzle.multipleAnswers': 'There may be more than one right answer.',
+    'puzzle.answerPlaceholder': 'Type your answer',
+    'puzzle.moveUp': 'Move up',
+    'puzzle.moveDown': 'Move down',
+    'puzzle.choose': 'Choose…',
+    'puzzle.showHint': 'Show hint ({current}/{total})',
+    'answer.close': 'Almost! Check your spelling.',
+    'answer.cryptoUnavailable': 'This browser can\'t check the answers (HTTPS is required)',
+    'answer.checkFailed': 'The answers couldn\'t be checked. Please try again.',
+    'result.points': { one: '{count} point', other: '{count} points' },
+    'result.failedAttempts': { one: '{count} failed attempt', other: '{count} failed attempts' },
+    'result.hints': { one: '{count} hint', other: '{count} hints' },
+    'results.title': 'Your results',
+    'results.share': 'Share results',
+    'results.solved': 'Solved',
+    'results.unsolved': 'Not solved',
+    'results.total': '{solved} of {total} solved · {points}',
+    'results.summary': '🧩 {points} in the puzzles of {site}',
+    'results.copied': 'Results copied. Paste them wherever you like!',
+    'results.copyPrompt': 'Copy your results:',
+
+    'bonus.title': 'Bonus question',
+    'bonus.imageAlt': 'Mysterious photo with a hidden object',
+    'bonus.question': 'Don\'t you notice anything strange in the photo?',
+    'bonus.answerLabel': 'Your answer to the bonus question',
+    'bonus.placeholder': 'Type your answer here...',
+    'bonus.submit': 'Check',
+    'bonus.hint': 'Hint: Two inseparable brothers, in a pouch they\'re safely kept,<br>guardians of the life to come, side by side they\'ve always slept.<br>Sensitive to touch and cold, they rise and fall all day,<br>a part of the body every man should keep from harm\'s way.<br>What are they?',
+    'bonus.successTitle': 'Correct! You\'ve found the secret',
+    'bonus.successText': 'Here\'s a very special photo nobody else has seen...',
+
+    'leaderboard.heading': 'Leaderboard',
+    'leaderboard.intro': 'Who knows the couple best? Pick a nickname and your points from the puzzles and the bonus will show up here.',
+    'leaderboard.nickname': 'Your nickname',
+    'leaderboard.join': 'Join',
+    'leaderboard.rename': 'Change nickname',
+    'leaderboard.nicknameRequired': 'Type a nickname to appear on the leaderboard.',
+    'leaderboard.playing': 'Playing as {name}.',
+    'leaderboard.playingNoScore': 'Playing as {name}. Solve a puzzle to score points.',
+    'leaderboard.submitFailed': 'Your score couldn\'t be sent; we\'ll try again.',
+    'leaderboard.unavailable': 'The leaderboard isn\'t available right now.',
+    'leaderboard.empty': 'No scores yet. Be the first!',
+    'leaderboard.challenges': { one: '{count} challenge', other: '{count} challenges' },
+
+    'footer.love': 'With all our love',
+    'footer.date': 'May 2025',
+    'footer.reset': 'Clear my progress',
+    'progress.resetConfirm': 'Clear your answers and lock the surprises again?',
+
+    'admin.title': 'Administration',
+    'admin.close': 'Close administration',
+    'admin.password': 'Password',
+    'admin.login': 'Sign in',
+    'admin.wrongPassword': 'Wrong password',
+    'admin.cryptoUnavailable': 'This browser can\'t check the password (HTTPS is required)',
+    'admin.showingDraft': 'Showing unpublished changes saved in this browser.',
+    'admin.editingLanguage': 'Editing the texts in {language}. To translate them, switch the site language.',
+    'admin.translatingLanguage': 'Translating the texts into {language}: anything left empty is shown in {fallback}.',
+    'admin.tab.gallery': 'Gallery',
+    'admin.tab.puzzles': 'Questions',
+    'admin.tab.texts': 'Texts',
+    'admin.tab.backup': 'Backup',
+    'admin.galleryHint': 'Drag to reorder. Hidden photos are not shown to guests.',
+    'admin.puzzlesHint': 'Mark the correct answer of each question. On publishing, answers and secret photos are encrypted: keep the full export to be able to edit them later.',
+    'admin.weddingDate': 'Wedding date and time',
+    'admin.letterHeading': 'Letter heading',
+    'admin.letter': 'Letter (HTML)',
+    'admin.milestones': 'Other important dates',
+    'admin.milestonesHint': 'First date, engagement… They show in the countdown and the list of dates; yearly ones repeat in the calendar.',
+    'admin.milestone.label': 'Name',
+    'admin.milestone.date': 'Date',
+    'admin.milestone.yearly': 'Every year',
+    'admin.addMilestone': 'Add date',
+    'admin.removeMilestone': 'Remove date',
+    'admin.backupHint': 'Changes are only saved in this browser. To publish them, download content.json and gallery.json and upload them to the site. Answers and secret galleries are published encrypted; the full export is the only unencrypted copy, keep it private.',
+    'admin.exportAll': 'Export everything (JSON)',
+    'admin.import': 'Import JSON',
+    'admin.discard': 'Discard changes',
+    'admin.save': 'Save changes',
+    'admin.caption': 'Caption',
+    'admin.gallery': 'Gallery',
+    'admin.album': 'Album',
+    'admin.visible': 'Visible',
+    'admin.moveUp': 'Move up',
+    'admin.moveDown': 'Move down',
+    'admin.type': 'Type',
+    'admin.type.single': 'One answer',
+    'admin.type.multi': 'Several answers',
+    'admin.type.text': 'Written answer',
+    'admin.type.order': 'Put in order',
+    'admin.type.match': 'Match photos',
+    'admin.type.hotspot': 'Point at the photo',
+    'admin.puzzleLegend': 'Puzzle {number}',
+    'admin.puzzleLegendGallery': 'Puzzle {number} · unlocks "{gallery}"',
+    'admin.puzzle.gallery': 'Gallery it unlocks',
+    'admin.puzzle.title': 'Title',
+    'admin.puzzle.description': 'Description',
+    'admin.puzzle.successTitle': 'Title when solved',
+    'admin.puzzle.successText': 'Text when solved',
+    'admin.puzzle.failureTitle': 'Title when failed',
+    'admin.puzzle.failureText': 'Text when failed',
+    'admin.puzzle.galleryTitle': 'Gallery title',
+    'admin.puzzle.galleryText': 'Gallery text',
+    'admin.sealed': { one: '{count} protected question. To change it or see its photos, import the full export.', other: '{count} protected questions. To change them or see their photos, import the full export.' },
+    'admin.question': 'Question {number}',
+    'admin.answerJson': 'Answer (JSON)',
+    'admin.hints': 'Hints (one per line, shown after a wrong answer)',
+    'admin.explanation': 'Explanation once solved',
+    'admin.option': 'Option',
+    'admin.optionImage': 'Image (URL)',
+    'admin.correct': 'Correct answer',
+    'admin.removeOption': 'Remove option',
+    'admin.addOption': 'Option',
+    'admin.addQuestion': 'Add question',
+    'admin.removeQuestion': 'Remove question',
+    'admin.addPuzzle': 'Add puzzle',
+    'admin.removePuzzle': 'Remove puzzle',
+    'admin.removePuzzleConfirm': 'Remove this puzzle and all its questions?',
+    'admin.saved': 'Saved in this browser. Export the JSON to publish it for everyone.',
+    'admin.saveFailed': 'The changes show on the page, but this browser won\'t store them (storage full or blocked). Export the JSON so you don\'t lose them.',
+    'admin.publishFailed': 'Couldn\'t prepare {file}: {reason}',
+    'admin.exportFilename': 'content',
+    'admin.seal.noQuestions': 'Puzzle “{puzzle}” has no questions',
+    'admin.seal.unknownType': 'Unknown question type: “{type}”',
+    'admin.seal.noAnswer': 'Question {number} of “{puzzle}” has no correct answer',
+    'admin.seal.noBonusAnswer': 'The bonus question has no accepted answer',
+    'admin.notAnExport': 'The file is not an export of this site',
+    'admin.imported': 'Imported "{name}". Check the changes and press Save.',
+    'admin.importFailed': 'Couldn\'t import: {reason}',
+    'admin.discardConfirm': 'Discard the changes saved in this browser?',
+    'admin.discardFailed': 'Couldn\'t discard the changes: this browser won\'t allow access to its storage.'
+  },
+  ca: {
+    'language.name': 'Català',
+    'language.locale': 'ca-ES',
+    'language.switcher': 'Idioma',
+    'site.title': 'Borja & Laura - Celebració',
+
+    'counter.invalid': 'Data del casament no vàlida.',
+    'counter.married': 'Casats des de fa {time}.',
+    'counter.next': '{label}: falten {time}',
+    'duration.years': { one: '{count} any', other: '{count} anys' },
+    'duration.months': { one: '{count} mes', other: '{count} mesos' },
+    'duration.days': { one: '{count} dia', other: '{count} dies' },
+    'milestone.timeline': 'Dates importants',
+    'milestone.ceremony': 'El casament',
+    'milestone.anniversary': { one: '{count} any de casats', other: '{count} anys de casats' },
+    'calendar.add': 'Afegeix al calendari',
+    'calendar.addMilestone': 'Afegeix «{label}» al calendari',
+    'calendar.name': 'Borja i Laura',
+    'calendar.event': '{label} · Borja i Laura',
+    'calendar.anniversary': 'Aniversari de casament d\'en Borja i la Laura',
+    'calendar.filename': 'dates',
+    'timeline.heading': 'La nostra història',
+    'timeline.photos': { one: '{count} foto', other: '{count} fotos' },
+
+    'gallery.heading': 'Moments Compartits',
+    'gallery.filters': 'Filtrar moments',
+    'gallery.all': 'Tots',
+    'gallery.slideshow': 'Veure la presentació',
+    'gallery.select': 'Seleccionar',
+    'gallery.downloadSelection': 'Descarregar la selecció',
+    'gallery.downloadAlbum': 'Descarregar l\'àlbum',
+    'gallery.defaultCaption': 'Moment especial {number}',
+
+    'modal.close': 'Tancar el visor',
+    'modal.loading': 'Carregant...',
+    'modal.title': 'Visor multimèdia',
+    'modal.itemAlt': 'Element {number}',
+    'modal.actions': 'Accions',
+    'modal.download': 'Descarregar l\'original',
+    'modal.share': 'Compartir',
+    'modal.info': 'Informació (tecla I)',
+    'modal.infoPanel': 'Informació de la foto',
+    'modal.previous': 'Element anterior',
+    'modal.next': 'Element següent',
+    'info.date': 'Data',
+    'info.camera': 'Càmera',
+    'info.settings': 'Ajustos',
+
+    'slideshow.label': 'Presentació',
+    'slideshow.play': 'Iniciar la presentació',
+    'slideshow.pause': 'Pausar la presentació',
+    'slideshow.interval': 'Interval entre fotos',
+    'slideshow.shuffle': 'Ordre aleatori',
+    'slideshow.music': 'Música de fons',
+
+    'video.unsupported': 'El teu navegador no admet vídeo HTML5.',
+    'video.tapToPlay': 'Prem per reproduir',
+    'video.playPause': 'Reproduir/Pausar',
+    'video.mute': 'Silenciar/Activar el so',
+    'video.volume': 'Control de volum',
+    'video.fullscreen': 'Pantalla completa',
+    'video.chapters': 'Capítols',
+    'video.quality': 'Qualitat',
+    'video.playlist': 'Llista de vídeos',
+    'video.previous': 'Vídeo anterior',
+    'video.next': 'Vídeo següent',
+    'video.chapterNumber': 'Capítol {number}',
+    'video.clipNumber': 'Vídeo {number}',
+
+    'share.copyPrompt': 'Copia aquest enllaç:',
+    'share.copied': 'Enllaç copiat',
+    'zip.filename': 'seleccio',
+    'zip.preparing': 'Preparant el ZIP… {current}/{total}',
+    'zip.ready': 'ZIP a punt',
+    'zip.readyWithIssues': 'ZIP a punt ({issues})',
+    'zip.issueFailed': {
+      one: '{count} no s\'ha pogut descarregar',
+      other: '{count} no s\'han pogut descarregar'
+    },
+    'zip.issueTooLarge': {
+      one: '{count} fitxer no hi cabia: màx. {size} MB per ZIP',
+      other: '{count} fitxers no hi cabien: màx. {size} MB per ZIP'
+    },
+    'zip.failed': 'No s\'ha pogut descarregar cap fitxer',
+    'zip.notCreated': 'No s\'ha pogut crear el ZIP ({issues})',
+    'zip.tooLarge': 'Massa gran per a un ZIP (màx. {size} MB); tria menys fitxers',
+    'offline.save': 'Desa per veure sense connexió',
+    'offline.update': 'Actualitza la còpia sense connexió',
+    'offline.remove': 'Treu del dispositiu',
+    'offline.saving': 'Desant {done} de {total}…',
+    'offline.saved': {
+      one: '{count} fitxer disponible sense connexió',
+      other: '{count} fitxers disponibles sense connexió'
+    },
+    'offline.failed': {
+      one: 'No s\'ha pogut desar {count} fitxer; torna-ho a provar amb més cobertura',
+      other: 'No s\'han pogut desar {count} fitxers; torna-ho a provar amb més cobertura'
+    },
+
+    'upload.heading': 'Comparteix les teves fotos',
+    'upload.intro': 'Puja les teves fotos i vídeos del casament. Apareixeran a la galeria quan els nuvis les aprovin.',
+    'upload.name': 'El teu nom',
+    'upload.caption': 'Comentari (opcional)',
+    'upload.dropzone': 'Arrossega aquí les teves fotos o vídeos, o prem per triar-los',
+    'upload.camera': 'Fer servir la càmera',
+    'upload.invalidType': 'Només s\'admeten fotos (JPEG, PNG, WebP, GIF, HEIC) i vídeos (MP4, MOV, WebM)',
+    'upload.tooLarge': 'Fitxer massa gran (màx. {size} MB)',
+    'upload.preparing': 'Preparant…',
+    'upload.uploading': 'Pujant… {percent}%',
+    'upload.done': 'Gràcies! Apareixerà quan els nuvis l\'aprovin',
+    'upload.failed': 'Error en pujar',
+    'upload.failedWithReason': 'Error en pujar ({reason})',
+    'upload.retry': 'Tornar-ho a provar',
+    'upload.defaultCaption': 'Foto de {name}',
+    'upload.defaultCaptionAnonymous': 'Foto d\'un convidat',
+
+    'moderation.heading': 'Fotos pendents',
+    'moderation.token': 'Clau de moderació',
+    'moderation.login': 'Entrar',
+    'moderation.wrongToken': 'Clau incorrecta',
+    'moderation.loading': 'Carregant…',
+    'moderation.empty': 'No hi ha fotos pendents',
+    'moderation.anonymous': 'Anònim',
+    'moderation.approve': 'Aprovar',
+    'moderation.reject': 'Rebutjar',
+
+    'links.heading': 'Enllaços d\'Interès',
+    'links.venue.title': 'Trobada de Reflexió',
+    'links.venue.text': 'Podeu venir a la Sala de Tradicions de Vigo, on tindrà lloc una reunió, seguida d\'una estona de convivència a l\'Espai dels Dotze Passos. Consulta tots els detalls sobre els punts de trobada i el programa de "Només per avui".',
+    'links.venue.button': 'M\'interessa',
+    'links.gifts.title': 'Llista de Regals',
+    'links.gifts.text': 'Si vols fer un regal als nuvis, aquí trobaràs la seva llista de noces.',
+    'links.gifts.button': 'Veure la llista de regals',
+    'links.hotel.title': 'Allotjament',
+    'links.hotel.text': 'Hem negociat tarifes especials per als convidats en diversos hotels propers. Reserva amb el codi "BorjaLaura2025" per obtenir descompte.',
+    'links.hotel.button': 'Veure opcions',
+    'links.experience.title': 'Experiència',
+    'links.experience.text': 'Gaudiu d\'una experiència única! No tothom té l\'oportunitat de gaudir-ne!',
+    'links.experience.button': 'Reservar l\'aventura',
+
+    'puzzle.defaultTitle': 'Desbloqueja Fotos Secretes',
+    'puzzle.check': 'Comprovar Respostes',
+    'puzzle.successTitle': 'Felicitats! Has desbloquejat les fotos secretes.',
+    'puzzle.failureTitle': 'Gairebé! Algunes respostes no són correctes.',
+    'puzzle.failureText': 'Torna-ho a provar, hi ets a prop!',
+    'puzzle.galleryTitle': 'Moments Especials Desbloquejats',
+    'puzzle.multipleAnswers': 'Hi pot haver més d\'una resposta correcta.',
+    'puzzle.answerPlaceholder': 'Escriu la teva resposta',
+    'puzzle.moveUp': 'Pujar',
+    'puzzle.moveDown': 'Baixar',
+    'puzzle.choose': 'Tria…',
+    'puzzle.showHint': 'Veure pista ({current}/{total})',
+    'answer.close': 'Gairebé! Revisa com ho has escrit.',
+    'answer.cryptoUnavailable': 'Aquest navegador no pot comprovar les respostes (cal HTTPS)',
+    'answer.checkFailed': 'No s\'han pogut comprovar les respostes. Torna-ho a provar.',
+    'result.points': { one: '{count} punt', other: '{count} punts' },
+    'result.failedAttempts': { one: '{count} intent fallit', other: '{count} intents fallits' },
+    'result.hints': { one: '{count} pista', other: '{count} pistes' },
+    'results.title': 'Els teus resultats',
+    'results.share': 'Compartir els resultats',
+    'results.solved': 'Resolt',
+    'results.unsolved': 'Sense resoldre',
+    'results.total': '{solved} de {total} resolts · {points}',
+    'results.summary': '🧩 {points} als trencaclosques de {site}',
+    'results.copied': 'Resultats copiats. Enganxa\'ls on vulguis!',
+    'results.copyPrompt': 'Copia els teus resultats:',
+
+    'bonus.title': 'Pregunta extra',
+    'bonus.imageAlt': 'Foto misteriosa amb un objecte amagat',
+    'bonus.question': 'No hi notes res d\'estrany, a la foto?',
+    'bonus.answerLabel': 'La teva resposta a la pregunta extra',
+    'bonus.placeholder': 'Escriu aquí la teva resposta...',
+    'bonus.submit': 'Comprovar',
+    'bonus.hint': 'Pista: Dos germans inseparables, en una bossa protegits van,<br>guardians de la vida futura, sempre junts estan.<br>Sensibles al tacte i al fred, pugen i baixen sense parar,<br>part important del cos, que l\'home ha de cuidar.<br>Què són?',
+    'bonus.successTitle': 'Correcte! Has descobert el secret',
+    'bonus.successText': 'Aquí tens una foto molt especial que ningú més ha vist...',
+
+    'leaderboard.heading': 'Classificació',
+    'leaderboard.intro': 'Qui coneix millor els nuvis? Tria un àlies i els teus punts dels trencaclosques i de la pregunta extra apareixeran aquí.',
+    'leaderboard.nickname': 'El teu àlies',
+    'leaderboard.join': 'Unir-me',
+    'leaderboard.rename': 'Canviar l\'àlies',
+    'leaderboard.nicknameRequired': 'Escriu un àlies per aparèixer a la classificació.',
+    'leaderboard.playing': 'Jugant com a {name}.',
+    'leaderboard.playingNoScore': 'Jugant com a {name}. Resol un trencaclosques per sumar punts.',
+    'leaderboard.submitFailed': 'No s\'ha pogut enviar la teva puntuació; ho tornarem a provar.',
+    'leaderboard.unavailable': 'La classificació no està disponible ara mateix.',
+    'leaderboard.empty': 'Encara no hi ha puntuacions. Sigues el primer!',
+    'leaderboard.challenges': { one: '{count} repte', other: '{count} reptes' },
+
+    'footer.love': 'Amb tot el nostre afecte',
+    'footer.date': 'Maig 2025',
+    'footer.reset': 'Esborrar el meu progrés',
+    'progress.resetConfirm': 'Vols esborrar les teves respostes i tornar a bloquejar les sorpreses?',
+
+    'admin.title': 'Administració',
+    'admin.close': 'Tancar l\'administració',
+    'admin.password': 'Contrasenya',
+    'admin.login': 'Entrar',
+    'admin.wrongPassword': 'Contrasenya incorrecta',
+    'admin.cryptoUnavailable': 'El navegador no permet comprovar la contrasenya (cal HTTPS)',
+    'admin.showingDraft': 'Es mostren canvis sense publicar desats en aquest navegador.',
+    'admin.editingLanguage': 'Editant els textos en {language}. Per traduir-los, canvia l\'idioma del web.',
+    'admin.translatingLanguage': 'Traduint els textos al {language}: el que quedi buit es mostra en {fallback}.',
+    'admin.tab.gallery': 'Galeria',
+    'admin.tab.puzzles': 'Preguntes',
+    'admin.tab.texts': 'Textos',
+    'admin.tab.backup': 'Còpia de seguretat',
+    'admin.galleryHint': 'Arrossega per reordenar. Les fotos ocultes no es mostren als convidats.',
+    'admin.puzzlesHint': 'Marca la resposta correcta de cada pregunta. En publicar, les respostes i les fotos secretes es xifren: desa l\'exportació completa per poder-les editar després.',
+    'admin.weddingDate': 'Data i hora del casament',
+    'admin.letterHeading': 'Encapçalament de la carta',
+    'admin.letter': 'Carta (HTML)',
+    'admin.milestones': 'Altres dates importants',
+    'admin.milestonesHint': 'Primera cita, petició de mà… Apareixen al compte enrere i a la llista de dates; les anuals es repeteixen al calendari.',
+    'admin.milestone.label': 'Nom',
+    'admin.milestone.date': 'Data',
+    'admin.milestone.yearly': 'Cada any',
+    'admin.addMilestone': 'Afegir data',
+    'admin.removeMilestone': 'Treure la data',
+    'admin.backupHint': 'Els canvis només es desen en aquest navegador. Per publicar-los, descarrega content.json i gallery.json i puja\'ls al lloc. Les respostes i les galeries secretes es publiquen xifrades; l\'exportació completa és l\'única còpia sense xifrar, guarda-la en privat.',
+    'admin.exportAll': 'Exportar-ho tot (JSON)',
+    'admin.import': 'Importar JSON',
+    'admin.discard': 'Descartar els canvis',
+    'admin.save': 'Desar els canvis',
+    'admin.caption': 'Peu de foto',
+    'admin.gallery': 'Galeria',
+    'admin.album': 'Àlbum',
+    'admin.visible': 'Visible',
+    'admin.moveUp': 'Pujar',
+    'admin.moveDown': 'Baixar',
+    'admin.type': 'Tipus',
+    'admin.type.single': 'Una resposta',
+    'admin.type.multi': 'Diverses respostes',
+    'admin.type.text': 'Resposta escrita',
+    'admin.type.order': 'Ordenar',
+    'admin.type.match': 'Aparellar fotos',
+    'admin.type.hotspot': 'Assenyalar a la foto',
+    'admin.puzzleLegend': 'Trencaclosques {number}',
+    'admin.puzzleLegendGallery': 'Trencaclosques {number} · desbloqueja "{gallery}"',
+    'admin.puzzle.gallery': 'Galeria que desbloqueja',
+    'admin.puzzle.title': 'Títol',
+    'admin.puzzle.description': 'Descripció',
+    'admin.puzzle.successTitle': 'Títol en encertar',
+    'admin.puzzle.successText': 'Text en encertar',
+    'admin.puzzle.failureTitle': 'Títol en fallar',
+    'admin.puzzle.failureText': 'Text en fallar',
+    'admin.puzzle.galleryTitle': 'Títol de la galeria',
+    'admin.puzzle.galleryText': 'Text de la galeria',
+    'admin.sealed': { one: '{count} pregunta protegida. Per canviar-la o veure\'n les fotos, importa l\'exportació completa.', other: '{count} preguntes protegides. Per canviar-les o veure\'n les fotos, importa l\'exportació completa.' },
+    'admin.question': 'Pregunta {number}',
+    'admin.answerJson': 'Resposta (JSON)',
+    'admin.hints': 'Pistes (una per línia, es mostren després de fallar)',
+    'admin.explanation': 'Explicació en resoldre',
+    'admin.option': 'Opció',
+    'admin.optionImage': 'Imatge (URL)',
+    'admin.correct': 'Resposta correcta',
+    'admin.removeOption': 'Treure l\'opció',
+    'admin.addOption': 'Opció',
+    'admin.addQuestion': 'Afegir pregunta',
+    'admin.removeQuestion': 'Treure la pregunta',
+    'admin.addPuzzle': 'Afegir trencaclosques',
+    'admin.removePuzzle': 'Treure el trencaclosques',
+    'admin.removePuzzleConfirm': 'Vols treure aquest trencaclosques i totes les seves preguntes?',
+    'admin.saved': 'Desat en aquest navegador. Exporta el JSON per publicar-lo per a tothom.',
+    'admin.saveFailed': 'Els canvis es veuen a la pàgina, però aquest navegador no permet desar-los (emmagatzematge ple o bloquejat). Exporta el JSON per no perdre\'ls.',
+    'admin.publishFailed': 'No s\'ha pogut preparar {file}: {reason}',
+    'admin.exportFilename': 'contingut',
+    'admin.seal.noQuestions': 'El puzzle «{puzzle}» no té preguntes',
+    'admin.seal.unknownType': 'Tipus de pregunta desconegut: «{type}»',
+    'admin.seal.noAnswer': 'La pregunta {number} de «{puzzle}» no té resposta correcta',
+    'admin.seal.noBonusAnswer': 'La pregunta extra no té cap resposta acceptada',
+    'admin.notAnExport': 'El fitxer no és una exportació del lloc',
+    'admin.imported': 'S\'ha importat "{name}". Revisa els canvis i prem Desar.',
+    'admin.importFailed': 'No s\'ha pogut importar: {reason}',
+    'admin.discardConfirm': 'Vols descartar els canvis desats en aquest navegador?',
+    'admin.discardFailed': 'No s\'han pogut descartar els canvis: aquest navegador no permet accedir al seu emmagatzematge.'
+  }
+};
+
+/**
+ * The page language: translates catalog messages and content texts, and tells
+ * listeners when the visitor picks another language
+ */
+class I18n {
   /**
-   * Setup control visibility management
+   * @param {Object} [options]
+   * @param {Object} [options.messages] - Catalogs per language (see I18N_MESSAGES)
+   * @param {Array<string>} [options.languages] - Offered languages, in switcher order
+   * @param {string} [options.defaultLanguage] - Source language and fallback
+   * @param {string} [options.storageKey] - localStorage key of the visitor's choice
    */
-  setupControlVisibility() {
-    this.container.addEventListener('mouseenter', () => {
-      this.showControls();
-    });
+  constructor({
+    messages = I18N_MESSAGES,
+    languages = CONFIG.LANGUAGES,
+    defaultLanguage = CONFIG.DEFAULT_LANGUAGE,
+    storageKey = CONFIG.LANGUAGE_STORAGE_KEY
+  } = {}) {
+    this.messages = messages;
+    this.languages = languages.filter(language => messages[language]);
+    this.defaultLanguage = defaultLanguage;
+    this.storageKey = storageKey;
+    this.listeners = new Set();
+    this.pluralRules = new Map(); // Language -> Intl.PluralRules
+
+    this.language = this.detectLanguage();
+  }
 
-    this.container.addEventListener('mouseleave', () => {
-      this.hideControlsAfterDelay();
-    });
+  /**
+   * ?lang= first, then the saved choice, then the browser languages, then the default
+   * @returns {string}
+   */
+  detectLanguage() {
+    let saved = null;
+    try {
+      saved = localStorage.getItem(this.storageKey);
+    } catch (error) {
+      console.warn('Could not read the saved language:', error);
+    }
+    const browser = (navigator.languages || [navigator.language || ''])
+      .map(tag => String(tag).toLowerCase().split('-')[0]);
+    const candidates = [new URLSearchParams(window.location.search).get('lang'), saved, ...browser];
+    return candidates.find(language => this.languages.includes(language)) || this.defaultLanguage;
+  }
 
-    this.container.addEventListener('mousemove', () => {
-      this.showControls();
-      this.hideControlsAfterDelay();
-    });
+  /**
+   * @returns {string} BCP 47 locale for dates and numbers, e.g. "es-ES"
+   */
+  get locale() {
+    return this.t('language.locale');
   }
 
   /**
-   * Setup touch events for mobile devices
+   * @param {string} key - Message id
+   * @param {Object} [params] - Placeholder values; "count" also picks the plural form
+   * @returns {string} Message in the current language
    */
-  setupTouchEvents() {
-    let touchStartX = 0;
-    let touchStartTime = 0;
+  t(key, params = {}) {
+    return this.translate(this.language, key, params);
+  }
 
-    this.container.addEventListener('touchstart', (e) => {
-      touchStartX = e.touches[0].clientX;
-      touchStartTime = Date.now();
-    });
+  /**
+   * @param {string} key - Message id
+   * @param {Object} [params] - Placeholder values
+   * @returns {Object} The message in every language, { es: '…', en: '…' }, for texts
+   *   that must follow later language changes (see localize)
+   */
+  translations(key, params = {}) {
+    return Object.fromEntries(this.languages.map(language => [language, this.translate(language, key, params)]));
+  }
 
-    this.container.addEventListener('touchend', (e) => {
-      const touchEndX = e.changedTouches[0].clientX;
-      const touchEndTime = Date.now();
-      const swipeDistance = Math.abs(touchEndX - touchStartX);
-      const swipeTime = touchEndTime - touchStartTime;
+  /**
+   * @param {string} language - Catalog to read, falling back to the default one
+   * @param {string} key - Message id
+   * @param {Object} params - Placeholder values
+   * @returns {string}
+   */
+  translate(language, key, params) {
+    const source = this.messages[language]?.[key] !== undefined ? language : this.defaultLanguage;
+    let message = this.messages[source]?.[key];
+    if (message === undefined) {
+      console.warn('Missing message:', key);
+      return key;
+    }
 
-      // Detect tap vs swipe
-      if (swipeDistance < 10 && swipeTime < 300) {
-        // Simple tap - toggle play/pause
-        this.togglePlay();
-      } else if (swipeDistance > 50 && swipeTime < 500) {
-        // Horizontal swipe - seek forward/backward
-        const seekTime = touchEndX > touchStartX ? CONFIG.VIDEO_SEEK_STEP : -CONFIG.VIDEO_SEEK_STEP;
-        this.seekRelative(seekTime);
+    if (typeof message === 'object') {
+      if (!this.pluralRules.has(source)) {
+        this.pluralRules.set(source, new Intl.PluralRules(this.messages[source]['language.locale'] || source));
       }
-    });
+      message = message[this.pluralRules.get(source).select(Number(params.count) || 0)] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+      (params[name] === undefined ? placeholder : String(params[name])));
   }
 
   /**
-   * Setup keyboard controls for accessibility
+   * @param {*} value - Content value
+   * @returns {boolean} Whether it holds one version per language ({ es: '…', en: '…' })
    */
-  setupKeyboardControls() {
-    document.addEventListener('keydown', (e) => {
-      const isThisPlayerFullscreen = document.fullscreenElement === this.container;
-      const isAnyModalActive = !!document.querySelector('.modal.active');
+  static isTranslations(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+  }
 
-      let shouldHandleEvent = false;
-      if (isThisPlayerFullscreen) {
-        shouldHandleEvent = true; // Always handle if this player is fullscreen
-      } else if (this.container.matches(':hover') && !isAnyModalActive) {
-        // Handle if hovered AND no general modal is active
-        shouldHandleEvent = true;
-      }
+  /**
+   * A text from content.json or gallery.json in the current language. Plain values
+   * are in the default language; per-language objects fall back to it.
+   * @param {*} value - String (or array, e.g. hints) or { [language]: value }
+   * @param {string} [language] - Defaults to the current language
+   * @returns {*}
+   */
+  localize(value, language = this.language) {
+    if (!I18n.isTranslations(value)) return value;
+    return value[language] || value[this.defaultLanguage] || Object.values(value).find(Boolean);
+  }
 
-      if (!shouldHandleEvent) {
-        return;
-      }
+  /**
+   * Exact version of a content text in one language, without fallback (editors)
+   * @param {*} value - Plain value or per-language object
+   * @param {string} language
+   * @returns {*} undefined when that language has no version
+   */
+  getTranslation(value, language) {
+    if (I18n.isTranslations(value)) return value[language];
+    return language === this.defaultLanguage ? value : undefined;
+  }
 
-      // If focus is on an input field, don't trigger video shortcuts
-      const activeElement = document.activeElement;
-      if (activeElement && (activeElement.tagName === 'INPUT' || activeElement.tagName === 'TEXTAREA' || activeElement.isContentEditable)) {
-          if (e.code === 'Space' && activeElement.tagName !== 'BUTTON') { // Allow space for button "click"
-             // Don't prevent default if typing space in an input
-          } else {
-            // For other keys, if focus is on input, let default behavior happen for inputs.
-            // For Space on non-buttons, it might type a space. For other keys, they might be input characters.
-            // This logic might need refinement based on specific UX goals for inputs vs. player shortcuts.
-            // For now, if it's an input, and not space on a button, we might not want player shortcuts.
-            // However, the initial `shouldHandleEvent` check is primary. This is a sub-condition.
-          }
-      }
+  /**
+   * Replace one language of a content text; stays a plain value while only the
+   * default language is set
+   * @param {*} value - Plain value or per-language object
+   * @param {string} language
+   * @param {*} text - New version; empty (or an empty array) removes it
+   * @returns {*} Updated value, or undefined when no language is left
+   */
+  setTranslation(value, language, text) {
+    const versions = I18n.isTranslations(value) ? { ...value } : {};
+    if (!I18n.isTranslations(value) && value && (!Array.isArray(value) || value.length)) {
+      versions[this.defaultLanguage] = value;
+    }
+    if (text && (!Array.isArray(text) || text.length)) {
+      versions[language] = text;
+    } else {
+      delete versions[language];
+    }
 
+    const languages = Object.keys(versions);
+    if (!languages.length) return undefined;
+    return languages.length === 1 && languages[0] === this.defaultLanguage ? versions[this.defaultLanguage] : versions;
+  }
 
-      switch (e.code) {
-        case 'Space':
-          // Prevent space from scrolling page if player is focused/active
-          if (shouldHandleEvent) { // Re-check, as activeElement logic might modify intent
-            e.preventDefault();
-            this.togglePlay();
-          }
-          break;
-        case 'ArrowLeft':
-          e.preventDefault();
-          this.seekRelative(-CONFIG.VIDEO_SEEK_STEP);
-          break;
-        case 'ArrowRight':
-          e.preventDefault();
-          this.seekRelative(CONFIG.VIDEO_SEEK_STEP);
-          break;
-        case 'ArrowUp':
-          e.preventDefault();
-          this.adjustVolume(CONFIG.VOLUME_STEP); // CORRECTED: Use VOLUME_STEP
-          break;
-        case 'ArrowDown':
-          e.preventDefault();
-          this.adjustVolume(-CONFIG.VOLUME_STEP);
-          break;
-        case 'KeyM':
-          e.preventDefault();
-          this.toggleMute();
-          break;
-        case 'KeyF':
-          e.preventDefault();
-          this.toggleFullscreen();
-          break;
+  /**
+   * Translate static markup: data-i18n="<key>" sets the text (data-i18n-html allows
+   * markup from the catalog) and data-i18n-<attribute>="<key>" sets that attribute.
+   * Templates are translated too, so their clones come out in the current language.
+   * @param {Document|DocumentFragment|HTMLElement} [root]
+   */
+  apply(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      const text = this.t(element.getAttribute('data-i18n'));
+      if (element.hasAttribute('data-i18n-html')) {
+        element.innerHTML = text;
+      } else {
+        element.textContent = text;
       }
     });
+    ['aria-label', 'placeholder', 'alt', 'title'].forEach(attribute => {
+      root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+        element.setAttribute(attribute, this.t(element.getAttribute(`data-i18n-${attribute}`)));
+      });
+    });
+    root.querySelectorAll('template').forEach(template => this.apply(template.content));
+
+    if (root === document) {
+      document.documentElement.lang = this.language;
+      document.title = this.t('site.title');
+    }
   }
 
   /**
-   * Start dragging operation for progress bar
-   * @param {MouseEvent} e - Mouse event
+   * Buttons for every offered language (hidden when there is only one)
+   * @param {HTMLElement|null} container
    */
-  startDragging(e) {
-    if (!this.video) return;
-    this.isDragging = true;
-    this.wasPlayingBeforeDrag = !this.video.paused;
-
-    if (this.wasPlayingBeforeDrag) {
-      this.video.pause();
-    }
+  renderSwitcher(container) {
+    if (!container) return;
+    container.hidden = this.languages.length < 2;
+    container.innerHTML = '';
+
+    this.languages.forEach(language => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'language-option';
+      button.lang = language;
+      button.textContent = language.toUpperCase();
+      button.title = this.translate(language, 'language.name', {});
+      button.setAttribute('aria-label', button.title);
+      button.setAttribute('data-language', language);
+      button.addEventListener('click', () => this.setLanguage(language));
+      container.appendChild(button);
+    });
 
-    this.seekTo(e);
+    const update = () => {
+      container.querySelectorAll('[data-language]').forEach(button => {
+        button.setAttribute('aria-pressed', String(button.getAttribute('data-language') === this.language));
+      });
+    };
+    this.onChange(update);
+    update();
+  }
 
-    if (this.progressHandle) {
-      this.progressHandle.style.opacity = '1';
+  /**
+   * Switch the page language and remember it for this visitor
+   * @param {string} language - One of CONFIG.LANGUAGES
+   */
+  setLanguage(language) {
+    if (!this.languages.includes(language) || language === this.language) return;
+    this.language = language;
+    try {
+      localStorage.setItem(this.storageKey, language);
+    } catch (error) {
+      console.warn('Could not save the language:', error);
     }
+    this.apply();
+    this.listeners.forEach(listener => listener(language));
   }
 
   /**
-   * Stop dragging operation for progress bar
+   * @param {Function} listener - Called with the new language after every switch
    */
-  stopDragging() {
-    if (!this.isDragging || !this.video) return;
+  onChange(listener) {
+    this.listeners.add(listener);
+  }
 
-    this.isDragging = false;
+  /**
+   * @param {Function} listener - One passed to onChange()
+   */
+  offChange(listener) {
+    this.listeners.delete(listener);
+  }
+}
 
-    if (this.wasPlayingBeforeDrag) {
-      this.video.play();
-    }
+const i18n = new I18n();
 
-    if (this.progressHandle) {
-      this.progressHandle.style.opacity = '0';
-    }
-  }
+/**
+ * Language-independent form of a content text (its default-language version), e.g. for answer keys
+ * @param {*} value - Plain text or per-language object
+ * @returns {string}
+ */
+const getSourceText = (value) => i18n.localize(value, CONFIG.DEFAULT_LANGUAGE) ?? '';
 
+/**
+ * ========================================================================
+ * CELEBRATION EFFECTS - Self-hosted confetti for solved puzzles and milestones
+ * ========================================================================
+ */
+class ConfettiEffect {
   /**
-   * Toggle play/pause state
+   * @param {Object} [defaults] - Overrides for CONFIG.CELEBRATION_*
+   * @param {Array<string>} [defaults.colors]
+   * @param {Array<string>} [defaults.shapes] - 'square', 'circle', 'heart' and/or 'star'
+   * @param {number} [defaults.intensity] - Particle count multiplier, 0 turns bursts off
+   * @param {number} [defaults.duration] - ms a particle lives
    */
-  togglePlay() {
-    if (!this.video) return;
-    if (this.video.paused) {
-      this.play();
-    } else {
-      this.pause();
-    }
+  constructor(defaults = {}) {
+    this.defaults = {
+      colors: CONFIG.CELEBRATION_COLORS,
+      shapes: CONFIG.CELEBRATION_SHAPES,
+      intensity: CONFIG.CELEBRATION_INTENSITY,
+      duration: CONFIG.CELEBRATION_DURATION,
+      ...defaults
+    };
+    this.canvas = null;
+    this.context = null;
+    this.particles = [];
+    this.frame = null;
+    this.lastTime = 0;
+    this.done = []; // Resolvers of the bursts still falling
+    this.handleResize = () => this.resize();
   }
 
   /**
-   * Play video
+   * Fire a burst. Options use canvas-confetti's names and defaults.
+   * @param {Object} [options]
+   * @param {number} [options.particleCount=100]
+   * @param {number} [options.spread=70] - Degrees around `angle`
+   * @param {number} [options.angle=90] - Degrees, 90 is straight up
+   * @param {number} [options.startVelocity=45] - px per frame at 60 fps
+   * @param {Object} [options.origin] - { x, y } as fractions of the viewport
+   * @param {Array<string>} [options.colors]
+   * @param {Array<string>} [options.shapes]
+   * @returns {Promise<void>} Resolves once the burst has fallen (right away when skipped)
    */
-  play() {
-    if (!this.video) return;
-    const playPromise = this.video.play();
+  fire(options = {}) {
+    const {
+      particleCount = 100,
+      spread = 70,
+      angle = 90,
+      startVelocity = 45,
+      origin = {},
+      colors = this.defaults.colors,
+      shapes = this.defaults.shapes
+    } = options;
+
+    const count = Math.round(particleCount * this.defaults.intensity);
+    if (count <= 0 || ConfettiEffect.prefersReducedMotion() || !this.setupCanvas()) {
+      return Promise.resolve();
+    }
 
-    if (playPromise !== undefined) {
-      playPromise.then(() => {
-        // this.isPlaying is set by 'play' event listener (onPlay)
-      }).catch(error => {
-        console.error('Error playing video:', error);
-        // Ensure UI reflects paused state on error
-        this.isPlaying = false;
-        this.updatePlayButton();
+    const x = (origin.x ?? 0.5) * window.innerWidth;
+    const y = (origin.y ?? 0.5) * window.innerHeight;
+    for (let i = 0; i < count; i++) {
+      const direction = (angle + (Math.random() - 0.5) * spread) * Math.PI / 180;
+      const speed = startVelocity * (0.5 + Math.random() * 0.5);
+      this.particles.push({
+        x,
+        y,
+        vx: Math.cos(direction) * speed,
+        vy: -Math.sin(direction) * speed,
+        size: 6 + Math.random() * 6,
+        color: colors[Math.floor(Math.random() * colors.length)],
+        shape: shapes[Math.floor(Math.random() * shapes.length)],
+        rotation: Math.random() * Math.PI * 2,
+        spin: (Math.random() - 0.5) * 0.3,
+        wobble: Math.random() * Math.PI * 2,
+        age: 0,
+        life: this.defaults.duration * (0.7 + Math.random() * 0.3)
       });
     }
+
+    if (!this.frame) {
+      this.lastTime = performance.now();
+      this.frame = requestAnimationFrame(time => this.tick(time));
+    }
+    return new Promise(resolve => this.done.push(resolve));
   }
 
   /**
-   * Pause video
+   * @returns {boolean} The visitor asked the system for less motion
    */
-  pause() {
-    if (!this.video) return;
-    this.video.pause();
-    // this.isPlaying is set by 'pause' event listener (onPause)
+  static prefersReducedMotion() {
+    return !!window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
   }
 
   /**
-   * Handle play event
+   * Full-viewport canvas above everything, created on the first burst
+   * @returns {boolean} Whether drawing is possible
    */
-  onPlay() {
-    this.isPlaying = true;
-    this.hideOverlay();
-    this.updatePlayButton();
+  setupCanvas() {
+    if (!this.canvas) {
+      this.canvas = document.createElement('canvas');
+      this.canvas.className = 'confetti-canvas';
+      this.canvas.setAttribute('aria-hidden', 'true');
+      this.context = this.canvas.getContext?.('2d') || null;
+    }
+    if (!this.context) return false;
+
+    if (!this.canvas.isConnected) {
+      document.body.appendChild(this.canvas);
+      window.addEventListener('resize', this.handleResize);
+      this.resize();
+    }
+    return true;
   }
 
-  /**
-   * Handle pause event
-   */
-  onPause() {
-    this.isPlaying = false;
-    this.updatePlayButton();
+  resize() {
+    const ratio = window.devicePixelRatio || 1;
+    this.canvas.width = window.innerWidth * ratio;
+    this.canvas.height = window.innerHeight * ratio;
+    this.context.setTransform(ratio, 0, 0, ratio, 0, 0);
   }
 
   /**
-   * Handle video end event
+   * Move and draw every particle; tears the canvas down once all have faded
+   * @param {number} time - requestAnimationFrame timestamp
    */
-  onVideoEnd() {
-    if (!this.video) return;
-    this.isPlaying = false;
-    this.showOverlay();
-    this.updatePlayButton();
-    this.video.currentTime = 0;
-    this.updateProgress();
+  tick(time) {
+    const elapsed = Math.min(time - this.lastTime, 100); // A background tab shouldn't teleport particles
+    const step = elapsed / (1000 / 60); // Physics are tuned per 60 fps frame
+    this.lastTime = time;
+
+    const context = this.context;
+    context.clearRect(0, 0, window.innerWidth, window.innerHeight);
+
+    this.particles = this.particles.filter(particle => {
+      particle.age += elapsed;
+      if (particle.age >= particle.life || particle.y > window.innerHeight + 50) return false;
+
+      const drag = Math.pow(0.92, step);
+      particle.vx *= drag;
+      particle.vy = particle.vy * drag + 0.6 * step; // Gravity
+      particle.wobble += 0.1 * step;
+      particle.x += (particle.vx + Math.cos(particle.wobble)) * step;
+      particle.y += particle.vy * step;
+      particle.rotation += particle.spin * step;
+
+      context.save();
+      context.globalAlpha = 1 - Math.max(0, (particle.age - particle.life * 0.6) / (particle.life * 0.4));
+      context.translate(particle.x, particle.y);
+      context.rotate(particle.rotation);
+      context.scale(1, Math.abs(Math.cos(particle.wobble)) * 0.6 + 0.4); // Flutter as it turns
+      context.fillStyle = particle.color;
+      this.drawShape(particle.shape, particle.size);
+      context.restore();
+      return true;
+    });
+
+    if (this.particles.length) {
+      this.frame = requestAnimationFrame(next => this.tick(next));
+      return;
+    }
+
+    this.frame = null;
+    window.removeEventListener('resize', this.handleResize);
+    this.canvas.remove();
+    this.done.splice(0).forEach(resolve => resolve());
   }
 
   /**
-   * Toggle mute state
+   * Fill one particle centred on the origin
+   * @param {string} shape - 'square', 'circle', 'heart' or 'star'
+   * @param {number} size - px
    */
-  toggleMute() {
-    if (this.video) {
-      this.video.muted = !this.video.muted;
-      // volumechange event will trigger updateVolumeUI
+  drawShape(shape, size) {
+    const context = this.context;
+    const half = size / 2;
+    context.beginPath();
+
+    if (shape === 'circle') {
+      context.arc(0, 0, half, 0, Math.PI * 2);
+    } else if (shape === 'heart') {
+      context.moveTo(0, half);
+      context.bezierCurveTo(-size, -half * 0.2, -half, -size, 0, -half * 0.4);
+      context.bezierCurveTo(half, -size, size, -half * 0.2, 0, half);
+    } else if (shape === 'star') {
+      for (let point = 0; point < 10; point++) {
+        const radius = point % 2 ? half * 0.45 : half;
+        const angle = (point * Math.PI) / 5 - Math.PI / 2;
+        context.lineTo(Math.cos(angle) * radius, Math.sin(angle) * radius);
+      }
+      context.closePath();
+    } else {
+      context.rect(-half, -half * 0.6, size, size * 0.6);
+    }
+    context.fill();
+  }
+}
+
+const celebration = new ConfettiEffect();
+
+/**
+ * ========================================================================
+ * ENHANCED VIDEO PLAYER CLASS
+ * ========================================================================
+ */
+class EnhancedVideoPlayer {
+  /**
+   * Constructor for Enhanced Video Player
+   * @param {HTMLElement} container - Video player container element
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.clips] - Playlist from SimplifiedGallerySystem.parseVideoClips();
+   *   without it the <source> already in the markup plays
+   * @param {string|null} [options.poster] - Poster for clips without their own
+   */
+  constructor(container, { clips = [], poster = null } = {}) {
+    this.container = container;
+    this.video = container.querySelector('.video-player');
+    this.overlay = container.querySelector('[data-video-overlay]');
+    this.controls = container.querySelector('[data-video-controls]');
+
+    // Control elements
+    this.playButton = container.querySelector('[data-play-button]');
+    this.playPauseBtn = container.querySelector('[data-play-pause-btn]');
+    this.progressContainer = container.querySelector('[data-progress-container]');
+    this.progressBar = container.querySelector('[data-progress-bar]');
+    this.progressHandle = container.querySelector('[data-progress-handle]');
+    this.timeDisplay = container.querySelector('[data-time-display]');
+    this.muteBtn = container.querySelector('[data-mute-btn]');
+    this.volumeSlider = container.querySelector('[data-volume-slider]');
+    this.fullscreenBtn = container.querySelector('[data-fullscreen-btn]');
+
+    // Playlist, chapter and quality elements
+    this.videoTitle = container.querySelector('[data-video-title]');
+    this.prevClipBtn = container.querySelector('[data-prev-clip-btn]');
+    this.nextClipBtn = container.querySelector('[data-next-clip-btn]');
+    this.chaptersBtn = container.querySelector('[data-chapters-btn]');
+    this.qualityBtn = container.querySelector('[data-quality-btn]');
+    this.qualityLabel = container.querySelector('[data-quality-label]');
+    this.playlistBtn = container.querySelector('[data-playlist-btn]');
+    this.chapterMarkers = container.querySelector('[data-progress-chapters]');
+    this.chapterTitle = container.querySelector('[data-chapter-title]');
+    this.menu = container.querySelector('[data-video-menu]');
+
+    // State management
+    this.isPlaying = false;
+    this.isDragging = false;
+    this.wasPlayingBeforeDrag = false;
+    this.controlsTimeout = null;
+    this.documentListeners = []; // [type, handler] pairs removed by destroy()
+
+    this.clips = Array.isArray(clips) ? clips : [];
+    this.poster = poster;
+    this.defaultTitle = this.videoTitle?.textContent || '';
+    this.clipIndex = 0;
+    this.currentSource = null;
+    this.quality = null; // Preferred source label, see CONFIG.VIDEO_QUALITY_STORAGE_KEY
+    try {
+      this.quality = localStorage.getItem(CONFIG.VIDEO_QUALITY_STORAGE_KEY);
+    } catch (error) {
+      console.warn('Could not read the video quality:', error);
+    }
+    this.menuType = null; // 'chapters' | 'quality' | 'playlist' while the menu is open
+
+    this.initialize();
+  }
+
+  /**
+   * Initialize video player with event listeners and setup
+   */
+  initialize() {
+    if (!this.video) {
+        console.error('Video element not found in container:', this.container);
+        return;
+    }
+    this.setupEventListeners();
+    this.setupKeyboardControls();
+    this.setupPlaylistControls();
+    if (this.clips.length) this.loadClip(0);
+    this.updatePlaylistControls();
+    this.updateTimeDisplay();
+    this.updateVolumeUI(); // Initialize volume UI correctly
+
+    // Hide controls initially
+    this.hideControlsAfterDelay();
+  }
+
+  /**
+   * Setup all event listeners for video player functionality
+   */
+  setupEventListeners() {
+    // Play button overlay events
+    this.playButton?.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.togglePlay();
+    });
+
+    this.overlay?.addEventListener('click', () => this.togglePlay());
+
+    // Control button events
+    this.playPauseBtn?.addEventListener('click', () => this.togglePlay());
+    this.muteBtn?.addEventListener('click', () => this.toggleMute());
+    this.fullscreenBtn?.addEventListener('click', () => this.toggleFullscreen());
+
+    // Progress bar events with enhanced interaction
+    this.setupProgressBarEvents();
+
+    // Volume control events
+    this.volumeSlider?.addEventListener('input', (e) => {
+      this.setVolume(e.target.value);
+    });
+
+    // Video element events
+    this.setupVideoEvents();
+
+    // Container hover events for control visibility
+    this.setupControlVisibility();
+
+    // Touch/mobile support
+    this.setupTouchEvents();
+  }
+
+  /**
+   * Setup progress bar interaction events
+   */
+  setupProgressBarEvents() {
+    if (!this.progressContainer) return;
+
+    // Click to seek
+    this.progressContainer.addEventListener('click', (e) => {
+      if (!this.isDragging) {
+        this.seekTo(e);
+      }
+    });
+
+    // Drag to seek functionality
+    this.progressContainer.addEventListener('mousedown', (e) => {
+      this.startDragging(e);
+    });
+
+    this.addDocumentListener('mousemove', (e) => {
+      if (this.isDragging) {
+        this.seekTo(e);
+      }
+    });
+
+    this.addDocumentListener('mouseup', () => {
+      this.stopDragging();
+    });
+
+    // Show handle on hover
+    this.progressContainer.addEventListener('mouseenter', () => {
+      if (this.progressHandle) {
+        this.progressHandle.style.opacity = '1';
+      }
+    });
+
+    this.progressContainer.addEventListener('mouseleave', () => {
+      if (this.progressHandle && !this.isDragging) {
+        this.progressHandle.style.opacity = '0';
+      }
+    });
+  }
+
+  /**
+   * Setup video element event listeners
+   */
+  setupVideoEvents() {
+    if (!this.video) return;
+
+    this.video.addEventListener('loadedmetadata', () => {
+      this.updateTimeDisplay();
+      this.updateVolumeUI(); // Ensure volume UI is correct on load
+      this.renderChapterMarkers(); // Positions need the duration
+    });
+
+    this.video.addEventListener('timeupdate', () => {
+      if (!this.isDragging) {
+        this.updateProgress();
+        this.updateTimeDisplay();
+      }
+      this.updateChapterTitle();
+    });
+
+    this.video.addEventListener('ended', () => {
+      // Chain the playlist; the last clip ends as a single video does
+      if (this.hasNextClip()) {
+        this.loadClip(this.clipIndex + 1, { autoplay: true });
+      } else {
+        this.onVideoEnd();
+      }
+    });
+
+    this.video.addEventListener('play', () => {
+      this.onPlay();
+    });
+
+    this.video.addEventListener('pause', () => {
+      this.onPause();
+    });
+
+    this.video.addEventListener('volumechange', () => {
+      this.updateVolumeUI();
+    });
+
+    // Click on video to toggle play/pause
+    this.video.addEventListener('click', () => {
+      this.togglePlay();
+    });
+
+    // Double click for fullscreen
+    this.video.addEventListener('dblclick', () => {
+      this.toggleFullscreen();
+    });
+
+    // Loading events
+    this.video.addEventListener('waiting', () => {
+      this.showBuffering();
+    });
+
+    this.video.addEventListener('canplay', () => {
+      this.hideBuffering();
+    });
+  }
+
+  /**
+   * Setup control visibility management
+   */
+  setupControlVisibility() {
+    this.container.addEventListener('mouseenter', () => {
+      this.showControls();
+    });
+
+    this.container.addEventListener('mouseleave', () => {
+      this.hideControlsAfterDelay();
+    });
+
+    this.container.addEventListener('mousemove', () => {
+      this.showControls();
+      this.hideControlsAfterDelay();
+    });
+  }
+
+  /**
+   * Setup touch events for mobile devices
+   */
+  setupTouchEvents() {
+    let touchStartX = 0;
+    let touchStartTime = 0;
+
+    this.container.addEventListener('touchstart', (e) => {
+      touchStartX = e.touches[0].clientX;
+      touchStartTime = Date.now();
+    });
+
+    this.container.addEventListener('touchend', (e) => {
+      if (this.controls?.contains(e.target)) return; // Buttons and menus handle their own taps
+
+      const touchEndX = e.changedTouches[0].clientX;
+      const touchEndTime = Date.now();
+      const swipeDistance = Math.abs(touchEndX - touchStartX);
+      const swipeTime = touchEndTime - touchStartTime;
+
+      // Detect tap vs swipe
+      if (swipeDistance < 10 && swipeTime < 300) {
+        // Simple tap - toggle play/pause
+        this.togglePlay();
+      } else if (swipeDistance > 50 && swipeTime < 500) {
+        // Horizontal swipe - seek forward/backward
+        const seekTime = touchEndX > touchStartX ? CONFIG.VIDEO_SEEK_STEP : -CONFIG.VIDEO_SEEK_STEP;
+        this.seekRelative(seekTime);
+      }
+    });
+  }
+
+  /**
+   * Setup keyboard controls for accessibility
+   */
+  setupKeyboardControls() {
+    this.addDocumentListener('keydown', (e) => {
+      const isThisPlayerFullscreen = document.fullscreenElement === this.container;
+      const isAnyModalActive = !!document.querySelector('.modal.active');
+
+      let shouldHandleEvent = false;
+      if (isThisPlayerFullscreen) {
+        shouldHandleEvent = true; // Always handle if this player is fullscreen
+      } else if (this.container.matches(':hover') && !isAnyModalActive) {
+        // Handle if hovered AND no general modal is active
+        shouldHandleEvent = true;
+      }
+
+      if (!shouldHandleEvent) {
+        return;
+      }
+
+      // If focus is on an input field, don't trigger video shortcuts
+      const activeElement = document.activeElement;
+      if (activeElement && (activeElement.tagName === 'INPUT' || activeElement.tagName === 'TEXTAREA' || activeElement.isContentEditable)) {
+          if (e.code === 'Space' && activeElement.tagName !== 'BUTTON') { // Allow space for button "click"
+             // Don't prevent default if typing space in an input
+          } else {
+            // For other keys, if focus is on input, let default behavior happen for inputs.
+            // For Space on non-buttons, it might type a space. For other keys, they might be input characters.
+            // This logic might need refinement based on specific UX goals for inputs vs. player shortcuts.
+            // For now, if it's an input, and not space on a button, we might not want player shortcuts.
+            // However, the initial `shouldHandleEvent` check is primary. This is a sub-condition.
+          }
+      }
+
+
+      switch (e.code) {
+        case 'Space':
+          // Prevent space from scrolling page if player is focused/active
+          if (shouldHandleEvent) { // Re-check, as activeElement logic might modify intent
+            e.preventDefault();
+            this.togglePlay();
+          }
+          break;
+        case 'ArrowLeft':
+          e.preventDefault();
+          this.seekRelative(-CONFIG.VIDEO_SEEK_STEP);
+          break;
+        case 'ArrowRight':
+          e.preventDefault();
+          this.seekRelative(CONFIG.VIDEO_SEEK_STEP);
+          break;
+        case 'ArrowUp':
+          e.preventDefault();
+          this.adjustVolume(CONFIG.VOLUME_STEP); // CORRECTED: Use VOLUME_STEP
+          break;
+        case 'ArrowDown':
+          e.preventDefault();
+          this.adjustVolume(-CONFIG.VOLUME_STEP);
+          break;
+        case 'KeyM':
+          e.preventDefault();
+          this.toggleMute();
+          break;
+        case 'KeyF':
+          e.preventDefault();
+          this.toggleFullscreen();
+          break;
+        case 'KeyN':
+          if (this.clips.length > 1) {
+            e.preventDefault();
+            this.nextClip();
+          }
+          break;
+        case 'KeyP':
+          if (this.clips.length > 1) {
+            e.preventDefault();
+            this.previousClip();
+          }
+          break;
+      }
+    });
+  }
+
+  /**
+   * Setup playlist, chapter and quality buttons and their shared menu
+   */
+  setupPlaylistControls() {
+    this.prevClipBtn?.addEventListener('click', () => this.previousClip());
+    this.nextClipBtn?.addEventListener('click', () => this.nextClip());
+    this.chaptersBtn?.addEventListener('click', () => this.toggleMenu('chapters'));
+    this.qualityBtn?.addEventListener('click', () => this.toggleMenu('quality'));
+    this.playlistBtn?.addEventListener('click', () => this.toggleMenu('playlist'));
+
+    this.menu?.addEventListener('keydown', (e) => {
+      if (e.key !== 'Escape') return;
+      e.stopPropagation();
+      const button = this.getMenuButton(this.menuType);
+      this.closeMenu();
+      button?.focus();
+    });
+
+    // Any click outside the controls closes the menu
+    this.addDocumentListener('click', (e) => {
+      if (this.menuType && !this.controls?.contains(e.target)) this.closeMenu();
+    });
+
+    this.onLanguageChange = () => {
+      this.renderChapterMarkers();
+      this.updateChapterTitle();
+      this.updatePlaylistControls();
+      if (this.clips.length && this.videoTitle) this.videoTitle.textContent = this.getClipTitle(this.clips[this.clipIndex], this.clipIndex);
+      if (this.menuType) this.renderMenu(this.menuType);
+    };
+    i18n.onChange(this.onLanguageChange);
+  }
+
+  /**
+   * Swap in another video's playlist (the modal reuses one player for every item)
+   * @param {Array<Object>} clips - From SimplifiedGallerySystem.parseVideoClips()
+   * @param {Object} [options]
+   * @param {string|null} [options.poster] - Poster for clips without their own
+   * @param {string} [options.title] - Title of the first clip when it has none
+   */
+  setClips(clips, { poster = null, title = '' } = {}) {
+    this.clips = Array.isArray(clips) ? clips : [];
+    this.poster = poster;
+    this.defaultTitle = title;
+    this.clipIndex = 0;
+    if (this.clips.length) this.loadClip(0);
+    this.updatePlaylistControls();
+  }
+
+  /**
+   * @returns {boolean} Whether the playlist goes on after the current clip
+   */
+  hasNextClip() {
+    return this.clipIndex < this.clips.length - 1;
+  }
+
+  /**
+   * Load a clip of the playlist
+   * @param {number} index - Clip index
+   * @param {Object} [options]
+   * @param {boolean} [options.autoplay] - Start playing once loaded
+   */
+  loadClip(index, { autoplay = false } = {}) {
+    const clip = this.clips[index];
+    if (!clip || !this.video) return;
+
+    this.clipIndex = index;
+    this.closeMenu();
+    this.video.poster = clip.poster || this.poster || '';
+    if (this.videoTitle) this.videoTitle.textContent = this.getClipTitle(clip, index);
+    this.loadSource(this.getPreferredSource(clip));
+    this.updateProgress();
+    this.updateTimeDisplay();
+    this.renderChapterMarkers();
+    this.updateChapterTitle();
+    this.updatePlaylistControls();
+    if (autoplay) this.play();
+  }
+
+  /**
+   * Point the <video> at a source and reload it
+   * @param {Object} source - { src, label, type }
+   * @param {number} [time] - Position to resume from once the metadata is in
+   */
+  loadSource(source, time = 0) {
+    let sourceElement = this.video.querySelector('source');
+    if (!sourceElement) {
+      sourceElement = document.createElement('source');
+      this.video.prepend(sourceElement);
+    }
+    sourceElement.src = source.src;
+    if (source.type) {
+      sourceElement.type = source.type;
+    } else {
+      sourceElement.removeAttribute('type'); // Let the browser sniff it (e.g. WebM)
+    }
+    this.currentSource = source;
+
+    if (time > 0) {
+      this.video.addEventListener('loadedmetadata', () => {
+        if (this.video) this.video.currentTime = time;
+      }, { once: true });
+    }
+    this.video.load();
+  }
+
+  /**
+   * @param {Object} clip
+   * @returns {Object} The source matching the guest's quality, else the clip's default
+   */
+  getPreferredSource(clip) {
+    return clip.sources.find(source => source.label && source.label === this.quality) || clip.sources[0];
+  }
+
+  /**
+   * Switch to another resolution of the current clip, keeping position and play state
+   * @param {string} label - Source label, e.g. "1080p"
+   */
+  setQuality(label) {
+    const clip = this.clips[this.clipIndex];
+    const source = clip?.sources.find(candidate => candidate.label === label);
+    if (!source || !this.video) return;
+
+    this.quality = label;
+    try {
+      localStorage.setItem(CONFIG.VIDEO_QUALITY_STORAGE_KEY, label);
+    } catch (error) {
+      console.warn('Could not save the video quality:', error);
+    }
+    if (source === this.currentSource) return;
+
+    const wasPlaying = !this.video.paused;
+    this.loadSource(source, this.video.currentTime);
+    this.updatePlaylistControls();
+    if (wasPlaying) this.play();
+  }
+
+  /**
+   * Next clip of the playlist, keeping the play state
+   */
+  nextClip() {
+    if (this.hasNextClip()) {
+      this.loadClip(this.clipIndex + 1, { autoplay: this.isPlaying });
+    }
+  }
+
+  /**
+   * Previous clip of the playlist, keeping the play state
+   */
+  previousClip() {
+    if (this.clipIndex > 0) {
+      this.loadClip(this.clipIndex - 1, { autoplay: this.isPlaying });
+    }
+  }
+
+  /**
+   * @returns {Array<Object>} Chapters of the current clip ({ time, title }, by time)
+   */
+  getChapters() {
+    return this.clips[this.clipIndex]?.chapters || [];
+  }
+
+  /**
+   * @param {number} time - Seconds
+   * @returns {number} Index of the chapter playing at that time, -1 before the first one
+   */
+  getChapterIndex(time) {
+    let current = -1;
+    this.getChapters().forEach((chapter, index) => {
+      if (chapter.time <= time) current = index;
+    });
+    return current;
+  }
+
+  /**
+   * @param {Object} chapter
+   * @param {number} index
+   * @returns {string} Chapter title in the page language
+   */
+  getChapterTitle(chapter, index) {
+    return i18n.localize(chapter.title) || i18n.t('video.chapterNumber', { number: index + 1 });
+  }
+
+  /**
+   * @param {Object} clip
+   * @param {number} index
+   * @returns {string} Clip title in the page language
+   */
+  getClipTitle(clip, index) {
+    return i18n.localize(clip.title) || (index === 0 && this.defaultTitle) || i18n.t('video.clipNumber', { number: index + 1 });
+  }
+
+  /**
+   * Jump to a chapter and play from there
+   * @param {number} index - Chapter index
+   */
+  goToChapter(index) {
+    const chapter = this.getChapters()[index];
+    if (!chapter || !this.video) return;
+
+    this.video.currentTime = chapter.time;
+    this.updateProgress();
+    this.updateTimeDisplay();
+    this.updateChapterTitle();
+    if (this.video.paused) this.play();
+  }
+
+  /**
+   * Chapter ticks on the progress bar (the first chapter usually starts at 0 and needs none)
+   */
+  renderChapterMarkers() {
+    if (!this.chapterMarkers) return;
+    this.chapterMarkers.innerHTML = '';
+    const duration = this.video?.duration;
+    if (!(duration > 0)) return;
+
+    this.getChapters()
+      .filter(chapter => chapter.time > 0 && chapter.time < duration)
+      .forEach(chapter => {
+        const marker = document.createElement('span');
+        marker.className = 'chapter-marker';
+        marker.style.left = `${(chapter.time / duration) * 100}%`;
+        this.chapterMarkers.appendChild(marker);
+      });
+  }
+
+  /**
+   * Show the title of the chapter now playing
+   */
+  updateChapterTitle() {
+    if (!this.chapterTitle || !this.video) return;
+    const index = this.getChapterIndex(this.video.currentTime);
+    const title = index >= 0 ? this.getChapterTitle(this.getChapters()[index], index) : '';
+    this.chapterTitle.hidden = !title;
+    if (this.chapterTitle.textContent !== title) this.chapterTitle.textContent = title;
+  }
+
+  /**
+   * Show only the buttons the current clip needs
+   */
+  updatePlaylistControls() {
+    const clip = this.clips[this.clipIndex];
+    const hasPlaylist = this.clips.length > 1;
+
+    if (this.prevClipBtn) {
+      this.prevClipBtn.hidden = !hasPlaylist;
+      this.prevClipBtn.disabled = this.clipIndex === 0;
+    }
+    if (this.nextClipBtn) {
+      this.nextClipBtn.hidden = !hasPlaylist;
+      this.nextClipBtn.disabled = this.clipIndex >= this.clips.length - 1;
+    }
+    if (this.playlistBtn) this.playlistBtn.hidden = !hasPlaylist;
+    if (this.chaptersBtn) this.chaptersBtn.hidden = !clip?.chapters.length;
+    if (this.qualityBtn) this.qualityBtn.hidden = !(clip?.sources.length > 1);
+    if (this.qualityLabel) this.qualityLabel.textContent = this.currentSource?.label || '';
+  }
+
+  /**
+   * @param {string|null} type - Menu type
+   * @returns {HTMLElement|null} Button that opens it
+   */
+  getMenuButton(type) {
+    return { chapters: this.chaptersBtn, quality: this.qualityBtn, playlist: this.playlistBtn }[type] || null;
+  }
+
+  /**
+   * Open a menu, or close it if it is already open
+   * @param {string} type - 'chapters' | 'quality' | 'playlist'
+   */
+  toggleMenu(type) {
+    if (this.menuType === type) {
+      this.closeMenu();
+    } else {
+      this.renderMenu(type);
+      this.menu?.querySelector('[aria-checked="true"]')?.focus();
+    }
+  }
+
+  /**
+   * Fill the menu with the options of a type and show it
+   * @param {string} type - 'chapters' | 'quality' | 'playlist'
+   */
+  renderMenu(type) {
+    if (!this.menu) return;
+    const clip = this.clips[this.clipIndex];
+    let options = [];
+
+    if (type === 'chapters') {
+      const current = this.getChapterIndex(this.video.currentTime);
+      options = this.getChapters().map((chapter, index) => ({
+        label: this.getChapterTitle(chapter, index),
+        detail: formatTime(chapter.time),
+        selected: index === current,
+        select: () => this.goToChapter(index)
+      }));
+    } else if (type === 'quality') {
+      options = (clip?.sources || []).map((source, index) => ({
+        label: source.label || String(index + 1),
+        selected: source === this.currentSource,
+        select: () => this.setQuality(source.label)
+      }));
+    } else if (type === 'playlist') {
+      options = this.clips.map((candidate, index) => ({
+        label: this.getClipTitle(candidate, index),
+        selected: index === this.clipIndex,
+        select: () => this.loadClip(index, { autoplay: true })
+      }));
+    }
+
+    this.menuType = type;
+    this.menu.innerHTML = '';
+    this.menu.setAttribute('aria-label', i18n.t(`video.${type}`));
+    options.forEach(option => {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'video-menu-item';
+      item.setAttribute('role', 'menuitemradio');
+      item.setAttribute('aria-checked', String(option.selected));
+
+      const label = document.createElement('span');
+      label.textContent = option.label;
+      item.appendChild(label);
+      if (option.detail) {
+        const detail = document.createElement('span');
+        detail.className = 'video-menu-detail';
+        detail.textContent = option.detail;
+        item.appendChild(detail);
+      }
+
+      item.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.closeMenu();
+        option.select();
+      });
+      this.menu.appendChild(item);
+    });
+    this.menu.hidden = false;
+    this.updateMenuButtons();
+    this.showControls();
+  }
+
+  /**
+   * Hide the menu
+   */
+  closeMenu() {
+    if (!this.menu || !this.menuType) return;
+    this.menu.hidden = true;
+    this.menuType = null;
+    this.updateMenuButtons();
+    this.hideControlsAfterDelay();
+  }
+
+  /**
+   * Reflect which menu is open on its button
+   */
+  updateMenuButtons() {
+    ['chapters', 'quality', 'playlist'].forEach(type => {
+      this.getMenuButton(type)?.setAttribute('aria-expanded', String(this.menuType === type));
+    });
+  }
+
+  /**
+   * Start dragging operation for progress bar
+   * @param {MouseEvent} e - Mouse event
+   */
+  startDragging(e) {
+    if (!this.video) return;
+    this.isDragging = true;
+    this.wasPlayingBeforeDrag = !this.video.paused;
+
+    if (this.wasPlayingBeforeDrag) {
+      this.video.pause();
+    }
+
+    this.seekTo(e);
+
+    if (this.progressHandle) {
+      this.progressHandle.style.opacity = '1';
+    }
+  }
+
+  /**
+   * Stop dragging operation for progress bar
+   */
+  stopDragging() {
+    if (!this.isDragging || !this.video) return;
+
+    this.isDragging = false;
+
+    if (this.wasPlayingBeforeDrag) {
+      this.video.play();
+    }
+
+    if (this.progressHandle) {
+      this.progressHandle.style.opacity = '0';
+    }
+  }
+
+  /**
+   * Toggle play/pause state
+   */
+  togglePlay() {
+    if (!this.video) return;
+    if (this.video.paused) {
+      this.play();
+    } else {
+      this.pause();
+    }
+  }
+
+  /**
+   * Play video
+   */
+  play() {
+    if (!this.video) return;
+    const playPromise = this.video.play();
+
+    if (playPromise !== undefined) {
+      playPromise.then(() => {
+        // this.isPlaying is set by 'play' event listener (onPlay)
+      }).catch(error => {
+        console.error('Error playing video:', error);
+        // Ensure UI reflects paused state on error
+        this.isPlaying = false;
+        this.updatePlayButton();
+      });
+    }
+  }
+
+  /**
+   * Pause video
+   */
+  pause() {
+    if (!this.video) return;
+    this.video.pause();
+    // this.isPlaying is set by 'pause' event listener (onPause)
+  }
+
+  /**
+   * Handle play event
+   */
+  onPlay() {
+    this.isPlaying = true;
+    this.hideOverlay();
+    this.updatePlayButton();
+  }
+
+  /**
+   * Handle pause event
+   */
+  onPause() {
+    this.isPlaying = false;
+    this.updatePlayButton();
+  }
+
+  /**
+   * Handle video end event
+   */
+  onVideoEnd() {
+    if (!this.video) return;
+    this.isPlaying = false;
+    this.showOverlay();
+    this.updatePlayButton();
+    if (this.clipIndex > 0) {
+      this.loadClip(0); // Back to the start of the playlist
+    } else {
+      this.video.currentTime = 0;
+    }
+    this.updateProgress();
+  }
+
+  /**
+   * Toggle mute state
+   */
+  toggleMute() {
+    if (this.video) {
+      this.video.muted = !this.video.muted;
+      // volumechange event will trigger updateVolumeUI
     }
   }
 
@@ -522,744 +3044,6541 @@ class EnhancedVideoPlayer {
    * Set volume level
    * @param {number} value - Volume value (0-100 from slider)
    */
-  setVolume(value) {
-    if (this.video) {
-      const volume = parseFloat(value) / 100;
-      this.video.volume = volume;
-      this.video.muted = volume === 0;
-      // volumechange event will trigger updateVolumeUI
+  setVolume(value) {
+    if (this.video) {
+      const volume = parseFloat(value) / 100;
+      this.video.volume = volume;
+      this.video.muted = volume === 0;
+      // volumechange event will trigger updateVolumeUI
+    }
+  }
+
+  /**
+   * Adjust volume by relative amount
+   * @param {number} delta - Volume change amount (-0.1 to 0.1)
+   */
+  adjustVolume(delta) {
+    if (this.video) {
+      let newVolume = this.video.volume + delta;
+      newVolume = Math.max(0, Math.min(1, newVolume)); // Clamp between 0 and 1
+
+      this.video.volume = newVolume;
+      this.video.muted = newVolume === 0;
+
+      // volumechange event will trigger updateVolumeUI, which updates slider
+    }
+  }
+
+  /**
+   * Seek to specific position in video
+   * @param {MouseEvent} e - Mouse event for position calculation
+   */
+  seekTo(e) {
+    if (this.video && this.progressContainer && this.video.duration) {
+      const rect = this.progressContainer.getBoundingClientRect();
+      const percent = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+      this.video.currentTime = percent * this.video.duration;
+      this.updateProgress(); // Immediate feedback for dragging
+      this.updateTimeDisplay();
+    }
+  }
+
+  /**
+   * Seek by relative time amount
+   * @param {number} seconds - Seconds to seek (positive or negative)
+   */
+  seekRelative(seconds) {
+    if (this.video && this.video.duration) {
+      const newTime = Math.max(0, Math.min(this.video.duration, this.video.currentTime + seconds));
+      this.video.currentTime = newTime;
+      // timeupdate event will trigger progress and time display updates
+    }
+  }
+
+  /**
+   * Toggle fullscreen mode
+   */
+  toggleFullscreen() {
+    try {
+      if (!document.fullscreenElement) {
+        // If video element itself is meant to go fullscreen:
+        // this.video.requestFullscreen();
+        // If container is meant to go fullscreen:
+        this.container.requestFullscreen();
+      } else {
+        if (document.exitFullscreen) {
+          document.exitFullscreen();
+        }
+      }
+    } catch (error) {
+      console.error('Fullscreen error:', error);
+    }
+  }
+
+  /**
+   * Update progress bar visual state
+   */
+  updateProgress() {
+    if (this.video && this.progressBar && this.video.duration > 0) {
+      const percent = (this.video.currentTime / this.video.duration) * 100;
+      this.progressBar.style.width = `${percent}%`;
+    } else if (this.progressBar) {
+      this.progressBar.style.width = '0%';
+    }
+  }
+
+  /**
+   * Update time display
+   */
+  updateTimeDisplay() {
+    if (this.video && this.timeDisplay) {
+      const current = formatTime(this.video.currentTime);
+      const duration = formatTime(this.video.duration || 0);
+      this.timeDisplay.textContent = `${current} / ${duration}`;
+    }
+  }
+
+  /**
+   * Update play button icon
+   */
+  updatePlayButton() {
+    const icon = this.isPlaying ? 'pause' : 'play';
+    setIcon(this.playPauseBtn?.querySelector('.icon'), icon);
+    // Also update the main overlay play button if it exists and is used
+    setIcon(this.playButton?.querySelector('.icon'), icon); // Show play or pause on overlay too
+  }
+
+  /**
+   * Update volume UI elements
+   */
+  updateVolumeUI() {
+    if (!this.video || !this.muteBtn) return;
+
+    const iconElement = this.muteBtn.querySelector('.icon');
+    if (this.video.muted || this.video.volume === 0) {
+      setIcon(iconElement, 'volume-mute');
+    } else if (this.video.volume < 0.5) {
+      setIcon(iconElement, 'volume-down');
+    } else {
+      setIcon(iconElement, 'volume-up');
+    }
+
+    if (this.volumeSlider) {
+      this.volumeSlider.value = this.video.muted ? 0 : this.video.volume * 100;
+    }
+  }
+
+  /**
+   * Show video overlay
+   */
+  showOverlay() {
+    if (this.overlay) {
+      this.overlay.classList.remove('hidden');
+    }
+  }
+
+  /**
+   * Hide video overlay
+   */
+  hideOverlay() {
+    if (this.overlay) {
+      this.overlay.classList.add('hidden');
+    }
+  }
+
+  /**
+   * Show video controls
+   */
+  showControls() {
+    if (this.controls) {
+      this.controls.classList.add('visible');
+    }
+    this.clearControlsTimeout();
+  }
+
+  /**
+   * Hide video controls after delay
+   */
+  hideControlsAfterDelay() {
+    this.clearControlsTimeout();
+    this.controlsTimeout = setTimeout(() => {
+      if (this.controls && this.isPlaying && !this.isDragging && !this.menuType) { // Don't hide if dragging or choosing
+        // Check if mouse is still over the container or controls; if so, don't hide.
+        // This requires more complex logic or relying on mouseleave from container.
+        // For now, keep it simple: if playing and not dragging, hide after timeout.
+        if (!this.container.matches(':hover') && !this.controls.matches(':hover')) {
+             this.controls.classList.remove('visible');
+        } else {
+            // If still hovering, reset timeout
+            this.hideControlsAfterDelay();
+        }
+      }
+    }, 3000);
+  }
+
+  /**
+   * Clear controls timeout
+   */
+  clearControlsTimeout() {
+    if (this.controlsTimeout) {
+      clearTimeout(this.controlsTimeout);
+      this.controlsTimeout = null;
+    }
+  }
+
+  /**
+   * Show buffering indicator
+   */
+  showBuffering() {
+    // Could implement a loading spinner here
+    this.container.classList.add('video-buffering');
+    console.log('Video buffering...');
+  }
+
+  /**
+   * Hide buffering indicator
+   */
+  hideBuffering() {
+    // Hide loading spinner
+    this.container.classList.remove('video-buffering');
+    console.log('Video ready to play');
+  }
+
+  /**
+   * Listen on the document for as long as the player lives
+   * @param {string} type - Event type
+   * @param {Function} handler
+   */
+  addDocumentListener(type, handler) {
+    document.addEventListener(type, handler);
+    this.documentListeners.push([type, handler]);
+  }
+
+  /**
+   * Destroy video player and clean up event listeners
+   */
+  destroy() {
+    this.clearControlsTimeout();
+    // The gallery re-renders often; a stale keydown handler would swallow Space and arrows page-wide
+    this.documentListeners.forEach(([type, handler]) => document.removeEventListener(type, handler));
+    this.documentListeners = [];
+    if (this.onLanguageChange) i18n.offChange(this.onLanguageChange);
+    this.video = null;
+    this.container = null;
+  }
+}
+
+/**
+ * ========================================================================
+ * MODAL GESTURE CONTROLLER - Swipe, pinch-zoom and pan for the lightbox
+ * ========================================================================
+ */
+class ModalGestureController {
+  /**
+   * @param {ModalSystem} modalSystem - Modal whose image and navigation are driven
+   */
+  constructor(modalSystem) {
+    this.modalSystem = modalSystem;
+    this.surface = modalSystem.modal;
+    this.image = modalSystem.modalImg;
+
+    // Zoom state applied to #modal-img
+    this.scale = 1;
+    this.translateX = 0;
+    this.translateY = 0;
+
+    this.gesture = null; // Active touch gesture
+    this.lastTap = { time: 0, x: 0, y: 0 };
+
+    this.initialize();
+  }
+
+  initialize() {
+    if (!this.surface || !this.image) return;
+    this.setupTouchEvents();
+
+    // Desktop equivalent of double-tap
+    this.image.addEventListener('dblclick', (e) => {
+      this.toggleZoom(e.clientX, e.clientY);
+    });
+  }
+
+  setupTouchEvents() {
+    this.surface.addEventListener('touchstart', (e) => this.onTouchStart(e), { passive: false });
+    this.surface.addEventListener('touchmove', (e) => this.onTouchMove(e), { passive: false });
+    this.surface.addEventListener('touchend', (e) => this.onTouchEnd(e));
+    this.surface.addEventListener('touchcancel', () => this.cancelGesture());
+  }
+
+  /**
+   * Whether the image (not a video) is what the modal is showing
+   * @returns {boolean}
+   */
+  isImageActive() {
+    return this.image.style.display !== 'none' && !!this.image.getAttribute('src');
+  }
+
+  onTouchStart(e) {
+    if (!this.modalSystem.isOpen) return;
+    // Leave buttons and form controls to their own click handling, and videos to their
+    // player controls (dragging the seek bar must not turn into a swipe)
+    if (e.target.closest('button, a, input, [role="button"], #modal-video-container')) return;
+
+    if (e.touches.length === 2 && this.isImageActive()) {
+      e.preventDefault();
+      this.startPinch(e.touches[0], e.touches[1]);
+      return;
+    }
+
+    if (e.touches.length === 1) {
+      const touch = e.touches[0];
+      this.gesture = {
+        type: this.scale > 1 ? 'pan' : 'swipe',
+        startX: touch.clientX,
+        startY: touch.clientY,
+        startTime: Date.now(),
+        startTranslateX: this.translateX,
+        startTranslateY: this.translateY,
+        deltaX: 0,
+        deltaY: 0
+      };
+    }
+  }
+
+  onTouchMove(e) {
+    if (!this.gesture) return;
+    e.preventDefault(); // We own the gesture: no page scroll or browser zoom
+
+    if (this.gesture.type === 'pinch') {
+      if (e.touches.length < 2) return;
+      this.updatePinch(e.touches[0], e.touches[1]);
+      return;
+    }
+
+    const touch = e.touches[0];
+    this.gesture.deltaX = touch.clientX - this.gesture.startX;
+    this.gesture.deltaY = touch.clientY - this.gesture.startY;
+
+    if (this.gesture.type === 'pan') {
+      this.translateX = this.gesture.startTranslateX + this.gesture.deltaX;
+      this.translateY = this.gesture.startTranslateY + this.gesture.deltaY;
+      this.clampTranslate();
+      this.applyTransform(false);
+    } else if (this.isImageActive()) {
+      this.followSwipe(this.gesture.deltaX, this.gesture.deltaY);
+    }
+  }
+
+  onTouchEnd(e) {
+    const gesture = this.gesture;
+    if (!gesture) return;
+
+    if (gesture.type === 'pinch') {
+      if (this.scale <= 1.01) {
+        this.reset(true);
+      } else {
+        this.clampTranslate();
+        this.applyTransform(true);
+      }
+      // A finger still down continues as a pan
+      this.gesture = null;
+      if (e.touches.length === 1) {
+        this.onTouchStart(e);
+      }
+      return;
+    }
+
+    this.gesture = null;
+    const { deltaX, deltaY } = gesture;
+    const distanceX = Math.abs(deltaX);
+    const distanceY = Math.abs(deltaY);
+    const elapsed = Date.now() - gesture.startTime;
+
+    // Detect tap vs swipe (same thresholds as the video player)
+    if (distanceX < 10 && distanceY < 10 && elapsed < 300) {
+      this.handleTap(gesture.startX, gesture.startY, e.target);
+      return;
+    }
+
+    if (gesture.type === 'pan') {
+      this.clampTranslate();
+      this.applyTransform(true);
+      return;
+    }
+
+    if (distanceX > CONFIG.SWIPE_MIN_DISTANCE && distanceX > distanceY) {
+      this.resetSwipeFeedback();
+      this.modalSystem.navigate(deltaX < 0 ? 'next' : 'prev');
+    } else if (deltaY > CONFIG.SWIPE_CLOSE_DISTANCE && distanceY > distanceX) {
+      this.resetSwipeFeedback();
+      this.modalSystem.close();
+    } else {
+      this.resetSwipeFeedback(true); // Not far enough: snap back
+    }
+  }
+
+  cancelGesture() {
+    this.gesture = null;
+    if (this.scale > 1) {
+      this.clampTranslate();
+      this.applyTransform(true);
+    } else {
+      this.resetSwipeFeedback(true);
+    }
+  }
+
+  /**
+   * Double-tap on the image toggles zoom at the tapped point
+   * @param {number} x - Tap clientX
+   * @param {number} y - Tap clientY
+   * @param {EventTarget} target - Tapped element
+   */
+  handleTap(x, y, target) {
+    const now = Date.now();
+    const isDoubleTap = now - this.lastTap.time < CONFIG.DOUBLE_TAP_DELAY
+      && Math.abs(x - this.lastTap.x) < 30
+      && Math.abs(y - this.lastTap.y) < 30;
+
+    if (isDoubleTap && target === this.image && this.isImageActive()) {
+      this.lastTap.time = 0;
+      this.toggleZoom(x, y);
+      return;
+    }
+    this.lastTap = { time: now, x, y };
+  }
+
+  startPinch(touchA, touchB) {
+    const rect = this.image.getBoundingClientRect();
+    const midX = (touchA.clientX + touchB.clientX) / 2;
+    const midY = (touchA.clientY + touchB.clientY) / 2;
+
+    // Untransformed image centre: the transform origin is the centre, so only translation moves it
+    const centerX = rect.left + rect.width / 2 - this.translateX;
+    const centerY = rect.top + rect.height / 2 - this.translateY;
+
+    this.gesture = {
+      type: 'pinch',
+      startDistance: Math.hypot(touchB.clientX - touchA.clientX, touchB.clientY - touchA.clientY) || 1,
+      startScale: this.scale,
+      centerX,
+      centerY,
+      // Image-local point under the fingers, kept under them while zooming
+      anchorX: (midX - centerX - this.translateX) / this.scale,
+      anchorY: (midY - centerY - this.translateY) / this.scale
+    };
+  }
+
+  updatePinch(touchA, touchB) {
+    const gesture = this.gesture;
+    const distance = Math.hypot(touchB.clientX - touchA.clientX, touchB.clientY - touchA.clientY);
+    const midX = (touchA.clientX + touchB.clientX) / 2;
+    const midY = (touchA.clientY + touchB.clientY) / 2;
+
+    this.scale = Math.max(1, Math.min(CONFIG.MODAL_MAX_ZOOM, gesture.startScale * distance / gesture.startDistance));
+    this.translateX = midX - gesture.centerX - gesture.anchorX * this.scale;
+    this.translateY = midY - gesture.centerY - gesture.anchorY * this.scale;
+    this.applyTransform(false);
+  }
+
+  /**
+   * Zoom in around a point, or back out if already zoomed
+   * @param {number} x - Focus clientX
+   * @param {number} y - Focus clientY
+   */
+  toggleZoom(x, y) {
+    if (this.scale > 1) {
+      this.reset(true);
+      return;
+    }
+
+    const rect = this.image.getBoundingClientRect();
+    const offsetX = x - (rect.left + rect.width / 2);
+    const offsetY = y - (rect.top + rect.height / 2);
+
+    this.scale = CONFIG.DOUBLE_TAP_ZOOM;
+    this.translateX = -offsetX * (this.scale - 1);
+    this.translateY = -offsetY * (this.scale - 1);
+    this.clampTranslate();
+    this.applyTransform(true);
+  }
+
+  /**
+   * Keep the zoomed image covering its frame (no empty space when panning)
+   */
+  clampTranslate() {
+    const maxX = (this.image.offsetWidth * (this.scale - 1)) / 2;
+    const maxY = (this.image.offsetHeight * (this.scale - 1)) / 2;
+    this.translateX = Math.max(-maxX, Math.min(maxX, this.translateX));
+    this.translateY = Math.max(-maxY, Math.min(maxY, this.translateY));
+  }
+
+  applyTransform(animate) {
+    this.image.style.transition = animate ? 'transform 0.25s ease' : 'none';
+    this.image.style.transform = `translate(${this.translateX}px, ${this.translateY}px) scale(${this.scale})`;
+    this.surface.classList.toggle('is-zoomed', this.scale > 1);
+  }
+
+  /**
+   * Drag the image along with the finger while swiping
+   * @param {number} deltaX - Horizontal finger movement
+   * @param {number} deltaY - Vertical finger movement
+   */
+  followSwipe(deltaX, deltaY) {
+    const isVertical = Math.abs(deltaY) > Math.abs(deltaX);
+    const offsetX = isVertical ? 0 : deltaX;
+    const offsetY = isVertical ? Math.max(0, deltaY) : 0; // Only downwards (swipe-to-close)
+
+    this.image.style.transition = 'none';
+    this.image.style.transform = `translate(${offsetX}px, ${offsetY}px)`;
+    this.image.style.opacity = isVertical ? String(Math.max(0.3, 1 - offsetY / 400)) : '';
+  }
+
+  resetSwipeFeedback(animate = false) {
+    this.image.style.transition = animate ? '' : 'none';
+    this.image.style.transform = '';
+    this.image.style.opacity = '';
+  }
+
+  /**
+   * Back to the unzoomed, centred image (on open, navigate and close)
+   * @param {boolean} [animate=false]
+   */
+  reset(animate = false) {
+    this.gesture = null;
+    this.scale = 1;
+    this.translateX = 0;
+    this.translateY = 0;
+    this.surface?.classList.remove('is-zoomed');
+    if (this.image) {
+      this.resetSwipeFeedback(animate);
+    }
+  }
+}
+
+/**
+ * ========================================================================
+ * MODAL SLIDESHOW - Auto-advancing presentation mode for the lightbox
+ * ========================================================================
+ */
+class ModalSlideshow {
+  /**
+   * @param {ModalSystem} modalSystem - Modal that displays the slides
+   */
+  constructor(modalSystem) {
+    this.modalSystem = modalSystem;
+    this.modal = modalSystem.modal;
+    this.startBtn = document.getElementById('start-slideshow');
+    this.toggleBtn = document.getElementById('slideshow-toggle');
+    this.intervalSelect = document.getElementById('slideshow-interval');
+    this.shuffleBtn = document.getElementById('slideshow-shuffle');
+    this.musicBtn = document.getElementById('slideshow-music');
+    this.audio = document.getElementById('slideshow-audio');
+    this.progress = document.getElementById('modal-slideshow-progress');
+
+    this.settings = {
+      interval: CONFIG.SLIDESHOW_INTERVAL,
+      shuffle: CONFIG.SLIDESHOW_SHUFFLE,
+      pauseOnHover: CONFIG.SLIDESHOW_PAUSE_ON_HOVER,
+      kenBurns: CONFIG.SLIDESHOW_KEN_BURNS,
+      music: !!CONFIG.SLIDESHOW_AUDIO_URL
+    };
+
+    // Playback state
+    this.isActive = false;
+    this.isPaused = false;
+    this.isHovered = false;
+    this.timer = null;
+    this.remaining = 0;
+    this.slideStartedAt = 0;
+    this.order = []; // Shuffled mediaItems indices
+    this.orderPosition = 0;
+    this.wakeLock = null;
+
+    this.initialize();
+  }
+
+  initialize() {
+    if (!this.modal) return;
+    this.renderIntervalOptions();
+    this.setupEventListeners();
+    this.updateControls();
+    i18n.onChange(() => this.updateControls());
+  }
+
+  renderIntervalOptions() {
+    if (!this.intervalSelect) return;
+    this.intervalSelect.innerHTML = '';
+    CONFIG.SLIDESHOW_INTERVALS.forEach(ms => {
+      const option = document.createElement('option');
+      option.value = String(ms);
+      option.textContent = i18n.t('slideshow.seconds', { count: ms / 1000 });
+      option.selected = ms === this.settings.interval;
+      this.intervalSelect.appendChild(option);
+    });
+  }
+
+  setupEventListeners() {
+    // Gallery button: full-screen presentation from the first item (for the TV)
+    this.startBtn?.addEventListener('click', () => {
+      this.start(0);
+      this.enterFullscreen();
+    });
+
+    this.toggleBtn?.addEventListener('click', () => {
+      if (!this.isActive) {
+        this.start();
+      } else {
+        this.togglePause();
+      }
+    });
+
+    this.intervalSelect?.addEventListener('change', (e) => {
+      this.settings.interval = parseInt(e.target.value, 10) || CONFIG.SLIDESHOW_INTERVAL;
+      if (this.isActive) this.restartSlide();
+    });
+
+    this.shuffleBtn?.addEventListener('click', () => {
+      this.settings.shuffle = !this.settings.shuffle;
+      if (this.isActive) this.buildOrder(this.modalSystem.currentIndex);
+      this.updateControls();
+    });
+
+    this.musicBtn?.addEventListener('click', () => {
+      this.settings.music = !this.settings.music;
+      if (this.settings.music && this.isActive) {
+        this.startMusic();
+      } else {
+        this.stopMusic();
+      }
+      this.updateControls();
+    });
+
+    // Pause while the pointer rests on the photo
+    const content = this.modal.querySelector('.modal-content');
+    content?.addEventListener('mouseenter', () => {
+      this.isHovered = true;
+      if (this.settings.pauseOnHover && this.isActive && !this.isPaused) this.suspend();
+    });
+    content?.addEventListener('mouseleave', () => {
+      this.isHovered = false;
+      if (this.settings.pauseOnHover && this.isActive && !this.isPaused) this.continue();
+    });
+
+    // Video slides advance when they finish (the last clip of a playlist)
+    const video = this.modalSystem.modalVideo;
+    video?.addEventListener('ended', () => {
+      if (this.isActive && this.isCurrentVideo() && !this.modalSystem.videoPlayer.hasNextClip()) this.advance();
+    });
+    video?.addEventListener('error', () => {
+      if (this.isActive && this.isCurrentVideo()) this.schedule(CONFIG.SLIDESHOW_INTERVAL / 2);
+    });
+
+    // Re-acquire the wake lock when the tab becomes visible again
+    document.addEventListener('visibilitychange', () => {
+      if (this.isActive && document.visibilityState === 'visible') this.requestWakeLock();
+    });
+  }
+
+  /**
+   * Start the presentation
+   * @param {number} [startIndex] - Item to begin with (defaults to the open item)
+   */
+  start(startIndex = this.modalSystem.currentIndex) {
+    const modalSystem = this.modalSystem;
+    if (!modalSystem.mediaItems.length) return;
+
+    const index = Math.max(0, Math.min(startIndex, modalSystem.mediaItems.length - 1));
+    this.isActive = true;
+    this.isPaused = false;
+    this.buildOrder(index);
+    this.modal.classList.add('slideshow-active');
+    this.updateControls();
+
+    if (this.settings.music) this.startMusic();
+    this.requestWakeLock();
+
+    if (modalSystem.isOpen && modalSystem.currentIndex === index) {
+      this.onItemShown(modalSystem.mediaItems[index]);
+    } else {
+      modalSystem.open(index); // open() calls back into onItemShown
+    }
+  }
+
+  stop() {
+    if (!this.isActive) return;
+    this.isActive = false;
+    this.isPaused = false;
+    this.clearTimer();
+    this.clearKenBurns();
+    this.stopMusic();
+    this.releaseWakeLock();
+    this.modal.classList.remove('slideshow-active', 'slideshow-paused');
+    this.updateControls();
+
+    if (document.fullscreenElement === this.modal && document.exitFullscreen) {
+      document.exitFullscreen().catch(() => {});
+    }
+  }
+
+  togglePause() {
+    if (!this.isActive) return;
+    if (this.isPaused) {
+      this.isPaused = false;
+      this.continue();
+    } else {
+      this.isPaused = true;
+      this.suspend();
+    }
+    this.modal.classList.toggle('slideshow-paused', this.isPaused);
+    this.updateControls();
+  }
+
+  /**
+   * Hook called by ModalSystem.open() for every displayed item, including
+   * manual navigation while the slideshow runs.
+   * @param {Object} item - Displayed media item
+   */
+  onItemShown(item) {
+    if (!this.isActive) return;
+    this.clearTimer();
+    this.clearKenBurns();
+
+    // Keep the shuffle position in step with manual navigation
+    const position = this.order.indexOf(this.modalSystem.currentIndex);
+    if (position !== -1) this.orderPosition = position;
+
+    if (item.type === 'video') {
+      this.duckMusic(true); // The clip has its own sound
+      this.setProgress(0);
+      return; // Advances on 'ended'
+    }
+
+    this.duckMusic(false);
+    if (this.settings.kenBurns && !ConfettiEffect.prefersReducedMotion()) this.applyKenBurns();
+    this.schedule(this.settings.interval);
+  }
+
+  restartSlide() {
+    const item = this.modalSystem.mediaItems[this.modalSystem.currentIndex];
+    if (item) this.onItemShown(item);
+  }
+
+  /**
+   * Arm the timer for the current slide
+   * @param {number} ms - Display time
+   */
+  schedule(ms) {
+    this.clearTimer();
+    this.remaining = ms;
+    if (this.isPaused || (this.isHovered && this.settings.pauseOnHover)) return;
+
+    this.slideStartedAt = Date.now();
+    this.timer = setTimeout(() => this.advance(), ms);
+    this.setProgress(ms);
+  }
+
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Freeze the current slide (pause button or hover), keeping the time left
+   */
+  suspend() {
+    if (this.timer) {
+      this.remaining = Math.max(0, this.remaining - (Date.now() - this.slideStartedAt));
+      this.clearTimer();
+    }
+    if (this.isCurrentVideo()) this.modalSystem.modalVideo.pause();
+    this.modal.classList.add('slideshow-suspended');
+  }
+
+  continue() {
+    this.modal.classList.remove('slideshow-suspended');
+    if (this.isCurrentVideo()) {
+      this.modalSystem.modalVideo.play().catch(e => console.error("Error resuming slideshow video:", e));
+      return;
+    }
+    this.slideStartedAt = Date.now();
+    this.timer = setTimeout(() => this.advance(), this.remaining);
+  }
+
+  /**
+   * Move on to the next slide, in manifest or shuffled order
+   */
+  advance() {
+    if (!this.isActive) return;
+    const modalSystem = this.modalSystem;
+
+    // Don't cut away from a photo that is still downloading
+    if (!this.isCurrentVideo() && !modalSystem.modalImg.classList.contains('loaded')) {
+      this.schedule(500);
+      return;
+    }
+
+    if (!this.settings.shuffle) {
+      const isLast = modalSystem.currentIndex === modalSystem.mediaItems.length - 1;
+      if (isLast && !CONFIG.SLIDESHOW_LOOP) {
+        this.stop();
+        return;
+      }
+      modalSystem.navigate('next', { history: 'replace' });
+      return;
+    }
+
+    this.orderPosition++;
+    if (this.orderPosition >= this.order.length) {
+      if (!CONFIG.SLIDESHOW_LOOP) {
+        this.stop();
+        return;
+      }
+      this.buildOrder(null); // Fresh shuffle for the next round
+    }
+    modalSystem.open(this.order[this.orderPosition], { history: 'replace' });
+  }
+
+  /**
+   * Build the play order; with shuffle on, a Fisher-Yates permutation that
+   * starts at the given item.
+   * @param {number|null} firstIndex - Item that should play first, if any
+   */
+  buildOrder(firstIndex) {
+    let indices = this.modalSystem.mediaItems.map((item, index) => index);
+    if (this.settings.shuffle) {
+      indices = shuffle(indices);
+      if (firstIndex !== null) {
+        indices.splice(indices.indexOf(firstIndex), 1);
+        indices.unshift(firstIndex);
+      }
+    }
+    this.order = indices;
+    this.orderPosition = 0;
+  }
+
+  isCurrentVideo() {
+    return this.modalSystem.mediaItems[this.modalSystem.currentIndex]?.type === 'video';
+  }
+
+  /**
+   * Slow pan/zoom across the photo for the length of the slide
+   */
+  applyKenBurns() {
+    const image = this.modalSystem.modalImg;
+    const pan = () => `${(Math.random() * 6 - 3).toFixed(2)}%`;
+    const zoomIn = Math.random() < 0.5;
+    const from = `scale(${zoomIn ? 1 : 1.15}) translate(${pan()}, ${pan()})`;
+    const to = `scale(${zoomIn ? 1.15 : 1}) translate(${pan()}, ${pan()})`;
+
+    image.style.setProperty('--ken-burns-from', from);
+    image.style.setProperty('--ken-burns-to', to);
+    image.style.setProperty('--ken-burns-duration', `${this.settings.interval + CONFIG.ANIMATION_DURATION}ms`);
+    image.classList.add('ken-burns');
+  }
+
+  clearKenBurns() {
+    this.modalSystem.modalImg.classList.remove('ken-burns');
+  }
+
+  /**
+   * Restart the progress bar under #modal-counter
+   * @param {number} ms - Duration of the current slide (0 hides it)
+   */
+  setProgress(ms) {
+    if (!this.progress) return;
+    this.progress.classList.remove('running');
+    this.progress.style.setProperty('--slide-duration', `${ms}ms`);
+    if (ms > 0) {
+      this.progress.offsetWidth; // Force reflow so the animation restarts
+      this.progress.classList.add('running');
+    }
+  }
+
+  startMusic() {
+    if (!this.audio || !CONFIG.SLIDESHOW_AUDIO_URL) return;
+    if (!this.audio.getAttribute('src')) {
+      this.audio.src = CONFIG.SLIDESHOW_AUDIO_URL;
+    }
+    this.audio.volume = CONFIG.SLIDESHOW_AUDIO_VOLUME;
+    this.audio.play().catch(e => console.error("Error playing slideshow music:", e));
+  }
+
+  stopMusic() {
+    this.audio?.pause();
+  }
+
+  /**
+   * Pause the background track while a video slide plays its own audio
+   * @param {boolean} shouldDuck
+   */
+  duckMusic(shouldDuck) {
+    if (!this.audio || !this.settings.music || !CONFIG.SLIDESHOW_AUDIO_URL) return;
+    if (shouldDuck) {
+      this.audio.pause();
+    } else if (this.audio.paused) {
+      this.startMusic();
+    }
+  }
+
+  enterFullscreen() {
+    if (!this.modal.requestFullscreen || document.fullscreenElement) return;
+    this.modal.requestFullscreen().catch(error => {
+      console.error('Fullscreen error:', error);
+    });
+  }
+
+  /**
+   * Keep the TV from dimming during the presentation (where supported)
+   */
+  async requestWakeLock() {
+    if (!('wakeLock' in navigator) || this.wakeLock) return;
+    try {
+      this.wakeLock = await navigator.wakeLock.request('screen');
+      this.wakeLock.addEventListener('release', () => {
+        this.wakeLock = null;
+      });
+    } catch (error) {
+      console.error('Wake lock error:', error);
+    }
+  }
+
+  releaseWakeLock() {
+    this.wakeLock?.release().catch(() => {});
+    this.wakeLock = null;
+  }
+
+  updateControls() {
+    const isRunning = this.isActive && !this.isPaused;
+    setIcon(this.toggleBtn?.querySelector('.icon'), isRunning ? 'pause' : 'play');
+    this.toggleBtn?.setAttribute('aria-label', i18n.t(isRunning ? 'slideshow.pause' : 'slideshow.play'));
+    this.shuffleBtn?.setAttribute('aria-pressed', String(this.settings.shuffle));
+
+    if (this.musicBtn) {
+      this.musicBtn.hidden = !CONFIG.SLIDESHOW_AUDIO_URL;
+      this.musicBtn.setAttribute('aria-pressed', String(this.settings.music));
+    }
+  }
+}
+
+/**
+ * ========================================================================
+ * MODAL PRELOADER - Warms up the items around the one being viewed
+ * ========================================================================
+ */
+class ModalPreloader {
+  /**
+   * @param {ModalSystem} modalSystem - Modal whose neighbours are preloaded
+   */
+  constructor(modalSystem) {
+    this.modalSystem = modalSystem;
+    // src -> { type, element, status, bytes, promise }; insertion order doubles as LRU order
+    this.cache = new Map();
+    this.totalBytes = 0;
+  }
+
+  /**
+   * Preload the neighbours of an item and drop everything else that is still in flight
+   * @param {number} index - Index of the item now on screen
+   */
+  update(index) {
+    const items = this.modalSystem.mediaItems;
+    if (!items.length) return;
+
+    const wanted = new Map(); // src -> item, nearest first
+    const add = (item) => {
+      if (item) wanted.set(this.modalSystem.getDisplaySrc(item), item);
+    };
+    add(items[index]);
+
+    if (!this.isDataSaver()) {
+      const reach = Math.max(CONFIG.MODAL_PRELOAD_AHEAD, CONFIG.MODAL_PRELOAD_BEHIND);
+      for (let step = 1; step <= reach; step++) {
+        if (step <= CONFIG.MODAL_PRELOAD_AHEAD) add(items[(index + step) % items.length]);
+        if (step <= CONFIG.MODAL_PRELOAD_BEHIND) add(items[(index - step + items.length) % items.length]);
+      }
+    }
+
+    // Cancel stale loads the user has jumped away from
+    this.cache.forEach((entry, src) => {
+      if (entry.status === 'loading' && !wanted.has(src)) this.evict(src);
+    });
+
+    wanted.forEach((item, src) => {
+      if (src === this.modalSystem.getDisplaySrc(items[index])) return; // The modal loads the current item itself
+      if (item.type === 'video') {
+        this.preloadVideo(src);
+      } else {
+        this.load(src).catch(() => {}); // Failures surface when the item is actually shown
+      }
+    });
+
+    this.enforceBudget(new Set(wanted.keys()));
+  }
+
+  /**
+   * Fetch and decode an image, reusing a cached or in-flight load
+   * @param {string} src - Image URL
+   * @returns {Promise<void>} Resolves once the image is decoded
+   */
+  load(src) {
+    const cached = this.cache.get(src);
+    if (cached && cached.type === 'image' && cached.status !== 'error') {
+      this.touch(src);
+      return cached.promise;
+    }
+
+    const image = new Image();
+    const entry = { type: 'image', element: image, status: 'loading', bytes: 0, promise: null };
+    entry.promise = new Promise((resolve, reject) => {
+      entry.reject = reject;
+      image.onload = () => {
+        // decode() moves the decoding off the navigation itself; older browsers skip it
+        const decoded = typeof image.decode === 'function' ? image.decode().catch(() => {}) : Promise.resolve();
+        decoded.then(() => {
+          if (entry.status !== 'loading') return;
+          entry.status = 'ready';
+          entry.bytes = image.naturalWidth * image.naturalHeight * 4; // Approximate decoded size
+          this.totalBytes += entry.bytes;
+          resolve();
+        });
+      };
+      image.onerror = () => {
+        entry.status = 'error';
+        reject(new Error(`Failed to preload ${src}`));
+      };
+    });
+
+    this.cache.set(src, entry);
+    image.src = src;
+    return entry.promise;
+  }
+
+  /**
+   * Let the browser fetch a video's metadata (duration, dimensions, first frame)
+   * @param {string} src - Video URL
+   */
+  preloadVideo(src) {
+    if (this.cache.has(src)) {
+      this.touch(src);
+      return;
+    }
+
+    const video = document.createElement('video');
+    const entry = { type: 'video', element: video, status: 'loading', bytes: 0, promise: null };
+    video.preload = 'metadata';
+    video.muted = true;
+    video.addEventListener('loadedmetadata', () => {
+      entry.status = 'ready';
+    }, { once: true });
+    video.addEventListener('error', () => {
+      entry.status = 'error';
+    }, { once: true });
+
+    this.cache.set(src, entry);
+    video.src = src;
+  }
+
+  /**
+   * @param {string} src - Image URL
+   * @returns {boolean} Whether the image is downloaded and decoded
+   */
+  isReady(src) {
+    return this.cache.get(src)?.status === 'ready';
+  }
+
+  /**
+   * Mark an entry as most recently used
+   * @param {string} src
+   */
+  touch(src) {
+    const entry = this.cache.get(src);
+    this.cache.delete(src);
+    this.cache.set(src, entry);
+  }
+
+  /**
+   * Drop an entry, aborting its download if it is still running
+   * @param {string} src
+   */
+  evict(src) {
+    const entry = this.cache.get(src);
+    if (!entry) return;
+    this.cache.delete(src);
+    this.totalBytes -= entry.bytes;
+
+    if (entry.status === 'loading') {
+      entry.status = 'cancelled';
+      entry.reject?.(new Error(`Preload of ${src} cancelled`));
+    }
+
+    // Clearing src makes the browser abort the request and release the bitmap
+    if (entry.type === 'video') {
+      entry.element.removeAttribute('src');
+      entry.element.load();
+    } else {
+      entry.element.onload = null;
+      entry.element.onerror = null;
+      entry.element.src = '';
+    }
+  }
+
+  /**
+   * Keep the cache under CONFIG.MODAL_PRELOAD_CACHE_SIZE entries and
+   * CONFIG.MODAL_PRELOAD_MAX_BYTES of decoded pixels, evicting least recently used first
+   * @param {Set<string>} keep - Sources that must survive (current item and neighbours)
+   */
+  enforceBudget(keep) {
+    for (const src of Array.from(this.cache.keys())) {
+      const overBudget = this.cache.size > CONFIG.MODAL_PRELOAD_CACHE_SIZE ||
+        this.totalBytes > CONFIG.MODAL_PRELOAD_MAX_BYTES;
+      if (!overBudget) break;
+      if (!keep.has(src)) this.evict(src);
+    }
+  }
+
+  /**
+   * Abort all downloads that are still running (used when the modal closes)
+   */
+  cancelPending() {
+    Array.from(this.cache.keys()).forEach(src => {
+      if (this.cache.get(src).status === 'loading') this.evict(src);
+    });
+  }
+
+  isDataSaver() {
+    return !!(navigator.connection && navigator.connection.saveData);
+  }
+}
+
+/**
+ * ========================================================================
+ * MODAL INFO PANEL - Title, description, credit and EXIF for the lightbox
+ * ========================================================================
+ */
+class ModalInfoPanel {
+  /**
+   * @param {ModalSystem} modalSystem - Modal whose current item is described
+   */
+  constructor(modalSystem) {
+    this.modalSystem = modalSystem;
+    this.modal = modalSystem.modal;
+    this.panel = document.getElementById('modal-info');
+    this.toggleBtn = document.getElementById('modal-info-toggle');
+    this.titleElement = document.getElementById('modal-title-element');
+    this.titleField = document.getElementById('modal-info-title');
+    this.descriptionField = document.getElementById('modal-info-description');
+    this.creditField = document.getElementById('modal-info-credit');
+    this.metaList = document.getElementById('modal-info-meta');
+
+    // Panel visibility survives navigation and visits
+    this.isVisible = false;
+    try {
+      this.isVisible = localStorage.getItem(CONFIG.MODAL_INFO_STORAGE_KEY) === 'true';
+    } catch (error) {
+      console.warn('Could not read the info panel state:', error);
+    }
+    this.exifCache = new Map(); // src -> Promise<Object|null>
+    this.currentItem = null;
+
+    this.toggleBtn?.addEventListener('click', () => this.toggle());
+    this.applyVisibility();
+  }
+
+  /**
+   * Fill the caption bar and the panel for the item now on screen
+   * @param {Object} item - Media item
+   */
+  update(item) {
+    const entry = item.entry || {};
+    const title = entry.title || item.caption || item.alt;
+    this.currentItem = item;
+
+    if (this.titleElement) this.titleElement.textContent = title;
+    if (!this.panel) return;
+
+    this.titleField.textContent = title;
+    this.setField(this.descriptionField, entry.description || (entry.title ? entry.caption : ''));
+    this.setField(this.creditField, entry.credit ? `📷 ${entry.credit}` : '');
+    this.renderMeta(entry, null);
+
+    if (this.isVisible) this.loadExif(item);
+  }
+
+  toggle() {
+    this.isVisible = !this.isVisible;
+    try {
+      localStorage.setItem(CONFIG.MODAL_INFO_STORAGE_KEY, String(this.isVisible));
+    } catch (error) {
+      console.warn('Could not save the info panel state:', error);
+    }
+    this.applyVisibility();
+    if (this.isVisible && this.currentItem) this.loadExif(this.currentItem);
+  }
+
+  applyVisibility() {
+    if (this.panel) this.panel.hidden = !this.isVisible;
+    this.modal?.classList.toggle('info-visible', this.isVisible);
+    this.toggleBtn?.setAttribute('aria-pressed', String(this.isVisible));
+  }
+
+  /**
+   * @param {HTMLElement} field - Panel element
+   * @param {string} text - Content; the element is hidden when empty
+   */
+  setField(field, text) {
+    if (!field) return;
+    field.textContent = text || '';
+    field.hidden = !text;
+  }
+
+  /**
+   * Fetch and parse EXIF for a photo, then refresh the panel if it is still showing it
+   * @param {Object} item - Media item
+   */
+  async loadExif(item) {
+    if (item.type !== 'image' || !/\.jpe?g$/i.test(new URL(item.src).pathname)) return;
+
+    if (!this.exifCache.has(item.src)) {
+      this.exifCache.set(item.src, this.fetchExif(item.src));
+    }
+    const exif = await this.exifCache.get(item.src);
+    if (exif && this.currentItem === item) this.renderMeta(item.entry || {}, exif);
+  }
+
+  /**
+   * Read the head of the original file; EXIF is stored near the start
+   * @param {string} src - Original JPEG URL (renditions usually drop EXIF)
+   * @returns {Promise<Object|null>}
+   */
+  async fetchExif(src) {
+    try {
+      const response = await fetch(src, { headers: { Range: `bytes=0-${CONFIG.EXIF_READ_BYTES - 1}` } });
+      if (!response.ok) return null;
+      return parseExif(await response.arrayBuffer());
+    } catch (error) {
+      console.error('EXIF read error:', src, error);
+      return null;
+    }
+  }
+
+  /**
+   * Render the date/camera list, preferring EXIF over the manifest date
+   * @param {Object} entry - Gallery entry
+   * @param {Object|null} exif - Parsed EXIF
+   */
+  renderMeta(entry, exif) {
+    if (!this.metaList) return;
+    const rows = [];
+
+    if (exif?.dateTaken) {
+      rows.push([i18n.t('info.date'), exif.dateTaken.toLocaleString(i18n.locale, { dateStyle: 'long', timeStyle: 'short' })]);
+    } else if (entry.date) {
+      rows.push([i18n.t('info.date'), new Date(`${entry.date}T00:00:00`).toLocaleDateString(i18n.locale, { dateStyle: 'long' })]);
+    }
+
+    if (exif) {
+      // Many models already include the make ("Apple iPhone 12")
+      const camera = exif.make && exif.model && !exif.model.startsWith(exif.make)
+        ? `${exif.make} ${exif.model}`
+        : exif.model || exif.make;
+      if (camera) rows.push([i18n.t('info.camera'), camera]);
+
+      const settings = [
+        exif.focalLength && `${Math.round(exif.focalLength)} mm`,
+        exif.fNumber && `ƒ/${exif.fNumber.toFixed(1)}`,
+        exif.exposureTime && (exif.exposureTime >= 1 ? `${exif.exposureTime} s` : `1/${Math.round(1 / exif.exposureTime)} s`),
+        exif.iso && `ISO ${exif.iso}`
+      ].filter(Boolean).join(' · ');
+      if (settings) rows.push([i18n.t('info.settings'), settings]);
+    }
+
+    this.metaList.innerHTML = '';
+    rows.forEach(([label, value]) => {
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const detail = document.createElement('dd');
+      detail.textContent = value;
+      this.metaList.append(term, detail);
+    });
+    this.metaList.hidden = !rows.length;
+  }
+}
+
+/**
+ * ========================================================================
+ * MODAL SYSTEM CLASS - FIXED TO PREVENT SECRET GALLERY ACCESS
+ * ========================================================================
+ */
+class ModalSystem {
+  constructor() {
+    this.modal = document.getElementById('photo-modal');
+    this.modalImg = document.getElementById('modal-img');
+    this.modalVideoContainer = document.getElementById('modal-video-container');
+    this.videoPlayer = this.createVideoPlayer();
+    this.modalVideo = this.videoPlayer?.video || null;
+    this.closeModal = document.getElementById('close-modal');
+    this.modalSpinner = document.getElementById('modal-spinner');
+    this.modalCounter = document.getElementById('modal-counter');
+    this.prevBtn = document.getElementById('prev-photo');
+    this.nextBtn = document.getElementById('next-photo');
+
+    this.currentIndex = 0;
+    this.mediaItems = [];
+    this.isOpen = false;
+    this.imageLoadToken = 0;
+    this.historyDepth = 0; // Photo entries pushed since the modal was opened
+    this.isRewindingHistory = false; // Set while close() steps back over those entries
+    this.listeners = new Set();
+
+    this.initialize();
+  }
+
+  /**
+   * Videos play in the same player as the secret galleries (chapters, quality, playlist);
+   * showVideo() loads each item's clips into it
+   * @returns {EnhancedVideoPlayer|null}
+   */
+  createVideoPlayer() {
+    const template = document.getElementById('video-player-template');
+    if (!template || !this.modalVideoContainer) return null;
+
+    const player = template.content.firstElementChild.cloneNode(true);
+    const video = player.querySelector('.video-player');
+    video.id = 'modal-video';
+    video.classList.add('modal-video');
+    video.muted = false; // Opened on purpose, unlike the inline players
+    video.removeAttribute('muted');
+    this.modalVideoContainer.replaceChildren(player);
+    return new EnhancedVideoPlayer(player);
+  }
+
+  initialize() {
+    this.collectMediaItems();
+    this.setupEventListeners();
+    this.setupHistoryRouting();
+    this.gestures = new ModalGestureController(this);
+    this.slideshow = new ModalSlideshow(this);
+    this.preloader = new ModalPreloader(this);
+    this.info = new ModalInfoPanel(this);
+  }
+
+  /**
+   * FIXED: Only collect media items that should be accessible
+   * Items come from the gallery manifest; secret gallery entries are only
+   * included once their gallery has been revealed.
+   */
+  collectMediaItems() {
+    const gallerySystem = window.gallerySystem;
+    const entries = gallerySystem ? gallerySystem.getAccessibleEntries() : [];
+
+    this.mediaItems = entries.map((entry, index) => ({
+      id: entry.id,
+      src: entry.src,
+      type: entry.type,
+      alt: entry.alt || entry.caption || i18n.t('modal.itemAlt', { number: index + 1 }),
+      caption: entry.caption,
+      renditions: entry.renditions,
+      entry,
+      element: gallerySystem.getElement(entry.id)
+    }));
+  }
+
+  setupEventListeners() {
+    // Close modal events
+    this.closeModal?.addEventListener('click', () => this.close());
+
+    // Navigation events
+    this.prevBtn?.addEventListener('click', () => this.navigate('prev'));
+    this.nextBtn?.addEventListener('click', () => this.navigate('next'));
+
+    // Modal overlay click to close
+    this.modal?.addEventListener('click', (e) => {
+      if (e.target === this.modal) {
+        this.close();
+      }
+    });
+
+    // Keyboard navigation
+    document.addEventListener('keydown', (e) => {
+      if (!this.isOpen) return;
+
+      switch (e.key) { // Use e.key for modern browsers
+        case 'Escape':
+          this.close();
+          break;
+        case 'ArrowLeft':
+          this.navigate('prev');
+          break;
+        case 'ArrowRight':
+          this.navigate('next');
+          break;
+        case 'i':
+        case 'I':
+          this.info?.toggle();
+          break;
+        case ' ':
+          // Space pauses/resumes a running slideshow
+          if (this.slideshow?.isActive) {
+            e.preventDefault();
+            this.slideshow.togglePause();
+          }
+          break;
+      }
+    });
+
+    // Media item click events
+    this.setupMediaClickEvents();
+  }
+
+  /**
+   * Delegated click handling for rendered gallery items.
+   * Items that are not in mediaItems (e.g. unrevealed secrets) are ignored.
+   */
+  setupMediaClickEvents() {
+    document.addEventListener('click', (e) => {
+      const element = e.target.closest('[data-gallery-id]');
+      if (!element) return;
+
+      const index = this.findIndexById(element.getAttribute('data-gallery-id'));
+      if (index !== -1) {
+        this.open(index);
+      }
+    });
+  }
+
+  /**
+   * Find the position of a media item by its manifest id
+   * @param {string} id - Manifest item id
+   * @returns {number} Index in mediaItems, or -1
+   */
+  findIndexById(id) {
+    return this.mediaItems.findIndex(item => item.id === id);
+  }
+
+  /**
+   * Open the modal on an item
+   * @param {number} index - Index in mediaItems
+   * @param {Object} [options]
+   * @param {string} [options.history='push'] - 'push' a #photo/<id> entry, 'replace' the current one, or 'none'
+   */
+  open(index, { history = 'push' } = {}) {
+    if (index < 0 || index >= this.mediaItems.length) return;
+    this.currentIndex = index;
+    this.isOpen = true;
+
+    const item = this.mediaItems[this.currentIndex];
+    this.updateHistory(item.id, history);
+    this.gestures?.reset(); // Every item starts unzoomed
+
+    if (item.type === 'video') {
+      this.showVideo(item);
+    } else {
+      this.showImage(item);
+    }
+
+    this.updateCounter();
+    this.info?.update(item);
+    this.modal.classList.add('active');
+    document.body.style.overflow = 'hidden'; // Prevent background scroll
+
+    this.preloader?.update(index);
+    this.slideshow?.onItemShown(item);
+  }
+
+  /**
+   * URL the modal shows for an item: the rendition best matching the screen
+   * @param {Object} item - Media item
+   * @returns {string}
+   */
+  getDisplaySrc(item) {
+    if (item.type === 'video') return item.src;
+    const targetWidth = window.innerWidth * (window.devicePixelRatio || 1);
+    return pickRendition(item.renditions, targetWidth)?.src || item.src;
+  }
+
+  showImage(item) {
+    this.modalVideoContainer.style.display = 'none';
+    if (this.modalVideo) this.modalVideo.pause(); // Pause video if it was playing
+    this.modalImg.style.display = 'block';
+
+    const loadToken = ++this.imageLoadToken; // Ignore loads for items we navigated away from
+    const renditions = item.renditions;
+    const finalSrc = this.getDisplaySrc(item);
+    const preview = renditions && (renditions.thumb || renditions.medium);
+
+    this.modalImg.classList.remove('loaded'); // Reset loaded class
+    this.modalImg.alt = item.alt;
+
+    this.modalImg.onload = () => {
+      this.hideSpinner();
+      this.modalImg.classList.add('loaded');
+    };
+    this.modalImg.onerror = () => {
+        // A rendition that can't be loaded (resizer down): show the original instead
+        const original = renditions?.full?.src;
+        if (loadToken === this.imageLoadToken && original && this.modalImg.src !== original) {
+          this.modalImg.classList.remove('preview');
+          this.modalImg.src = original;
+          return;
+        }
+        this.hideSpinner();
+        // Handle image load error, e.g., show a placeholder or error message
+        console.error("Failed to load image:", this.modalImg.src);
+    };
+
+    // Already preloaded and decoded: show it straight away, no spinner
+    if (this.preloader?.isReady(finalSrc)) {
+      this.hideSpinner();
+      this.modalImg.classList.remove('preview');
+      this.modalImg.src = finalSrc;
+      return;
+    }
+
+    if (!preview || preview.src === finalSrc) {
+      this.showSpinner();
+      this.modalImg.classList.remove('preview');
+      this.modalImg.src = finalSrc;
+      return;
+    }
+
+    // Progressive loading: show the (usually cached) grid rendition blurred,
+    // then swap in the full-resolution image once it has downloaded.
+    // The download goes through the preloader so a neighbour prefetch is reused.
+    this.modalImg.classList.add('preview');
+    this.modalImg.src = preview.src;
+
+    this.preloader.load(finalSrc).then(() => {
+      if (loadToken !== this.imageLoadToken) return;
+      this.modalImg.src = finalSrc;
+      this.modalImg.classList.remove('preview');
+    }).catch(() => {
+      if (loadToken !== this.imageLoadToken) return;
+      console.error("Failed to load full-resolution image:", finalSrc);
+      this.modalImg.classList.remove('preview');
+      // Try the original (the resizer may be down), otherwise keep the preview rather than a broken image
+      if (finalSrc !== renditions.full.src) this.modalImg.src = renditions.full.src;
+    });
+  }
+
+  showVideo(item) {
+    this.modalImg.style.display = 'none';
+    this.modalVideoContainer.style.display = 'block';
+    this.modalVideoContainer.classList.remove('loaded'); // Reset loaded class
+
+    if (this.videoPlayer) {
+        const entry = item.entry;
+        this.videoPlayer.setClips(entry.clips, { poster: entry.thumbnail, title: entry.title || entry.caption });
+        this.modalVideo.play().catch(e => console.error("Error playing modal video:", e)); // Autoplay, handle promise
+        this.modalVideoContainer.classList.add('loaded'); // Add loaded once src is set
+    }
+  }
+
+  /**
+   * Step to the next/previous item
+   * @param {string} direction - 'next' or 'prev'
+   * @param {Object} [options] - Passed through to open()
+   */
+  navigate(direction, options) {
+    if (!this.mediaItems.length) return;
+    if (direction === 'next') {
+      this.currentIndex = (this.currentIndex + 1) % this.mediaItems.length;
+    } else {
+      this.currentIndex = (this.currentIndex - 1 + this.mediaItems.length) % this.mediaItems.length;
+    }
+
+    // No need to call resetModalContent here, open() will handle new content
+    this.open(this.currentIndex, options);
+  }
+
+  /**
+   * Close the modal
+   * @param {Object} [options]
+   * @param {boolean} [options.updateHistory=true] - Leave the #photo/ URL (false when reacting to popstate)
+   */
+  close({ updateHistory = true } = {}) {
+    this.slideshow?.stop();
+    this.preloader?.cancelPending();
+    this.isOpen = false;
+    this.modal.classList.remove('active');
+    this.resetModalContent();
+
+    document.body.style.overflow = 'auto'; // Restore scroll
+
+    if (updateHistory) {
+      this.leavePhotoUrl();
+    }
+  }
+
+  /**
+   * Deep links: keep a #photo/<id> hash in sync with the modal so photos can be
+   * shared and the browser back/forward buttons step through viewed items
+   */
+  setupHistoryRouting() {
+    window.addEventListener('popstate', (e) => {
+      this.historyDepth = e.state?.modalDepth || 0;
+
+      if (this.isRewindingHistory) {
+        // Landed on the entry the modal was opened from; it may itself be a deep link
+        this.isRewindingHistory = false;
+        this.leavePhotoUrl();
+        return;
+      }
+      this.syncWithUrl();
+    });
+  }
+
+  /**
+   * Build a shareable URL that opens the given item
+   * @param {string} id - Manifest item id
+   * @returns {string} Absolute URL
+   */
+  getPhotoUrl(id) {
+    const url = new URL(window.location.href);
+    url.hash = `${CONFIG.PHOTO_HASH_PREFIX}${encodeURIComponent(id)}`;
+    return url.href;
+  }
+
+  /**
+   * @returns {string|null} Item id from the current #photo/<id> hash
+   */
+  getPhotoIdFromUrl() {
+    const hash = window.location.hash;
+    if (!hash.startsWith(CONFIG.PHOTO_HASH_PREFIX)) return null;
+    return decodeURIComponent(hash.slice(CONFIG.PHOTO_HASH_PREFIX.length)) || null;
+  }
+
+  /**
+   * Record the open item in the URL
+   * @param {string} id - Manifest item id
+   * @param {string} mode - 'push', 'replace' or 'none'
+   */
+  updateHistory(id, mode) {
+    if (mode === 'none' || this.getPhotoIdFromUrl() === id) return;
+
+    const url = this.getPhotoUrl(id);
+    if (mode === 'replace') {
+      window.history.replaceState({ modalDepth: this.historyDepth }, '', url);
+    } else {
+      this.historyDepth++;
+      window.history.pushState({ modalDepth: this.historyDepth }, '', url);
+    }
+  }
+
+  /**
+   * Drop the #photo/ hash: rewind the entries we pushed so Back does not
+   * reopen the modal, or strip the hash when the page was loaded on a deep link.
+   */
+  leavePhotoUrl() {
+    if (!this.getPhotoIdFromUrl()) return;
+
+    if (this.historyDepth > 0) {
+      const depth = this.historyDepth;
+      this.historyDepth = 0;
+      this.isRewindingHistory = true;
+      window.history.go(-depth);
+    } else {
+      const url = new URL(window.location.href);
+      url.hash = '';
+      window.history.replaceState(null, '', url.href.replace(/#$/, ''));
+    }
+  }
+
+  /**
+   * Open, switch or close the modal to match the URL (reload and back/forward).
+   * Items the guest cannot access yet (unsolved secret galleries) are ignored.
+   */
+  syncWithUrl() {
+    const id = this.getPhotoIdFromUrl();
+    if (!id) {
+      if (this.isOpen) this.close({ updateHistory: false });
+      return;
+    }
+
+    let index = this.findIndexById(id);
+
+    // A secret gallery may have opened since the list was collected (restored puzzles
+    // refresh it only after their reveal animation)
+    if (index === -1) {
+      this.refreshMediaItems();
+      index = this.findIndexById(id);
+    }
+
+    // The photo may just be hidden by the active gallery filter
+    const gallerySystem = window.gallerySystem;
+    if (index === -1 && gallerySystem?.getEntry(id)?.gallery === 'main' && gallerySystem.activeFilter) {
+      gallerySystem.setFilter(null);
+      index = this.findIndexById(id);
+    }
+
+    if (index === -1) {
+      console.warn('Deep-linked item is not available:', id);
+      if (this.isOpen) this.close({ updateHistory: false });
+      this.historyDepth = 0;
+      this.leavePhotoUrl();
+      return;
+    }
+
+    if (!this.isOpen || index !== this.currentIndex) {
+      this.open(index, { history: 'none' });
+    }
+  }
+
+  resetModalContent() {
+    this.imageLoadToken++; // Drop any pending full-resolution load
+    this.gestures?.reset();
+    this.modalImg.classList.remove('loaded', 'preview');
+    this.modalVideoContainer.classList.remove('loaded');
+    if (this.modalVideo) {
+        this.modalVideo.pause();
+        this.modalVideo.querySelector('source')?.removeAttribute('src'); // Stop downloading the clip
+        this.modalVideo.load(); // Reset video element state
+    }
+    this.modalImg.src = ''; // Use empty string for src to clear image
+    this.modalImg.alt = '';
+    this.hideSpinner();
+  }
+
+  showSpinner() {
+    if (this.modalSpinner) {
+      this.modalSpinner.style.display = 'block';
+    }
+  }
+
+  hideSpinner() {
+    if (this.modalSpinner) {
+      this.modalSpinner.style.display = 'none';
+    }
+  }
+
+  updateCounter() {
+    if (this.modalCounter && this.mediaItems.length > 0) {
+      this.modalCounter.textContent = `${this.currentIndex + 1}/${this.mediaItems.length}`;
+    } else if (this.modalCounter) {
+      this.modalCounter.textContent = `0/0`;
+    }
+  }
+
+  /**
+   * FIXED: Refresh method that properly re-collects accessible items
+   * This method is called when secret galleries are revealed
+   */
+  refreshMediaItems() {
+    const currentId = this.isOpen ? this.mediaItems[this.currentIndex]?.id : null;
+    this.collectMediaItems(); // Clicks are delegated, so no listeners to rebind
+
+    // Keep pointing at the same item if the list changed while the modal is open
+    if (currentId) {
+      this.currentIndex = Math.max(0, this.findIndexById(currentId));
+    }
+    this.updateCounter(); // Update counter if modal is open or items change
+    this.listeners.forEach(listener => listener(this.mediaItems));
+  }
+
+  /**
+   * @param {Function} listener - Called with the media items after every refresh
+   */
+  onItemsChange(listener) {
+    this.listeners.add(listener);
+  }
+}
+
+/**
+ * ========================================================================
+ * MEDIA ACTIONS - Download, share and ZIP export of gallery items
+ * ========================================================================
+ */
+class MediaActions {
+  /**
+   * @param {ModalSystem} modalSystem - Lightbox providing the current item and deep links
+   * @param {SimplifiedGallerySystem} gallerySystem - Source of entries and selection state
+   */
+  constructor(modalSystem, gallerySystem) {
+    this.modalSystem = modalSystem;
+    this.gallerySystem = gallerySystem;
+
+    this.downloadBtn = document.getElementById('modal-download');
+    this.shareBtn = document.getElementById('modal-share');
+    this.selectBtn = document.getElementById('toggle-selection');
+    this.downloadSelectionBtn = document.getElementById('download-selection');
+    this.downloadAlbumBtn = document.getElementById('download-album');
+    this.toast = document.getElementById('app-toast');
+
+    this.isSelecting = false;
+    this.isBusy = false; // A ZIP is being built
+    this.toastTimer = null;
+
+    this.setupEventListeners();
+    this.updateSelectionControls();
+  }
+
+  setupEventListeners() {
+    this.downloadBtn?.addEventListener('click', () => {
+      const item = this.getCurrentItem();
+      if (item) this.downloadEntry(item.entry);
+    });
+
+    this.shareBtn?.addEventListener('click', () => {
+      const item = this.getCurrentItem();
+      if (item) this.shareEntry(item.entry);
+    });
+
+    this.selectBtn?.addEventListener('click', () => this.setSelecting(!this.isSelecting));
+
+    this.downloadSelectionBtn?.addEventListener('click', () => {
+      const entries = [...this.gallerySystem.selectedIds]
+        .map(id => this.gallerySystem.getEntry(id))
+        .filter(Boolean);
+      this.downloadZip(entries, `${CONFIG.DOWNLOAD_FILENAME_PREFIX}${i18n.t('zip.filename')}.zip`);
+    });
+
+    this.downloadAlbumBtn?.addEventListener('click', () => {
+      this.downloadZip(this.gallerySystem.getMainEntries(), this.getAlbumZipName());
+    });
+
+    // While selecting, clicks on main gallery items toggle them instead of opening the modal
+    this.gallerySystem.galleryContainer?.addEventListener('click', (e) => {
+      if (!this.isSelecting) return;
+      const element = e.target.closest('[data-gallery-id]');
+      if (!element) return;
+
+      e.preventDefault();
+      e.stopPropagation(); // Keep ModalSystem's document-level handler from opening it
+      this.gallerySystem.toggleSelected(element.getAttribute('data-gallery-id'));
+      this.updateSelectionControls();
+    });
+  }
+
+  /**
+   * @returns {Object|undefined} Media item currently shown in the modal
+   */
+  getCurrentItem() {
+    return this.modalSystem.mediaItems[this.modalSystem.currentIndex];
+  }
+
+  /**
+   * Download the original file of an entry under a readable name
+   * @param {Object} entry - Gallery entry
+   */
+  async downloadEntry(entry) {
+    const filename = getDownloadFilename(entry);
+    try {
+      const response = await fetch(entry.src);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      saveBlob(await response.blob(), filename);
+    } catch (error) {
+      // Cross-origin files without CORS can't be fetched; let the browser open them instead
+      console.error('Download error:', error);
+      window.open(entry.src, '_blank', 'noopener');
+    }
+  }
+
+  /**
+   * Share an entry's deep link with the Web Share API, or copy it
+   * @param {Object} entry - Gallery entry
+   */
+  async shareEntry(entry) {
+    const url = this.modalSystem.getPhotoUrl(entry.id);
+
+    if (navigator.share) {
+      try {
+        await navigator.share({ title: document.title, text: entry.caption, url });
+        return;
+      } catch (error) {
+        if (error.name === 'AbortError') return; // The guest closed the share sheet
+        console.error('Share error:', error);
+      }
+    }
+
+    await this.copyLink(url);
+  }
+
+  /**
+   * Copy a link to the clipboard, or show it for manual copying
+   * @param {string} url - Link to copy
+   */
+  async copyLink(url) {
+    if (!await copyText(url)) {
+      window.prompt(i18n.t('share.copyPrompt'), url);
+      return;
+    }
+    this.showToast(i18n.t('share.copied'));
+  }
+
+  /**
+   * Fetch entries and save them as a single ZIP archive
+   * @param {Array<Object>} entries - Gallery entries to include
+   * @param {string} filename - Archive filename
+   */
+  async downloadZip(entries, filename) {
+    if (!entries.length || this.isBusy) return;
+    this.isBusy = true;
+    this.updateSelectionControls();
+
+    const files = [];
+    const usedNames = new Set();
+    let failed = 0;
+    let tooLarge = 0; // Left out to stay under CONFIG.ZIP_MAX_BYTES
+    let totalBytes = 0;
+
+    for (const [index, entry] of entries.entries()) {
+      this.showToast(i18n.t('zip.preparing', { current: index + 1, total: entries.length }), 0);
+      try {
+        const response = await fetch(entry.src);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        // Skip big files before downloading them when the size is known
+        const length = Number(response.headers.get('Content-Length'));
+        if (length && totalBytes + length > CONFIG.ZIP_MAX_BYTES) {
+          response.body?.cancel();
+          tooLarge++;
+          continue;
+        }
+        const data = new Uint8Array(await response.arrayBuffer());
+        if (totalBytes + data.length > CONFIG.ZIP_MAX_BYTES) {
+          tooLarge++;
+          continue;
+        }
+        totalBytes += data.length;
+
+        let name = getDownloadFilename(entry);
+        if (usedNames.has(name)) name = name.replace(/(\.[^.]+)$/, `-${entry.id}$1`);
+        usedNames.add(name);
+
+        files.push({ name, data, date: entry.date ? new Date(entry.date) : undefined });
+      } catch (error) {
+        failed++;
+        console.error('ZIP download error:', entry.src, error);
+      }
+    }
+
+    // Report every file left out, whatever the reason
+    const size = Math.round(CONFIG.ZIP_MAX_BYTES / 1024 / 1024);
+    const issues = [
+      tooLarge && i18n.t('zip.issueTooLarge', { count: tooLarge, size }),
+      failed && i18n.t('zip.issueFailed', { count: failed })
+    ].filter(Boolean).join('; ');
+    if (files.length) {
+      saveBlob(createZipBlob(files), filename);
+      this.showToast(issues ? i18n.t('zip.readyWithIssues', { issues }) : i18n.t('zip.ready'));
+    } else if (tooLarge && failed) {
+      this.showToast(i18n.t('zip.notCreated', { issues }));
+    } else {
+      this.showToast(tooLarge ? i18n.t('zip.tooLarge', { size }) : i18n.t('zip.failed'));
+    }
+
+    this.isBusy = false;
+    this.updateSelectionControls();
+  }
+
+  /**
+   * @returns {string} ZIP filename for the current album/tag filter
+   */
+  getAlbumZipName() {
+    const filter = this.gallerySystem.activeFilter;
+    const slug = filter ? normalizeText(filter.value).replace(/[^a-z0-9]+/g, '-') : 'album';
+    return `${CONFIG.DOWNLOAD_FILENAME_PREFIX}${slug}.zip`;
+  }
+
+  /**
+   * Enter or leave selection mode
+   * @param {boolean} isSelecting
+   */
+  setSelecting(isSelecting) {
+    this.isSelecting = isSelecting;
+    this.gallerySystem.galleryContainer?.classList.toggle('is-selecting', isSelecting);
+    if (!isSelecting) this.gallerySystem.clearSelection();
+    this.updateSelectionControls();
+  }
+
+  updateSelectionControls() {
+    const count = this.gallerySystem.selectedIds.size;
+    this.selectBtn?.setAttribute('aria-pressed', String(this.isSelecting));
+
+    if (this.downloadSelectionBtn) {
+      this.downloadSelectionBtn.hidden = !this.isSelecting;
+      this.downloadSelectionBtn.disabled = !count || this.isBusy;
+      const label = this.downloadSelectionBtn.querySelector('.gallery-action-count');
+      if (label) label.textContent = String(count);
+    }
+    if (this.downloadAlbumBtn) {
+      this.downloadAlbumBtn.disabled = this.isBusy;
+    }
+  }
+
+  /**
+   * Show a short status message
+   * @param {string} message - Text to show
+   * @param {number} [duration=2500] - ms before hiding; 0 keeps it visible
+   */
+  showToast(message, duration = 2500) {
+    if (!this.toast) return;
+    clearTimeout(this.toastTimer);
+    this.toast.textContent = message;
+    this.toast.classList.add('visible');
+    if (duration) {
+      this.toastTimer = setTimeout(() => this.toast.classList.remove('visible'), duration);
+    }
+  }
+}
+
+/**
+ * ========================================================================
+ * OFFLINE ALBUM - Service worker registration and photos saved for offline
+ * ========================================================================
+ */
+class OfflineAlbum {
+  /**
+   * @param {SimplifiedGallerySystem} gallerySystem - Source of the item list
+   */
+  constructor(gallerySystem) {
+    this.gallerySystem = gallerySystem;
+    this.saveBtn = document.getElementById('save-offline');
+    this.saveLabel = this.saveBtn?.querySelector('.offline-label');
+    this.removeBtn = document.getElementById('remove-offline');
+    this.status = document.getElementById('offline-status');
+
+    this.isReady = false; // A service worker controls the page, so saved files are served offline
+    this.isSaving = false;
+    this.savedCount = 0;
+    this.messageArgs = null; // [key, params] of the status line, re-rendered on language change
+
+    const isSupported = !!CONFIG.SERVICE_WORKER_URL && 'serviceWorker' in navigator && 'caches' in window;
+    if (isSupported) this.initialize();
+  }
+
+  initialize() {
+    // After load, so the service worker's precache doesn't compete with the page itself
+    if (document.readyState === 'complete') {
+      this.register();
+    } else {
+      window.addEventListener('load', () => this.register(), { once: true });
+    }
+
+    navigator.serviceWorker.ready.then(() => {
+      this.isReady = true;
+      this.refresh();
+    });
+
+    this.saveBtn?.addEventListener('click', () => this.save());
+    this.removeBtn?.addEventListener('click', () => this.remove());
+    i18n.onChange(() => this.renderStatus());
+  }
+
+  register() {
+    navigator.serviceWorker.register(CONFIG.SERVICE_WORKER_URL).catch(error => {
+      console.warn('Service worker registration failed:', error);
+    });
+  }
+
+  /**
+   * Every file the album needs offline: all renditions (the grid may pick any
+   * of them), videos and their posters, for the main gallery and revealed secrets
+   * @returns {Array<string>} Absolute http(s) URLs
+   */
+  getUrls() {
+    const urls = new Set();
+    this.gallerySystem.entries
+      .filter(entry => this.gallerySystem.isGalleryRevealed(entry.gallery))
+      .forEach(entry => {
+        urls.add(entry.src);
+        urls.add(entry.thumbnail);
+        Object.values(entry.renditions || {}).forEach(rendition => urls.add(rendition.src));
+        (entry.clips || []).forEach(clip => {
+          urls.add(clip.poster);
+          urls.add(clip.sources[0].src); // Default quality only
+        });
+      });
+
+    return [...urls]
+      .filter(Boolean)
+      .map(url => new URL(url, document.baseURI))
+      .filter(url => url.protocol === 'https:' || url.protocol === 'http:')
+      .map(url => url.href);
+  }
+
+  /**
+   * Download every file of the album into CONFIG.OFFLINE_ALBUM_CACHE.
+   * Files already saved are skipped, so a second run only fetches what failed or is new.
+   */
+  async save() {
+    if (this.isSaving || !this.isReady) return;
+    const urls = this.getUrls();
+    this.isSaving = true;
+    this.setMessage('offline.saving', { done: 0, total: urls.length });
+    this.updateControls();
+
+    let done = 0;
+    let failed = 0;
+    try {
+      const cache = await caches.open(CONFIG.OFFLINE_ALBUM_CACHE);
+      const queue = [...urls];
+      const worker = async () => {
+        while (queue.length) {
+          const url = queue.shift();
+          try {
+            if (!(await cache.match(url))) {
+              await cache.put(url, await this.fetchForCache(url));
+            }
+          } catch (error) {
+            failed++;
+            console.warn('Could not save for offline:', url, error);
+          }
+          done++;
+          this.setMessage('offline.saving', { done, total: urls.length });
+        }
+      };
+      await Promise.all(Array.from({ length: CONFIG.OFFLINE_ALBUM_CONCURRENCY }, worker));
+
+      // Photos removed from the gallery since the last save
+      const keep = new Set(urls);
+      const stale = (await cache.keys()).filter(request => !keep.has(request.url));
+      await Promise.all(stale.map(request => cache.delete(request)));
+
+      // Ask the browser not to evict the album when storage runs low
+      await navigator.storage?.persist?.();
+    } catch (error) {
+      console.error('Saving the album for offline failed:', error);
+      failed = urls.length - done + failed;
+    }
+
+    this.isSaving = false;
+    await this.refresh(failed);
+  }
+
+  /**
+   * CORS when the host allows it (saved videos need a readable body to seek in), opaque otherwise
+   * @param {string} url
+   * @returns {Promise<Response>}
+   */
+  async fetchForCache(url) {
+    let response;
+    try {
+      response = await fetch(url, { mode: 'cors' });
+    } catch (error) {
+      response = await fetch(url, { mode: 'no-cors' });
+    }
+    if (!response.ok && response.type !== 'opaque') {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return response;
+  }
+
+  async remove() {
+    if (this.isSaving) return;
+    await caches.delete(CONFIG.OFFLINE_ALBUM_CACHE);
+    await this.refresh();
+  }
+
+  /**
+   * Count what is saved and update the buttons and status line
+   * @param {number} [failed=0] - Files the last save could not fetch
+   */
+  async refresh(failed = 0) {
+    try {
+      const cache = await caches.open(CONFIG.OFFLINE_ALBUM_CACHE);
+      this.savedCount = (await cache.keys()).length;
+    } catch (error) {
+      this.savedCount = 0; // Storage blocked (private mode, quota)
+    }
+
+    if (failed) {
+      this.setMessage('offline.failed', { count: failed });
+    } else if (this.savedCount) {
+      this.setMessage('offline.saved', { count: this.savedCount });
+    } else {
+      this.setMessage(null);
+    }
+    this.updateControls();
+  }
+
+  updateControls() {
+    if (this.saveBtn) {
+      this.saveBtn.hidden = !this.isReady;
+      this.saveBtn.disabled = this.isSaving;
+    }
+    if (this.saveLabel) {
+      this.saveLabel.textContent = i18n.t(this.savedCount ? 'offline.update' : 'offline.save');
+    }
+    if (this.removeBtn) {
+      this.removeBtn.hidden = !this.isReady || !this.savedCount;
+      this.removeBtn.disabled = this.isSaving;
+    }
+  }
+
+  /**
+   * @param {string|null} key - Message key, or null to hide the status line
+   * @param {Object} [params] - Message parameters
+   */
+  setMessage(key, params) {
+    this.messageArgs = key ? [key, params] : null;
+    this.renderStatus();
+  }
+
+  renderStatus() {
+    if (this.status) {
+      this.status.hidden = !this.messageArgs;
+      this.status.textContent = this.messageArgs ? i18n.t(...this.messageArgs) : '';
+    }
+    this.updateControls();
+  }
+}
+
+/**
+ * ========================================================================
+ * GUEST UPLOADER - Drag-and-drop / camera uploads into the moderation queue
+ * ========================================================================
+ */
+class GuestUploader {
+  constructor() {
+    this.section = document.getElementById('upload-section');
+    this.dropzone = document.getElementById('upload-dropzone');
+    this.fileInput = document.getElementById('upload-input');
+    this.cameraInput = document.getElementById('upload-camera');
+    this.cameraBtn = document.getElementById('upload-camera-btn');
+    this.nameInput = document.getElementById('upload-name');
+    this.captionInput = document.getElementById('upload-caption');
+    this.list = document.getElementById('upload-list');
+
+    this.tasks = [];
+    this.nextTaskId = 1;
+
+    this.initialize();
+  }
+
+  initialize() {
+    if (!this.section) return;
+    if (!CONFIG.UPLOAD_ENDPOINT) {
+      this.section.hidden = true; // No backend configured
+      return;
+    }
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    this.dropzone?.addEventListener('click', () => this.fileInput?.click());
+    this.dropzone?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        this.fileInput?.click();
+      }
+    });
+
+    ['dragenter', 'dragover'].forEach(type => {
+      this.dropzone?.addEventListener(type, (e) => {
+        e.preventDefault();
+        this.dropzone.classList.add('dragover');
+      });
+    });
+    ['dragleave', 'drop'].forEach(type => {
+      this.dropzone?.addEventListener(type, () => this.dropzone.classList.remove('dragover'));
+    });
+    this.dropzone?.addEventListener('drop', (e) => {
+      e.preventDefault();
+      this.addFiles(e.dataTransfer?.files || []);
+    });
+
+    this.cameraBtn?.addEventListener('click', () => this.cameraInput?.click());
+    [this.fileInput, this.cameraInput].forEach(input => {
+      if (input) input.accept = CONFIG.UPLOAD_TYPES.join(',');
+      input?.addEventListener('change', () => {
+        this.addFiles(input.files || []);
+        input.value = ''; // Allow picking the same file again
+      });
+    });
+  }
+
+  /**
+   * Queue files for upload
+   * @param {FileList|Array<File>} files - Picked or dropped files
+   */
+  addFiles(files) {
+    Array.from(files).forEach(file => {
+      const task = {
+        id: this.nextTaskId++,
+        file,
+        blob: null, // Resized payload, kept for retries
+        busy: false, // Being prepared or uploaded
+        uploader: this.nameInput?.value.trim() || '',
+        caption: this.captionInput?.value.trim() || '',
+        status: 'preparing',
+        progress: 0,
+        error: '',
+        element: null
+      };
+      this.tasks.push(task);
+      this.renderTask(task);
+
+      const problem = this.validate(file);
+      if (problem) {
+        this.updateTask(task, { status: 'invalid', error: problem });
+        return;
+      }
+      this.process(task);
+    });
+  }
+
+  /**
+   * @param {File} file
+   * @returns {string} Reason the file can't be uploaded, or '' if it is fine
+   */
+  validate(file) {
+    if (!CONFIG.UPLOAD_TYPES.includes(file.type)) return i18n.t('upload.invalidType');
+    if (file.size > CONFIG.UPLOAD_MAX_BYTES) {
+      return i18n.t('upload.tooLarge', { size: Math.round(CONFIG.UPLOAD_MAX_BYTES / 1024 / 1024) });
+    }
+    return '';
+  }
+
+  /**
+   * Resize (once) and upload a task, retrying transient failures
+   * @param {Object} task - Upload task
+   */
+  async process(task) {
+    if (task.busy) return; // Retry clicked while an attempt is still running
+    task.busy = true;
+    try {
+      if (!task.blob) {
+        this.updateTask(task, { status: 'preparing', error: '' });
+        task.blob = await this.prepareFile(task.file);
+      }
+
+      for (let attempt = 0; attempt <= CONFIG.UPLOAD_AUTO_RETRIES; attempt++) {
+        if (attempt > 0) {
+          await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** attempt)); // Back off
+        }
+        try {
+          this.updateTask(task, { status: 'uploading', progress: 0, error: '' });
+          await this.send(task);
+          this.updateTask(task, { status: 'done', progress: 1 });
+          return;
+        } catch (error) {
+          console.error('Upload failed:', task.file.name, error);
+          task.error = error.status === 415 ? i18n.t('upload.invalidType') : error.message;
+          if (error.status && error.status < 500) break; // Rejected by the server; retrying won't help
+        }
+      }
+      this.updateTask(task, { status: 'failed' });
+    } finally {
+      task.busy = false;
+    }
+  }
+
+  /**
+   * Downscale large photos before upload; videos and small images go as they are
+   * @param {File} file
+   * @returns {Promise<Blob>}
+   */
+  async prepareFile(file) {
+    if (!/^image\/(jpeg|png|webp)$/.test(file.type) || typeof createImageBitmap !== 'function') {
+      return file;
+    }
+
+    try {
+      const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+      const scale = Math.min(1, CONFIG.UPLOAD_MAX_DIMENSION / Math.max(bitmap.width, bitmap.height));
+      if (scale === 1) {
+        bitmap.close();
+        return file;
+      }
+
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(bitmap.width * scale);
+      canvas.height = Math.round(bitmap.height * scale);
+      canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+      bitmap.close();
+
+      const resized = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', CONFIG.UPLOAD_JPEG_QUALITY));
+      return resized && resized.size < file.size ? resized : file;
+    } catch (error) {
+      console.error('Could not resize image, uploading original:', error);
+      return file;
+    }
+  }
+
+  /**
+   * POST the payload with XMLHttpRequest, which (unlike fetch) reports upload progress
+   * @param {Object} task - Upload task
+   * @returns {Promise<Object>} Server response ({ id, status })
+   */
+  send(task) {
+    const blob = task.blob;
+    const filename = blob === task.file ? task.file.name : task.file.name.replace(/\.[^.]+$/, '') + '.jpg';
+    const url = getUploadUrl();
+    url.searchParams.set('filename', filename);
+    if (task.uploader) url.searchParams.set('uploader', task.uploader);
+    if (task.caption) url.searchParams.set('caption', task.caption);
+
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      xhr.open('POST', url.href);
+      xhr.setRequestHeader('Content-Type', blob.type || task.file.type);
+
+      xhr.upload.onprogress = (e) => {
+        if (e.lengthComputable) this.updateTask(task, { progress: e.loaded / e.total });
+      };
+      xhr.onload = () => {
+        if (xhr.status >= 200 && xhr.status < 300) {
+          try {
+            resolve(JSON.parse(xhr.responseText || '{}'));
+          } catch (parseError) {
+            // Not the upload backend (e.g. a static host answering with a page)
+            const error = new Error('Invalid server response');
+            error.status = xhr.status;
+            reject(error);
+          }
+          return;
+        }
+        const error = new Error(`HTTP ${xhr.status}`);
+        error.status = xhr.status;
+        reject(error);
+      };
+      xhr.onerror = () => reject(new Error('Network error'));
+      xhr.send(blob);
+    });
+  }
+
+  /**
+   * @param {Object} task - Upload task
+   */
+  renderTask(task) {
+    const item = document.createElement('li');
+    item.className = 'upload-item';
+
+    const name = document.createElement('span');
+    name.className = 'upload-item-name';
+    name.textContent = task.file.name;
+
+    const progress = document.createElement('progress');
+    progress.className = 'upload-item-progress';
+    progress.max = 1;
+    progress.value = 0;
+
+    const status = document.createElement('span');
+    status.className = 'upload-item-status';
+
+    const retry = document.createElement('button');
+    retry.type = 'button';
+    retry.className = 'upload-item-retry';
+    retry.innerHTML = `${iconMarkup('rotate-right')} `;
+    retry.append(i18n.t('upload.retry'));
+    retry.hidden = true;
+    retry.addEventListener('click', () => this.process(task));
+
+    item.append(name, progress, status, retry);
+    task.element = item;
+    this.list?.appendChild(item);
+  }
+
+  /**
+   * Apply changes to a task and refresh its row
+   * @param {Object} task - Upload task
+   * @param {Object} changes - Fields to update
+   */
+  updateTask(task, changes) {
+    Object.assign(task, changes);
+    const item = task.element;
+    if (!item) return;
+
+    const labels = {
+      preparing: i18n.t('upload.preparing'),
+      uploading: i18n.t('upload.uploading', { percent: Math.round(task.progress * 100) }),
+      done: i18n.t('upload.done'),
+      failed: task.error ? i18n.t('upload.failedWithReason', { reason: task.error }) : i18n.t('upload.failed'),
+      invalid: task.error
+    };
+
+    item.dataset.status = task.status;
+    item.querySelector('.upload-item-progress').value = task.progress;
+    item.querySelector('.upload-item-status').textContent = labels[task.status] || '';
+    item.querySelector('.upload-item-retry').hidden = task.status !== 'failed';
+  }
+}
+
+/**
+ * ========================================================================
+ * UPLOAD MODERATION PANEL - Approve or reject guest uploads (?moderar)
+ * ========================================================================
+ */
+class UploadModerationPanel {
+  /**
+   * @param {SimplifiedGallerySystem} gallerySystem - Refreshed after approvals
+   */
+  constructor(gallerySystem) {
+    this.gallerySystem = gallerySystem;
+    this.section = document.getElementById('moderation-section');
+    this.form = document.getElementById('moderation-login');
+    this.tokenInput = document.getElementById('moderation-token');
+    this.list = document.getElementById('moderation-list');
+    this.message = document.getElementById('moderation-message');
+
+    this.token = '';
+    this.previewUrls = new Set(); // blob: URLs of the previews on screen
+
+    this.initialize();
+  }
+
+  initialize() {
+    const params = new URLSearchParams(window.location.search);
+    if (!this.section || !CONFIG.UPLOAD_ENDPOINT || !params.has('moderar')) return;
+
+    try {
+      this.token = sessionStorage.getItem(CONFIG.MODERATION_TOKEN_KEY) || '';
+    } catch (error) {
+      console.warn('Could not read the moderation token:', error);
+    }
+
+    this.section.hidden = false;
+    this.form?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.token = this.tokenInput.value.trim();
+      this.load();
+    });
+
+    if (this.token) this.load();
+  }
+
+  /**
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below the upload endpoint
+   * @returns {Promise<Response>} Successful response
+   */
+  async request(method, path) {
+    const response = await fetch(getUploadUrl(path), {
+      method,
+      headers: { Authorization: `Bearer ${this.token}` }
+    });
+    if (response.status === 401) {
+      this.saveToken(null);
+      this.form.hidden = false;
+      throw new Error(i18n.t('moderation.wrongToken'));
+    }
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return response;
+  }
+
+  /**
+   * Remember the token for this tab, or forget it
+   * @param {string|null} token
+   */
+  saveToken(token) {
+    try {
+      if (token) {
+        sessionStorage.setItem(CONFIG.MODERATION_TOKEN_KEY, token);
+      } else {
+        sessionStorage.removeItem(CONFIG.MODERATION_TOKEN_KEY);
+      }
+    } catch (error) {
+      console.warn('Could not save the moderation token:', error);
+    }
+  }
+
+  /**
+   * Fetch and show the pending queue
+   */
+  async load() {
+    this.setMessage(i18n.t('moderation.loading'));
+    try {
+      const { items } = await (await this.request('GET', '?status=pending')).json();
+      this.saveToken(this.token);
+      this.form.hidden = true;
+      this.render(items);
+      this.setMessage(items.length ? '' : i18n.t('moderation.empty'));
+    } catch (error) {
+      this.setMessage(error.message);
+    }
+  }
+
+  /**
+   * @param {Array<Object>} records - Pending upload records
+   */
+  render(records) {
+    this.previewUrls.forEach(url => URL.revokeObjectURL(url));
+    this.previewUrls.clear();
+    this.list.innerHTML = '';
+    records.forEach(record => {
+      const card = document.createElement('li');
+      card.className = 'moderation-item';
+
+      const preview = document.createElement(record.type.startsWith('video/') ? 'video' : 'img');
+      preview.className = 'moderation-preview';
+      this.loadPreview(record.id, preview);
+      if (preview.tagName === 'VIDEO') {
+        preview.controls = true;
+        preview.preload = 'metadata';
+      } else {
+        preview.alt = record.caption || record.originalName;
+        preview.loading = 'lazy';
+      }
+
+      const details = document.createElement('p');
+      details.className = 'moderation-details';
+      details.textContent = [record.uploader || i18n.t('moderation.anonymous'), record.caption, new Date(record.createdAt).toLocaleString(i18n.locale)]
+        .filter(Boolean)
+        .join(' · ');
+
+      const actions = document.createElement('div');
+      actions.className = 'moderation-actions';
+      [['approve', 'check'], ['reject', 'xmark']].forEach(([action, icon]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `gallery-action-btn moderation-${action}`;
+        button.innerHTML = `${iconMarkup(icon)} ${i18n.t(`moderation.${action}`)}`;
+        button.addEventListener('click', () => this.moderate(record.id, action, card));
+        actions.appendChild(button);
+      });
+
+      card.append(preview, details, actions);
+      this.list.appendChild(card);
+    });
+  }
+
+  /**
+   * Pending files need the token, which must stay out of URLs (logs, history,
+   * Referer): fetch them with the header and show them from a blob: URL
+   * @param {string} id - Upload id
+   * @param {HTMLImageElement|HTMLVideoElement} preview
+   */
+  async loadPreview(id, preview) {
+    try {
+      const blob = await (await this.request('GET', `${encodeURIComponent(id)}/file`)).blob();
+      const url = URL.createObjectURL(blob);
+      this.previewUrls.add(url);
+      preview.src = url;
+    } catch (error) {
+      console.warn('Could not load upload preview:', id, error);
+    }
+  }
+
+  /**
+   * Approve or reject an upload
+   * @param {string} id - Upload id
+   * @param {string} action - 'approve' or 'reject'
+   * @param {HTMLElement} card - Its card in the list
+   */
+  async moderate(id, action, card) {
+    card.classList.add('is-busy');
+    try {
+      await this.request('POST', `${encodeURIComponent(id)}/${action}`);
+      const preview = card.querySelector('.moderation-preview');
+      if (this.previewUrls.delete(preview?.src)) URL.revokeObjectURL(preview.src);
+      card.remove();
+      if (!this.list.children.length) this.setMessage(i18n.t('moderation.empty'));
+      if (action === 'approve') await this.gallerySystem.reloadUploads();
+    } catch (error) {
+      card.classList.remove('is-busy');
+      this.setMessage(error.message);
+    }
+  }
+
+  setMessage(text) {
+    if (this.message) this.message.textContent = text;
+  }
+}
+
+/**
+ * ========================================================================
+ * SITE CONTENT STORE - Letter, puzzles and dates from content.json
+ * ========================================================================
+ */
+class SiteContentStore {
+  /**
+   * @param {string} [contentUrl] - Site content JSON
+   */
+  constructor(contentUrl = CONFIG.CONTENT_URL) {
+    this.contentUrl = contentUrl;
+    this.draft = this.readDraft(); // { content, gallery, savedAt } saved by the admin view
+    this.content = null;
+
+    // Resolves with the normalized content
+    this.ready = this.load();
+  }
+
+  /**
+   * @returns {Object|null} Unpublished admin edits stored in this browser
+   */
+  readDraft() {
+    try {
+      return JSON.parse(localStorage.getItem(CONFIG.SITE_DRAFT_STORAGE_KEY)) || null;
+    } catch (error) {
+      console.error('Ignoring unreadable content draft:', error);
+      return null;
+    }
+  }
+
+  async load() {
+    let content = this.draft?.content;
+    if (!content) {
+      try {
+        const response = await fetch(this.contentUrl, { cache: 'no-cache' });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        content = await response.json();
+      } catch (error) {
+        console.error('Failed to load site content:', this.contentUrl, error);
+      }
+    }
+    this.content = this.normalize(content || {});
+    return this.content;
+  }
+
+  /**
+   * Fill defaults so consumers don't need to guard every field
+   * @param {Object} content - Raw content JSON
+   * @returns {Object}
+   */
+  normalize(content) {
+    return {
+      ...content,
+      version: content.version || 1,
+      weddingDate: content.weddingDate || CONFIG.WEDDING_DATE,
+      timeZone: content.timeZone || CONFIG.WEDDING_TIME_ZONE,
+      milestones: Array.isArray(content.milestones) ? content.milestones : [], // [{ id, label, date }]
+      story: Array.isArray(content.story) ? content.story : [], // [{ type?: 'chapter', date, title, text?, photos? }]
+      texts: { ...content.texts },
+      puzzles: Array.isArray(content.puzzles) ? content.puzzles : []
+    };
+  }
+
+  /**
+   * @returns {Object|null} Draft gallery manifest, if the admin saved one
+   */
+  getGalleryDraft() {
+    return this.draft?.gallery || null;
+  }
+
+  hasDraft() {
+    return !!this.draft;
+  }
+
+  /**
+   * Keep admin edits in this browser until they are exported and published
+   * @param {Object} draft - { content, gallery }
+   * @returns {boolean} Whether it was stored; otherwise it only lasts until the page is closed
+   */
+  saveDraft({ content, gallery }) {
+    this.draft = { content, gallery, savedAt: new Date().toISOString() };
+    this.content = this.normalize(content);
+    try {
+      localStorage.setItem(CONFIG.SITE_DRAFT_STORAGE_KEY, JSON.stringify(this.draft));
+      return true;
+    } catch (error) {
+      console.error('Could not store the content draft:', error); // Storage full or blocked
+      return false;
+    }
+  }
+
+  /**
+   * @returns {boolean} Whether the stored draft is gone
+   */
+  clearDraft() {
+    this.draft = null;
+    try {
+      localStorage.removeItem(CONFIG.SITE_DRAFT_STORAGE_KEY);
+      return true;
+    } catch (error) {
+      console.error('Could not remove the content draft:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Write texts into elements marked with data-content="<key>", in the page language
+   * (data-content-html allows markup, e.g. the letter)
+   * @param {Object} [content] - Normalized content
+   */
+  applyTexts(content = this.content) {
+    document.querySelectorAll('[data-content]').forEach(element => {
+      const value = i18n.localize(content.texts[element.getAttribute('data-content')]);
+      if (value === undefined || value === null) return;
+      if (element.hasAttribute('data-content-html')) {
+        element.innerHTML = value;
+      } else {
+        element.textContent = value;
+      }
+    });
+  }
+}
+
+/**
+ * ========================================================================
+ * ADMIN PANEL - Password-protected editor for gallery, puzzles and texts
+ * ========================================================================
+ */
+class AdminPanel {
+  /**
+   * @param {Object} options
+   * @param {SiteContentStore} options.siteContent - Content being edited
+   * @param {SimplifiedGallerySystem} options.gallerySystem - Gallery whose manifest is edited
+   * @param {Function} options.onApply - Re-applies site content to the page
+   */
+  constructor({ siteContent, gallerySystem, onApply }) {
+    this.siteContent = siteContent;
+    this.gallerySystem = gallerySystem;
+    this.onApply = onApply;
+
+    this.panel = document.getElementById('admin-panel');
+    this.loginForm = document.getElementById('admin-login');
+    this.passwordInput = document.getElementById('admin-password');
+    this.loginMessage = document.getElementById('admin-login-message');
+    this.editor = document.getElementById('admin-editor');
+    this.galleryList = document.getElementById('admin-gallery-list');
+    this.puzzleEditor = document.getElementById('admin-puzzles');
+    this.weddingDateInput = document.getElementById('admin-wedding-date');
+    this.milestoneList = document.getElementById('admin-milestones');
+    this.letterHeadingInput = document.getElementById('admin-letter-heading');
+    this.letterInput = document.getElementById('admin-letter');
+    this.importInput = document.getElementById('admin-import-file');
+    this.status = document.getElementById('admin-status');
+    this.languageNote = document.getElementById('admin-language');
+
+    // Working copies; nothing touches the page until "Guardar"
+    this.manifest = null;
+    this.content = null;
+    this.dragIndex = null;
+    this.language = i18n.language; // Translatable texts are edited in the language picked on the page
+
+    this.initialize();
+  }
+
+  initialize() {
+    if (!this.panel) return;
+    this.setupEventListeners();
+
+    i18n.onChange(language => {
+      this.language = language;
+      if (this.content) this.render();
+    });
+
+    if (new URLSearchParams(window.location.search).has('admin')) {
+      if (CONFIG.ADMIN_PASSWORD_HASH) {
+        this.open();
+      } else {
+        console.warn('Admin mode is disabled: set CONFIG.ADMIN_PASSWORD_HASH to enable it');
+      }
+    }
+  }
+
+  setupEventListeners() {
+    document.getElementById('admin-close')?.addEventListener('click', () => this.close());
+
+    this.loginForm?.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      await this.login(this.passwordInput.value);
+    });
+
+    this.panel.querySelectorAll('[data-admin-tab]').forEach(tab => {
+      tab.addEventListener('click', () => this.showTab(tab.getAttribute('data-admin-tab')));
+    });
+
+    this.setupGalleryEditor();
+    this.setupPuzzleEditor();
+    this.setupMilestoneEditor();
+
+    this.weddingDateInput?.addEventListener('change', () => {
+      this.content.weddingDate = this.weddingDateInput.value ? `${this.weddingDateInput.value}:00` : '';
+    });
+    this.letterHeadingInput?.addEventListener('input', () => {
+      this.setText(this.content.texts, 'letterHeading', this.letterHeadingInput.value);
+    });
+    this.letterInput?.addEventListener('input', () => {
+      this.setText(this.content.texts, 'letter', this.letterInput.value);
+    });
+
+    document.getElementById('admin-save')?.addEventListener('click', () => this.save());
+    document.getElementById('admin-export')?.addEventListener('click', () => this.exportJson());
+    document.getElementById('admin-download-content')?.addEventListener('click', () => this.downloadPublished('content'));
+    document.getElementById('admin-download-gallery')?.addEventListener('click', () => this.downloadPublished('gallery'));
+    this.importInput?.addEventListener('change', () => {
+      const file = this.importInput.files?.[0];
+      this.importInput.value = '';
+      if (file) this.importJson(file);
+    });
+    document.getElementById('admin-discard')?.addEventListener('click', () => this.discardDraft());
+  }
+
+  async open() {
+    this.panel.hidden = false;
+    document.body.style.overflow = 'hidden';
+
+    let unlocked = false;
+    try {
+      unlocked = sessionStorage.getItem(CONFIG.ADMIN_SESSION_KEY) === 'true';
+    } catch (error) {
+      console.warn('Could not read the admin session:', error);
+    }
+
+    if (unlocked) {
+      await this.showEditor();
+    } else {
+      this.loginForm.hidden = false;
+      this.editor.hidden = true;
+      this.passwordInput?.focus();
+    }
+  }
+
+  close() {
+    this.panel.hidden = true;
+    document.body.style.overflow = '';
+  }
+
+  /**
+   * Check the password against CONFIG.ADMIN_PASSWORD_HASH
+   * @param {string} password
+   */
+  async login(password) {
+    try {
+      if (await sha256Hex(password) !== CONFIG.ADMIN_PASSWORD_HASH) {
+        this.loginMessage.textContent = i18n.t('admin.wrongPassword');
+        return;
+      }
+    } catch (error) {
+      console.error('Admin login error:', error);
+      this.loginMessage.textContent = i18n.t('admin.cryptoUnavailable');
+      return;
+    }
+
+    try {
+      sessionStorage.setItem(CONFIG.ADMIN_SESSION_KEY, 'true');
+    } catch (error) {
+      console.warn('Could not remember the admin session:', error); // Asks again on the next visit
+    }
+    this.loginMessage.textContent = '';
+    this.passwordInput.value = '';
+    await this.showEditor();
+  }
+
+  async showEditor() {
+    const [content] = await Promise.all([this.siteContent.ready, this.gallerySystem.ready]);
+    this.load({ content, gallery: this.gallerySystem.manifest || { items: [] } });
+    this.loginForm.hidden = true;
+    this.editor.hidden = false;
+    this.setStatus(this.siteContent.hasDraft() ? i18n.t('admin.showingDraft') : '');
+  }
+
+  /**
+   * Start editing copies of the given content and manifest
+   * @param {Object} data - { content, gallery }
+   */
+  load({ content, gallery }) {
+    this.content = this.siteContent.normalize(JSON.parse(JSON.stringify(content)));
+    this.manifest = JSON.parse(JSON.stringify(gallery));
+    if (!Array.isArray(this.manifest.items)) this.manifest.items = [];
+    this.render();
+  }
+
+  render() {
+    this.renderLanguageNote();
+    this.renderGallery();
+    this.renderPuzzles();
+    this.renderTexts();
+  }
+
+  renderLanguageNote() {
+    if (!this.languageNote) return;
+    const params = {
+      language: i18n.translate(this.language, 'language.name', {}),
+      fallback: i18n.translate(i18n.defaultLanguage, 'language.name', {})
+    };
+    this.languageNote.textContent = i18n.t(this.language === i18n.defaultLanguage ? 'admin.editingLanguage' : 'admin.translatingLanguage', params);
+  }
+
+  /**
+   * @param {string} name - gallery | puzzles | texts | backup
+   */
+  showTab(name) {
+    this.panel.querySelectorAll('[data-admin-tab]').forEach(tab => {
+      tab.setAttribute('aria-selected', String(tab.getAttribute('data-admin-tab') === name));
+    });
+    this.panel.querySelectorAll('[data-admin-panel]').forEach(section => {
+      section.hidden = section.getAttribute('data-admin-panel') !== name;
+    });
+  }
+
+  // ---- Gallery -------------------------------------------------------------
+
+  setupGalleryEditor() {
+    const list = this.galleryList;
+    if (!list) return;
+
+    const indexOf = (element) => parseInt(element.closest('[data-index]')?.getAttribute('data-index'), 10);
+
+    list.addEventListener('input', (e) => {
+      const field = e.target.getAttribute('data-field');
+      const item = this.manifest.items[indexOf(e.target)];
+      if (!field || !item) return;
+
+      if (field === 'visible') {
+        if (e.target.checked) {
+          delete item.hidden;
+        } else {
+          item.hidden = true;
+        }
+      } else if (field === 'caption') {
+        this.setText(item, 'caption', e.target.value);
+      } else {
+        item[field] = e.target.value || (field === 'album' ? null : '');
+      }
+    });
+
+    list.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-move]');
+      if (!button) return;
+      const from = indexOf(button);
+      this.moveItem(from, from + parseInt(button.getAttribute('data-move'), 10));
+    });
+
+    // Drag to reorder
+    list.addEventListener('dragstart', (e) => {
+      this.dragIndex = indexOf(e.target);
+      e.dataTransfer.effectAllowed = 'move';
+      e.target.classList.add('dragging');
+    });
+    list.addEventListener('dragend', (e) => e.target.classList.remove('dragging'));
+    list.addEventListener('dragover', (e) => {
+      if (this.dragIndex === null) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+    });
+    list.addEventListener('drop', (e) => {
+      e.preventDefault();
+      const to = indexOf(e.target);
+      if (this.dragIndex !== null && !isNaN(to)) this.moveItem(this.dragIndex, to);
+      this.dragIndex = null;
+    });
+  }
+
+  /**
+   * @param {number} from - Current position
+   * @param {number} to - New position
+   */
+  moveItem(from, to) {
+    const items = this.manifest.items;
+    if (from === to || to < 0 || to >= items.length) return;
+    const [item] = items.splice(from, 1);
+    items.splice(to, 0, item);
+    this.renderGallery();
+  }
+
+  renderGallery() {
+    if (!this.galleryList) return;
+    const baseUrl = this.manifest.baseUrl || document.baseURI;
+    const albums = Array.isArray(this.manifest.albums) ? this.manifest.albums : [];
+    // Main gallery plus the secret gallery of every puzzle
+    const galleries = [...new Set([
+      ...Object.keys(CONFIG.GALLERY_TARGETS),
+      ...this.content.puzzles.map(puzzle => puzzle.gallery).filter(Boolean)
+    ])];
+
+    this.galleryList.innerHTML = '';
+    this.manifest.items.forEach((item, index) => {
+      const row = document.createElement('li');
+      row.className = 'admin-gallery-item';
+      row.classList.toggle('is-hidden', !!item.hidden);
+      row.draggable = true;
+      row.setAttribute('data-index', String(index));
+
+      const preview = document.createElement('div');
+      preview.className = 'admin-thumb';
+      if (item.type === 'video') {
+        preview.innerHTML = iconMarkup('video');
+      } else {
+        const image = document.createElement('img');
+        image.src = new URL(item.thumbnail || item.src, baseUrl).href;
+        image.alt = '';
+        image.loading = 'lazy';
+        preview.appendChild(image);
+      }
+
+      const fields = document.createElement('div');
+      fields.className = 'admin-item-fields';
+      fields.append(
+        this.createTextInput(i18n.t('admin.caption'), 'caption', item.caption),
+        this.createSelect(i18n.t('admin.gallery'), 'gallery', item.gallery || 'main',
+          [...new Set([...galleries, item.gallery || 'main'])].map(key => [key, key])),
+        this.createSelect(i18n.t('admin.album'), 'album', item.album || '', [['', '—'], ...albums.map(album => [album.id, i18n.localize(album.label) || album.id])]),
+        this.createCheckbox(i18n.t('admin.visible'), 'visible', !item.hidden)
+      );
+
+      const order = document.createElement('div');
+      order.className = 'admin-item-order';
+      order.innerHTML = `
+        <button type="button" data-move="-1" aria-label="${i18n.t('admin.moveUp')}">${iconMarkup('arrow-up')}</button>
+        <button type="button" data-move="1" aria-label="${i18n.t('admin.moveDown')}">${iconMarkup('arrow-down')}</button>`;
+
+      row.append(preview, fields, order);
+      this.galleryList.appendChild(row);
+    });
+  }
+
+  // ---- Puzzles -------------------------------------------------------------
+
+  setupPuzzleEditor() {
+    const editor = this.puzzleEditor;
+    if (!editor) return;
+
+    // data-puzzle / data-question / data-option locate the edited value
+    const locate = (element) => {
+      const number = (name) => parseInt(element.closest(`[data-${name}]`)?.getAttribute(`data-${name}`), 10);
+      const puzzle = this.content.puzzles[number('puzzle')];
+      const question = puzzle?.questions[number('question')];
+      return { puzzle, question, optionIndex: number('option') };
+    };
+
+    editor.addEventListener('input', (e) => {
+      const field = e.target.getAttribute('data-field');
+      const { puzzle, question, optionIndex } = locate(e.target);
+      if (!field || !puzzle) return;
+
+      // Puzzle texts: data-field="puzzle:<key>"
+      if (field.startsWith('puzzle:')) {
+        const key = field.slice('puzzle:'.length);
+        if (key === 'gallery') {
+          if (e.target.value) puzzle.gallery = e.target.value; else delete puzzle.gallery;
+        } else {
+          this.setText(puzzle, key, e.target.value);
+        }
+        return;
+      }
+      if (!question) return;
+
+      if (field === 'text') {
+        question.text = i18n.setTranslation(question.text, this.language, e.target.value) ?? '';
+      } else if (field === 'hints') {
+        this.setText(question, 'hints', e.target.value.split('\n').map(hint => hint.trim()).filter(Boolean));
+      } else if (field === 'explanation') {
+        this.setText(question, 'explanation', e.target.value);
+      } else if (field === 'type') {
+        this.changeQuestionType(question, e.target.value);
+        this.renderPuzzles();
+      } else if (field === 'correct') {
+        if (question.type === 'multi') {
+          const correct = new Set(question.correct);
+          if (e.target.checked) correct.add(optionIndex); else correct.delete(optionIndex);
+          question.correct = [...correct].sort((a, b) => a - b);
+        } else {
+          question.correct = optionIndex;
+        }
+      } else if (field === 'json') {
+        // Types without an options list are edited as JSON (everything but the shared fields)
+        try {
+          const { text, type, hints, explanation, ...rest } = question;
+          const data = JSON.parse(e.target.value);
+          Object.keys(rest).forEach(key => delete question[key]);
+          Object.assign(question, data, { text, type });
+          if (hints) question.hints = hints;
+          if (explanation) question.explanation = explanation;
+          e.target.removeAttribute('aria-invalid');
+        } catch (error) {
+          e.target.setAttribute('aria-invalid', 'true');
+        }
+      } else if (field === 'label') {
+        this.setText(question.options[optionIndex], 'label', e.target.value);
+      } else {
+        const option = question.options[optionIndex];
+        if (e.target.value) {
+          option[field] = e.target.value;
+        } else {
+          delete option[field];
+        }
+      }
+    });
+
+    editor.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+      const { puzzle, question, optionIndex } = locate(button);
+
+      switch (button.getAttribute('data-action')) {
+        case 'add-puzzle':
+          this.content.puzzles.push(this.createPuzzle());
+          break;
+        case 'remove-puzzle':
+          if (!window.confirm(i18n.t('admin.removePuzzleConfirm'))) return;
+          this.content.puzzles.splice(this.content.puzzles.indexOf(puzzle), 1);
+          break;
+        case 'add-question':
+          puzzle.questions.push({ type: 'single', text: '', ...this.createQuestionFields('single') });
+          break;
+        case 'remove-question':
+          puzzle.questions.splice(puzzle.questions.indexOf(question), 1);
+          break;
+        case 'add-option':
+          question.options.push({ label: '' });
+          break;
+        case 'remove-option':
+          if (question.options.length <= 2) return; // A question needs a choice
+          question.options.splice(optionIndex, 1);
+          if (question.type === 'multi') {
+            question.correct = question.correct
+              .filter(index => index !== optionIndex)
+              .map(index => (index > optionIndex ? index - 1 : index));
+          } else if (question.correct >= question.options.length || question.correct === optionIndex) {
+            question.correct = 0;
+          }
+          break;
+        default:
+          return;
+      }
+      this.renderPuzzles();
+      this.renderGallery(); // Gallery choices follow the puzzles
+    });
+  }
+
+  /**
+   * @returns {Object} Empty puzzle with unused id and gallery keys
+   */
+  createPuzzle() {
+    const puzzles = this.content.puzzles;
+    let number = puzzles.length + 1;
+    while (puzzles.some(puzzle => puzzle.id === `puzzle-${number}` || puzzle.gallery === `secret-${number}`)) {
+      number++;
+    }
+    return {
+      id: `puzzle-${number}`,
+      gallery: `secret-${number}`,
+      title: i18n.translations('puzzle.defaultTitle'),
+      questions: [{ type: 'single', text: '', ...this.createQuestionFields('single') }]
+    };
+  }
+
+  /**
+   * Starting answer fields for a question type (see PUZZLE_QUESTION_TYPES)
+   * @param {string} type - Question type
+   * @returns {Object}
+   */
+  createQuestionFields(type) {
+    switch (type) {
+      case 'multi':
+        return { options: [{ label: '' }, { label: '' }], correct: [0] };
+      case 'text':
+        return { answers: [''] };
+      case 'order':
+        return { items: [{ label: '' }, { label: '' }, { label: '' }] };
+      case 'match':
+        return { pairs: [{ image: '', label: '' }, { image: '', label: '' }] };
+      case 'hotspot':
+        return { image: '', hotspot: { x: 50, y: 50, radius: 10 } };
+      default:
+        return { options: [{ label: '' }, { label: '' }], correct: 0 };
+    }
+  }
+
+  /**
+   * Switch a question to another type, keeping its hints, explanation and, between the
+   * choice types, its options
+   * @param {Object} question - Question being edited
+   * @param {string} type - New type
+   */
+  changeQuestionType(question, type) {
+    const { text, hints, explanation, options, correct } = question;
+    Object.keys(question).forEach(key => delete question[key]);
+    Object.assign(question, { type, text }, this.createQuestionFields(type));
+    if (hints) question.hints = hints;
+    if (explanation) question.explanation = explanation;
+
+    if (options && question.options) {
+      question.options = options;
+      const first = [].concat(correct)[0] || 0;
+      question.correct = type === 'multi' ? [first] : first;
+    }
+  }
+
+  renderPuzzles() {
+    if (!this.puzzleEditor) return;
+    this.puzzleEditor.innerHTML = '';
+
+    const types = ['single', 'multi', 'text', 'order', 'match', 'hotspot'].map(type => [type, i18n.t(`admin.type.${type}`)]);
+
+    this.content.puzzles.forEach((puzzle, puzzleIndex) => {
+      if (!Array.isArray(puzzle.questions)) puzzle.questions = [];
+
+      const fieldset = document.createElement('fieldset');
+      fieldset.className = 'admin-puzzle';
+      fieldset.setAttribute('data-puzzle', String(puzzleIndex));
+
+      const legend = document.createElement('legend');
+      legend.textContent = i18n.t(puzzle.gallery ? 'admin.puzzleLegendGallery' : 'admin.puzzleLegend', {
+        number: puzzleIndex + 1,
+        gallery: puzzle.gallery
+      });
+      fieldset.appendChild(legend);
+
+      const fields = document.createElement('div');
+      fields.className = 'admin-puzzle-fields';
+      fields.append(
+        this.createInput(i18n.t('admin.puzzle.gallery'), 'puzzle:gallery', puzzle.gallery || ''),
+        ...['title', 'description', 'successTitle', 'successText', 'failureTitle', 'failureText', 'galleryTitle', 'galleryText']
+          .map(key => this.createTextInput(i18n.t(`admin.puzzle.${key}`), `puzzle:${key}`, puzzle[key]))
+      );
+      fieldset.appendChild(fields);
+
+      // Published answers are one-way; they can only be re-entered from the full export
+      if (puzzle.seal) {
+        const note = document.createElement('p');
+        note.className = 'admin-hint';
+        note.textContent = i18n.t('admin.sealed', { count: puzzle.questions.length });
+        const remove = document.createElement('div');
+        remove.className = 'admin-question-actions';
+        remove.innerHTML = `<button type="button" data-action="remove-puzzle">${iconMarkup('trash')} ${i18n.t('admin.removePuzzle')}</button>`;
+        fieldset.append(note, remove);
+        this.puzzleEditor.appendChild(fieldset);
+        return;
+      }
+
+      puzzle.questions.forEach((question, questionIndex) => {
+        const type = question.type || 'single';
+        const block = document.createElement('div');
+        block.className = 'admin-question';
+        block.setAttribute('data-question', String(questionIndex));
+        block.append(
+          this.createSelect(i18n.t('admin.type'), 'type', type, types),
+          this.createTextInput(i18n.t('admin.question', { number: questionIndex + 1 }), 'text', question.text)
+        );
+
+        if (type === 'single' || type === 'multi') {
+          block.appendChild(this.createOptionEditor(question, `admin-correct-${puzzleIndex}-${questionIndex}`));
+        } else {
+          const answer = { ...question };
+          ['text', 'type', 'hints', 'explanation'].forEach(key => delete answer[key]);
+          const wrapper = this.createLabel(i18n.t('admin.answerJson'));
+          const textarea = document.createElement('textarea');
+          textarea.rows = 6;
+          textarea.spellcheck = false;
+          textarea.value = JSON.stringify(answer, null, 2);
+          textarea.setAttribute('data-field', 'json');
+          wrapper.appendChild(textarea);
+          block.appendChild(wrapper);
+        }
+
+        const hints = this.createLabel(i18n.t('admin.hints'));
+        const hintsInput = document.createElement('textarea');
+        hintsInput.rows = 2;
+        hintsInput.value = [].concat(this.getText(question.hints)).join('\n');
+        hintsInput.placeholder = [].concat(this.getFallback(question.hints)).join('\n');
+        hintsInput.setAttribute('data-field', 'hints');
+        hints.appendChild(hintsInput);
+        block.append(hints, this.createTextInput(i18n.t('admin.explanation'), 'explanation', question.explanation));
+
+        const actions = document.createElement('div');
+        actions.className = 'admin-question-actions';
+        actions.innerHTML = `
+          ${type === 'single' || type === 'multi' ? `<button type="button" data-action="add-option">${iconMarkup('plus')} ${i18n.t('admin.addOption')}</button>` : ''}
+          <button type="button" data-action="remove-question">${iconMarkup('trash')} ${i18n.t('admin.removeQuestion')}</button>`;
+
+        block.appendChild(actions);
+        fieldset.appendChild(block);
+      });
+
+      const puzzleActions = document.createElement('div');
+      puzzleActions.className = 'admin-question-actions';
+      puzzleActions.innerHTML = `
+        <button type="button" data-action="add-question">${iconMarkup('plus')} ${i18n.t('admin.addQuestion')}</button>
+        <button type="button" data-action="remove-puzzle">${iconMarkup('trash')} ${i18n.t('admin.removePuzzle')}</button>`;
+      fieldset.appendChild(puzzleActions);
+
+      this.puzzleEditor.appendChild(fieldset);
+    });
+
+    const add = document.createElement('button');
+    add.type = 'button';
+    add.className = 'gallery-action-btn';
+    add.setAttribute('data-action', 'add-puzzle');
+    add.innerHTML = `${iconMarkup('plus')} ${i18n.t('admin.addPuzzle')}`;
+    this.puzzleEditor.appendChild(add);
+  }
+
+  /**
+   * Options of a single or multiple choice question
+   * @param {Object} question - Question being edited
+   * @param {string} name - Name shared by the "correct" inputs
+   * @returns {HTMLOListElement}
+   */
+  createOptionEditor(question, name) {
+    const multiple = question.type === 'multi';
+    const options = document.createElement('ol');
+    options.className = 'admin-options';
+
+    question.options.forEach((option, optionIndex) => {
+      const row = document.createElement('li');
+      row.className = 'admin-option';
+      row.setAttribute('data-option', String(optionIndex));
+
+      const correct = document.createElement('input');
+      correct.type = multiple ? 'checkbox' : 'radio';
+      correct.name = name;
+      correct.checked = multiple ? [].concat(question.correct).includes(optionIndex) : question.correct === optionIndex;
+      correct.setAttribute('data-field', 'correct');
+      correct.setAttribute('aria-label', i18n.t('admin.correct'));
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.setAttribute('data-action', 'remove-option');
+      remove.setAttribute('aria-label', i18n.t('admin.removeOption'));
+      remove.innerHTML = iconMarkup('xmark');
+
+      row.append(
+        correct,
+        this.createTextInput(i18n.t('admin.option'), 'label', option.label),
+        this.createInput(i18n.t('admin.optionImage'), 'image', option.image || ''),
+        remove
+      );
+      options.appendChild(row);
+    });
+    return options;
+  }
+
+  // ---- Texts ---------------------------------------------------------------
+
+  renderTexts() {
+    if (this.weddingDateInput) this.weddingDateInput.value = (this.content.weddingDate || '').slice(0, 16);
+    [[this.letterHeadingInput, 'letterHeading'], [this.letterInput, 'letter']].forEach(([input, key]) => {
+      if (!input) return;
+      input.value = this.getText(this.content.texts[key]);
+      input.placeholder = this.getFallback(this.content.texts[key]);
+    });
+    this.renderMilestones();
+  }
+
+  // ---- Milestones ----------------------------------------------------------
+
+  /**
+   * Dates besides the ceremony (first date, engagement...) shown by WeddingCounter
+   */
+  setupMilestoneEditor() {
+    const list = this.milestoneList;
+    if (!list) return;
+
+    const locate = (element) => this.content.milestones[parseInt(element.closest('[data-milestone]')?.getAttribute('data-milestone'), 10)];
+
+    list.addEventListener('input', (e) => {
+      const field = e.target.getAttribute('data-field');
+      const milestone = locate(e.target);
+      if (!field || !milestone) return;
+
+      if (field === 'label') {
+        this.setText(milestone, 'label', e.target.value);
+      } else if (field === 'date') {
+        // The picker edits the day; a time of day already set is kept
+        if (e.target.value) milestone.date = `${e.target.value}${(milestone.date || '').slice(10)}`;
+      } else if (field === 'yearly') {
+        if (e.target.checked) milestone.yearly = true; else delete milestone.yearly;
+      }
+    });
+
+    list.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action="remove-milestone"]');
+      if (!button) return;
+      this.content.milestones.splice(this.content.milestones.indexOf(locate(button)), 1);
+      this.renderMilestones();
+    });
+
+    document.getElementById('admin-add-milestone')?.addEventListener('click', () => {
+      const milestones = this.content.milestones;
+      let number = milestones.length + 1;
+      while (milestones.some(milestone => milestone.id === `milestone-${number}`)) number++;
+      milestones.push({ id: `milestone-${number}`, label: '', date: new Date().toISOString().slice(0, 10) });
+      this.renderMilestones();
+    });
+  }
+
+  renderMilestones() {
+    if (!this.milestoneList) return;
+    this.milestoneList.innerHTML = '';
+
+    this.content.milestones.forEach((milestone, index) => {
+      const row = document.createElement('li');
+      row.className = 'admin-option';
+      row.setAttribute('data-milestone', String(index));
+
+      const date = this.createInput(i18n.t('admin.milestone.date'), 'date', (milestone.date || '').slice(0, 10));
+      date.querySelector('input').type = 'date';
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.setAttribute('data-action', 'remove-milestone');
+      remove.setAttribute('aria-label', i18n.t('admin.removeMilestone'));
+      remove.innerHTML = iconMarkup('xmark');
+
+      row.append(
+        this.createTextInput(i18n.t('admin.milestone.label'), 'label', milestone.label),
+        date,
+        this.createCheckbox(i18n.t('admin.milestone.yearly'), 'yearly', !!milestone.yearly),
+        remove
+      );
+      this.milestoneList.appendChild(row);
+    });
+  }
+
+  // ---- Translatable texts --------------------------------------------------
+
+  /**
+   * @param {*} value - Plain text or per-language object (see I18n.localize)
+   * @returns {*} Its version in the edited language, '' if it has none yet
+   */
+  getText(value) {
+    return i18n.getTranslation(value, this.language) ?? '';
+  }
+
+  /**
+   * @param {*} value - Plain text or per-language object
+   * @returns {*} Default-language version, shown as placeholder while translating
+   */
+  getFallback(value) {
+    if (this.language === i18n.defaultLanguage) return '';
+    return i18n.getTranslation(value, i18n.defaultLanguage) ?? '';
+  }
+
+  /**
+   * Set the edited language of a translatable field, removing the field once no language is left
+   * @param {Object} target - Object holding the field
+   * @param {string} key - Field name
+   * @param {*} text - New text (or array, for hints)
+   */
+  setText(target, key, text) {
+    const value = i18n.setTranslation(target[key], this.language, text);
+    if (value === undefined) {
+      delete target[key];
+    } else {
+      target[key] = value;
+    }
+  }
+
+  // ---- Form helpers --------------------------------------------------------
+
+  /**
+   * @param {string} label - Visible label
+   * @param {string} field - data-field key
+   * @param {string} value - Current value
+   * @param {string} [placeholder]
+   * @returns {HTMLLabelElement}
+   */
+  createInput(label, field, value, placeholder = '') {
+    const wrapper = this.createLabel(label);
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = value;
+    input.placeholder = placeholder;
+    input.setAttribute('data-field', field);
+    wrapper.appendChild(input);
+    return wrapper;
+  }
+
+  /**
+   * Input for a translatable text, in the edited language
+   * @param {string} label - Visible label
+   * @param {string} field - data-field key
+   * @param {*} value - Plain text or per-language object
+   * @returns {HTMLLabelElement}
+   */
+  createTextInput(label, field, value) {
+    return this.createInput(label, field, this.getText(value), this.getFallback(value));
+  }
+
+  /**
+   * @param {string} label - Visible label
+   * @param {string} field - data-field key
+   * @param {string} value - Selected value
+   * @param {Array<Array<string>>} options - [value, text] pairs
+   * @returns {HTMLLabelElement}
+   */
+  createSelect(label, field, value, options) {
+    const wrapper = this.createLabel(label);
+    const select = document.createElement('select');
+    select.setAttribute('data-field', field);
+    options.forEach(([optionValue, text]) => {
+      const option = document.createElement('option');
+      option.value = optionValue;
+      option.textContent = text;
+      option.selected = optionValue === value;
+      select.appendChild(option);
+    });
+    wrapper.appendChild(select);
+    return wrapper;
+  }
+
+  /**
+   * @param {string} label - Visible label
+   * @param {string} field - data-field key
+   * @param {boolean} checked
+   * @returns {HTMLLabelElement}
+   */
+  createCheckbox(label, field, checked) {
+    const wrapper = this.createLabel(label);
+    wrapper.classList.add('admin-checkbox');
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = checked;
+    input.setAttribute('data-field', field);
+    wrapper.prepend(input);
+    return wrapper;
+  }
+
+  createLabel(text) {
+    const wrapper = document.createElement('label');
+    wrapper.className = 'admin-field';
+    const span = document.createElement('span');
+    span.textContent = text;
+    wrapper.appendChild(span);
+    return wrapper;
+  }
+
+  // ---- Save / export / import ----------------------------------------------
+
+  /**
+   * Store the draft in this browser and show it on the page
+   */
+  save() {
+    const stored = this.siteContent.saveDraft({ content: this.content, gallery: this.manifest });
+    this.onApply(this.siteContent.content); // Puzzles first: they hold the secret gallery containers
+    this.gallerySystem.applyManifest(JSON.parse(JSON.stringify(this.manifest)));
+    this.renderGallery(); // Refresh hidden-state styling
+    this.setStatus(i18n.t(stored ? 'admin.saved' : 'admin.saveFailed'));
+  }
+
+  exportJson() {
+    const date = new Date().toISOString().slice(0, 10);
+    this.downloadJson({
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      content: this.content,
+      gallery: this.manifest
+    }, `${CONFIG.DOWNLOAD_FILENAME_PREFIX}${i18n.t('admin.exportFilename')}-${date}.json`);
+  }
+
+  /**
+   * Content and manifest as guests get them: draft puzzles sealed, with the
+   * photos of their secret galleries moved out of the manifest into the puzzle
+   * @returns {Promise<Object>} { content, gallery }
+   */
+  async buildPublished() {
+    const puzzles = this.content.puzzles;
+    const secretGalleries = new Set(puzzles.map(puzzle => puzzle.gallery).filter(Boolean));
+
+    const sealed = await Promise.all(puzzles.map(puzzle => {
+      if (puzzle.seal) return puzzle; // Published before and not re-entered since
+      const items = this.manifest.items.filter(item => item.gallery === puzzle.gallery);
+      return PuzzleSystem.seal(puzzle, { baseUrl: this.manifest.baseUrl, items });
+    }));
+
+    return {
+      content: { ...this.content, puzzles: sealed },
+      gallery: { ...this.manifest, items: this.manifest.items.filter(item => !secretGalleries.has(item.gallery)) }
+    };
+  }
+
+  /**
+   * @param {string} file - content | gallery
+   */
+  async downloadPublished(file) {
+    try {
+      const published = await this.buildPublished();
+      this.downloadJson(published[file], `${file}.json`);
+    } catch (error) {
+      console.error('Publish error:', error);
+      this.setStatus(i18n.t('admin.publishFailed', { file: `${file}.json`, reason: error.message }));
+    }
+  }
+
+  /**
+   * @param {Object} data - Serializable value
+   * @param {string} filename
+   */
+  downloadJson(data, filename) {
+    saveBlob(new Blob([JSON.stringify(data, null, 2) + '\n'], { type: 'application/json' }), filename);
+  }
+
+  /**
+   * Load an exported file into the editor (saved only with "Guardar")
+   * @param {File} file - JSON exported by exportJson()
+   */
+  async importJson(file) {
+    try {
+      const data = JSON.parse(await file.text());
+      if (!data || typeof data.content !== 'object' || !Array.isArray(data.gallery?.items)) {
+        throw new Error(i18n.t('admin.notAnExport'));
+      }
+      this.load({ content: data.content, gallery: data.gallery });
+      this.setStatus(i18n.t('admin.imported', { name: file.name }));
+    } catch (error) {
+      console.error('Import error:', error);
+      this.setStatus(i18n.t('admin.importFailed', { reason: error.message }));
+    }
+  }
+
+  discardDraft() {
+    if (!window.confirm(i18n.t('admin.discardConfirm'))) return;
+    if (!this.siteContent.clearDraft()) {
+      this.setStatus(i18n.t('admin.discardFailed'));
+      return;
+    }
+    window.location.reload(); // Simplest way back to the published content
+  }
+
+  setStatus(text) {
+    if (this.status) this.status.textContent = text;
+  }
+}
+
+/**
+ * ========================================================================
+ * PROGRESS STORE - Puzzle and bonus progress kept across visits
+ * ========================================================================
+ */
+class ProgressStore {
+  /**
+   * @param {string} [storageKey] - localStorage key
+   */
+  constructor(storageKey = CONFIG.PROGRESS_STORAGE_KEY) {
+    this.storageKey = storageKey;
+    this.listeners = new Set();
+    this.state = this.read(); // { version, puzzles: { [id]: { answers, solved, failedAttempts, ... } }, bonus }
+
+    this.resetButton = document.getElementById('reset-progress');
+    this.setupResetControl();
+  }
+
+  /**
+   * @returns {Object} Progress of a guest who hasn't answered anything
+   */
+  createEmptyState() {
+    return {
+      version: CONFIG.PROGRESS_VERSION,
+      puzzles: {},
+      bonus: { solved: false, answer: '', failedAttempts: 0, score: null }
+    };
+  }
+
+  read() {
+    try {
+      return this.migrate(JSON.parse(localStorage.getItem(this.storageKey))) || this.createEmptyState();
+    } catch (error) {
+      console.error('Ignoring unreadable progress:', error);
+      return this.createEmptyState();
+    }
+  }
+
+  /**
+   * Bring stored progress up to CONFIG.PROGRESS_VERSION. Add a step whenever the
+   * stored shape changes; progress that can't be upgraded is dropped.
+   * @param {Object|null} stored - Parsed storage value
+   * @returns {Object|null}
+   */
+  migrate(stored) {
+    if (!stored || typeof stored !== 'object') return null;
+
+    const steps = {
+      // <from version>: (state) => ({ ...state, version: <from version + 1> })
+    };
+    let state = stored;
+    while (state.version < CONFIG.PROGRESS_VERSION && steps[state.version]) {
+      state = steps[state.version](state);
+    }
+    if (state.version !== CONFIG.PROGRESS_VERSION) return null;
+
+    const empty = this.createEmptyState();
+    return { ...empty, ...state, bonus: { ...empty.bonus, ...state.bonus } };
+  }
+
+  write() {
+    this.state.updatedAt = new Date().toISOString();
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.state));
+    } catch (error) {
+      console.warn('Could not save progress:', error); // Private mode or storage full
+    }
+    this.listeners.forEach(listener => listener(this.state));
+  }
+
+  /**
+   * @param {string} id - Puzzle id from content.json
+   * @returns {Object} { answers, solved, failedAttempts, hintsUsed, startedAt, solvedAt }
+   */
+  getPuzzle(id) {
+    return {
+      answers: [],
+      solved: false,
+      failedAttempts: 0,
+      hintsUsed: [], // Hints revealed per question
+      startedAt: null, // ISO time of the first answer
+      solvedAt: null,
+      ...this.state.puzzles[id]
+    };
+  }
+
+  /**
+   * @param {string} id - Puzzle id from content.json
+   * @param {Object} changes - Fields to overwrite
+   */
+  updatePuzzle(id, changes) {
+    this.state.puzzles[id] = { ...this.getPuzzle(id), ...changes };
+    this.write();
+  }
+
+  /**
+   * @returns {Object} { solved, answer, failedAttempts, score }
+   */
+  getBonus() {
+    return { ...this.state.bonus };
+  }
+
+  /**
+   * @param {Object} changes - Fields to overwrite
+   */
+  updateBonus(changes) {
+    this.state.bonus = { ...this.state.bonus, ...changes };
+    this.write();
+  }
+
+  hasProgress() {
+    const { bonus, puzzles } = this.state;
+    return Object.keys(puzzles).length > 0 || bonus.solved || bonus.failedAttempts > 0 || !!bonus.answer;
+  }
+
+  /**
+   * Forget everything; the page has to be rebuilt afterwards
+   */
+  reset() {
+    this.state = this.createEmptyState();
+    try {
+      localStorage.removeItem(this.storageKey);
+    } catch (error) {
+      console.warn('Could not clear saved progress:', error);
+    }
+    this.listeners.forEach(listener => listener(this.state));
+  }
+
+  /**
+   * @param {Function} listener - Called with the state after every change
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+  }
+
+  /**
+   * "Borrar mi progreso" button, shown only when there is something to forget
+   */
+  setupResetControl() {
+    if (!this.resetButton) return;
+
+    const update = () => {
+      this.resetButton.hidden = !this.hasProgress();
+    };
+    this.onChange(update);
+    update();
+
+    this.resetButton.addEventListener('click', () => {
+      if (!window.confirm(i18n.t('progress.resetConfirm'))) return;
+      this.reset();
+      window.location.reload(); // Simplest way back to locked puzzles
+    });
+  }
+}
+
+/**
+ * ========================================================================
+ * ANSWER MATCHER - Free-text answers for the bonus and "text" questions
+ * ========================================================================
+ */
+
+/**
+ * Per-language words that turn an answer around ("no es fake") and the verbs and
+ * articles that may sit between them and the answer ("not a fake"); a negation
+ * further back ("sin duda es fake") doesn't count. Accepted answers may also be
+ * listed per language in content: { es: ['trucada'], en: ['fake'] }.
+ */
+const ANSWER_LANGUAGES = {
+  es: {
+    negations: ['no', 'ni', 'nunca', 'jamas', 'tampoco', 'sin', 'nada'],
+    links: ['es', 'era', 'son', 'fue', 'esta', 'parece', 'un', 'una', 'el', 'la', 'lo', 'de']
+  },
+  en: {
+    negations: ['not', 'no', 'never', 'nor', 'without', 'isnt', 'arent', 'wasnt', 'dont', 'doesnt'],
+    links: ['is', 'was', 'are', 'be', 'its', 'looks', 'look', 'a', 'an', 'the']
+  },
+  ca: {
+    negations: ['no', 'ni', 'mai', 'tampoc', 'sense', 'gens', 'res'],
+    links: ['es', 'era', 'son', 'va', 'ser', 'esta', 'sembla', 'un', 'una', 'el', 'la', 'de']
+  }
+};
+
+/**
+ * Spellings that sound alike, folded before comparing so "fotoshop" is "photoshop"
+ * and "uevo" is "huevo"
+ */
+const ANSWER_SOUND_ALIKE = [
+  [/ph/g, 'f'],
+  [/(^|[^cs])h/g, '$1'], // Silent h, but not in ch/sh
+  [/v/g, 'b'],
+  [/z/g, 's'],
+  [/ll/g, 'y'],
+  [/qu/g, 'k'],
+  [/c(?=[ei])/g, 's'],
+  [/c(?!h)/g, 'k'],
+  [/([a-z])\1+/g, '$1'] // Doubled letters
+];
+
+const ANSWER_ALPHABET = 'abcdefghijklmnopqrstuvwxyz0123456789';
+
+/**
+ * Compares what a guest typed with the accepted answers: whole words only, not
+ * after a negation, allowing one typo in longer answers and telling "close"
+ * attempts apart. Works on plain answers (drafts) and on sealed locks, where
+ * the guest's words and their one-typo variants are hashed instead.
+ */
+class AnswerMatcher {
+  /**
+   * @param {Object} [options]
+   * @param {Array<string>} [options.languages] - Keys of ANSWER_LANGUAGES whose negations apply
+   */
+  constructor({ languages = CONFIG.ANSWER_LANGUAGES } = {}) {
+    this.negations = new Set(languages.flatMap(language =>
+      (ANSWER_LANGUAGES[language]?.negations || []).map(word => this.fold(word))
+    ));
+    this.links = new Set(languages.flatMap(language =>
+      (ANSWER_LANGUAGES[language]?.links || []).map(word => this.fold(word))
+    ));
+  }
+
+  /**
+   * @param {Array<string>|Object} answers - List, or lists per language
+   * @returns {Array<string>}
+   */
+  static getAnswerList(answers) {
+    if (Array.isArray(answers)) return answers;
+    return Object.values(answers || {}).flat();
+  }
+
+  /**
+   * @param {string} word - Normalized word
+   * @returns {string}
+   */
+  fold(word) {
+    return ANSWER_SOUND_ALIKE.reduce((folded, [pattern, replacement]) => folded.replace(pattern, replacement), word);
+  }
+
+  /**
+   * @param {string} text - Any text
+   * @returns {Array<Array<string>>} Folded words, per clause ("No, es fake" is two clauses)
+   */
+  getClauses(text) {
+    return normalizeAnswer(text)
+      .replace(/['’´`]/g, '') // isn't -> isnt
+      .split(/[.,;:!?¿¡()]+/)
+      .map(clause => clause.split(/[^a-z0-9]+/).filter(Boolean).map(word => this.fold(word)))
+      .filter(words => words.length);
+  }
+
+  /**
+   * @param {string} answer - Accepted answer
+   * @returns {string} Comparison key
+   */
+  toKey(answer) {
+    return this.getClauses(answer).flat().join(' ');
+  }
+
+  /**
+   * @param {Array<string>} clause - Folded words
+   * @param {number} start - Index of the first word of a run
+   * @returns {boolean} Whether a negation sits right before the run, or before a copula or article in front of it
+   */
+  isNegated(clause, start) {
+    let index = start - 1;
+    while (index >= 0 && this.links.has(clause[index]) && !this.negations.has(clause[index])) index--;
+    return index >= 0 && this.negations.has(clause[index]);
+  }
+
+  /**
+   * Runs of up to CONFIG.ANSWER_MAX_WORDS words not negated (see isNegated), plus the whole text
+   * @param {string} text - Guest answer
+   * @returns {{keys: Array<string>, words: Array<string>}} Candidate keys, and the single words among them
+   */
+  getCandidates(text) {
+    const keys = new Set();
+    const words = new Set();
+    const clauses = this.getClauses(text);
+
+    clauses.forEach(clause => {
+      clause.forEach((word, start) => {
+        if (this.isNegated(clause, start)) return;
+        words.add(word);
+        for (let length = 1; length <= CONFIG.ANSWER_MAX_WORDS && start + length <= clause.length; length++) {
+          keys.add(clause.slice(start, start + length).join(' '));
+        }
+      });
+    });
+    // Long accepted answers ("en la furgo de la -3") can only match as a whole
+    const whole = clauses.flat().join(' ');
+    if (whole && !this.negations.has(clauses[0]?.[0])) keys.add(whole);
+
+    return { keys: [...keys], words: [...words] };
+  }
+
+  /**
+   * Every key one edit away (delete, replace, insert, swap) that is long enough to allow typos
+   * @param {string} key - Folded word
+   * @returns {Array<string>}
+   */
+  getTypoVariants(key) {
+    const variants = new Set();
+    for (let i = 0; i <= key.length; i++) {
+      const head = key.slice(0, i);
+      const tail = key.slice(i);
+      if (tail) variants.add(head + tail.slice(1));
+      if (tail.length > 1) variants.add(head + tail[1] + tail[0] + tail.slice(2));
+      for (const letter of ANSWER_ALPHABET) {
+        if (tail) variants.add(head + letter + tail.slice(1));
+        variants.add(head + letter + tail);
+      }
+    }
+    variants.delete(key);
+    return [...variants].filter(variant => variant.length >= CONFIG.ANSWER_TYPO_MIN_LENGTH);
+  }
+
+  /**
+   * @param {string} key - Folded word or phrase
+   * @returns {Array<string>} The key with one character removed, every way
+   */
+  getDeletions(key) {
+    const deletions = new Set();
+    for (let i = 0; i < key.length; i++) deletions.add(key.slice(0, i) + key.slice(i + 1));
+    return [...deletions];
+  }
+
+  /**
+   * @param {string} key - Folded word or phrase
+   * @returns {Array<string>} The key and the key with one or two characters removed
+   */
+  getDeletionNeighbourhood(key) {
+    const neighbourhood = new Set([key]);
+    this.getDeletions(key).forEach(deletion => {
+      neighbourhood.add(deletion);
+      this.getDeletions(deletion).forEach(second => neighbourhood.add(second));
+    });
+    return [...neighbourhood];
+  }
+
+  /**
+   * Optimal string alignment distance (Levenshtein plus swapped neighbours)
+   * @param {string} a
+   * @param {string} b
+   * @returns {number}
+   */
+  distance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+        }
+      }
+    }
+    return rows[a.length][b.length];
+  }
+
+  /**
+   * Compare with plain accepted answers (draft questions)
+   * @param {string} text - Guest answer
+   * @param {Array<string>|Object} answers - Accepted answers
+   * @returns {'correct'|'close'|null}
+   */
+  match(text, answers) {
+    const accepted = AnswerMatcher.getAnswerList(answers).map(answer => this.toKey(answer)).filter(Boolean);
+    const { keys } = this.getCandidates(text);
+    let close = false;
+
+    for (const key of keys) {
+      for (const answer of accepted) {
+        if (key === answer) return 'correct';
+        if (answer.length < CONFIG.ANSWER_TYPO_MIN_LENGTH) continue;
+        const distance = this.distance(key, answer);
+        if (distance === 1) return 'correct';
+        if (distance === 2) close = true;
+      }
+    }
+    return close ? 'close' : null;
+  }
+
+  /**
+   * Seal accepted answers: an answer lock (see createAnswerLock) plus short hashes of the
+   * answers and of them with one or two letters removed, which only tell a guest they are close
+   * @param {string} salt - Random
+   * @param {string|number} scope - Question the lock belongs to
+   * @param {Array<string>|Object} answers - Accepted answers
+   * @param {string} secret - Hex secret
+   * @returns {Promise<{lock: Array<Object>, near: Array<string>}>}
+   */
+  async createLock(salt, scope, answers, secret) {
+    const keys = [...new Set(AnswerMatcher.getAnswerList(answers).map(answer => this.toKey(answer)).filter(Boolean))];
+    const nearKeys = new Set(keys
+      .filter(key => key.length >= CONFIG.ANSWER_TYPO_MIN_LENGTH)
+      .flatMap(key => this.getDeletionNeighbourhood(key)));
+
+    return {
+      lock: await createAnswerLock(salt, scope, keys, secret),
+      near: shuffle(await Promise.all([...nearKeys].map(key => this.getNearHash(salt, scope, key))))
+    };
+  }
+
+  /**
+   * @returns {Promise<string>} Truncated: these only say "close", they unlock nothing
+   */
+  async getNearHash(salt, scope, key) {
+    return (await sha256Hex(`${salt}|${scope}|near|${key}`)).slice(0, 16);
+  }
+
+  /**
+   * @param {string} text - Guest answer
+   * @param {string} salt - From createLock()
+   * @param {string|number} scope - From createLock()
+   * @param {Array<Object>} lock - From createLock()
+   * @param {Array<string>} [near] - From createLock()
+   * @returns {Promise<{secret: string|null, close: boolean}>}
+   */
+  async openLock(text, salt, scope, lock, near = []) {
+    const answer = String(text).trim().slice(0, CONFIG.ANSWER_MAX_LENGTH);
+    const { keys, words } = this.getCandidates(answer);
+    const tryKeys = async (candidates) => {
+      const secrets = await Promise.all(candidates.map(key => openAnswerLock(salt, scope, key, lock)));
+      return secrets.find(Boolean) || null;
+    };
+
+    const exact = await tryKeys(keys);
+    if (exact) return { secret: exact, close: false };
+    if (answer.length > CONFIG.ANSWER_TYPO_MAX_LENGTH) return { secret: null, close: false };
+
+    // One typo away only for words that could be a long answer
+    const secret = await tryKeys([...new Set(words
+      .filter(word => word.length >= CONFIG.ANSWER_TYPO_MIN_LENGTH - 1)
+      .flatMap(word => this.getTypoVariants(word)))]);
+    if (secret) return { secret, close: false };
+
+    // Close: the word and an accepted answer meet after removing up to two letters from each.
+    // That covers every answer two edits away, as match() does with plain answers (two missing,
+    // extra or wrong letters); a few answers three or four edits away count as close too
+    const nearKeys = new Set();
+    [...words, keys[keys.length - 1]].filter(Boolean).forEach(key => {
+      this.getDeletionNeighbourhood(key).forEach(variant => nearKeys.add(variant));
+    });
+    const nearHashes = new Set(near);
+    const hashes = await Promise.all([...nearKeys].map(key => this.getNearHash(salt, scope, key)));
+    return { secret: null, close: hashes.some(hash => nearHashes.has(hash)) };
+  }
+}
+
+const answerMatcher = new AnswerMatcher();
+
+/**
+ * ========================================================================
+ * PUZZLE SYSTEM - Data-driven puzzles that unlock secret galleries
+ * ========================================================================
+ */
+
+/**
+ * Question types, keyed by the "type" of a question in content.json (default
+ * "single"). Each type renders its answer UI into the question element and
+ * reads/restores the answer as plain JSON for the saved progress.
+ *
+ * Answers are checked in one of two ways:
+ * - Draft questions (admin preview) carry the solution below and use check().
+ * - Published questions are sealed (see PuzzleSystem.seal): seal() strips the
+ *   solution and lists every accepted answer key, and getAnswerKey() turns the
+ *   guest's answer into the same key so it can be tested against the lock.
+ *   Types marked "freeText" list accepted answers instead and are compared by
+ *   AnswerMatcher, which also reports answers that are close (isClose() in drafts).
+ *
+ *   single   { options: [{ label, image? }], correct: 1 }
+ *   multi    { options: [{ label, image? }], correct: [0, 2] }   all of them and nothing else
+ *   text     { answers: ['Lugo'] or { es: [], en: [] }, placeholder? }   see AnswerMatcher
+ *   order    { items: [{ label, image? }] }                       listed in the right order, shown shuffled
+ *   match    { pairs: [{ image, label }] }                        pick the label of every photo
+ *   hotspot  { image, alt?, hotspot: { x, y, radius } }           percentages of the image width/height
+ *
+ * Any question may also have "hints" (shown one at a time after a failed check)
+ * and an "explanation" (shown once the puzzle is solved; sealed with the photos).
+ * Texts, labels, hints and explanations may be per-language objects (see
+ * I18n.localize); answer keys are built from the default-language labels.
+ *
+ * Add an entry here to support a new kind of question.
+ */
+const PUZZLE_QUESTION_TYPES = {
+  single: {
+    render(question, element, puzzle) {
+      element.appendChild(puzzle.createOptions(question.options, (option) => {
+        element.querySelectorAll('.question-option').forEach(sibling => sibling.classList.remove('selected'));
+        option.classList.add('selected');
+      }));
+    },
+    check(question, element) {
+      return this.getAnswerKey(question, element) === String(question.correct);
+    },
+    getAnswerKey(question, element) {
+      const answer = this.getAnswer(element);
+      return answer === null ? null : String(answer);
+    },
+    seal({ correct, ...question }) {
+      return { question, keys: [String(Number(correct))] };
+    },
+    getAnswer(element) {
+      const selected = element.querySelector('.question-option.selected');
+      return selected ? Number(selected.getAttribute('data-index')) : null;
+    },
+    setAnswer(element, answer) {
+      element.querySelector(`.question-option[data-index="${Number(answer)}"]`)?.classList.add('selected');
+    }
+  },
+
+  multi: {
+    render(question, element, puzzle) {
+      const hint = document.createElement('p');
+      hint.className = 'question-hint';
+      hint.textContent = i18n.t('puzzle.multipleAnswers');
+      element.append(hint, puzzle.createOptions(question.options, (option) => {
+        option.classList.toggle('selected');
+      }));
+    },
+    check(question, element) {
+      return this.getAnswerKey(question, element) === this.toKey(question.correct);
+    },
+    getAnswerKey(question, element) {
+      const answer = this.getAnswer(element);
+      return answer.length ? this.toKey(answer) : null;
+    },
+    seal({ correct, ...question }) {
+      return { question, keys: [this.toKey(correct)] };
+    },
+    /**
+     * @param {number|Array<number>} indices - Chosen options
+     * @returns {string} Order-independent key, e.g. "0,2"
+     */
+    toKey(indices) {
+      return [].concat(indices).map(Number).sort((a, b) => a - b).join(',');
+    },
+    getAnswer(element) {
+      return Array.from(element.querySelectorAll('.question-option.selected'), option =>
+        Number(option.getAttribute('data-index'))
+      );
+    },
+    setAnswer(element, answer) {
+      [].concat(answer).forEach(index => {
+        element.querySelector(`.question-option[data-index="${Number(index)}"]`)?.classList.add('selected');
+      });
+    }
+  },
+
+  text: {
+    freeText: true,
+    render(question, element) {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'question-answer-input';
+      input.placeholder = i18n.localize(question.placeholder) || i18n.t('puzzle.answerPlaceholder');
+      input.autocomplete = 'off';
+      element.appendChild(input);
+    },
+    check(question, element) {
+      return answerMatcher.match(this.getAnswer(element), question.answers) === 'correct';
+    },
+    isClose(question, element) {
+      return answerMatcher.match(this.getAnswer(element), question.answers) === 'close';
+    },
+    seal({ answers, ...question }) {
+      return { question, keys: AnswerMatcher.getAnswerList(answers).filter(answer => normalizeAnswer(answer)) };
+    },
+    getAnswer(element) {
+      return element.querySelector('.question-answer-input').value;
+    },
+    setAnswer(element, answer) {
+      element.querySelector('.question-answer-input').value = String(answer);
+    }
+  },
+
+  order: {
+    render(question, element, puzzle) {
+      const list = document.createElement('ol');
+      list.className = 'question-order';
+
+      // Drafts list the items in the right order, so never start out solved
+      const items = question.items.map((item, index) => ({ ...item, index }));
+      let order = shuffle(items);
+      for (let attempt = 0; attempt < 10 && order.every((item, i) => item.index === i); attempt++) {
+        order = shuffle(items);
+      }
+
+      order.forEach(item => {
+        const row = document.createElement('li');
+        row.className = 'question-order-item';
+        row.draggable = true;
+        row.setAttribute('data-index', String(item.index));
+        const text = i18n.localize(item.label);
+        if (item.image) row.appendChild(puzzle.createImage(item.image, text, 'question-order-image'));
+        const label = document.createElement('span');
+        label.textContent = text;
+        row.appendChild(label);
+        row.insertAdjacentHTML('beforeend', `
+          <span class="question-order-moves">
+            <button type="button" data-move="-1" aria-label="${i18n.t('puzzle.moveUp')}">${iconMarkup('arrow-up')}</button>
+            <button type="button" data-move="1" aria-label="${i18n.t('puzzle.moveDown')}">${iconMarkup('arrow-down')}</button>
+          </span>`);
+        list.appendChild(row);
+      });
+
+      list.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-move]');
+        if (!button) return;
+        const row = button.closest('.question-order-item');
+        if (button.getAttribute('data-move') === '-1') {
+          row.previousElementSibling?.before(row);
+        } else {
+          row.nextElementSibling?.after(row);
+        }
+      });
+
+      // Drag to reorder
+      let dragged = null;
+      list.addEventListener('dragstart', (e) => {
+        dragged = e.target.closest('.question-order-item');
+        e.dataTransfer.effectAllowed = 'move';
+        dragged?.classList.add('dragging');
+      });
+      list.addEventListener('dragend', () => {
+        dragged?.classList.remove('dragging');
+        dragged = null;
+      });
+      list.addEventListener('dragover', (e) => {
+        const target = e.target.closest('.question-order-item');
+        if (!dragged || !target || target === dragged) return;
+        e.preventDefault();
+        const rect = target.getBoundingClientRect();
+        if (e.clientY > rect.top + rect.height / 2) {
+          target.after(dragged);
+        } else {
+          target.before(dragged);
+        }
+      });
+      list.addEventListener('drop', (e) => e.preventDefault());
+
+      element.appendChild(list);
+    },
+    check(question, element) {
+      return this.getAnswer(element).every((index, position) => index === position);
+    },
+    getAnswerKey(question, element) {
+      return this.getAnswer(element).map(index => getSourceText(question.items[index].label)).join('\n');
+    },
+    seal({ items, ...question }) {
+      // Published items are stored shuffled, the key keeps the right order
+      return {
+        question: { ...question, items: shuffle(items) },
+        keys: [items.map(item => getSourceText(item.label)).join('\n')]
+      };
+    },
+    getAnswer(element) {
+      return Array.from(element.querySelectorAll('.question-order-item'), row => Number(row.getAttribute('data-index')));
+    },
+    setAnswer(element, answer) {
+      const list = element.querySelector('.question-order');
+      const rows = Array.from(list.children);
+      // Only a complete ordering of the same items (the question may have been edited since)
+      if (!Array.isArray(answer) || answer.length !== rows.length) return;
+      answer.forEach(index => {
+        const row = rows.find(item => Number(item.getAttribute('data-index')) === index);
+        if (row) list.appendChild(row);
+      });
+    }
+  },
+
+  match: {
+    render(question, element, puzzle) {
+      const grid = document.createElement('div');
+      grid.className = 'question-match';
+      const { images, labels } = this.getChoices(question);
+      const shuffledLabels = shuffle(labels.map((label, index) => ({ label, index })));
+
+      images.forEach((image, index) => {
+        const row = document.createElement('label');
+        row.className = 'question-match-item';
+        row.setAttribute('data-index', String(index));
+        row.appendChild(puzzle.createImage(image, '', 'question-match-image'));
+
+        const select = document.createElement('select');
+        select.className = 'question-match-select';
+        select.innerHTML = `<option value="">${i18n.t('puzzle.choose')}</option>`;
+        shuffledLabels.forEach(({ label, index: value }) => {
+          const option = document.createElement('option');
+          option.value = String(value);
+          option.textContent = i18n.localize(label);
+          select.appendChild(option);
+        });
+        row.appendChild(select);
+        grid.appendChild(row);
+      });
+
+      element.appendChild(grid);
+    },
+    /**
+     * Drafts pair every photo with its label; sealed questions list them apart
+     * @param {Object} question
+     * @returns {{images: Array<string>, labels: Array<string>}}
+     */
+    getChoices(question) {
+      if (question.pairs) {
+        return { images: question.pairs.map(pair => pair.image), labels: question.pairs.map(pair => pair.label) };
+      }
+      return { images: question.images || [], labels: question.labels || [] };
+    },
+    check(question, element) {
+      // Labels may repeat, so compare the chosen labels rather than the pairs
+      return this.getAnswerKey(question, element) === question.pairs.map(pair => getSourceText(pair.label)).join('\n');
+    },
+    getAnswerKey(question, element) {
+      const { labels } = this.getChoices(question);
+      const chosen = this.getAnswer(element);
+      if (chosen.some(value => value === '')) return null;
+      return chosen.map(value => getSourceText(labels[Number(value)])).join('\n');
+    },
+    seal({ pairs, ...question }) {
+      return {
+        question: { ...question, images: pairs.map(pair => pair.image), labels: shuffle(pairs.map(pair => pair.label)) },
+        keys: [pairs.map(pair => getSourceText(pair.label)).join('\n')]
+      };
+    },
+    getAnswer(element) {
+      return Array.from(element.querySelectorAll('.question-match-select'), select => select.value);
+    },
+    setAnswer(element, answer) {
+      element.querySelectorAll('.question-match-select').forEach((select, index) => {
+        // Values missing from the select (edited question) leave it unanswered
+        if (Array.isArray(answer) && answer[index] !== undefined) select.value = String(answer[index]);
+      });
+    }
+  },
+
+  hotspot: {
+    render(question, element, puzzle) {
+      const area = document.createElement('div');
+      area.className = 'question-hotspot';
+      const marker = document.createElement('span');
+      marker.className = 'hotspot-marker';
+      marker.hidden = true;
+      area.append(puzzle.createImage(question.image, i18n.localize(question.alt) || '', 'question-hotspot-image'), marker);
+
+      area.addEventListener('click', (e) => {
+        const rect = area.getBoundingClientRect();
+        if (!rect.width || !rect.height) return;
+        this.setAnswer(element, {
+          x: ((e.clientX - rect.left) / rect.width) * 100,
+          y: ((e.clientY - rect.top) / rect.height) * 100
+        });
+      });
+
+      element.appendChild(area);
+    },
+    check(question, element) {
+      const answer = this.getAnswer(element);
+      if (!answer) return false;
+      const { x, y, radius = 10 } = question.hotspot;
+      // Radius is a percentage of the width, so scale vertical distances to match
+      const rect = element.querySelector('.question-hotspot').getBoundingClientRect();
+      const aspect = rect.width ? rect.height / rect.width : 1;
+      return Math.hypot(answer.x - x, (answer.y - y) * aspect) <= radius;
+    },
+    /**
+     * Sealed hotspots can't measure distances, so the image is split in a grid
+     * and the key is the cell that was clicked
+     */
+    getAnswerKey(question, element) {
+      const answer = this.getAnswer(element);
+      if (!answer) return null;
+      const grid = question.grid || CONFIG.PUZZLE_HOTSPOT_GRID;
+      const cell = (value) => Math.min(grid - 1, Math.floor((value / 100) * grid));
+      return `${cell(answer.x)},${cell(answer.y)}`;
+    },
+    seal({ hotspot, ...question }) {
+      const grid = CONFIG.PUZZLE_HOTSPOT_GRID;
+      const { x, y, radius = 10 } = hotspot;
+      const size = 100 / grid;
+      const keys = [];
+      // Every cell whose centre lies inside the circle, plus the one under its centre
+      for (let column = 0; column < grid; column++) {
+        for (let row = 0; row < grid; row++) {
+          if (Math.hypot((column + 0.5) * size - x, (row + 0.5) * size - y) <= radius) keys.push(`${column},${row}`);
+        }
+      }
+      keys.push(`${Math.min(grid - 1, Math.floor(x / size))},${Math.min(grid - 1, Math.floor(y / size))}`);
+      return { question: { ...question, grid }, keys };
+    },
+    getAnswer(element) {
+      const area = element.querySelector('.question-hotspot');
+      if (!area.hasAttribute('data-x')) return null;
+      return { x: Number(area.getAttribute('data-x')), y: Number(area.getAttribute('data-y')) };
+    },
+    setAnswer(element, answer) {
+      const area = element.querySelector('.question-hotspot');
+      const marker = area.querySelector('.hotspot-marker');
+      area.setAttribute('data-x', Number(answer.x).toFixed(2));
+      area.setAttribute('data-y', Number(answer.y).toFixed(2));
+      marker.style.left = `${answer.x}%`;
+      marker.style.top = `${answer.y}%`;
+      marker.hidden = false;
+    }
+  }
+};
+
+/**
+ * One puzzle from content.json: renders its own section with the questions
+ * and the secret gallery it unlocks (filled by SimplifiedGallerySystem through
+ * data-gallery-target).
+ */
+class PuzzleSystem {
+  /**
+   * @param {Object} puzzle - { id, gallery, title, description, successTitle, successText,
+   *   failureTitle, failureText, galleryTitle, galleryText, galleryLayout, questions }
+   * @param {Object} [options]
+   * @param {number} [options.firstNumber=1] - Number shown on the first question (puzzles continue the count)
+   * @param {ProgressStore} [options.progress] - Saves answers and the solved state across visits
+   * @param {Function} [options.onChange] - Called after every check or hint, e.g. to update the results
+   */
+  constructor(puzzle, { firstNumber = 1, progress = null, onChange = null } = {}) {
+    this.puzzle = puzzle;
+    this.puzzleId = puzzle.id; // Key of this puzzle in content.json
+    this.firstNumber = firstNumber;
+    this.progress = progress;
+    this.onChange = onChange;
+    this.questions = []; // [{ question, element, type, index }]
+    this.stats = { failedAttempts: 0, hintsUsed: [], startedAt: null, solvedAt: null };
+    this.solved = false;
+    this.restored = Promise.resolve(); // Settles once a puzzle solved on a previous visit is open again
+
+    this.section = this.render();
+    this.questionsContainer = this.section.querySelector('.puzzle-questions');
+    this.successElement = this.section.querySelector('.puzzle-success');
+    this.failureElement = this.section.querySelector('.puzzle-failure');
+    this.galleryElement = this.section.querySelector('.secret-gallery');
+    this.checkButton = this.section.querySelector('.check-answers-btn');
+    this.checkError = this.section.querySelector('.puzzle-check-error');
+    this.scoreElement = this.section.querySelector('.puzzle-score');
+
+    this.initialize();
+  }
+
+  /**
+   * Published form of a draft puzzle: solutions replaced by answer locks, and the
+   * photos of its secret gallery (plus the explanations, which tend to give the
+   * answers away) encrypted with a key only the right answers rebuild
+   * @param {Object} puzzle - Draft puzzle with solutions (see PUZZLE_QUESTION_TYPES)
+   * @param {Object} fragment - Manifest fragment { baseUrl, items } of its secret gallery
+   * @returns {Promise<Object>} Puzzle to publish in content.json
+   */
+  static async seal(puzzle, fragment) {
+    const questions = puzzle.questions || [];
+    if (!questions.length) throw new Error(i18n.t('admin.seal.noQuestions', { puzzle: puzzle.id }));
+
+    const salt = randomHex();
+    const secrets = questions.map(() => randomHex(32));
+    const sealed = await Promise.all(questions.map(async (draft, index) => {
+      const type = PUZZLE_QUESTION_TYPES[draft.type || 'single'];
+      if (!type) throw new Error(i18n.t('admin.seal.unknownType', { type: draft.type }));
+      const { question, keys } = type.seal(draft);
+      if (!keys.length) throw new Error(i18n.t('admin.seal.noAnswer', { number: index + 1, puzzle: puzzle.id }));
+      delete question.explanation;
+      if (type.freeText) return { ...question, ...await answerMatcher.createLock(salt, index, keys, secrets[index]) };
+      return { ...question, lock: await createAnswerLock(salt, index, keys, secrets[index]) };
+    }));
+    const explanations = questions.map(question => question.explanation || null);
+
+    return {
+      ...puzzle,
+      questions: sealed,
+      seal: { salt, vault: await encryptVault({ ...fragment, explanations }, secrets) }
+    };
+  }
+
+  initialize() {
+    this.setQuestions(this.puzzle.questions || []);
+    this.restoreProgress();
+    this.updateHints();
+
+    this.checkButton.addEventListener('click', () => {
+      this.setCheckError('');
+      this.validateAnswers().catch(error => {
+        // WebCrypto only exists on HTTPS or localhost, not on the upload server's LAN address
+        console.error('Could not check the answers of puzzle:', this.puzzleId, error);
+        this.setCheckError(i18n.t(crypto.subtle ? 'answer.checkFailed' : 'answer.cryptoUnavailable'));
+      });
+    });
+
+    this.questionsContainer.addEventListener('click', (e) => {
+      const button = e.target.closest('.question-hint-btn');
+      if (button) this.showNextHint(Number(button.closest('.puzzle-question').getAttribute('data-question')));
+    });
+
+    // Question types update their own UI first; save whatever the guest answered
+    ['click', 'input', 'change', 'dragend'].forEach(type => {
+      this.questionsContainer.addEventListener(type, (e) => {
+        if (!e.target.closest('.question-hints')) this.saveAnswers();
+      });
+    });
+  }
+
+  /**
+   * @returns {HTMLElement} Puzzle section (not yet attached to the page)
+   */
+  render() {
+    const puzzle = this.puzzle;
+    const section = document.createElement('section');
+    section.className = 'section puzzle-section';
+    section.id = this.puzzleId;
+    section.innerHTML = `
+      <div class="container">
+        <div class="puzzle-container">
+          ${iconMarkup('lock', 'lock-icon')}
+          <h2 class="puzzle-title"></h2>
+          <p class="puzzle-description"></p>
+          <div class="puzzle-questions"></div>
+          <button class="check-answers-btn" type="button">${i18n.t('puzzle.check')}</button>
+          <p class="question-feedback puzzle-check-error" role="alert" hidden></p>
+          <div class="puzzle-result puzzle-success"><h3></h3><p></p><p class="puzzle-score"></p></div>
+          <div class="puzzle-result puzzle-failure"><h3></h3><p></p></div>
+          <div class="secret-gallery">
+            <h3 class="secret-gallery-heading"></h3>
+            <p class="text-center"></p>
+            <div class="secret-gallery-container"></div>
+          </div>
+        </div>
+      </div>`;
+
+    const setText = (selector, value) => {
+      const element = section.querySelector(selector);
+      const text = i18n.localize(value);
+      element.textContent = text || '';
+      element.hidden = !text;
+    };
+    setText('.puzzle-title', puzzle.title || i18n.t('puzzle.defaultTitle'));
+    setText('.puzzle-description', puzzle.description);
+    setText('.puzzle-success h3', puzzle.successTitle || i18n.t('puzzle.successTitle'));
+    setText('.puzzle-success p:not(.puzzle-score)', puzzle.successText);
+    setText('.puzzle-failure h3', puzzle.failureTitle || i18n.t('puzzle.failureTitle'));
+    setText('.puzzle-failure p', puzzle.failureText ?? i18n.t('puzzle.failureText'));
+    setText('.secret-gallery-heading', puzzle.galleryTitle || i18n.t('puzzle.galleryTitle'));
+    setText('.secret-gallery .text-center', puzzle.galleryText);
+
+    const container = section.querySelector('.secret-gallery-container');
+    container.setAttribute('data-gallery-target', puzzle.gallery || '');
+    container.classList.toggle('video-gallery-container', puzzle.galleryLayout === 'video');
+
+    return section;
+  }
+
+  /**
+   * Render the questions from site content
+   * @param {Array<Object>} questions - See PUZZLE_QUESTION_TYPES
+   */
+  setQuestions(questions) {
+    this.questionsContainer.innerHTML = '';
+    this.questions = [];
+
+    questions.forEach((question, index) => {
+      const type = PUZZLE_QUESTION_TYPES[question.type || 'single'];
+      if (!type) {
+        console.warn(`Unknown question type "${question.type}" in puzzle:`, this.puzzleId);
+        return;
+      }
+      const element = this.createQuestion(question, this.firstNumber + index, type);
+      element.setAttribute('data-question', String(index));
+      this.questionsContainer.appendChild(element);
+      this.questions.push({ question, element, type, index });
+    });
+
+    // A fresh set of questions starts unanswered
+    this.successElement.style.display = 'none';
+    this.failureElement.style.display = 'none';
+  }
+
+  /**
+   * @param {Object} question - Question from content.json
+   * @param {number} number - Displayed question number
+   * @param {Object} type - Entry of PUZZLE_QUESTION_TYPES
+   * @returns {HTMLElement}
+   */
+  createQuestion(question, number, type) {
+    const element = document.createElement('div');
+    element.className = 'puzzle-question';
+    element.setAttribute('data-type', question.type || 'single');
+
+    const text = document.createElement('p');
+    text.className = 'question-text';
+    text.textContent = `${number}. ${i18n.localize(question.text)}`;
+    element.appendChild(text);
+
+    type.render(question, element, this);
+
+    if (this.getHints(question).length) {
+      const hints = document.createElement('div');
+      hints.className = 'question-hints';
+      hints.innerHTML = `
+        <ol class="question-hint-list"></ol>
+        <button type="button" class="question-hint-btn" hidden>${iconMarkup('lightbulb')} <span></span></button>`;
+      element.appendChild(hints);
+    }
+    return element;
+  }
+
+  /**
+   * Clickable choices shared by the option-based question types
+   * @param {Array<Object>} options - [{ label, image? }]
+   * @param {Function} onSelect - Called with the clicked option element
+   * @returns {HTMLElement}
+   */
+  createOptions(options, onSelect) {
+    const list = document.createElement('div');
+    list.className = 'question-options';
+    options.forEach((option, index) => {
+      const optionElement = document.createElement('div');
+      optionElement.className = 'question-option';
+      optionElement.setAttribute('data-index', String(index));
+
+      const label = i18n.localize(option.label);
+      if (option.image) {
+        optionElement.appendChild(this.createImage(option.image, label, 'option-image'));
+      } else {
+        optionElement.textContent = label;
+      }
+      list.appendChild(optionElement);
+    });
+
+    list.addEventListener('click', (e) => {
+      const option = e.target.closest('.question-option');
+      if (option) onSelect(option);
+    });
+    return list;
+  }
+
+  /**
+   * @param {string} src - Image URL
+   * @param {string} alt - Alternative text
+   * @param {string} className - Image class name
+   * @returns {HTMLImageElement}
+   */
+  createImage(src, alt, className) {
+    const image = document.createElement('img');
+    image.src = src;
+    image.alt = alt || '';
+    image.className = className;
+    image.loading = 'lazy';
+    image.draggable = false;
+    return image;
+  }
+
+  /**
+   * @returns {Array} Current answer of every question (see PUZZLE_QUESTION_TYPES getAnswer)
+   */
+  getAnswers() {
+    return this.questions.map(({ element, type }) => type.getAnswer(element));
+  }
+
+  saveAnswers() {
+    // The clock for the score starts with the first answer, not when the page opens
+    if (!this.stats.startedAt) this.stats.startedAt = new Date().toISOString();
+    this.progress?.updatePuzzle(this.puzzleId, { answers: this.getAnswers(), startedAt: this.stats.startedAt });
+  }
+
+  // ---- Hints and score ------------------------------------------------------
+
+  /**
+   * @param {Object} question - Question from content.json
+   * @returns {Array<string>} Its hints in the page language
+   */
+  getHints(question) {
+    const hints = i18n.localize(question.hints);
+    return Array.isArray(hints) ? hints : [];
+  }
+
+  /**
+   * Show the hint button of every question that has hints left, once the guest has failed enough
+   */
+  updateHints() {
+    const available = !this.solved && this.stats.failedAttempts >= CONFIG.PUZZLE_HINTS_AFTER_ATTEMPTS;
+
+    this.questions.forEach(({ question, element, index }) => {
+      const container = element.querySelector('.question-hints');
+      if (!container) return;
+      const hints = this.getHints(question);
+      const used = Math.min(this.stats.hintsUsed[index] || 0, hints.length);
+
+      const list = container.querySelector('.question-hint-list');
+      list.innerHTML = '';
+      hints.slice(0, used).forEach(hint => {
+        const item = document.createElement('li');
+        item.textContent = hint;
+        list.appendChild(item);
+      });
+
+      const button = container.querySelector('.question-hint-btn');
+      button.hidden = !available || used >= hints.length;
+      button.querySelector('span').textContent = i18n.t('puzzle.showHint', { current: used + 1, total: hints.length });
+    });
+  }
+
+  /**
+   * @param {number} index - Question index within the puzzle
+   */
+  showNextHint(index) {
+    const hintsUsed = [...this.stats.hintsUsed];
+    hintsUsed[index] = (hintsUsed[index] || 0) + 1;
+    this.stats.hintsUsed = hintsUsed;
+    this.progress?.updatePuzzle(this.puzzleId, { hintsUsed });
+    this.updateHints();
+    this.onChange?.(this);
+  }
+
+  /**
+   * @returns {Object} { id, title, solved, score, failedAttempts, hints, seconds }; score and
+   *   seconds are null until solved
+   */
+  getResult() {
+    const { failedAttempts, hintsUsed, startedAt, solvedAt } = this.stats;
+    const hints = hintsUsed.reduce((sum, used) => sum + (used || 0), 0);
+    const result = {
+      id: this.puzzleId,
+      title: i18n.localize(this.puzzle.title) || i18n.t('puzzle.defaultTitle'),
+      solved: this.solved,
+      score: null,
+      failedAttempts,
+      hints,
+      seconds: null
+    };
+    if (!this.solved || !solvedAt) return result;
+
+    result.seconds = Math.max(0, (Date.parse(solvedAt) - Date.parse(startedAt || solvedAt)) / 1000);
+    const timePenalty = Math.min(
+      Math.floor(result.seconds / 60) * CONFIG.PUZZLE_SCORE_MINUTE_PENALTY,
+      CONFIG.PUZZLE_SCORE_MAX_TIME_PENALTY
+    );
+    result.score = Math.max(
+      CONFIG.PUZZLE_SCORE_MINIMUM,
+      CONFIG.PUZZLE_SCORE_BASE
+        - failedAttempts * CONFIG.PUZZLE_SCORE_ATTEMPT_PENALTY
+        - hints * CONFIG.PUZZLE_SCORE_HINT_PENALTY
+        - timePenalty
+    );
+    return result;
+  }
+
+  /**
+   * @param {Object} result - From getResult()
+   * @returns {string} e.g. "850 puntos · 1 intento fallido · 0 pistas · 1:32"
+   */
+  static formatResult(result) {
+    return [
+      i18n.t('result.points', { count: result.score }),
+      i18n.t('result.failedAttempts', { count: result.failedAttempts }),
+      i18n.t('result.hints', { count: result.hints }),
+      formatTime(result.seconds)
+    ].join(' · ');
+  }
+
+  /**
+   * Put back the answers of a previous visit and re-open a solved puzzle
+   */
+  restoreProgress() {
+    if (!this.progress) return;
+    const saved = this.progress.getPuzzle(this.puzzleId);
+    const { failedAttempts, hintsUsed, startedAt, solvedAt } = saved;
+    this.stats = { failedAttempts, hintsUsed, startedAt, solvedAt };
+
+    saved.answers.forEach((answer, index) => {
+      const entry = this.questions[index];
+      if (!entry || answer === null || answer === undefined) return;
+      try {
+        entry.type.setAnswer(entry.element, answer);
+      } catch (error) {
+        console.warn(`Could not restore answer ${index + 1} of puzzle:`, this.puzzleId, error);
+      }
+    });
+
+    // Sealed puzzles need the answers again to open their gallery
+    if (saved.solved) this.restored = this.validateAnswers({ restored: true });
+  }
+
+  /**
+   * Flag every question as correct, close or incorrect
+   * @returns {Promise<{allCorrect: boolean, secrets: Array<string>}>} Secrets opened by a sealed puzzle
+   */
+  async markAnswers() {
+    const seal = this.puzzle.seal;
+    const secrets = [];
+
+    const results = await Promise.all(this.questions.map(async ({ question, element, type, index }) => {
+      if (!seal) {
+        const correct = type.check(question, element);
+        return { correct, close: !correct && !!type.isClose?.(question, element) };
+      }
+
+      if (type.freeText) {
+        const { secret, close } = await answerMatcher.openLock(type.getAnswer(element), seal.salt, index, question.lock, question.near);
+        secrets[index] = secret;
+        return { correct: !!secret, close };
+      }
+
+      const answerKey = type.getAnswerKey(question, element);
+      const secret = answerKey === null ? null : await openAnswerLock(seal.salt, index, answerKey, question.lock);
+      secrets[index] = secret;
+      return { correct: !!secret, close: false };
+    }));
+
+    this.questions.forEach(({ element }, i) => {
+      const { correct, close } = results[i];
+      element.classList.toggle('correct', correct);
+      element.classList.toggle('incorrect', !correct);
+      this.showCloseFeedback(element, close);
+    });
+
+    return { allCorrect: results.every(result => result.correct), secrets };
+  }
+
+  /**
+   * @param {string} text - Message under the check button, empty to clear it
+   */
+  setCheckError(text) {
+    this.checkError.textContent = text;
+    this.checkError.hidden = !text;
+  }
+
+  /**
+   * "Almost" note under a free-text answer that is a typo or two away
+   * @param {HTMLElement} element - Question element
+   * @param {boolean} close
+   */
+  showCloseFeedback(element, close) {
+    let feedback = element.querySelector('.question-feedback');
+    if (!close) {
+      feedback?.remove();
+      return;
+    }
+    if (!feedback) {
+      feedback = document.createElement('p');
+      feedback.className = 'question-feedback';
+      feedback.setAttribute('role', 'status');
+      element.querySelector('.question-answer-input')?.after(feedback);
+    }
+    feedback.textContent = i18n.t('answer.close');
+  }
+
+  /**
+   * Open the encrypted secret gallery of a sealed puzzle and hand it to the gallery
+   * @param {Array<string>} secrets - One per question, from markAnswers()
+   * @returns {Promise<Object|null>} { items, explanations }, or null if the vault can't be opened
+   */
+  async openVault(secrets) {
+    if (!this.puzzle.seal) {
+      // Draft puzzles keep their photos in the manifest and the explanations in the questions
+      return { items: [], explanations: (this.puzzle.questions || []).map(question => question.explanation || null) };
+    }
+    try {
+      const vault = await decryptVault(this.puzzle.seal.vault, secrets);
+      window.gallerySystem?.addUnlockedEntries(vault);
+      return vault;
+    } catch (error) {
+      console.error('Could not open the secret gallery of puzzle:', this.puzzleId, error);
+      return null;
+    }
+  }
+
+  /**
+   * Show the explanation of every question that has one
+   * @param {Array<string|null>} explanations - Per question index
+   */
+  showExplanations(explanations = []) {
+    this.questions.forEach(({ element, index }) => {
+      element.querySelector('.question-explanation')?.remove();
+      if (!explanations[index]) return;
+      const explanation = document.createElement('p');
+      explanation.className = 'question-explanation';
+      explanation.textContent = i18n.localize(explanations[index]);
+      element.appendChild(explanation);
+    });
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.restored=false] - Re-opening a puzzle solved on a previous visit
+   */
+  async validateAnswers({ restored = false } = {}) {
+    const { allCorrect, secrets } = await this.markAnswers();
+    const vault = allCorrect ? await this.openVault(secrets) : null;
+    const solved = !!vault;
+    if (restored && !solved) return; // The puzzle changed since; the guest answers again
+
+    this.solved = solved; // Before saving, so progress listeners see the new result
+    if (!restored) {
+      const now = new Date().toISOString();
+      if (solved) {
+        this.stats.solvedAt = now;
+        this.stats.startedAt = this.stats.startedAt || now;
+      } else {
+        this.stats.failedAttempts++;
+      }
+      this.progress?.updatePuzzle(this.puzzleId, {
+        answers: this.getAnswers(),
+        solved,
+        ...this.stats
+      });
+    }
+
+    if (solved) this.showExplanations(vault.explanations);
+    this.showResult(solved, { restored });
+    this.updateHints();
+    this.onChange?.(this);
+  }
+
+  /**
+   * @param {boolean} success - Whether every answer is correct
+   * @param {Object} [options]
+   * @param {boolean} [options.restored=false] - Solved on a previous visit (no celebration)
+   */
+  showResult(success, { restored = false } = {}) {
+    if (success) {
+      this.successElement.style.display = 'block';
+      this.failureElement.style.display = 'none';
+      this.galleryElement.style.display = 'block';
+      this.checkButton.hidden = true; // Solved for good; the score stays as it is
+
+      const result = this.getResult();
+      this.scoreElement.textContent = result.score === null ? '' : PuzzleSystem.formatResult(result);
+      this.scoreElement.hidden = result.score === null;
+
+      // Reveal secret images with a staggered animation once the gallery is laid out
+      this.galleryElement.offsetHeight; // Force reflow
+
+      const secretImageContainers = this.galleryElement.querySelectorAll('.secret-image-container, .video-player-container');
+      secretImageContainers.forEach((container, index) => {
+        setTimeout(() => {
+          container.classList.add('revealed');
+        }, index * 200);
+      });
+
+      // Update modal system to include new items after their animations started
+      if (window.modalSystem) {
+        setTimeout(() => {
+          window.modalSystem.refreshMediaItems();
+        }, secretImageContainers.length * 200 + 300);
+      }
+
+      // Trigger confetti animation
+      if (!restored) {
+        celebration.fire({
+          particleCount: 150,
+          spread: 70,
+          origin: { y: 0.6 }
+        });
+      }
+    } else {
+      this.successElement.style.display = 'none';
+      this.failureElement.style.display = 'block';
+      this.galleryElement.style.display = 'none';
+    }
+  }
+}
+
+/**
+ * Renders every puzzle of the site content, in order, into one container,
+ * followed by a results summary the guest can share
+ */
+class PuzzleEngine {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.container] - Element the puzzle sections are rendered into
+   * @param {ProgressStore} [options.progress] - Guest progress shared by all puzzles
+   */
+  constructor({ container = '#puzzles-container', progress = null } = {}) {
+    this.container = document.querySelector(container);
+    this.progress = progress;
+    this.puzzles = []; // PuzzleSystem instances
+    this.resultsElement = null;
+    this.restored = Promise.resolve(); // Settles once solved puzzles have re-opened their secret galleries
+  }
+
+  /**
+   * Replace the rendered puzzles; question numbering continues from one puzzle to the next
+   * @param {Array<Object>} puzzles - content.json "puzzles"
+   */
+  setPuzzles(puzzles) {
+    if (!this.container) return;
+    this.container.innerHTML = '';
+    this.resultsElement = null;
+
+    let firstNumber = 1;
+    this.puzzles = puzzles.map(puzzle => {
+      const system = new PuzzleSystem(puzzle, {
+        firstNumber,
+        progress: this.progress,
+        onChange: () => this.updateResults()
+      });
+      firstNumber += system.questions.length;
+      this.container.appendChild(system.section);
+      return system;
+    });
+    this.restored = Promise.allSettled(this.puzzles.map(system => system.restored));
+
+    if (this.puzzles.length) {
+      this.resultsElement = this.renderResults();
+      this.container.appendChild(this.resultsElement);
+      this.updateResults();
+    }
+  }
+
+  /**
+   * @returns {HTMLElement} Results section, hidden until a puzzle is solved
+   */
+  renderResults() {
+    const section = document.createElement('section');
+    section.className = 'section puzzle-section puzzle-results';
+    section.hidden = true;
+    section.innerHTML = `
+      <div class="container">
+        <div class="puzzle-container puzzle-results-card">
+          <h2 class="puzzle-title">${i18n.t('results.title')}</h2>
+          <ul class="puzzle-results-list"></ul>
+          <p class="puzzle-results-total"></p>
+          <button type="button" class="check-answers-btn puzzle-results-share">
+            ${iconMarkup('share-nodes')} ${i18n.t('results.share')}
+          </button>
+          <p class="puzzle-results-status" aria-live="polite"></p>
+        </div>
+      </div>`;
+    section.querySelector('.puzzle-results-share').addEventListener('click', () => this.shareResults());
+    return section;
+  }
+
+  /**
+   * @returns {Array<Object>} PuzzleSystem.getResult() of every puzzle
+   */
+  getResults() {
+    return this.puzzles.map(puzzle => puzzle.getResult());
+  }
+
+  updateResults() {
+    if (!this.resultsElement) return;
+    const results = this.getResults();
+    const solved = results.filter(result => result.solved);
+    this.resultsElement.hidden = !solved.length;
+
+    const list = this.resultsElement.querySelector('.puzzle-results-list');
+    list.innerHTML = '';
+    results.forEach(result => {
+      const item = document.createElement('li');
+      item.className = result.solved ? 'solved' : 'pending';
+      const title = document.createElement('strong');
+      title.textContent = result.title;
+      const detail = document.createElement('span');
+      detail.textContent = result.score !== null
+        ? PuzzleSystem.formatResult(result)
+        : i18n.t(result.solved ? 'results.solved' : 'results.unsolved');
+      item.append(title, detail);
+      list.appendChild(item);
+    });
+
+    this.resultsElement.querySelector('.puzzle-results-total').textContent = i18n.t('results.total', {
+      solved: solved.length,
+      total: results.length,
+      points: i18n.t('result.points', { count: this.getTotalScore(results) })
+    });
+  }
+
+  /**
+   * @param {Array<Object>} results - From getResults()
+   * @returns {number}
+   */
+  getTotalScore(results) {
+    return results.reduce((sum, result) => sum + (result.score || 0), 0);
+  }
+
+  /**
+   * @returns {string} Plain-text summary for sharing
+   */
+  getSummaryText() {
+    const results = this.getResults();
+    const lines = results.map(result => (result.score !== null
+      ? `✅ ${result.title}: ${PuzzleSystem.formatResult(result)}`
+      : `${result.solved ? '✅' : '🔒'} ${result.title}`));
+    return [
+      i18n.t('results.summary', {
+        points: i18n.t('result.points', { count: this.getTotalScore(results) }),
+        site: document.title
+      }),
+      ...lines,
+      `${window.location.origin}${window.location.pathname}`
+    ].join('\n');
+  }
+
+  /**
+   * Share the summary with the Web Share API, or copy it
+   */
+  async shareResults() {
+    const text = this.getSummaryText();
+    const status = this.resultsElement.querySelector('.puzzle-results-status');
+
+    if (navigator.share) {
+      try {
+        await navigator.share({ title: document.title, text });
+        return;
+      } catch (error) {
+        if (error.name === 'AbortError') return; // The guest closed the share sheet
+        console.error('Share error:', error);
+      }
+    }
+
+    if (await copyText(text)) {
+      status.textContent = i18n.t('results.copied');
+    } else {
+      window.prompt(i18n.t('results.copyPrompt'), text);
+    }
+  }
+
+  /**
+   * @param {string} id - Puzzle id from content.json
+   * @returns {PuzzleSystem|null}
+   */
+  getPuzzle(id) {
+    return this.puzzles.find(puzzle => puzzle.puzzleId === id) || null;
+  }
+}
+
+/**
+ * ========================================================================
+ * BONUS SYSTEM CLASS
+ * ========================================================================
+ */
+class BonusSystem {
+  /**
+   * @param {ProgressStore} [progress] - Remembers the answer and failed attempts across visits
+   */
+  constructor(progress = null) {
+    this.progress = progress;
+    this.bonusButton = document.getElementById('bonus-button');
+    this.bonusContent = document.getElementById('bonus-content');
+    this.bonusForm = document.getElementById('bonus-form');
+    this.bonusAnswer = document.getElementById('bonus-answer');
+    this.bonusResult = document.getElementById('bonus-result');
+    this.bonusHint = document.querySelector('.bonus-hint');
+    this.bonusFeedback = document.getElementById('bonus-feedback');
+
+    this.failedAttempts = 0;
+    this.score = null; // Set when first solved
+    this.secret = null; // Decrypted vault, kept to re-render it in another language
+
+    this.initialize();
+  }
+
+  initialize() {
+    this.setupEventListeners();
+    this.restoreProgress();
+    i18n.onChange(() => {
+      this.setFeedback('');
+      if (this.secret) this.renderSecret(this.secret);
+    });
+  }
+
+  restoreProgress() {
+    if (!this.progress || !this.bonusAnswer) return;
+    const saved = this.progress.getBonus();
+
+    this.bonusAnswer.value = saved.answer;
+    this.failedAttempts = saved.failedAttempts;
+    this.score = saved.score;
+    if (this.failedAttempts >= 5 && this.bonusHint) {
+      this.bonusHint.classList.add('visible');
+    }
+    // The saved answer opens the secret again
+    if (saved.solved) this.checkAnswer({ restored: true });
+  }
+
+  setupEventListeners() {
+    // Toggle bonus content
+    this.bonusButton?.addEventListener('click', () => {
+      this.toggleContent();
+    });
+
+    // Handle form submission
+    this.bonusForm?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.checkAnswer().catch(error => {
+        console.error('Could not check the bonus answer:', error);
+        this.setFeedback(i18n.t(crypto.subtle ? 'answer.checkFailed' : 'answer.cryptoUnavailable'));
+      });
+    });
+  }
+
+  toggleContent() {
+    if (this.bonusContent) {
+      this.bonusContent.classList.toggle('revealed');
+    }
+  }
+
+  /**
+   * CONFIG.BONUS_SECRET for a set of accepted answers and the photos they reveal.
+   * In the browser console: copy(JSON.stringify(await BonusSystem.seal({ es: ['respuesta'] }, [{ src, alt, caption }])))
+   * @param {Array<string>|Object} answers - Accepted words, optionally per language (see AnswerMatcher)
+   * @param {Array<Object>} items - Photos shown when solved: { src, alt, caption }
+   * @returns {Promise<Object>} { salt, lock, near, vault }
+   */
+  static async seal(answers, items) {
+    const salt = randomHex();
+    const secret = randomHex(32);
+    const { lock, near } = await answerMatcher.createLock(salt, 'bonus', answers, secret);
+    if (!lock.length) throw new Error(i18n.t('admin.seal.noBonusAnswer'));
+    return {
+      salt,
+      lock,
+      near,
+      vault: await encryptVault({ items }, [secret])
+    };
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.restored=false] - Re-opening a bonus solved on a previous visit
+   */
+  async checkAnswer({ restored = false } = {}) {
+    const { salt, lock, near, vault } = CONFIG.BONUS_SECRET;
+    const { secret, close } = await answerMatcher.openLock(this.bonusAnswer.value, salt, 'bonus', lock, near);
+
+    let isCorrect = false;
+    if (secret) {
+      try {
+        this.renderSecret(await decryptVault(vault, [secret]));
+        isCorrect = true;
+      } catch (error) {
+        console.error('Could not open the bonus secret:', error);
+      }
+    }
+
+    if (restored) {
+      if (isCorrect) {
+        this.bonusContent?.classList.add('revealed');
+        this.showSuccessResult({ restored: true });
+      }
+      return;
+    }
+
+    this.setFeedback(!isCorrect && close ? i18n.t('answer.close') : '');
+    if (isCorrect) {
+      if (this.score === null) {
+        this.score = Math.max(
+          CONFIG.PUZZLE_SCORE_MINIMUM,
+          CONFIG.BONUS_SCORE - this.failedAttempts * CONFIG.BONUS_SCORE_ATTEMPT_PENALTY
+        );
+      }
+      this.showSuccessResult();
+    } else {
+      this.handleIncorrectAnswer();
+    }
+    this.progress?.updateBonus({
+      solved: isCorrect || this.progress.getBonus().solved, // The secret stays shown after a later wrong try
+      answer: this.bonusAnswer.value,
+      failedAttempts: this.failedAttempts,
+      score: this.score
+    });
+  }
+
+  /**
+   * @returns {Object} Same shape as PuzzleSystem.getResult(); score is null until solved
+   */
+  getResult() {
+    return {
+      id: 'bonus',
+      title: i18n.t('bonus.title'),
+      solved: this.score !== null,
+      score: this.score,
+      failedAttempts: this.failedAttempts,
+      hints: 0,
+      seconds: null
+    };
+  }
+
+  /**
+   * @param {Object} secret - Decrypted vault { items: [{ src, alt, caption }] }; alt and caption may be per language
+   */
+  renderSecret(secret) {
+    const container = this.bonusResult.querySelector('.bonus-secret');
+    if (!container) return;
+    container.innerHTML = '';
+    this.secret = secret;
+
+    secret.items.forEach(item => {
+      const figure = document.createElement('div');
+      figure.className = 'bonus-secret-container';
+
+      const image = document.createElement('img');
+      image.src = item.src;
+      image.alt = i18n.localize(item.alt) || '';
+      image.className = 'bonus-secret-image';
+
+      const caption = document.createElement('p');
+      caption.className = 'bonus-secret-caption';
+      caption.textContent = i18n.localize(item.caption) || '';
+
+      figure.append(image, caption);
+      container.appendChild(figure);
+    });
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.restored=false] - Solved on a previous visit (no celebration)
+   */
+  showSuccessResult({ restored = false } = {}) {
+    this.failedAttempts = 0;
+    this.bonusResult.classList.add('revealed');
+    // bonusResult display style is handled by CSS .revealed usually, ensure it becomes visible
+    // If .revealed itself doesn't set display, then:
+    this.bonusResult.style.display = 'block'; // Or whatever its natural display is
+
+    // Add highlight animation
+    setTimeout(() => {
+      this.bonusResult.classList.add('highlight-animation');
+    }, 400); // Delay to sync with reveal transition
+
+    // Trigger confetti
+    if (!restored) {
+      celebration.fire({
+        particleCount: 100,
+        spread: 60,
+        origin: { y: 0.7 }
+      });
+    }
+  }
+
+  /**
+   * @param {string} text - Message under the answer field, empty to clear it
+   */
+  setFeedback(text) {
+    if (this.bonusFeedback) this.bonusFeedback.textContent = text;
+  }
+
+  handleIncorrectAnswer() {
+    this.failedAttempts++;
+
+    // Show hint after 5 failed attempts
+    if (this.failedAttempts >= 5 && this.bonusHint) {
+      this.bonusHint.classList.add('visible');
     }
+
+    // Add shake animation to input
+    this.bonusAnswer.classList.add('shake');
+    setTimeout(() => {
+      this.bonusAnswer.classList.remove('shake');
+    }, 500);
   }
+}
 
+/**
+ * ========================================================================
+ * LEADERBOARD - Puzzle and bonus scores shared between guests
+ * ========================================================================
+ */
+class Leaderboard {
   /**
-   * Adjust volume by relative amount
-   * @param {number} delta - Volume change amount (-0.1 to 0.1)
+   * @param {Object} options
+   * @param {PuzzleEngine} options.puzzleEngine - Source of the puzzle results
+   * @param {BonusSystem} options.bonusSystem - Source of the bonus result
+   * @param {ProgressStore} options.progress - Notifies when a result changes
    */
-  adjustVolume(delta) {
-    if (this.video) {
-      let newVolume = this.video.volume + delta;
-      newVolume = Math.max(0, Math.min(1, newVolume)); // Clamp between 0 and 1
+  constructor({ puzzleEngine, bonusSystem, progress }) {
+    this.puzzleEngine = puzzleEngine;
+    this.bonusSystem = bonusSystem;
+    this.progress = progress;
+
+    this.section = document.getElementById('leaderboard-section');
+    this.form = document.getElementById('leaderboard-form');
+    this.nicknameInput = document.getElementById('leaderboard-nickname');
+    this.message = document.getElementById('leaderboard-message');
+    this.list = document.getElementById('leaderboard-list');
+
+    this.player = this.readPlayer(); // { id, nickname }
+    this.submitted = new Map(); // Result id -> score already posted
+    this.version = null; // Last rendered board version
+    this.players = null; // Last rendered board rows
+    this.messageArgs = null; // [key, params] of the message shown, to translate it again
+    this.pollTimer = null;
+    this.isSubmitting = false;
+    this.disabled = false;
 
-      this.video.volume = newVolume;
-      this.video.muted = newVolume === 0;
+    this.initialize();
+  }
 
-      // volumechange event will trigger updateVolumeUI, which updates slider
+  initialize() {
+    if (!this.section) return;
+    if (!CONFIG.LEADERBOARD_ENDPOINT) {
+      this.section.hidden = true; // No backend configured
+      return;
     }
+
+    if (this.player.nickname) this.nicknameInput.value = this.player.nickname;
+    this.updateForm();
+
+    this.form?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.join(this.nicknameInput.value);
+    });
+    this.progress?.onChange(() => this.submitResults());
+    i18n.onChange(() => {
+      this.updateForm();
+      if (this.messageArgs) this.setMessage(...this.messageArgs);
+      if (this.players) this.render(this.players);
+    });
+    document.addEventListener('visibilitychange', () => {
+      if (!document.hidden) this.refresh();
+    });
+
+    this.refresh();
+    this.pollTimer = setInterval(() => {
+      if (document.hidden) return; // Nobody is looking; catch up when the tab comes back
+      this.refresh();
+      this.submitResults(); // Retry scores that failed to post
+    }, CONFIG.LEADERBOARD_POLL_INTERVAL);
   }
 
   /**
-   * Seek to specific position in video
-   * @param {MouseEvent} e - Mouse event for position calculation
+   * The endpoint doesn't exist on this host: hide the board and stop polling
    */
-  seekTo(e) {
-    if (this.video && this.progressContainer && this.video.duration) {
-      const rect = this.progressContainer.getBoundingClientRect();
-      const percent = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
-      this.video.currentTime = percent * this.video.duration;
-      this.updateProgress(); // Immediate feedback for dragging
-      this.updateTimeDisplay();
-    }
+  disable() {
+    this.disabled = true;
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+    this.section.hidden = true;
   }
 
   /**
-   * Seek by relative time amount
-   * @param {number} seconds - Seconds to seek (positive or negative)
+   * @returns {Object} { id, nickname } of this guest; the id keeps the same row when the nickname changes
    */
-  seekRelative(seconds) {
-    if (this.video && this.video.duration) {
-      const newTime = Math.max(0, Math.min(this.video.duration, this.video.currentTime + seconds));
-      this.video.currentTime = newTime;
-      // timeupdate event will trigger progress and time display updates
+  readPlayer() {
+    let player = null;
+    try {
+      player = JSON.parse(localStorage.getItem(CONFIG.LEADERBOARD_PLAYER_KEY));
+    } catch (error) {
+      console.warn('Ignoring unreadable leaderboard player:', error);
     }
+    if (!player?.id) player = { id: randomHex(12), nickname: '' };
+    return player;
   }
 
-  /**
-   * Toggle fullscreen mode
-   */
-  toggleFullscreen() {
+  savePlayer() {
     try {
-      if (!document.fullscreenElement) {
-        // If video element itself is meant to go fullscreen:
-        // this.video.requestFullscreen();
-        // If container is meant to go fullscreen:
-        this.container.requestFullscreen();
-      } else {
-        if (document.exitFullscreen) {
-          document.exitFullscreen();
-        }
-      }
+      localStorage.setItem(CONFIG.LEADERBOARD_PLAYER_KEY, JSON.stringify(this.player));
     } catch (error) {
-      console.error('Fullscreen error:', error);
+      console.warn('Could not save leaderboard player:', error);
     }
   }
 
+  updateForm() {
+    const button = this.form?.querySelector('button[type="submit"]');
+    if (button) button.textContent = i18n.t(this.player.nickname ? 'leaderboard.rename' : 'leaderboard.join');
+  }
+
   /**
-   * Update progress bar visual state
+   * @param {string} nickname - As typed
    */
-  updateProgress() {
-    if (this.video && this.progressBar && this.video.duration > 0) {
-      const percent = (this.video.currentTime / this.video.duration) * 100;
-      this.progressBar.style.width = `${percent}%`;
-    } else if (this.progressBar) {
-      this.progressBar.style.width = '0%';
+  join(nickname) {
+    const cleaned = nickname.trim().replace(/\s+/g, ' ').slice(0, 30);
+    if (!cleaned) {
+      this.setMessage('leaderboard.nicknameRequired');
+      return;
     }
+    this.player = { ...this.player, nickname: cleaned };
+    this.savePlayer();
+    this.updateForm();
+    this.submitted.clear(); // Post everything again under the new name
+
+    const hasScores = this.getResults().length > 0;
+    this.setMessage(hasScores ? 'leaderboard.playing' : 'leaderboard.playingNoScore', { name: cleaned });
+    this.submitResults();
   }
 
   /**
-   * Update time display
+   * @returns {Array<Object>} Solved results (PuzzleSystem.getResult shape) with a score
    */
-  updateTimeDisplay() {
-    if (this.video && this.timeDisplay) {
-      const current = formatTime(this.video.currentTime);
-      const duration = formatTime(this.video.duration || 0);
-      this.timeDisplay.textContent = `${current} / ${duration}`;
-    }
+  getResults() {
+    return [
+      ...(this.puzzleEngine?.getResults() || []),
+      ...(this.bonusSystem ? [this.bonusSystem.getResult()] : [])
+    ].filter(result => result.score !== null);
   }
 
   /**
-   * Update play button icon
+   * Post every score that the server doesn't have yet
    */
-  updatePlayButton() {
-    const iconClass = this.isPlaying ? 'fa-pause' : 'fa-play';
+  async submitResults() {
+    if (this.disabled || !this.player.nickname || this.isSubmitting) return;
+    const pending = this.getResults().filter(result => this.submitted.get(result.id) !== result.score);
+    if (!pending.length) return;
 
-    if (this.playPauseBtn) {
-      const iconElement = this.playPauseBtn.querySelector('i');
-      if (iconElement) {
-        iconElement.className = `fas ${iconClass}`;
+    this.isSubmitting = true;
+    try {
+      for (const result of pending) {
+        const response = await fetch(getEndpointUrl(CONFIG.LEADERBOARD_ENDPOINT), {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            playerId: this.player.id,
+            player: this.player.nickname,
+            puzzle: result.id,
+            score: result.score,
+            seconds: result.seconds === null ? null : Math.round(result.seconds)
+          })
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        this.submitted.set(result.id, result.score);
       }
-    }
-    // Also update the main overlay play button if it exists and is used
-    if (this.playButton) {
-        const overlayIconElement = this.playButton.querySelector('i');
-        if (overlayIconElement) {
-             overlayIconElement.className = `fas ${iconClass}`; // Show play or pause on overlay too
-        }
+      this.refresh();
+    } catch (error) {
+      console.warn('Could not post score:', error);
+      this.setMessage('leaderboard.submitFailed');
+    } finally {
+      this.isSubmitting = false;
     }
   }
 
   /**
-   * Update volume UI elements
+   * Fetch the board and re-render it if it changed
    */
-  updateVolumeUI() {
-    if (!this.video || !this.muteBtn) return;
-
-    const iconElement = this.muteBtn.querySelector('i');
-    if (iconElement) {
-      if (this.video.muted || this.video.volume === 0) {
-        iconElement.className = 'fas fa-volume-mute';
-      } else if (this.video.volume < 0.5) {
-        iconElement.className = 'fas fa-volume-down';
-      } else {
-        iconElement.className = 'fas fa-volume-up';
+  async refresh() {
+    if (this.disabled) return;
+    const url = getEndpointUrl(CONFIG.LEADERBOARD_ENDPOINT);
+    url.searchParams.set('limit', String(CONFIG.LEADERBOARD_SIZE));
+    try {
+      const response = await fetch(url, { cache: 'no-cache' });
+      if (response.status === 404 && this.version === null) {
+        console.warn('No leaderboard at', url.href);
+        this.disable();
+        return;
       }
-    }
-
-    if (this.volumeSlider) {
-      this.volumeSlider.value = this.video.muted ? 0 : this.video.volume * 100;
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const board = await response.json();
+      const version = `${board.boot}-${board.version}`; // A restarted server counts from 0 again
+      if (version === this.version) return;
+      this.version = version;
+      this.render(board.players || []);
+    } catch (error) {
+      console.warn('Leaderboard unavailable:', error);
+      if (this.version === null) this.setMessage('leaderboard.unavailable');
     }
   }
 
   /**
-   * Show video overlay
+   * @param {Array<Object>} players - { playerId, player, total, solved }, best first
    */
-  showOverlay() {
-    if (this.overlay) {
-      this.overlay.classList.remove('hidden');
+  render(players) {
+    this.players = players;
+    this.list.innerHTML = '';
+    if (!players.length) {
+      const empty = document.createElement('li');
+      empty.className = 'leaderboard-empty';
+      empty.textContent = i18n.t('leaderboard.empty');
+      this.list.appendChild(empty);
+      return;
     }
+
+    players.forEach((entry, index) => {
+      const row = document.createElement('li');
+      row.className = 'leaderboard-row';
+      row.classList.toggle('own', entry.playerId === this.player.id);
+      row.innerHTML = `
+        <span class="leaderboard-rank">${index + 1}</span>
+        <span class="leaderboard-name"></span>
+        <span class="leaderboard-score"></span>`;
+      row.querySelector('.leaderboard-name').textContent = entry.player;
+      row.querySelector('.leaderboard-score').textContent = i18n.t('leaderboard.score', {
+        points: i18n.t('result.points', { count: entry.total }),
+        challenges: i18n.t('leaderboard.challenges', { count: entry.solved })
+      });
+      this.list.appendChild(row);
+    });
   }
 
   /**
-   * Hide video overlay
+   * @param {string} key - Message key (see I18N_MESSAGES)
+   * @param {Object} [params] - Interpolated values
    */
-  hideOverlay() {
-    if (this.overlay) {
-      this.overlay.classList.add('hidden');
-    }
+  setMessage(key, params) {
+    this.messageArgs = [key, params];
+    if (this.message) this.message.textContent = i18n.t(key, params);
   }
+}
 
+/**
+ * ========================================================================
+ * SIMPLIFIED GALLERY SYSTEM CLASS
+ * ========================================================================
+ */
+class SimplifiedGallerySystem {
   /**
-   * Show video controls
+   * @param {Object} [config]
+   * @param {string} [config.manifestUrl] - URL of the gallery JSON manifest
+   * @param {Object<string, string>} [config.targets] - Gallery key -> container selector (others use data-gallery-target)
    */
-  showControls() {
-    if (this.controls) {
-      this.controls.classList.add('visible');
+  constructor(config = {}) {
+    this.manifestUrl = config.manifestUrl || CONFIG.GALLERY_MANIFEST_URL;
+    this.targets = config.targets || CONFIG.GALLERY_TARGETS;
+
+    this.galleryContainer = document.getElementById('gallery-container');
+    this.filterBar = document.getElementById('gallery-filters');
+    this.galleryItems = [];
+    this.entries = [];
+    this.manifest = null; // Raw manifest as loaded (edited by the admin view)
+    this.albums = []; // [{ id, label }] from the manifest
+    this.activeFilter = null; // { type: 'album'|'tag', value } or null for everything
+    this.elements = new Map(); // Manifest id -> rendered element
+    this.videoPlayers = [];
+    this.selectedIds = new Set(); // Main gallery items picked for a ZIP download
+    this.unlockedEntries = []; // Secret photos decrypted by solved puzzles
+    this.isLoaded = false;
+
+    // Lazy loading and windowing state for the main grid
+    this.lazyObserver = null;
+    this.mainEntries = [];
+    this.isWindowed = false; // Only rows near the viewport are mounted
+    this.windowRange = { start: 0, end: 0 };
+    this.layout = null; // Measured { columns, rowHeight }
+
+    // Resolves once the manifest has been loaded and rendered
+    this.ready = this.initialize();
+  }
+
+  async initialize() {
+    if (!this.galleryContainer) return; // Do nothing if container doesn't exist
+    this.setupResponsiveLayout();
+    this.setupLazyLoading();
+    this.setupWindowing();
+
+    try {
+      const manifest = await this.loadManifest();
+      this.manifest = manifest;
+      this.entries = this.parseManifest(manifest);
+      this.albums = this.parseAlbums(manifest);
+    } catch (error) {
+      console.error('Failed to load gallery manifest:', this.manifestUrl, error);
+      this.entries = [];
     }
-    this.clearControlsTimeout();
+    this.entries.push(...await this.loadUploadedEntries());
+
+    // Secret galleries render into the puzzle sections built from site content
+    await window.siteContent?.ready;
+
+    this.entries.push(...this.unlockedEntries);
+    this.isLoaded = true;
+    this.activeFilter = this.readFilterFromUrl();
+    this.render();
   }
 
   /**
-   * Hide video controls after delay
+   * Fetch the gallery manifest, or the admin's unpublished draft of it
+   * @returns {Promise<Object>} Raw manifest JSON
    */
-  hideControlsAfterDelay() {
-    this.clearControlsTimeout();
-    this.controlsTimeout = setTimeout(() => {
-      if (this.controls && this.isPlaying && !this.isDragging) { // Don't hide if dragging
-        // Check if mouse is still over the container or controls; if so, don't hide.
-        // This requires more complex logic or relying on mouseleave from container.
-        // For now, keep it simple: if playing and not dragging, hide after timeout.
-        if (!this.container.matches(':hover') && !this.controls.matches(':hover')) {
-             this.controls.classList.remove('visible');
-        } else {
-            // If still hovering, reset timeout
-            this.hideControlsAfterDelay();
-        }
-      }
-    }, 3000);
+  async loadManifest() {
+    const draft = window.siteContent?.getGalleryDraft();
+    if (draft) return draft;
+
+    const response = await fetch(this.manifestUrl, { cache: 'no-cache' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return response.json();
   }
 
   /**
-   * Clear controls timeout
+   * Guest uploads approved by the couple, served by the upload backend as a
+   * manifest fragment. A static deployment without backend simply has none.
+   * @returns {Promise<Array<Object>>} Gallery entries
    */
-  clearControlsTimeout() {
-    if (this.controlsTimeout) {
-      clearTimeout(this.controlsTimeout);
-      this.controlsTimeout = null;
+  async loadUploadedEntries() {
+    if (!CONFIG.UPLOAD_ENDPOINT) return [];
+    try {
+      const approvedUrl = getUploadUrl('approved');
+      const response = await fetch(approvedUrl, { cache: 'no-cache' });
+      if (!response.ok) return [];
+
+      const fragment = await response.json();
+      const baseUrl = new URL(fragment.baseUrl || '', approvedUrl).href;
+      // Uploads without a comment are captioned with the guest's name, in every page language
+      const items = (Array.isArray(fragment.items) ? fragment.items : []).map(item => ({
+        ...item,
+        caption: item.caption || (item.credit
+          ? i18n.translations('upload.defaultCaption', { name: item.credit })
+          : i18n.translations('upload.defaultCaptionAnonymous'))
+      }));
+      return this.parseManifest({ ...fragment, items, baseUrl }).map(entry => ({ ...entry, isUpload: true }));
+    } catch (error) {
+      console.warn('Guest uploads unavailable:', error);
+      return [];
     }
   }
 
   /**
-   * Show buffering indicator
+   * Photos of a secret gallery, decrypted by the puzzle that guards them
+   * @param {Object} fragment - Manifest fragment { baseUrl, items }
    */
-  showBuffering() {
-    // Could implement a loading spinner here
-    this.container.classList.add('video-buffering');
-    console.log('Video buffering...');
+  addUnlockedEntries(fragment) {
+    const entries = this.parseManifest(fragment).map(entry => ({ ...entry, isUnlocked: true }));
+    const ids = new Set(entries.map(entry => entry.id));
+    this.unlockedEntries = [...this.unlockedEntries.filter(entry => !ids.has(entry.id)), ...entries];
+    if (!this.isLoaded) return; // initialize() adds them with the manifest
+
+    this.entries = [...this.entries.filter(entry => !ids.has(entry.id)), ...entries];
+    this.render();
   }
 
   /**
-   * Hide buffering indicator
+   * Replace the manifest (admin edits) and re-render, keeping guest uploads and unlocked photos
+   * @param {Object} manifest - Raw manifest
    */
-  hideBuffering() {
-    // Hide loading spinner
-    this.container.classList.remove('video-buffering');
-    console.log('Video ready to play');
+  applyManifest(manifest) {
+    const kept = this.entries.filter(entry => entry.isUpload || entry.isUnlocked);
+    this.manifest = manifest;
+    this.entries = [...this.parseManifest(manifest), ...kept];
+    this.albums = this.parseAlbums(manifest);
+    this.render();
   }
 
   /**
-   * Destroy video player and clean up event listeners
+   * Re-fetch approved uploads (after moderation) and re-render
    */
-  destroy() {
-    this.clearControlsTimeout();
-    // TODO: Add comprehensive event listener removal here
-    // For now, just nullify references
-    this.video = null;
-    this.container = null;
-    // Ideally, listeners added to `document` should also be removed
-    // (e.g., mousemove/mouseup for dragging, keydown for keyboard controls)
-    // This requires storing bound event handlers to remove them later.
-  }
-}
-
-/**
- * ========================================================================
- * MODAL SYSTEM CLASS - FIXED TO PREVENT SECRET GALLERY ACCESS
- * ========================================================================
- */
-class ModalSystem {
-  constructor() {
-    this.modal = document.getElementById('photo-modal');
-    this.modalImg = document.getElementById('modal-img');
-    this.modalVideoContainer = document.getElementById('modal-video-container');
-    this.modalVideo = document.getElementById('modal-video');
-    this.closeModal = document.getElementById('close-modal');
-    this.modalSpinner = document.getElementById('modal-spinner');
-    this.modalCounter = document.getElementById('modal-counter');
-    this.prevBtn = document.getElementById('prev-photo');
-    this.nextBtn = document.getElementById('next-photo');
-
-    this.currentIndex = 0;
-    this.mediaItems = [];
-    this.isOpen = false;
-
-    this.initialize();
+  async reloadUploads() {
+    const uploads = await this.loadUploadedEntries();
+    this.entries = [...this.entries.filter(entry => !entry.isUpload), ...uploads];
+    this.render();
   }
 
-  initialize() {
-    this.collectMediaItems();
-    this.setupEventListeners();
+  /**
+   * Normalize manifest items: resolve URLs against baseUrl and fill defaults.
+   * Texts may be per language ({ es, en, ca }); entries keep them in `texts`.
+   * @param {Object} manifest - Raw manifest ({ baseUrl, items })
+   * @returns {Array<Object>} Gallery entries
+   */
+  parseManifest(manifest) {
+    const baseUrl = manifest.baseUrl || document.baseURI;
+    const resolve = (url) => (url ? new URL(url, baseUrl).href : null);
+    const items = Array.isArray(manifest.items) ? manifest.items : [];
+
+    return items
+      .filter(item => item && item.src && !item.hidden) // Hidden from the admin view
+      .map((item, index) => this.localizeEntry({
+        ...item,
+        id: String(item.id || `item-${index + 1}`),
+        type: item.type === 'video' ? 'video' : 'image',
+        src: resolve(item.src),
+        thumbnail: resolve(item.thumbnail),
+        renditions: this.parseRenditions(item, resolve),
+        clips: item.type === 'video' ? this.parseVideoClips(item, resolve) : null,
+        placeholder: resolve(item.placeholder), // Tiny blur-up image (data URI or URL)
+        color: item.color || null, // Dominant colour shown until the image arrives
+        texts: { caption: item.caption, title: item.title, description: item.description, alt: item.alt },
+        credit: item.credit || null, // Photographer
+        date: item.date || null,
+        album: item.album || null,
+        tags: Array.isArray(item.tags) ? item.tags : [],
+        gallery: item.gallery || 'main'
+      }));
   }
 
   /**
-   * FIXED: Only collect media items that should be accessible
-   * This prevents access to secret gallery items until they are revealed
+   * Clips of a video item for EnhancedVideoPlayer: its `playlist`, or the item itself.
+   * A clip may list `sources` ([{ src, label }], the first is the default quality)
+   * and `chapters` ([{ time: seconds or "h:mm:ss", title }]); titles may be per language.
+   * @param {Object} item - Raw manifest item
+   * @param {Function} resolve - URL resolver for the manifest base
+   * @returns {Array<Object>} { title, poster, sources: [{ src, label, type }], chapters: [{ time, title }] }
    */
-  collectMediaItems() {
-    // Always include main gallery items
-    const mainGalleryItems = document.querySelectorAll('#gallery-section [data-type]');
-
-    // Only include secret gallery items if their parent gallery is visible
-    const secretGalleries = document.querySelectorAll('.secret-gallery');
-    const revealedSecretItems = [];
-
-    secretGalleries.forEach(gallery => {
-      // Check if the secret gallery is revealed (display is not 'none')
-      const isRevealed = window.getComputedStyle(gallery).display !== 'none';
-      if (isRevealed) {
-        // Select direct children that are media items, or deeper items if structure requires
-        const secretItems = gallery.querySelectorAll(':scope > .secret-gallery-container [data-type], :scope > [data-type]');
-        revealedSecretItems.push(...secretItems);
-      }
-    });
-
-    const allAccessibleItems = [...mainGalleryItems, ...revealedSecretItems];
-
-    // Remove previous event listeners from old items to prevent duplicates if refreshMediaItems is called
-    this.mediaItems.forEach(item => {
-        if (item.element && item.clickHandler) {
-            item.element.removeEventListener('click', item.clickHandler);
-        }
-    });
-
-
-    this.mediaItems = Array.from(allAccessibleItems).map((item, index) => ({
-      src: item.getAttribute('data-src'),
-      type: item.getAttribute('data-type'),
-      alt: item.querySelector('img')?.alt || item.closest('[data-type]')?.querySelector('.secret-image-caption')?.textContent || `Media ${index + 1}`,
-      element: item
-    }));
+  parseVideoClips(item, resolve) {
+    const clips = Array.isArray(item.playlist) && item.playlist.length ? item.playlist : [item];
+    return clips
+      .filter(Boolean)
+      .map(clip => {
+        const sources = (Array.isArray(clip.sources) && clip.sources.length ? clip.sources : [{ src: clip.src }])
+          .filter(source => source && source.src)
+          .map(source => ({
+            src: resolve(source.src),
+            label: source.label ? String(source.label) : null,
+            type: source.type || null
+          }));
+        const chapters = (Array.isArray(clip.chapters) ? clip.chapters : [])
+          .map(chapter => ({ time: parseTimecode(chapter?.time), title: chapter?.title }))
+          .filter(chapter => chapter.time >= 0)
+          .sort((a, b) => a.time - b.time);
+        return {
+          title: clip === item ? null : clip.title || null, // The item's own title is shown by the gallery
+          poster: resolve(clip.thumbnail || clip.poster),
+          sources,
+          chapters
+        };
+      })
+      .filter(clip => clip.sources.length);
   }
-
-  setupEventListeners() {
-    // Close modal events
-    this.closeModal?.addEventListener('click', () => this.close());
-
-    // Navigation events
-    this.prevBtn?.addEventListener('click', () => this.navigate('prev'));
-    this.nextBtn?.addEventListener('click', () => this.navigate('next'));
-
-    // Modal overlay click to close
-    this.modal?.addEventListener('click', (e) => {
-      if (e.target === this.modal) {
-        this.close();
-      }
-    });
-
-    // Keyboard navigation
-    document.addEventListener('keydown', (e) => {
-      if (!this.isOpen) return;
-
-      switch (e.key) { // Use e.key for modern browsers
-        case 'Escape':
-          this.close();
-          break;
-        case 'ArrowLeft':
-          this.navigate('prev');
-          break;
-        case 'ArrowRight':
-          this.navigate('next');
-          break;
-      }
-    });
-
-    // Media item click events
-    this.setupMediaClickEvents();
+
+  /**
+   * Fill an entry's caption, title, description (longer text for the lightbox
+   * info panel) and alt in the page language
+   * @param {Object} entry - Gallery entry with its raw `texts`
+   * @returns {Object} The same entry
+   */
+  localizeEntry(entry) {
+    entry.caption = i18n.localize(entry.texts.caption) || '';
+    entry.title = i18n.localize(entry.texts.title) || '';
+    entry.description = i18n.localize(entry.texts.description) || '';
+    entry.alt = i18n.localize(entry.texts.alt) || '';
+    return entry;
   }
 
-  setupMediaClickEvents() {
-    this.mediaItems.forEach((item, index) => {
-      // Store the handler to be able to remove it later if needed
-      item.clickHandler = () => {
-        this.open(index);
-      };
-      item.element.addEventListener('click', item.clickHandler);
-    });
+  /**
+   * Re-render every text in the page language (language switcher)
+   */
+  applyLanguage() {
+    new Set([...this.entries, ...this.unlockedEntries]).forEach(entry => this.localizeEntry(entry));
+    if (this.manifest) this.albums = this.parseAlbums(this.manifest);
+    if (this.isLoaded) this.render();
   }
 
-  open(index) {
-    if (index < 0 || index >= this.mediaItems.length) return;
-    this.currentIndex = index;
-    this.isOpen = true;
+  /**
+   * Album definitions give filters a label and an order
+   * @param {Object} manifest - Raw manifest ({ albums: [{ id, label }] }, labels may be per language)
+   * @returns {Array<{id: string, label: string}>}
+   */
+  parseAlbums(manifest) {
+    const albums = Array.isArray(manifest.albums) ? manifest.albums : [];
+    return albums
+      .filter(album => album && album.id)
+      .map(album => ({ id: String(album.id), label: i18n.localize(album.label) || String(album.id) }));
+  }
 
-    const item = this.mediaItems[this.currentIndex];
+  /**
+   * Normalize image renditions. Manifest items may list
+   * `renditions: { thumb: { src, width }, medium: {...}, full: {...} }`;
+   * `full` defaults to `src` and `thumb` to the legacy `thumbnail` field.
+   * Cross-origin images with neither get their smaller sizes from
+   * CONFIG.IMAGE_RESIZE_URL when set (the service can't reach files of a local server).
+   * @param {Object} item - Raw manifest item
+   * @param {Function} resolve - URL resolver for the manifest base
+   * @returns {Object} Rendition key -> { src, width }
+   */
+  parseRenditions(item, resolve) {
+    const raw = item.renditions || {};
+    const renditions = {};
+
+    CONFIG.RENDITION_ORDER.forEach(key => {
+      const rendition = typeof raw[key] === 'string' ? { src: raw[key] } : raw[key];
+      if (rendition && rendition.src) {
+        renditions[key] = { src: resolve(rendition.src), width: Number(rendition.width) || null };
+      }
+    });
 
-    if (item.type === 'video') {
-      this.showVideo(item);
-    } else {
-      this.showImage(item);
+    if (!renditions.thumb && item.thumbnail && item.type !== 'video') {
+      renditions.thumb = { src: resolve(item.thumbnail), width: null };
+    }
+    if (!renditions.full) {
+      renditions.full = { src: resolve(item.src), width: Number(item.width) || null };
     }
 
-    this.updateCounter();
-    this.modal.classList.add('active');
-    document.body.style.overflow = 'hidden'; // Prevent background scroll
+    const isRemote = new URL(renditions.full.src).origin !== window.location.origin;
+    if (item.type !== 'video' && CONFIG.IMAGE_RESIZE_URL && isRemote && !renditions.thumb && !renditions.medium) {
+      Object.entries(CONFIG.RESIZED_RENDITION_WIDTHS).forEach(([key, width]) => {
+        renditions[key] = { src: getResizedImageUrl(renditions.full.src, width), width };
+      });
+    }
+    return renditions;
   }
 
-  showImage(item) {
-    this.modalVideoContainer.style.display = 'none';
-    if (this.modalVideo) this.modalVideo.pause(); // Pause video if it was playing
-    this.modalImg.style.display = 'block';
-
-    this.showSpinner();
-    this.modalImg.classList.remove('loaded'); // Reset loaded class
+  /**
+   * Render every manifest entry into its gallery container
+   */
+  render() {
+    Object.values(this.targets).forEach(selector => {
+      const container = document.querySelector(selector);
+      if (container) container.innerHTML = '';
+    });
+    document.querySelectorAll('[data-gallery-target]').forEach(container => {
+      container.innerHTML = '';
+    });
+    this.lazyObserver?.disconnect();
+    this.elements.clear();
+    this.videoPlayers.forEach(player => player.destroy());
+    this.videoPlayers = [];
+
+    this.entries
+      .filter(entry => entry.gallery !== 'main')
+      .forEach(entry => this.renderEntry(entry));
+    this.renderFilterBar();
+    this.renderMainGallery();
+
+    // Modal item list is derived from the entries, so refresh it after every render
+    if (window.modalSystem) {
+      window.modalSystem.refreshMediaItems();
+    }
+  }
 
-    this.modalImg.onload = () => {
-      this.hideSpinner();
-      this.modalImg.classList.add('loaded');
-    };
-    this.modalImg.onerror = () => {
-        this.hideSpinner();
-        // Handle image load error, e.g., show a placeholder or error message
-        console.error("Failed to load image:", item.src);
-    };
+  /**
+   * Main gallery entries in display order, narrowed by the active filter
+   * @returns {Array<Object>}
+   */
+  getMainEntries() {
+    return this.entries.filter(entry =>
+      entry.gallery === 'main' && this.matchesFilter(entry, this.activeFilter)
+    );
+  }
 
-    this.modalImg.src = item.src;
-    this.modalImg.alt = item.alt;
+  /**
+   * @param {Object} entry - Gallery entry
+   * @param {Object|null} filter - { type: 'album'|'tag', value } or null
+   * @returns {boolean}
+   */
+  matchesFilter(entry, filter) {
+    if (!filter) return true;
+    if (filter.type === 'album') return entry.album === filter.value;
+    return entry.tags.includes(filter.value);
   }
 
-  showVideo(item) {
-    this.modalImg.style.display = 'none';
-    this.modalVideoContainer.style.display = 'block';
-    this.modalVideoContainer.classList.remove('loaded'); // Reset loaded class
+  /**
+   * Available filters with their item counts. Albums come first in manifest
+   * order, then any free tags; filters without items are left out.
+   * @returns {Array<{filter: Object|null, label: string, count: number}>}
+   */
+  getFilterOptions() {
+    const mainEntries = this.entries.filter(entry => entry.gallery === 'main');
+    const countFor = (filter) => mainEntries.filter(entry => this.matchesFilter(entry, filter)).length;
 
-    if (this.modalVideo) {
-        this.modalVideo.src = item.src;
-        this.modalVideo.load(); // Important to load the new source
-        this.modalVideo.play().catch(e => console.error("Error playing modal video:", e)); // Autoplay, handle promise
-        this.modalVideoContainer.classList.add('loaded'); // Add loaded once src is set
-    }
-  }
+    const albumOptions = this.albums.map(album => {
+      const filter = { type: 'album', value: album.id };
+      return { filter, label: album.label, count: countFor(filter) };
+    });
 
-  navigate(direction) {
-    if (!this.mediaItems.length) return;
-    if (direction === 'next') {
-      this.currentIndex = (this.currentIndex + 1) % this.mediaItems.length;
-    } else {
-      this.currentIndex = (this.currentIndex - 1 + this.mediaItems.length) % this.mediaItems.length;
-    }
+    const tags = [...new Set(mainEntries.flatMap(entry => entry.tags))];
+    const tagOptions = tags.map(tag => {
+      const filter = { type: 'tag', value: tag };
+      return { filter, label: `#${tag}`, count: countFor(filter) };
+    });
 
-    // No need to call resetModalContent here, open() will handle new content
-    this.open(this.currentIndex);
+    return [
+      { filter: null, label: i18n.t('gallery.all'), count: mainEntries.length },
+      ...albumOptions,
+      ...tagOptions
+    ].filter(option => option.count > 0 || !option.filter);
   }
 
-  close() {
-    this.isOpen = false;
-    this.modal.classList.remove('active');
-    this.resetModalContent();
+  /**
+   * Render the filter buttons with their counts
+   */
+  renderFilterBar() {
+    if (!this.filterBar) return;
+    this.filterBar.innerHTML = '';
 
-    document.body.style.overflow = 'auto'; // Restore scroll
+    const options = this.getFilterOptions();
+    this.filterBar.hidden = options.length <= 1; // Nothing to filter by
+
+    options.forEach(option => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'gallery-filter-btn';
+      button.setAttribute('aria-pressed', String(this.isSameFilter(option.filter, this.activeFilter)));
+      button.textContent = option.label;
+
+      const count = document.createElement('span');
+      count.className = 'gallery-filter-count';
+      count.textContent = option.count;
+      button.appendChild(count);
+
+      button.addEventListener('click', () => this.setFilter(option.filter));
+      this.filterBar.appendChild(button);
+    });
   }
 
-  resetModalContent() {
-    this.modalImg.classList.remove('loaded');
-    this.modalVideoContainer.classList.remove('loaded');
-    if (this.modalVideo) {
-        this.modalVideo.pause();
-        this.modalVideo.removeAttribute('src'); // More robust reset
-        this.modalVideo.load(); // Reset video element state
-    }
-    this.modalImg.src = ''; // Use empty string for src to clear image
-    this.modalImg.alt = '';
-    this.hideSpinner();
+  isSameFilter(a, b) {
+    if (!a || !b) return a === b;
+    return a.type === b.type && a.value === b.value;
   }
 
-  showSpinner() {
-    if (this.modalSpinner) {
-      this.modalSpinner.style.display = 'block';
+  /**
+   * Apply a filter to the main gallery and the modal navigation
+   * @param {Object|null} filter - { type: 'album'|'tag', value } or null for everything
+   */
+  setFilter(filter) {
+    this.activeFilter = filter;
+    this.writeFilterToUrl(filter);
+    this.renderFilterBar();
+    this.renderMainGallery();
+
+    if (window.modalSystem) {
+      window.modalSystem.refreshMediaItems();
     }
   }
 
-  hideSpinner() {
-    if (this.modalSpinner) {
-      this.modalSpinner.style.display = 'none';
+  /**
+   * Read ?album= / ?tag= from the URL, ignoring filters that match nothing
+   * @returns {Object|null}
+   */
+  readFilterFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    let filter = null;
+    if (params.has('album')) {
+      filter = { type: 'album', value: params.get('album') };
+    } else if (params.has('tag')) {
+      filter = { type: 'tag', value: params.get('tag') };
     }
+
+    const hasMatches = filter && this.entries.some(entry =>
+      entry.gallery === 'main' && this.matchesFilter(entry, filter)
+    );
+    return hasMatches ? filter : null;
   }
 
-  updateCounter() {
-    if (this.modalCounter && this.mediaItems.length > 0) {
-      this.modalCounter.textContent = `${this.currentIndex + 1}/${this.mediaItems.length}`;
-    } else if (this.modalCounter) {
-      this.modalCounter.textContent = `0/0`;
+  /**
+   * Reflect the filter in the query string without adding a history entry
+   * @param {Object|null} filter
+   */
+  writeFilterToUrl(filter) {
+    const url = new URL(window.location.href);
+    url.searchParams.delete('album');
+    url.searchParams.delete('tag');
+    if (filter) {
+      url.searchParams.set(filter.type, filter.value);
     }
+    window.history.replaceState(window.history.state, '', url);
   }
 
   /**
-   * FIXED: Refresh method that properly re-collects accessible items
-   * This method is called when secret galleries are revealed
+   * (Re)build the main grid. Large galleries are windowed so only the rows
+   * around the viewport exist in the DOM.
    */
-  refreshMediaItems() {
-    this.collectMediaItems(); // This now also removes old listeners
-    this.setupMediaClickEvents(); // Add listeners to new set of items
-    this.updateCounter(); // Update counter if modal is open or items change
+  renderMainGallery() {
+    Array.from(this.galleryContainer.children).forEach(child => this.unmountElement(child));
+    this.mainEntries = this.getMainEntries();
+    this.isWindowed = this.mainEntries.length > CONFIG.GALLERY_WINDOW_THRESHOLD;
+    this.windowRange = { start: 0, end: 0 };
+    this.layout = null;
+    this.galleryContainer.style.paddingTop = '';
+    this.galleryContainer.style.paddingBottom = '';
+
+    if (this.isWindowed) {
+      this.updateWindow();
+    } else {
+      this.mainEntries.forEach(entry => this.renderEntry(entry));
+    }
+    this.galleryItems = this.galleryContainer.querySelectorAll('.gallery-item');
   }
-}
 
-/**
- * ========================================================================
- * PUZZLE SYSTEM CLASS - FIXED SECRET GALLERY REVEAL
- * ========================================================================
- */
-class PuzzleSystem {
-  constructor(config) {
-    this.sectionId = config.sectionId;
-    this.checkBtnId = config.checkBtnId;
-    this.successId = config.successId;
-    this.failureId = config.failureId;
-    this.galleryId = config.galleryId;
-    this.questionClass = config.questionClass;
-    this.optionClass = config.optionClass;
+  /**
+   * Create and append the element for a single entry
+   * @param {Object} entry - Gallery entry
+   * @returns {HTMLElement|null} Rendered element
+   */
+  renderEntry(entry) {
+    const container = this.getContainer(entry.gallery);
+    if (!container) {
+      console.warn(`Unknown gallery "${entry.gallery}" for item:`, entry.id);
+      return null;
+    }
 
-    this.initialize();
-  }
+    const element = this.createEntryElement(entry);
+    container.appendChild(element);
 
-  initialize() {
-    this.setupEventListeners();
-  }
+    // Galleries unlocked earlier (saved progress, re-render) skip the reveal animation
+    if (entry.gallery !== 'main' && this.isGalleryRevealed(entry.gallery)) {
+      element.classList.add('revealed');
+    }
 
-  setupEventListeners() {
-    const checkBtn = document.getElementById(this.checkBtnId);
-    const section = document.getElementById(this.sectionId);
+    if (entry.gallery !== 'main' && entry.type === 'video') {
+      container.appendChild(this.createCaption(entry));
+      this.videoPlayers.push(new EnhancedVideoPlayer(element, { clips: entry.clips, poster: entry.thumbnail }));
+    }
 
-    if (!checkBtn || !section) return;
+    this.observeLazy(element);
+    return element;
+  }
 
-    checkBtn.addEventListener('click', () => {
-      this.validateAnswers();
-    });
+  /**
+   * Build (but do not attach) the element for an entry and register it by id
+   * @param {Object} entry - Gallery entry
+   * @returns {HTMLElement}
+   */
+  createEntryElement(entry) {
+    let element;
+    if (entry.gallery === 'main') {
+      element = this.createGalleryItem(entry);
+    } else if (entry.type === 'video') {
+      element = this.createVideoPlayer(entry);
+    } else {
+      element = this.createSecretItem(entry);
+    }
 
-    // Setup option selection
-    const options = section.querySelectorAll(`.${this.optionClass}`);
-    options.forEach(option => {
-      option.addEventListener('click', () => {
-        this.selectOption(option);
-      });
-    });
+    element.setAttribute('data-gallery-id', entry.id);
+    element.setAttribute('data-type', entry.type);
+    element.setAttribute('data-src', entry.src);
+    this.applyPlaceholder(element, entry);
+    element.classList.toggle('is-selected', this.selectedIds.has(entry.id));
+    this.elements.set(entry.id, element);
+    return element;
   }
 
-  selectOption(selectedOption) {
-    const questionElement = selectedOption.closest(`.${this.questionClass}, .puzzle-question-2`);
-    if (!questionElement) return;
-    const siblings = questionElement.querySelectorAll(`.${this.optionClass}`);
-    siblings.forEach(sibling => sibling.classList.remove('selected'));
-    selectedOption.classList.add('selected');
+  /**
+   * Remove a rendered element and stop watching it
+   * @param {HTMLElement} element - Rendered gallery element
+   */
+  unmountElement(element) {
+    this.lazyObserver?.unobserve(element);
+    this.elements.delete(element.getAttribute('data-gallery-id'));
+    element.remove();
   }
 
-  validateAnswers() {
-    const section = document.getElementById(this.sectionId);
-    const questions = section.querySelectorAll(`.${this.questionClass}, .puzzle-question-2`); // Include both question types
-    let allCorrect = true;
+  /**
+   * Show the dominant colour / blur-up image while the real media loads
+   * @param {HTMLElement} element - Rendered gallery element
+   * @param {Object} entry - Gallery entry
+   */
+  applyPlaceholder(element, entry) {
+    if (entry.color) {
+      element.style.setProperty('--placeholder-color', entry.color);
+    }
+    if (entry.placeholder) {
+      element.style.setProperty('--placeholder-image', `url("${entry.placeholder}")`);
+      element.classList.add('has-placeholder');
+    }
+  }
 
-    questions.forEach(question => {
-      const correctIndex = parseInt(question.getAttribute('data-correct'));
-      const selected = question.querySelector(`.${this.optionClass}.selected, .question-option-2.selected`);
+  createGalleryItem(entry) {
+    const item = document.createElement('div');
+    item.className = 'gallery-item';
+
+    if (entry.type === 'video' && !entry.thumbnail) {
+      const video = document.createElement('video');
+      video.className = 'gallery-img';
+      video.dataset.lazySrc = entry.src;
+      video.preload = 'metadata';
+      video.muted = true;
+      video.playsInline = true;
+      item.appendChild(video);
+    } else {
+      item.appendChild(this.createResponsiveImage(entry, 'gallery-img', CONFIG.GALLERY_IMAGE_SIZES));
+    }
 
-      if (!selected || parseInt(selected.getAttribute('data-index')) !== correctIndex) {
-        allCorrect = false;
-        question.classList.add('incorrect');
-        question.classList.remove('correct');
-      } else {
-        question.classList.add('correct');
-        question.classList.remove('incorrect');
-      }
-    });
+    if (entry.type === 'video') {
+      const badge = document.createElement('span');
+      badge.className = 'gallery-video-badge';
+      badge.innerHTML = iconMarkup('play');
+      item.appendChild(badge);
+    }
 
-    this.showResult(allCorrect);
+    return item;
   }
 
-  showResult(success) {
-    const successElement = document.getElementById(this.successId);
-    const failureElement = document.getElementById(this.failureId);
-    const galleryElement = document.getElementById(this.galleryId);
-
-    if (!successElement || !failureElement || !galleryElement) return;
-
+  createSecretItem(entry) {
+    const item = document.createElement('div');
+    item.className = 'secret-image-container';
 
-    if (success) {
-      successElement.style.display = 'block';
-      failureElement.style.display = 'none';
-      galleryElement.style.display = 'block'; // Or 'grid' or 'flex' depending on CSS
+    item.appendChild(this.createResponsiveImage(entry, 'secret-image', CONFIG.SECRET_IMAGE_SIZES));
 
-      // FIXED: Reveal secret images with proper animation
-      // Ensure galleryElement itself is visible before animating children
-      galleryElement.offsetHeight; // Force reflow
+    if (entry.caption) {
+      item.appendChild(this.createCaption(entry));
+    }
+    return item;
+  }
 
-      const secretImageContainers = galleryElement.querySelectorAll('.secret-image-container, .video-player-container');
-      secretImageContainers.forEach((container, index) => {
-        setTimeout(() => {
-          container.classList.add('revealed');
-        }, index * 200); // Staggered animation
-      });
+  /**
+   * Create an <img> that lets the browser choose between the entry renditions.
+   * The smallest rendition is the fallback src for browsers without srcset.
+   * Sources are parked in data-lazy-* attributes until the item nears the viewport.
+   * @param {Object} entry - Gallery entry
+   * @param {string} className - Image class name
+   * @param {string} sizes - sizes attribute for the layout slot
+   * @returns {HTMLImageElement}
+   */
+  createResponsiveImage(entry, className, sizes) {
+    const img = document.createElement('img');
+    img.className = className;
+    img.alt = entry.alt || entry.caption;
+
+    if (entry.type === 'video') {
+      img.dataset.lazySrc = entry.thumbnail; // Poster frame, videos have no image renditions
+      return img;
+    }
 
-      // FIXED: Update modal system to include new items AFTER they are revealed and animations likely started/done
-      if (window.modalSystem) {
-         // Delay should be enough for CSS display and animations to kick in
-        setTimeout(() => {
-          window.modalSystem.refreshMediaItems();
-        }, secretImageContainers.length * 200 + 300); // Wait for all staggered animations + a buffer
-      }
-    // Trigger confetti animation
-    if (typeof confetti !== 'undefined') {
-        confetti({
-        particleCount: 150,
-        spread: 70,
-        origin: { y: 0.6 }
-        });
+    const renditions = entry.renditions;
+    const srcset = buildSrcset(renditions);
+    if (srcset) {
+      img.dataset.lazySrcset = srcset;
+      img.sizes = sizes;
     }
-    } else {
-      successElement.style.display = 'none';
-      failureElement.style.display = 'block';
-      galleryElement.style.display = 'none';
+    img.dataset.lazySrc = (renditions.thumb || renditions.medium || renditions.full).src;
+    if (img.dataset.lazySrc !== renditions.full.src) {
+      img.dataset.fallbackSrc = renditions.full.src; // In case a rendition is missing or the resizer is down
     }
+    return img;
   }
-}
 
-/**
- * ========================================================================
- * BONUS SYSTEM CLASS
- * ========================================================================
- */
-class BonusSystem {
-  constructor() {
-    this.bonusButton = document.getElementById('bonus-button');
-    this.bonusContent = document.getElementById('bonus-content');
-    this.bonusForm = document.getElementById('bonus-form');
-    this.bonusAnswer = document.getElementById('bonus-answer');
-    this.bonusResult = document.getElementById('bonus-result');
-    this.bonusHint = document.querySelector('.bonus-hint');
+  createVideoPlayer(entry) {
+    const template = document.getElementById('video-player-template');
+    const player = template.content.firstElementChild.cloneNode(true);
 
-    this.failedAttempts = 0;
+    // Sources, poster, chapters and playlist are loaded by EnhancedVideoPlayer (entry.clips)
+    const title = player.querySelector('[data-video-title]');
+    if (title) title.textContent = entry.title || entry.caption;
 
-    this.initialize();
+    return player;
   }
 
-  initialize() {
-    this.setupEventListeners();
+  createCaption(entry) {
+    const caption = document.createElement('div');
+    caption.className = 'secret-image-caption';
+    caption.textContent = entry.caption;
+    return caption;
   }
 
-  setupEventListeners() {
-    // Toggle bonus content
-    this.bonusButton?.addEventListener('click', () => {
-      this.toggleContent();
-    });
+  /**
+   * @param {string} galleryKey - Gallery key from the manifest
+   * @returns {HTMLElement|null} Container the gallery renders into
+   */
+  getContainer(galleryKey) {
+    if (this.targets[galleryKey]) return document.querySelector(this.targets[galleryKey]);
+    return Array.from(document.querySelectorAll('[data-gallery-target]'))
+      .find(container => container.getAttribute('data-gallery-target') === galleryKey) || null;
+  }
 
-    // Handle form submission
-    this.bonusForm?.addEventListener('submit', (e) => {
-      e.preventDefault();
-      this.checkAnswer();
-    });
+  /**
+   * Check whether a gallery is currently visible to the guest.
+   * Secret galleries count as revealed once their section is displayed.
+   * @param {string} galleryKey - Gallery key from the manifest
+   * @returns {boolean}
+   */
+  isGalleryRevealed(galleryKey) {
+    if (galleryKey === 'main') return true;
+    const container = this.getContainer(galleryKey);
+    const section = container?.closest('.secret-gallery');
+    return !!section && window.getComputedStyle(section).display !== 'none';
   }
 
-  toggleContent() {
-    if (this.bonusContent) {
-      this.bonusContent.classList.toggle('revealed');
-    }
+  /**
+   * Entries the guest may open in the modal: main gallery first, then revealed secrets
+   * @returns {Array<Object>}
+   */
+  getAccessibleEntries() {
+    const main = this.getMainEntries();
+    const secrets = this.entries.filter(entry =>
+      entry.gallery !== 'main' && this.isGalleryRevealed(entry.gallery)
+    );
+    return [...main, ...secrets];
   }
 
-  checkAnswer() {
-    const answer = normalizeText(this.bonusAnswer.value.trim());
-    let isCorrect = false;
+  getEntry(id) {
+    return this.entries.find(entry => entry.id === id) || null;
+  }
 
-    // Check encrypted answers
-    for (const encryptedAnswer of CONFIG.ENCRYPTED_ANSWERS) {
-      const decryptedAnswer = decryptAnswer(encryptedAnswer);
-      if (decryptedAnswer && answer.includes(decryptedAnswer)) { // Ensure decryptedAnswer is not empty
-        isCorrect = true;
-        break;
-      }
+  getElement(id) {
+    return this.elements.get(id) || null;
+  }
+
+  /**
+   * Add or remove an item from the download selection
+   * @param {string} id - Manifest item id
+   */
+  toggleSelected(id) {
+    if (this.selectedIds.has(id)) {
+      this.selectedIds.delete(id);
+    } else {
+      this.selectedIds.add(id);
     }
+    this.getElement(id)?.classList.toggle('is-selected', this.selectedIds.has(id));
+  }
 
-    // Check direct answers as fallback
-    if (!isCorrect) {
-      isCorrect = CONFIG.ACCEPTED_ANSWERS.some(validAnswer =>
-        answer.includes(normalizeText(validAnswer)) // Normalize validAnswer as well for consistency
-      );
+  clearSelection() {
+    this.selectedIds.forEach(id => this.getElement(id)?.classList.remove('is-selected'));
+    this.selectedIds.clear();
+  }
+
+  /**
+   * Viewport-driven lazy loading. Without IntersectionObserver media loads immediately.
+   */
+  setupLazyLoading() {
+    if (!('IntersectionObserver' in window)) return;
+
+    this.lazyObserver = new IntersectionObserver((observed) => {
+      observed.forEach(({ isIntersecting, target }) => {
+        if (!isIntersecting) return;
+        this.lazyObserver.unobserve(target);
+        this.loadLazyMedia(target);
+      });
+    }, { rootMargin: CONFIG.LAZY_LOAD_ROOT_MARGIN });
+  }
+
+  /**
+   * Start watching a mounted element for lazy media
+   * @param {HTMLElement} element - Rendered gallery element
+   */
+  observeLazy(element) {
+    if (!element.querySelector('[data-lazy-src]')) {
+      element.classList.add('loaded'); // Nothing deferred (e.g. secret video player)
+      return;
     }
 
-    if (isCorrect) {
-      this.showSuccessResult();
+    if (this.lazyObserver) {
+      this.lazyObserver.observe(element);
     } else {
-      this.handleIncorrectAnswer();
+      this.loadLazyMedia(element);
     }
   }
 
-  showSuccessResult() {
-    this.failedAttempts = 0;
-    this.bonusResult.classList.add('revealed');
-    // bonusResult display style is handled by CSS .revealed usually, ensure it becomes visible
-    // If .revealed itself doesn't set display, then:
-    this.bonusResult.style.display = 'block'; // Or whatever its natural display is
+  /**
+   * Move parked sources into place and mark the element loaded when they arrive
+   * @param {HTMLElement} element - Rendered gallery element
+   */
+  loadLazyMedia(element) {
+    element.querySelectorAll('[data-lazy-src]').forEach(media => {
+      const loadEvent = media.tagName === 'VIDEO' ? 'loadedmetadata' : 'load';
+
+      media.addEventListener(loadEvent, () => {
+        element.classList.add('loaded');
+      }, { once: true });
+      const onError = () => {
+        const fallback = media.dataset.fallbackSrc;
+        if (fallback) {
+          delete media.dataset.fallbackSrc;
+          media.removeAttribute('srcset');
+          media.src = fallback;
+          return;
+        }
+        media.removeEventListener('error', onError);
+        console.error("Failed to load gallery media:", media.src);
+        element.classList.add('loaded', 'load-error'); // Keep the placeholder visible
+      };
+      media.addEventListener('error', onError);
 
-    // Add highlight animation
-    setTimeout(() => {
-      this.bonusResult.classList.add('highlight-animation');
-    }, 400); // Delay to sync with reveal transition
+      if (media.dataset.lazySrcset) {
+        media.srcset = media.dataset.lazySrcset;
+      }
+      media.src = media.dataset.lazySrc;
+      delete media.dataset.lazySrc;
+      delete media.dataset.lazySrcset;
+    });
+  }
 
-    // Trigger confetti
-    if (typeof confetti !== 'undefined') {
-      confetti({
-        particleCount: 100,
-        spread: 60,
-        origin: { y: 0.7 }
+  /**
+   * Keep the mounted window in sync with scrolling and resizing
+   */
+  setupWindowing() {
+    let frame = null;
+    window.addEventListener('scroll', () => {
+      if (!this.isWindowed || frame) return;
+      frame = requestAnimationFrame(() => {
+        frame = null;
+        this.updateWindow();
       });
-    }
+    }, { passive: true });
+
+    window.addEventListener('resize', debounce(() => {
+      if (!this.isWindowed) return;
+      this.layout = null; // Column count may have changed
+      this.updateWindow();
+    }, CONFIG.DEBOUNCE_DELAY));
   }
 
-  handleIncorrectAnswer() {
-    this.failedAttempts++;
+  /**
+   * Mount the rows that intersect the viewport (plus overscan) and size the
+   * container padding so the scrollbar reflects the full gallery.
+   */
+  updateWindow() {
+    const entries = this.mainEntries;
 
-    // Show hint after 5 failed attempts
-    if (this.failedAttempts >= 5 && this.bonusHint) {
-      this.bonusHint.classList.add('visible');
+    if (!this.layout) {
+      const { start, end } = this.windowRange;
+      if (end > start) {
+        this.mountWindow(start, end);
+      } else {
+        this.mountWindow(0, Math.min(entries.length, CONFIG.GALLERY_WINDOW_INITIAL_ITEMS));
+      }
+      this.layout = this.measureLayout();
+
+      if (!this.layout) {
+        // Grid cannot be measured (e.g. not laid out yet): fall back to mounting everything
+        this.isWindowed = false;
+        this.galleryContainer.style.paddingTop = '';
+        this.galleryContainer.style.paddingBottom = '';
+        this.mountWindow(0, entries.length);
+        return;
+      }
     }
 
-    // Add shake animation to input
-    this.bonusAnswer.classList.add('shake');
-    setTimeout(() => {
-      this.bonusAnswer.classList.remove('shake');
-    }, 500);
-  }
-}
-
-/**
- * ========================================================================
- * SIMPLIFIED GALLERY SYSTEM CLASS
- * ========================================================================
- */
-class SimplifiedGallerySystem {
-  constructor() {
-    this.galleryContainer = document.getElementById('gallery-container');
-    // Query for items within the specific gallery container
-    this.galleryItems = this.galleryContainer ? this.galleryContainer.querySelectorAll('.gallery-item') : [];
-
+    const { columns, rowHeight } = this.layout;
+    const totalRows = Math.ceil(entries.length / columns);
+    const top = this.galleryContainer.getBoundingClientRect().top;
+    const overscan = CONFIG.GALLERY_WINDOW_OVERSCAN_ROWS;
 
-    this.initialize();
-  }
+    const firstRow = Math.min(totalRows, Math.max(0, Math.floor(-top / rowHeight) - overscan));
+    const lastRow = Math.min(totalRows, Math.max(firstRow, Math.ceil((window.innerHeight - top) / rowHeight) + overscan));
 
-  initialize() {
-    if (!this.galleryContainer) return; // Do nothing if container doesn't exist
-    this.handleImageLoading();
-    this.setupResponsiveLayout();
+    this.mountWindow(firstRow * columns, Math.min(entries.length, lastRow * columns));
+    this.galleryContainer.style.paddingTop = `${firstRow * rowHeight}px`;
+    this.galleryContainer.style.paddingBottom = `${(totalRows - lastRow) * rowHeight}px`;
   }
 
-  handleImageLoading() {
-    // Add loading animation to images
-    this.galleryItems.forEach((item, index) => {
-      const img = item.querySelector('img');
+  /**
+   * Mount main entries [start, end) in order, reusing elements already in the DOM
+   * @param {number} start - First entry index (inclusive)
+   * @param {number} end - Last entry index (exclusive)
+   */
+  mountWindow(start, end) {
+    const windowEntries = this.mainEntries.slice(start, end);
+    const wanted = new Set(windowEntries.map(entry => entry.id));
 
-      if (!img) {
-        item.classList.add('loaded'); // Mark as loaded if no image (e.g. video placeholder)
-        return;
+    Array.from(this.galleryContainer.children).forEach(child => {
+      if (!wanted.has(child.getAttribute('data-gallery-id'))) {
+        this.unmountElement(child);
       }
+    });
 
-      // Staggered animation logic
-      const delay = index * 100;
+    let previous = null;
+    windowEntries.forEach(entry => {
+      let element = this.elements.get(entry.id);
+      const isNew = !element;
+      if (isNew) {
+        element = this.createEntryElement(entry);
+      }
 
-      if (img.complete && img.naturalHeight !== 0) { // Check if image is already loaded and valid
-        setTimeout(() => {
-          item.classList.add('loaded');
-        }, delay);
-      } else {
-        img.addEventListener('load', () => {
-          setTimeout(() => {
-            item.classList.add('loaded');
-          }, delay);
-        });
-        img.addEventListener('error', () => {
-            // Handle error: mark as loaded to unblock sequence, or add error class
-            console.error("Failed to load gallery image:", img.src);
-            setTimeout(() => {
-                item.classList.add('loaded'); // Or item.classList.add('load-error');
-            }, delay);
-        });
+      const expected = previous ? previous.nextSibling : this.galleryContainer.firstChild;
+      if (element !== expected) {
+        this.galleryContainer.insertBefore(element, expected);
       }
+      if (isNew) {
+        this.observeLazy(element);
+      }
+      previous = element;
     });
+
+    this.windowRange = { start, end };
+    this.galleryItems = this.galleryContainer.querySelectorAll('.gallery-item');
+  }
+
+  /**
+   * Derive column count and row pitch from the mounted grid items
+   * @returns {{columns: number, rowHeight: number}|null}
+   */
+  measureLayout() {
+    const children = Array.from(this.galleryContainer.children);
+    if (!children.length) return null;
+
+    const firstTop = children[0].offsetTop;
+    let columns = children.findIndex(child => child.offsetTop !== firstTop);
+    let rowHeight;
+
+    if (columns === -1) {
+      // Only one row mounted: assume it is full
+      columns = children.length;
+      const gap = parseFloat(window.getComputedStyle(this.galleryContainer).rowGap) || 0;
+      rowHeight = children[0].offsetHeight + gap;
+    } else {
+      rowHeight = children[columns].offsetTop - firstTop;
+    }
+
+    return rowHeight > 0 ? { columns, rowHeight } : null;
   }
 
   setupResponsiveLayout() {
@@ -1291,99 +9610,525 @@ class SimplifiedGallerySystem {
   addGalleryImage(src, alt = '') {
     if (!this.galleryContainer) return -1; // Return -1 or throw error if no container
 
-    const newItem = document.createElement('div');
-    newItem.className = 'gallery-item';
-    newItem.setAttribute('data-type', 'image');
-    newItem.setAttribute('data-src', src);
+    const mainCount = this.entries.filter(entry => entry.gallery === 'main').length;
+    const [entry] = this.parseManifest({
+      items: [{
+        id: `custom-${Date.now()}-${this.entries.length}`,
+        type: 'image',
+        src,
+        caption: alt || i18n.translations('gallery.defaultCaption', { number: mainCount + 1 }),
+        gallery: 'main'
+      }]
+    });
+    this.entries.push(entry);
+    this.mainEntries = this.getMainEntries();
+    this.renderFilterBar(); // Counts changed
+
+    if (this.isWindowed || this.mainEntries.length > CONFIG.GALLERY_WINDOW_THRESHOLD) {
+      this.renderMainGallery(); // Recompute the window with the new total
+    } else {
+      this.renderEntry(entry);
+      this.galleryItems = this.galleryContainer.querySelectorAll('.gallery-item');
+    }
+
+    // If modal system exists and needs to be aware of new items immediately:
+    if (window.modalSystem) {
+        window.modalSystem.refreshMediaItems();
+    }
 
-    const newImg = document.createElement('img');
-    newImg.src = src;
-    newImg.alt = alt || `Momento especial ${this.galleryItems.length + 1}`;
-    newImg.className = 'gallery-img';
+    return this.mainEntries.length - 1; // Return the index of the new item
+  }
+}
 
-    newItem.appendChild(newImg);
-    this.galleryContainer.appendChild(newItem);
+/**
+ * ========================================================================
+ * STORY TIMELINE - Dated photos, milestones and story chapters on one axis
+ * ========================================================================
+ */
+class StoryTimeline {
+  /**
+   * @param {Object} options
+   * @param {SimplifiedGallerySystem} options.gallerySystem - Source of the dated photos
+   * @param {WeddingCounter} options.weddingCounter - Milestones already reached
+   * @param {ModalSystem} options.modalSystem - Opens the photos
+   */
+  constructor({ gallerySystem, weddingCounter, modalSystem }) {
+    this.section = document.getElementById('timeline-section');
+    this.list = document.getElementById('story-timeline');
+    this.gallerySystem = gallerySystem;
+    this.weddingCounter = weddingCounter;
+    this.modalSystem = modalSystem;
+    this.story = []; // content.json "story": chapters and short entries
+    this.photoKey = ''; // Ids of the photos on the axis, to skip needless re-renders
+    this.revealObserver = null;
+    this.progressFrame = null;
 
-    // Handle loading for new image (without staggered delay, or apply based on new length)
-    if (newImg.complete && newImg.naturalHeight !== 0) {
-        newItem.classList.add('loaded');
-    } else {
-        newImg.addEventListener('load', () => {
-          newItem.classList.add('loaded');
-        });
-        newImg.addEventListener('error', () => {
-          newItem.classList.add('loaded'); // Or error state
-          console.error("Failed to load dynamically added image:", src);
+    this.initialize();
+  }
+
+  initialize() {
+    if (!this.list) return;
+
+    if ('IntersectionObserver' in window) {
+      this.revealObserver = new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+          if (!entry.isIntersecting) return;
+          entry.target.classList.add('visible');
+          this.revealObserver.unobserve(entry.target);
         });
+      }, { rootMargin: CONFIG.TIMELINE_REVEAL_MARGIN });
     }
 
+    this.list.addEventListener('click', (e) => {
+      const thumb = e.target.closest('[data-timeline-id]');
+      if (thumb) this.openPhoto(thumb.getAttribute('data-timeline-id'));
+    });
 
-    // Update gallery items collection
-    this.galleryItems = this.galleryContainer.querySelectorAll('.gallery-item');
+    // The axis fills up as the story is scrolled through
+    const scheduleProgress = () => {
+      if (this.progressFrame) return;
+      this.progressFrame = requestAnimationFrame(() => {
+        this.progressFrame = null;
+        this.updateProgress();
+      });
+    };
+    window.addEventListener('scroll', scheduleProgress, { passive: true });
+    window.addEventListener('resize', scheduleProgress);
 
-    // If modal system exists and needs to be aware of new items immediately:
-    if (window.modalSystem) {
-        window.modalSystem.refreshMediaItems();
+    // Uploads, admin edits and revealed secrets change the photos on the axis
+    this.modalSystem?.onItemsChange(() => {
+      if (this.getPhotoKey() !== this.photoKey) this.render();
+    });
+
+    this.render();
+  }
+
+  /**
+   * @param {Array<Object>} story - content.json "story"
+   */
+  setStory(story) {
+    this.story = Array.isArray(story) ? story : [];
+    this.render();
+  }
+
+  /**
+   * Dated photos the guest may open: the whole main gallery (filters aside) and revealed secrets
+   * @returns {Array<Object>}
+   */
+  getPhotos() {
+    return this.gallerySystem.entries.filter(entry =>
+      entry.date && this.gallerySystem.isGalleryRevealed(entry.gallery)
+    );
+  }
+
+  getPhotoKey() {
+    return this.getPhotos().map(entry => entry.id).join(',');
+  }
+
+  /**
+   * Everything on the axis, oldest first. Photos are grouped per day.
+   * @param {Date} now
+   * @returns {Array<Object>} { kind: 'chapter'|'milestone'|'story'|'photos', time, ... }
+   */
+  getItems(now = new Date()) {
+    const timeZone = this.weddingCounter.timeZone;
+    const items = [];
+
+    this.story.forEach(entry => {
+      if (!entry || !entry.date) return;
+      items.push({ kind: entry.type === 'chapter' ? 'chapter' : 'story', time: zonedTimeToDate(entry.date, timeZone), entry });
+    });
+
+    this.weddingCounter.milestones
+      .filter(milestone => milestone.time <= now)
+      .forEach(milestone => items.push({ kind: 'milestone', time: milestone.time, milestone }));
+
+    const days = new Map(); // YYYY-MM-DD -> photos item
+    this.getPhotos().forEach(entry => {
+      const day = String(entry.date).slice(0, 10);
+      if (!days.has(day)) days.set(day, { kind: 'photos', time: zonedTimeToDate(day, timeZone), entries: [] });
+      days.get(day).entries.push(entry);
+    });
+    items.push(...days.values());
+
+    // A chapter opens its day; the day's photos come after what is told about it
+    const order = { chapter: 0, milestone: 1, story: 2, photos: 3 };
+    return items
+      .filter(item => !isNaN(item.time.getTime()))
+      .sort((a, b) => a.time - b.time || order[a.kind] - order[b.kind]);
+  }
+
+  render() {
+    if (!this.list) return;
+    this.revealObserver?.disconnect();
+    this.list.innerHTML = '';
+    this.photoKey = this.getPhotoKey();
+
+    const items = this.getItems();
+    if (this.section) this.section.hidden = !items.length;
+
+    const timeZone = this.weddingCounter.timeZone;
+    const format = new Intl.DateTimeFormat(i18n.locale, { dateStyle: 'long', timeZone });
+    let year = null;
+    let side = 0; // Entries alternate sides of the axis on wide screens
+
+    items.forEach(item => {
+      const itemYear = getZonedParts(item.time, timeZone).year;
+      if (itemYear !== year) {
+        year = itemYear;
+        const marker = document.createElement('li');
+        marker.className = 'timeline-year';
+        marker.innerHTML = `<span>${year}</span>`;
+        this.list.appendChild(marker);
+      }
+
+      const element = this.createItem(item, format);
+      if (item.kind !== 'chapter') {
+        element.classList.toggle('alternate', side % 2 === 1);
+        side++;
+      }
+      this.list.appendChild(element);
+
+      if (this.revealObserver) {
+        this.revealObserver.observe(element);
+      } else {
+        element.classList.add('visible');
+      }
+    });
+
+    this.updateProgress();
+  }
+
+  /**
+   * @param {Object} item - From getItems()
+   * @param {Intl.DateTimeFormat} format - Date format for the entry
+   * @returns {HTMLLIElement}
+   */
+  createItem(item, format) {
+    const element = document.createElement('li');
+
+    if (item.kind === 'chapter') {
+      element.className = 'timeline-chapter';
+      const heading = document.createElement('h3');
+      heading.textContent = i18n.localize(item.entry.title) || '';
+      element.appendChild(heading);
+      const text = i18n.localize(item.entry.text);
+      if (text) element.appendChild(this.createText('p', text));
+      return element;
     }
 
-    return this.galleryItems.length -1; // Return the index of the new item
+    element.className = `timeline-entry timeline-${item.kind}`;
+    const date = document.createElement('time');
+    date.dateTime = item.time.toISOString();
+    date.textContent = format.format(item.time);
+    element.appendChild(date);
+
+    if (item.kind === 'milestone') {
+      element.appendChild(this.createText('h4', this.weddingCounter.getLabel(item.milestone)));
+    } else if (item.kind === 'story') {
+      const title = i18n.localize(item.entry.title);
+      const text = i18n.localize(item.entry.text);
+      if (title) element.appendChild(this.createText('h4', title));
+      if (text) element.appendChild(this.createText('p', text));
+      // Story entries may point at gallery photos by id; only those the guest can see are shown
+      const ids = Array.isArray(item.entry.photos) ? item.entry.photos : [];
+      const photos = this.getPhotos().filter(entry => ids.includes(entry.id));
+      if (photos.length) element.appendChild(this.createThumbs(photos));
+    } else {
+      element.appendChild(this.createText('h4', i18n.t('timeline.photos', { count: item.entries.length })));
+      element.appendChild(this.createThumbs(item.entries));
+    }
+    return element;
+  }
+
+  createText(tag, text) {
+    const element = document.createElement(tag);
+    element.textContent = text;
+    return element;
+  }
+
+  /**
+   * @param {Array<Object>} entries - Gallery entries
+   * @returns {HTMLDivElement} Strip of thumbnails that open the modal
+   */
+  createThumbs(entries) {
+    const strip = document.createElement('div');
+    strip.className = 'timeline-thumbs';
+
+    entries.forEach(entry => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'timeline-thumb';
+      button.setAttribute('data-timeline-id', entry.id);
+      button.setAttribute('aria-label', entry.caption || entry.alt || entry.id);
+      if (entry.color) button.style.backgroundColor = entry.color;
+
+      const rendition = entry.renditions?.thumb || entry.renditions?.medium;
+      const src = entry.type === 'video' ? entry.thumbnail : (rendition || entry.renditions?.full)?.src;
+      if (src) {
+        const img = document.createElement('img');
+        const original = entry.renditions?.full?.src;
+        if (original && original !== src) {
+          img.addEventListener('error', () => { img.src = original; }, { once: true }); // Resizer down
+        }
+        img.src = src;
+        img.alt = '';
+        img.loading = 'lazy';
+        img.decoding = 'async';
+        button.appendChild(img);
+      }
+      if (entry.type === 'video') {
+        button.insertAdjacentHTML('beforeend', iconMarkup('play'));
+      }
+      strip.appendChild(button);
+    });
+    return strip;
+  }
+
+  /**
+   * Open a photo in the modal, clearing a gallery filter that hides it from the modal's list
+   * @param {string} id - Manifest item id
+   */
+  openPhoto(id) {
+    if (!this.modalSystem) return;
+    let index = this.modalSystem.findIndexById(id);
+    if (index === -1 && this.gallerySystem.activeFilter) {
+      this.gallerySystem.setFilter(null);
+      index = this.modalSystem.findIndexById(id);
+    }
+    this.modalSystem.open(index);
+  }
+
+  /**
+   * Fill the axis up to the middle of the viewport (--timeline-progress, 0 to 1)
+   */
+  updateProgress() {
+    if (!this.list || this.section?.hidden) return;
+    const rect = this.list.getBoundingClientRect();
+    const reached = window.innerHeight / 2 - rect.top;
+    const progress = rect.height ? Math.min(1, Math.max(0, reached / rect.height)) : 0;
+    this.list.style.setProperty('--timeline-progress', progress.toFixed(3));
   }
 }
 
 /**
  * ========================================================================
- * WEDDING COUNTER UTILITY
+ * WEDDING COUNTER - Time married and countdown to the next milestone
  * ========================================================================
  */
 class WeddingCounter {
   constructor() {
     this.counterElement = document.getElementById('wedding-counter'); // Renamed for clarity
-    this.weddingDate = new Date(CONFIG.WEDDING_DATE); // Renamed for clarity
+    this.timelineElement = document.getElementById('milestone-timeline');
+    this.weddingDate = CONFIG.WEDDING_DATE; // Wall-clock time in timeZone (see zonedTimeToDate)
+    this.timeZone = CONFIG.WEDDING_TIME_ZONE;
+    this.extraMilestones = []; // content.json "milestones": first date, engagement...
+    this.milestones = []; // { id, time, label?, years? } by date, with the ceremony and its anniversaries
+    this.nextMilestone = null;
     this.intervalId = null; // To store interval ID for potential clearing
 
     if (this.counterElement) {
+      this.counterElement.innerHTML = '<span class="counter-line"></span><span class="counter-line"></span>';
+      [this.sinceLine, this.nextLine] = this.counterElement.children;
+      i18n.onChange(() => {
+        this.renderTimeline();
+        this.update();
+      });
       this.start();
     }
   }
 
   start() {
+    this.refreshMilestones();
     this.update(); // Initial update
     this.intervalId = setInterval(() => this.update(), 1000);
   }
 
+  /**
+   * Ceremony, content milestones and every anniversary up to the first one still ahead;
+   * yearly milestones that already passed count down to their next date
+   * @param {Date} now
+   * @returns {Array<Object>} Sorted by time; empty when the wedding date is invalid
+   */
+  buildMilestones(now) {
+    const ceremony = zonedTimeToDate(this.weddingDate, this.timeZone);
+    if (isNaN(ceremony.getTime())) return [];
+
+    const milestones = [
+      { id: 'ceremony', time: ceremony },
+      ...this.extraMilestones
+        .filter(milestone => milestone && milestone.date)
+        .map(milestone => ({
+          id: String(milestone.id || milestone.date),
+          time: zonedTimeToDate(milestone.date, this.timeZone),
+          label: milestone.label,
+          allDay: /^\d{4}-\d{2}-\d{2}$/.test(milestone.date), // No time of day
+          yearly: !!milestone.yearly // Exported as a recurring event
+        }))
+        .filter(milestone => !isNaN(milestone.time.getTime()))
+        .map(milestone => milestone.yearly ? this.getNextOccurrence(milestone, now) : milestone)
+    ];
+
+    for (let years = 1, last = ceremony; last <= now; years++) {
+      last = this.getAnniversaryTime(ceremony, years);
+      milestones.push({ id: `anniversary-${years}`, time: last, years });
+    }
+
+    return milestones.sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * @param {Object} milestone - Yearly milestone at its first date
+   * @param {Date} now
+   * @returns {Object} Same milestone at its first date after now; `first` keeps the original one
+   */
+  getNextOccurrence(milestone, now) {
+    let time = milestone.time;
+    for (let years = 1; time <= now; years++) {
+      time = this.getAnniversaryTime(milestone.time, years);
+    }
+    return { ...milestone, time, first: milestone.time };
+  }
+
+  /**
+   * Same wall-clock time, years later; a 29 February wedding is remembered on the 28th
+   * @param {Date} ceremony - Wedding instant
+   * @param {number} years - Anniversary number
+   * @returns {Date}
+   */
+  getAnniversaryTime(ceremony, years) {
+    const wall = getZonedParts(ceremony, this.timeZone);
+    const year = wall.year + years;
+    const day = Math.min(wall.day, new Date(Date.UTC(year, wall.month, 0)).getUTCDate());
+    return zonedTimeToDate({ ...wall, year, day }, this.timeZone);
+  }
+
+  /**
+   * @param {Date} [now]
+   */
+  refreshMilestones(now = new Date()) {
+    this.milestones = this.buildMilestones(now);
+    this.nextMilestone = this.milestones.find(milestone => milestone.time > now) || null;
+    this.renderTimeline(now);
+  }
+
+  /**
+   * @param {Object} milestone - From buildMilestones()
+   * @returns {string} In the page language
+   */
+  getLabel(milestone) {
+    if (milestone.years) return i18n.t('milestone.anniversary', { count: milestone.years });
+    if (milestone.id === 'ceremony') return i18n.t('milestone.ceremony');
+    return i18n.localize(milestone.label) || milestone.id;
+  }
+
+  /**
+   * @param {Object} difference - From getCalendarDifference()
+   * @returns {string} e.g. "1 año, 2 meses, 3 días, 4h 5m 6s"
+   */
+  formatDuration(difference) {
+    const units = ['years', 'months', 'days']
+      .filter(unit => difference[unit] > 0)
+      .map(unit => i18n.t(`duration.${unit}`, { count: difference[unit] }));
+    return [...units, i18n.t('duration.clock', difference)].join(', ');
+  }
+
   update() {
     const now = new Date();
     // Ensure weddingDate is valid
-    if (isNaN(this.weddingDate.getTime())) {
-        this.counterElement.textContent = "Fecha de boda no válida.";
-        if (this.intervalId) clearInterval(this.intervalId);
+    if (!this.milestones.length) {
+        this.sinceLine.textContent = i18n.t('counter.invalid');
+        this.nextLine.textContent = '';
+        this.stop();
         return;
     }
 
-    const diffMs = now - this.weddingDate;
-
-    if (diffMs < 0) {
-        // Future date handling (countdown to wedding)
-        const timeToWedding = Math.abs(diffMs);
-        const days = Math.floor(timeToWedding / (1000 * 60 * 60 * 24));
-        const hours = Math.floor((timeToWedding % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
-        const minutes = Math.floor((timeToWedding % (1000 * 60 * 60)) / (1000 * 60));
-        const seconds = Math.floor((timeToWedding % (1000 * 60)) / 1000);
-        this.counterElement.textContent = `Faltan para la boda: ${days}d ${hours}h ${minutes}m ${seconds}s`;
-        return;
+    // Reached while the page is open
+    if (this.nextMilestone && now >= this.nextMilestone.time) {
+      this.celebrate();
+      this.refreshMilestones(now);
     }
 
-    // Past date handling (married for)
-    // Using simple subtraction for days assumes same timezone or UTC logic consistently.
-    // For precise day counting across timezones, a library like date-fns or moment.js is better.
-    // This simplified version calculates total elapsed time.
-    const days = Math.floor(diffMs / (1000 * 60 * 60 * 24));
-    const hours = Math.floor((diffMs % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
-    const minutes = Math.floor((diffMs % (1000 * 60 * 60)) / (1000 * 60));
-    const seconds = Math.floor((diffMs % (1000 * 60)) / 1000);
+    const ceremony = this.milestones.find(milestone => milestone.id === 'ceremony').time;
+    this.sinceLine.textContent = ceremony <= now
+      ? i18n.t('counter.married', { time: this.formatDuration(getCalendarDifference(ceremony, now, this.timeZone)) })
+      : '';
+    this.nextLine.textContent = this.nextMilestone
+      ? i18n.t('counter.next', {
+        label: this.getLabel(this.nextMilestone),
+        time: this.formatDuration(getCalendarDifference(now, this.nextMilestone.time, this.timeZone))
+      })
+      : '';
+  }
+
+  /**
+   * List the milestones, marking those reached and the next one
+   * @param {Date} [now]
+   */
+  renderTimeline(now = new Date()) {
+    if (!this.timelineElement) return;
+    this.timelineElement.innerHTML = '';
+    this.timelineElement.hidden = !this.milestones.length;
+
+    const format = new Intl.DateTimeFormat(i18n.locale, { dateStyle: 'long', timeZone: this.timeZone });
+    this.milestones.forEach(milestone => {
+      const item = document.createElement('li');
+      item.className = 'milestone';
+      item.classList.toggle('reached', milestone.time <= now);
+      item.classList.toggle('next', milestone === this.nextMilestone);
+
+      const date = document.createElement('time');
+      date.dateTime = milestone.time.toISOString();
+      date.textContent = format.format(milestone.time);
+      const label = document.createElement('span');
+      label.className = 'milestone-label';
+      label.textContent = this.getLabel(milestone);
+
+      item.append(label, date);
+
+      // Handled by CalendarExport
+      if (milestone.time > now) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'milestone-calendar';
+        button.dataset.calendarMilestone = milestone.id;
+        button.setAttribute('aria-label', i18n.t('calendar.addMilestone', { label: label.textContent }));
+        button.innerHTML = iconMarkup('calendar-plus');
+        item.appendChild(button);
+      }
+      this.timelineElement.appendChild(item);
+    });
+  }
+
+  celebrate() {
+    this.counterElement.classList.add('milestone-reached');
+    setTimeout(() => this.counterElement.classList.remove('milestone-reached'), 4000);
 
+    celebration.fire({
+      particleCount: 150,
+      spread: 90,
+      origin: { y: 0.4 },
+      shapes: ['heart', 'star']
+    });
+  }
 
-    this.counterElement.textContent = `Llevan casados ${days} días, ${hours}h, ${minutes}m, ${seconds}s.`;
+  /**
+   * Change the dates being counted (site content / admin edits)
+   * @param {Object} dates - Normalized content: { weddingDate, timeZone, milestones }
+   */
+  setDates({ weddingDate, timeZone, milestones = [] }) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone }); // Throws for unknown zones
+      this.timeZone = timeZone;
+    } catch (error) {
+      console.warn('Unknown time zone, using', CONFIG.WEDDING_TIME_ZONE, error);
+      this.timeZone = CONFIG.WEDDING_TIME_ZONE;
+    }
+    this.weddingDate = weddingDate;
+    this.extraMilestones = milestones;
+    if (!this.counterElement) return;
+    this.stop();
+    this.start();
   }
 
   stop() { // Method to stop the counter if needed
@@ -1394,12 +10139,134 @@ class WeddingCounter {
   }
 }
 
+/**
+ * ========================================================================
+ * CALENDAR EXPORT - .ics files for the milestones and the yearly anniversary
+ * ========================================================================
+ */
+class CalendarExport {
+  /**
+   * @param {WeddingCounter} weddingCounter - Source of the milestones and their time zone
+   */
+  constructor(weddingCounter) {
+    this.weddingCounter = weddingCounter;
+    this.button = document.getElementById('add-to-calendar');
+    this.timeline = document.getElementById('milestone-timeline');
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    this.button?.addEventListener('click', () => {
+      this.download(this.getEvents(), `${CONFIG.DOWNLOAD_FILENAME_PREFIX}${i18n.t('calendar.filename')}.ics`);
+    });
+
+    // Buttons rendered by WeddingCounter next to each upcoming or yearly milestone
+    this.timeline?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-calendar-milestone]');
+      const milestone = button && this.weddingCounter.milestones.find(entry => entry.id === button.dataset.calendarMilestone);
+      if (!milestone) return;
+      const slug = normalizeText(milestone.id).replace(/[^a-z0-9]+/g, '-');
+      this.download([this.toEvent(milestone)], `${CONFIG.DOWNLOAD_FILENAME_PREFIX}${slug}.ics`);
+    });
+  }
+
+  /**
+   * @param {Date} [now]
+   * @returns {Array<Object>} The yearly anniversary, then every upcoming or yearly milestone (createIcsCalendar shape)
+   */
+  getEvents(now = new Date()) {
+    const milestones = this.weddingCounter.milestones;
+    if (!milestones.length) return [];
+    return [
+      this.getAnniversaryEvent(),
+      ...milestones
+        .filter(milestone => !milestone.years && milestone.time > now)
+        .map(milestone => this.toEvent(milestone))
+    ];
+  }
+
+  /**
+   * @param {Object} milestone - From WeddingCounter.buildMilestones()
+   * @returns {Object} Event for createIcsCalendar(); anniversaries give the recurring one
+   */
+  toEvent(milestone) {
+    if (milestone.years) return this.getAnniversaryEvent();
+
+    const title = i18n.t('calendar.event', { label: this.weddingCounter.getLabel(milestone) });
+    const event = {
+      ...this.getEventBase(milestone.id),
+      title,
+      start: milestone.time
+    };
+    if (milestone.yearly) {
+      // Recurs from the first date, not the one being counted down to
+      return { ...event, start: milestone.first, allDay: true, rrule: this.getYearlyRule(milestone.first), alarms: CONFIG.CALENDAR_ANNIVERSARY_ALARMS };
+    }
+    return {
+      ...event,
+      allDay: milestone.allDay,
+      duration: CONFIG.CALENDAR_EVENT_DURATION,
+      alarms: milestone.allDay ? CONFIG.CALENDAR_ANNIVERSARY_ALARMS : CONFIG.CALENDAR_EVENT_ALARMS
+    };
+  }
+
+  /**
+   * All-day event every year from the first anniversary on
+   * @returns {Object} Event for createIcsCalendar()
+   */
+  getAnniversaryEvent() {
+    const counter = this.weddingCounter;
+    const ceremony = counter.milestones.find(milestone => milestone.id === 'ceremony').time;
+    return {
+      ...this.getEventBase('anniversary'),
+      title: i18n.t('calendar.anniversary'),
+      start: counter.getAnniversaryTime(ceremony, 1),
+      allDay: true,
+      rrule: this.getYearlyRule(ceremony),
+      alarms: CONFIG.CALENDAR_ANNIVERSARY_ALARMS
+    };
+  }
+
+  /**
+   * @param {string} id - Milestone id
+   * @returns {Object} uid, description and url shared by every event
+   */
+  getEventBase(id) {
+    const url = `${window.location.origin}${window.location.pathname}`;
+    return { uid: `${id}@${window.location.hostname || 'boda'}`, description: url, url };
+  }
+
+  /**
+   * @param {Date} date - First occurrence
+   * @returns {string} RRULE value; 29 February becomes the last day of February
+   */
+  getYearlyRule(date) {
+    const { month, day } = getZonedParts(date, this.weddingCounter.timeZone);
+    return month === 2 && day === 29 ? 'FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=-1' : 'FREQ=YEARLY';
+  }
+
+  /**
+   * @param {Array<Object>} events - For createIcsCalendar()
+   * @param {string} filename - Suggested filename
+   */
+  download(events, filename) {
+    if (!events.length) return;
+    const text = createIcsCalendar(events, { name: i18n.t('calendar.name'), timeZone: this.weddingCounter.timeZone });
+    saveBlob(new Blob([text], { type: 'text/calendar;charset=utf-8' }), filename);
+  }
+}
+
 /**
  * ========================================================================
  * APPLICATION INITIALIZATION
  * ========================================================================
  */
 document.addEventListener('DOMContentLoaded', () => {
+  // Static texts in the visitor's language, and the switcher to change it
+  i18n.apply();
+  i18n.renderSwitcher(document.getElementById('language-switcher'));
+
   // Initialize Wedding Counter
   const weddingCounter = new WeddingCounter();
 
@@ -1415,42 +10282,74 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
-  // Initialize Enhanced Video Players
+  // Initialize Enhanced Video Players (players inside galleries are created by SimplifiedGallerySystem)
   const videoContainers = document.querySelectorAll('.video-player-container');
   const videoPlayers = Array.from(videoContainers).map(container =>
     new EnhancedVideoPlayer(container)
   );
 
+  // Site content (letter, puzzles, dates); also holds unpublished admin drafts
+  const siteContent = new SiteContentStore();
+  window.siteContent = siteContent; // Gallery reads the draft manifest from here
+
+  // Initialize Simplified Gallery System (renders asynchronously from the manifest)
+  const gallerySystem = new SimplifiedGallerySystem();
+  window.gallerySystem = gallerySystem; // Modal system reads its item list from here
+
   // Initialize Modal System and make it globally accessible
   const modalSystem = new ModalSystem();
   window.modalSystem = modalSystem; // Make globally accessible for puzzle system
 
-  // Initialize Puzzle Systems
-  const puzzle1 = new PuzzleSystem({
-    sectionId: 'puzzle-section',
-    checkBtnId: 'check-answers-btn',
-    successId: 'puzzle-success',
-    failureId: 'puzzle-failure',
-    galleryId: 'secret-gallery',
-    questionClass: 'puzzle-question', // Specific to puzzle 1
-    optionClass: 'question-option'    // Specific to puzzle 1
-  });
+  // Dated photos, milestones and story chapters on a scroll-driven axis
+  const storyTimeline = new StoryTimeline({ gallerySystem, weddingCounter, modalSystem });
+
+  // Download / share / ZIP actions
+  const mediaActions = new MediaActions(modalSystem, gallerySystem);
+
+  // Service worker, and the album saved for offline viewing
+  const offlineAlbum = new OfflineAlbum(gallerySystem);
+
+  // Guest uploads and their moderation queue
+  const guestUploader = new GuestUploader();
+  const moderationPanel = new UploadModerationPanel(gallerySystem);
 
-  const puzzle2 = new PuzzleSystem({
-    sectionId: 'puzzle-section-2',
-    checkBtnId: 'check-answers-btn-2',
-    successId: 'puzzle-success-2',
-    failureId: 'puzzle-failure-2',
-    galleryId: 'secret-gallery-2',
-    questionClass: 'puzzle-question-2', // Specific to puzzle 2
-    optionClass: 'question-option-2'    // Specific to puzzle 2
+  // Answers and unlocked surprises saved in this browser
+  const progressStore = new ProgressStore();
+
+  // Puzzles from content.json, each unlocking its own secret gallery
+  const puzzleEngine = new PuzzleEngine({ progress: progressStore });
+
+  // Apply content.json (or the admin draft) to the letter, counter, story and puzzles
+  const applySiteContent = (content) => {
+    siteContent.applyTexts(content);
+    weddingCounter.setDates(content);
+    storyTimeline.setStory(content.story);
+    puzzleEngine.setPuzzles(content.puzzles);
+  };
+  siteContent.ready.then(applySiteContent);
+
+  // Restore a deep-linked photo once the gallery manifest has been rendered and solved
+  // puzzles have decrypted their secret galleries (the link may point into one)
+  Promise.all([gallerySystem.ready, siteContent.ready.then(() => puzzleEngine.restored)])
+    .then(() => modalSystem.syncWithUrl());
+
+  // .ics downloads of the milestones and the yearly anniversary
+  const calendarExport = new CalendarExport(weddingCounter);
+
+  // A language change re-renders the content texts, puzzles and gallery captions
+  i18n.onChange(() => {
+    if (siteContent.content) applySiteContent(siteContent.content);
+    gallerySystem.applyLanguage();
   });
 
+  // Admin mode for the couple (?admin)
+  const adminPanel = new AdminPanel({ siteContent, gallerySystem, onApply: applySiteContent });
+
   // Initialize Bonus System
-  const bonusSystem = new BonusSystem();
+  const bonusSystem = new BonusSystem(progressStore);
 
-  // Initialize Simplified Gallery System
-  const gallerySystem = new SimplifiedGallerySystem();
+  // Scores shared with the other guests
+  const leaderboard = new Leaderboard({ puzzleEngine, bonusSystem, progress: progressStore });
 
   // Performance monitoring
   if (window.performance && window.performance.mark) {
@@ -1476,13 +10375,24 @@ document.addEventListener('DOMContentLoaded', () => {
   const isDevelopment = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
   if (isDevelopment) {
     window.app = {
+      i18n,
+      celebration,
       weddingCounter,
+      calendarExport,
+      storyTimeline,
       videoPlayers,
       modalSystem,
-      puzzle1,
-      puzzle2,
+      progressStore,
+      puzzleEngine,
       bonusSystem,
-      gallerySystem
+      leaderboard,
+      gallerySystem,
+      mediaActions,
+      offlineAlbum,
+      guestUploader,
+      moderationPanel,
+      siteContent,
+      adminPanel
     };
     console.log('App systems exposed to window.app for debugging.', window.app);
   }
@@ -1517,7 +10427,7 @@ if (!Element.prototype.closest) {
 // or bundling it with a build tool.
 // Example: if (!('IntersectionObserver' in window)) { /* load polyfill */ }
 if (!window.IntersectionObserver) {
-  console.warn('IntersectionObserver not supported, consider adding polyfill for optimal lazy loading or animations.');
+  console.warn('IntersectionObserver not supported, gallery media will load eagerly.');
 }
 
 // RequestAnimationFrame polyfill (though widely supported now)
@@ -1553,14 +10463,53 @@ if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     EnhancedVideoPlayer,
     ModalSystem,
+    ModalGestureController,
+    ModalSlideshow,
+    ModalPreloader,
+    ModalInfoPanel,
+    MediaActions,
+    OfflineAlbum,
+    GuestUploader,
+    UploadModerationPanel,
+    SiteContentStore,
+    AdminPanel,
+    ProgressStore,
+    AnswerMatcher,
+    I18n,
+    I18N_MESSAGES,
     PuzzleSystem,
+    PuzzleEngine,
+    PUZZLE_QUESTION_TYPES,
     BonusSystem,
+    Leaderboard,
     SimplifiedGallerySystem,
     WeddingCounter,
+    CalendarExport,
+    ConfettiEffect,
+    StoryTimeline,
     CONFIG,
     debounce,
     formatTime,
+    parseTimecode,
     normalizeText,
-    decryptAnswer
+    getDownloadFilename,
+    copyText,
+    crc32,
+    createZipBlob,
+    parseExif,
+    sha256Hex,
+    normalizeAnswer,
+    createAnswerLock,
+    openAnswerLock,
+    encryptVault,
+    decryptVault,
+    shuffle,
+    getSourceText,
+    getZonedParts,
+    zonedTimeToDate,
+    getCalendarDifference,
+    createIcsCalendar,
+    iconMarkup,
+    setIcon
   };
 }
\ No newline at end of file
@@ -0,0 +1,241 @@
+'use strict';
+
+/**
+ * ========================================================================
+ * SCORES SERVER - In-memory stand-in for the puzzle leaderboard backend
+ * ========================================================================
+ *
+ * Scores live in memory only, which is enough for one evening (and for
+ * building the leaderboard). upload-server.js mounts it under /api/scores,
+ * so CONFIG.LEADERBOARD_ENDPOINT = 'api/scores' works there; it can
+ * also run on its own (API only, cross-origin):
+ *
+ *   node server/scores-server.js
+ *
+ * Protocol (any backend implementing it can replace this one):
+ *
+ *   POST /api/scores   JSON { playerId, player, puzzle, score, seconds }
+ *        -> 201 { playerId, player }    keeps the best score per player and puzzle,
+ *                                       for up to MAX_PUZZLES_PER_PLAYER puzzles
+ *   GET  /api/scores?limit=20
+ *        -> { boot, version, players: [{ playerId, player, total, solved, seconds, updatedAt }] }
+ *        best total first, then the fastest; ETag/If-None-Match make polling cheap.
+ *        version counts changes since the server started, boot is new on every start
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.SCORES_PORT) || 8788;
+const MAX_BODY_BYTES = 4 * 1024;
+const MAX_PLAYERS = 2000;
+const MAX_PUZZLES_PER_PLAYER = 20; // Far more than the site has; made-up ids can't pad a total past this
+const MAX_SCORE = 100000;
+const DEFAULT_LIMIT = 20;
+
+const PLAYER_ID_PATTERN = /^[a-z0-9-]{8,64}$/i;
+const PUZZLE_ID_PATTERN = /^[\w-]{1,64}$/;
+
+// ========================================================================
+// HTTP HELPERS
+// ========================================================================
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+const sendError = (res, status, message) => sendJson(res, status, { error: message });
+
+/**
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res - Closes the connection once the error reply is out if the body is too large
+ * @returns {Promise<Object>} Parsed JSON body
+ */
+const readJson = (req, res) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  req.on('data', chunk => {
+    if (size > MAX_BODY_BYTES) return;
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      // Stop reading but keep the socket until the 413 is written, or the client only sees a reset
+      req.pause();
+      res.setHeader('Connection', 'close');
+      res.once('finish', () => req.destroy());
+      reject(Object.assign(new Error('Body too large'), { status: 413 }));
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+    } catch (error) {
+      reject(Object.assign(new Error('Invalid JSON'), { status: 400 }));
+    }
+  });
+  req.on('error', reject);
+});
+
+// ========================================================================
+// SCORE BOARD
+// ========================================================================
+
+/**
+ * Validate a posted score
+ * @param {Object} body - Request body
+ * @returns {Object|null} { playerId, player, puzzle, score, seconds }, or null if invalid
+ */
+const parseSubmission = (body) => {
+  if (!body || typeof body !== 'object') return null;
+  const player = typeof body.player === 'string' ? body.player.trim().replace(/\s+/g, ' ').slice(0, 30) : '';
+  const score = Number(body.score);
+  const seconds = body.seconds === null || body.seconds === undefined ? null : Number(body.seconds);
+
+  if (!PLAYER_ID_PATTERN.test(body.playerId || '') || !player) return null;
+  if (!PUZZLE_ID_PATTERN.test(body.puzzle || '')) return null;
+  if (!Number.isInteger(score) || score < 0 || score > MAX_SCORE) return null;
+  if (seconds !== null && !(Number.isFinite(seconds) && seconds >= 0)) return null;
+
+  return { playerId: body.playerId, player, puzzle: body.puzzle, score, seconds };
+};
+
+/**
+ * In-memory leaderboard
+ * @returns {Object} { submit, list, handle }
+ */
+const createScoreBoard = () => {
+  const players = new Map(); // playerId -> { playerId, player, scores: Map(puzzle -> { score, seconds }), updatedAt }
+  let version = 0;
+  const bootId = crypto.randomBytes(6).toString('hex'); // A restarted board counts versions from 0 again
+
+  /**
+   * @param {Object} submission - From parseSubmission()
+   * @returns {Object} { record } or { error, status } when the board or the player's puzzles are full
+   */
+  const submit = (submission) => {
+    let record = players.get(submission.playerId);
+    if (!record) {
+      if (players.size >= MAX_PLAYERS) return { error: 'Leaderboard full', status: 503 };
+      record = { playerId: submission.playerId, player: submission.player, scores: new Map(), updatedAt: null };
+      players.set(record.playerId, record);
+    }
+
+    const previous = record.scores.get(submission.puzzle);
+    if (!previous && record.scores.size >= MAX_PUZZLES_PER_PLAYER) return { error: 'Too many puzzles', status: 400 };
+    if (!previous || submission.score > previous.score) {
+      record.scores.set(submission.puzzle, { score: submission.score, seconds: submission.seconds });
+    }
+    record.player = submission.player; // Nicknames can change
+    record.updatedAt = new Date().toISOString();
+    version++;
+    return { record };
+  };
+
+  /**
+   * @param {number} [limit] - Max players returned
+   * @returns {Object} { boot, version, players }
+   */
+  const list = (limit = DEFAULT_LIMIT) => {
+    const ranked = [...players.values()].map(record => {
+      const scores = [...record.scores.values()];
+      return {
+        playerId: record.playerId,
+        player: record.player,
+        total: scores.reduce((sum, entry) => sum + entry.score, 0),
+        solved: scores.length,
+        seconds: scores.reduce((sum, entry) => sum + (entry.seconds || 0), 0),
+        updatedAt: record.updatedAt
+      };
+    });
+    ranked.sort((a, b) => b.total - a.total || a.seconds - b.seconds || a.updatedAt.localeCompare(b.updatedAt));
+    return { boot: bootId, version, players: ranked.slice(0, limit) };
+  };
+
+  /**
+   * Handle /api/scores requests
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {URL} url
+   */
+  const handle = async (req, res, url) => {
+    if (req.method === 'GET') {
+      const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || DEFAULT_LIMIT, 1), 100);
+      const etag = `"scores-${bootId}-${version}-${limit}"`;
+      if (req.headers['if-none-match'] === etag) {
+        res.writeHead(304, { ETag: etag });
+        res.end();
+        return;
+      }
+      sendJson(res, 200, list(limit), { ETag: etag, 'Cache-Control': 'no-cache' });
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      sendError(res, 405, 'Method not allowed');
+      return;
+    }
+
+    let body;
+    try {
+      body = await readJson(req, res);
+    } catch (error) {
+      sendError(res, error.status || 400, error.message);
+      return;
+    }
+    const submission = parseSubmission(body);
+    if (!submission) {
+      sendError(res, 400, 'Invalid score');
+      return;
+    }
+    const { record, error, status } = submit(submission);
+    if (!record) {
+      sendError(res, status, error);
+      return;
+    }
+    sendJson(res, 201, { playerId: record.playerId, player: record.player });
+  };
+
+  return { submit, list, handle };
+};
+
+/**
+ * Standalone server with only the scores API
+ * @returns {http.Server}
+ */
+const createServer = () => {
+  const board = createScoreBoard();
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-None-Match');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Expose-Headers', 'ETag');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    const parts = url.pathname.split('/').filter(Boolean);
+    if (parts.length !== 2 || parts[0] !== 'api' || parts[1] !== 'scores') {
+      sendError(res, 404, 'Not found');
+      return;
+    }
+    try {
+      await board.handle(req, res, url);
+    } catch (error) {
+      console.error('Scores server error:', error);
+      if (!res.headersSent) sendError(res, 500, 'Internal error');
+    }
+  });
+};
+
+if (require.main === module) {
+  createServer().listen(PORT, () => {
+    console.log(`Scores server on http://localhost:${PORT}/api/scores (in memory)`);
+  });
+}
+
+module.exports = { createScoreBoard, createServer };
@@ -0,0 +1,383 @@
+'use strict';
+
+/**
+ * ========================================================================
+ * GUEST UPLOAD SERVER - Local stand-in for the upload/moderation backend
+ * ========================================================================
+ *
+ * Development server with file storage (Node built-ins only). It also serves
+ * the site itself; set CONFIG.UPLOAD_ENDPOINT to 'api/uploads' (and
+ * CONFIG.LEADERBOARD_ENDPOINT to 'api/scores') in script.js, then:
+ *
+ *   MODERATION_TOKEN=secreto node server/upload-server.js
+ *   open http://localhost:8787/            (guests)
+ *   open http://localhost:8787/?moderar    (couple, asks for the token)
+ *
+ * Protocol (any backend implementing it can replace this one):
+ *
+ *   POST /api/uploads?filename=&uploader=&caption=   raw file body, Content-Type one of EXTENSIONS
+ *        -> 201 { id, status: 'pending' }
+ *   GET  /api/uploads/approved                       public, manifest fragment { baseUrl, items }
+ *   GET  /api/uploads?status=pending|approved|rejected  moderators only
+ *   POST /api/uploads/<id>/approve | /reject         moderators only
+ *   GET  /api/uploads/<id>/file                      public once approved, moderators before
+ *
+ * Moderators authenticate with "Authorization: Bearer <token>", never in the
+ * query string (it would end up in logs, history and Referer headers). Without
+ * MODERATION_TOKEN a random token is generated and printed at startup, so it
+ * changes on every run.
+ *
+ * It also mounts the in-memory puzzle leaderboard (scores-server.js) under
+ * /api/scores.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createScoreBoard } = require('./scores-server');
+
+const PORT = Number(process.env.PORT) || 8787;
+const SITE_ROOT = path.resolve(__dirname, '..');
+const DATA_DIR = path.resolve(process.env.UPLOAD_DATA_DIR || path.join(__dirname, 'data'));
+const FILES_DIR = path.join(DATA_DIR, 'uploads');
+const QUEUE_FILE = path.join(DATA_DIR, 'uploads.json');
+const MODERATION_TOKEN = process.env.MODERATION_TOKEN || crypto.randomBytes(18).toString('base64url');
+const MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_BYTES) || 250 * 1024 * 1024;
+const UPLOAD_ALBUM = 'invitados';
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/heic': 'heic',
+  'video/mp4': 'mp4',
+  'video/quicktime': 'mov',
+  'video/webm': 'webm'
+};
+
+const scoreBoard = createScoreBoard();
+
+const STATIC_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.ico': 'image/x-icon'
+};
+
+// ========================================================================
+// STORAGE
+// ========================================================================
+
+/**
+ * @returns {Array<Object>} Upload records, oldest first
+ */
+const readQueue = () => {
+  try {
+    return JSON.parse(fs.readFileSync(QUEUE_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('Could not read upload queue:', error);
+    return [];
+  }
+};
+
+/**
+ * Persist the queue atomically (write + rename)
+ * @param {Array<Object>} queue - Upload records
+ */
+const writeQueue = (queue) => {
+  const tmp = `${QUEUE_FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(queue, null, 2));
+  fs.renameSync(tmp, QUEUE_FILE);
+};
+
+/**
+ * Manifest-shaped item for an approved upload (see gallery.json). Uploads without
+ * a comment have no caption; the page captions them in the guest's language.
+ * @param {Object} record - Upload record
+ * @returns {Object}
+ */
+const toManifestItem = (record) => ({
+  id: `upload-${record.id}`,
+  type: record.type.startsWith('video/') ? 'video' : 'image',
+  src: `${record.id}/file`,
+  caption: record.caption || null,
+  credit: record.uploader || null,
+  thumbnail: null,
+  date: record.createdAt.slice(0, 10),
+  album: UPLOAD_ALBUM,
+  tags: [],
+  gallery: 'main'
+});
+
+// ========================================================================
+// HTTP HELPERS
+// ========================================================================
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+};
+
+const sendError = (res, status, message) => sendJson(res, status, { error: message });
+
+/**
+ * @param {http.IncomingMessage} req
+ * @returns {boolean} Whether the request carries the moderation token
+ */
+const isModerator = (req) => {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+  if (!token) return false;
+  const expected = Buffer.from(MODERATION_TOKEN);
+  const given = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+/**
+ * Serve a file from disk; nosniff keeps browsers to the stored type (guest files
+ * are whatever the guest sent)
+ * @param {http.ServerResponse} res
+ * @param {string} file - Absolute path
+ * @param {string} type - Content-Type
+ */
+const sendFile = (res, file, type) => {
+  fs.stat(file, (error, stats) => {
+    if (error || !stats.isFile()) {
+      sendError(res, 404, 'Not found');
+      return;
+    }
+    // The file may be gone by now (rejected, cleaned up): headers wait until it opens
+    const stream = fs.createReadStream(file);
+    stream.on('error', (streamError) => {
+      console.error('Could not read file:', streamError);
+      if (res.headersSent) {
+        res.destroy(); // Mid-body: the client sees a truncated response
+      } else {
+        sendError(res, 500, 'Could not read file');
+      }
+    });
+    stream.on('open', () => {
+      res.writeHead(200, { 'Content-Type': type, 'Content-Length': stats.size, 'X-Content-Type-Options': 'nosniff' });
+      stream.pipe(res);
+    });
+  });
+};
+
+// ========================================================================
+// ROUTES
+// ========================================================================
+
+/**
+ * Stream an upload to disk and queue it for moderation
+ */
+const handleUpload = (req, res, url) => {
+  const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  const extension = EXTENSIONS[type];
+  if (!extension) {
+    sendError(res, 415, `Unsupported media type: ${type || 'none'}`);
+    return;
+  }
+
+  const declared = Number(req.headers['content-length']);
+  if (declared > MAX_UPLOAD_BYTES) {
+    sendError(res, 413, 'File too large');
+    return;
+  }
+
+  const id = crypto.randomUUID();
+  const filename = `${id}.${extension}`;
+  const target = path.join(FILES_DIR, filename);
+  const out = fs.createWriteStream(target);
+  let size = 0;
+  let aborted = false;
+
+  const fail = (status, message) => {
+    if (aborted) return;
+    aborted = true;
+    out.destroy();
+    fs.unlink(target, () => {});
+    sendError(res, status, message);
+  };
+
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > MAX_UPLOAD_BYTES && !aborted) {
+      // Stop reading but keep the socket until the 413 is written, or the client only sees a reset
+      req.unpipe(out);
+      req.pause();
+      res.setHeader('Connection', 'close');
+      res.once('finish', () => req.destroy());
+      fail(413, 'File too large');
+    }
+  });
+  req.on('aborted', () => fail(400, 'Upload aborted'));
+  out.on('error', error => {
+    console.error('Upload write error:', error);
+    fail(500, 'Could not store file');
+  });
+
+  out.on('finish', () => {
+    if (aborted) return;
+    if (!size) {
+      fail(400, 'Empty upload');
+      return;
+    }
+
+    const record = {
+      id,
+      file: filename,
+      type,
+      size,
+      originalName: (url.searchParams.get('filename') || '').slice(0, 200),
+      uploader: (url.searchParams.get('uploader') || '').trim().slice(0, 80),
+      caption: (url.searchParams.get('caption') || '').trim().slice(0, 280),
+      status: 'pending',
+      createdAt: new Date().toISOString()
+    };
+    const queue = readQueue();
+    queue.push(record);
+    writeQueue(queue);
+    sendJson(res, 201, { id, status: record.status });
+  });
+
+  req.pipe(out);
+};
+
+/**
+ * Approved uploads as a manifest fragment; src values are relative to baseUrl
+ */
+const handleApproved = (req, res) => {
+  const items = readQueue()
+    .filter(record => record.status === 'approved')
+    .map(toManifestItem);
+  sendJson(res, 200, { baseUrl: './', items });
+};
+
+const handleList = (req, res, url) => {
+  const status = url.searchParams.get('status');
+  const records = readQueue().filter(record => !status || record.status === status);
+  sendJson(res, 200, { items: records });
+};
+
+const handleModeration = (req, res, id, action) => {
+  const queue = readQueue();
+  const record = queue.find(entry => entry.id === id);
+  if (!record) {
+    sendError(res, 404, 'Unknown upload');
+    return;
+  }
+  record.status = action === 'approve' ? 'approved' : 'rejected';
+  record.moderatedAt = new Date().toISOString();
+  writeQueue(queue);
+  sendJson(res, 200, { id, status: record.status });
+};
+
+const handleFile = (req, res, id) => {
+  const record = readQueue().find(entry => entry.id === id);
+  if (!record || (record.status !== 'approved' && !isModerator(req))) {
+    sendError(res, 404, 'Not found');
+    return;
+  }
+  sendFile(res, path.join(FILES_DIR, record.file), record.type);
+};
+
+const handleStatic = (req, res, url) => {
+  let relative;
+  try {
+    relative = decodeURIComponent(url.pathname === '/' ? '/index.html' : url.pathname);
+  } catch (error) {
+    sendError(res, 400, 'Malformed path');
+    return;
+  }
+  const file = path.join(SITE_ROOT, relative);
+  const isDotfile = path.relative(SITE_ROOT, file).split(path.sep).some(segment => segment.startsWith('.'));
+  // Never serve outside the site, dotfiles (.git, .env) or the server's own files
+  if (!file.startsWith(SITE_ROOT + path.sep) || isDotfile || file.startsWith(__dirname + path.sep)) {
+    sendError(res, 404, 'Not found');
+    return;
+  }
+  sendFile(res, file, STATIC_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream');
+};
+
+/**
+ * Dispatch a request
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+const route = (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+  // The page may be hosted elsewhere (e.g. the static site) and call this server cross-origin
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, If-None-Match');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Expose-Headers', 'ETag');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  const parts = url.pathname.split('/').filter(Boolean); // ['api', 'uploads', id, action]
+  if (parts[0] === 'api' && parts[1] === 'scores' && parts.length === 2) {
+    scoreBoard.handle(req, res, url).catch(error => {
+      console.error('Scores error:', error);
+      if (!res.headersSent) sendError(res, 500, 'Internal error');
+    });
+    return;
+  }
+  if (parts[0] !== 'api' || parts[1] !== 'uploads') {
+    if (req.method === 'GET') {
+      handleStatic(req, res, url);
+    } else {
+      sendError(res, 405, 'Method not allowed');
+    }
+    return;
+  }
+
+  if (parts.length === 2 && req.method === 'POST') return handleUpload(req, res, url);
+  if (parts.length === 3 && parts[2] === 'approved' && req.method === 'GET') return handleApproved(req, res);
+  if (parts.length === 4 && parts[3] === 'file' && req.method === 'GET') return handleFile(req, res, parts[2]);
+
+  if (!isModerator(req)) {
+    sendError(res, 401, 'Moderation token required');
+    return;
+  }
+  if (parts.length === 2 && req.method === 'GET') return handleList(req, res, url);
+  if (parts.length === 4 && ['approve', 'reject'].includes(parts[3]) && req.method === 'POST') {
+    return handleModeration(req, res, parts[2], parts[3]);
+  }
+  sendError(res, 404, 'Not found');
+};
+
+/**
+ * Create the server (not listening yet)
+ * @returns {http.Server}
+ */
+const createServer = () => {
+  fs.mkdirSync(FILES_DIR, { recursive: true });
+  return http.createServer((req, res) => {
+    try {
+      route(req, res);
+    } catch (error) {
+      console.error('Upload server error:', error);
+      if (!res.headersSent) sendError(res, 500, 'Internal error');
+    }
+  });
+};
+
+if (require.main === module) {
+  createServer().listen(PORT, () => {
+    console.log(`Upload server on http://localhost:${PORT} (data in ${DATA_DIR})`);
+    if (!process.env.MODERATION_TOKEN) console.log(`Moderation token for this run: ${MODERATION_TOKEN}`);
+  });
+}
+
+module.exports = { createServer };
@@ -0,0 +1,257 @@
+'use strict';
+
+/**
+ * ========================================================================
+ * SERVICE WORKER - Offline app shell, cached photos and the saved album
+ * ========================================================================
+ *
+ * Registered by script.js (CONFIG.SERVICE_WORKER_URL). Guests open the site
+ * at the venue with poor coverage, so:
+ *
+ *   - The app shell (page, styles, script, content and manifest JSON, icons)
+ *     is precached; the site has no third-party dependencies. Same-origin requests go to the network first and fall
+ *     back to the cache when offline or slower than NETWORK_TIMEOUT. Only the
+ *     shell files are refreshed in the cache, under their plain URL, so
+ *     ?admin, ?lang= or ?v= variants don't pile up.
+ *   - Images are cache-first and kept in MEDIA_CACHE, oldest dropped first
+ *     once MEDIA_CACHE_MAX_BYTES is exceeded. Cross-origin ones are fetched
+ *     with CORS so their size is known; opaque responses are never cached
+ *     (browsers pad their storage size far beyond the real file).
+ *   - Files saved with "Guardar para ver sin conexión" (OfflineAlbum in
+ *     script.js) live in ALBUM_CACHE, which is never trimmed or versioned.
+ *   - Navigations outside the app fall back to offline.html.
+ *
+ * Bump CACHE_VERSION when the precache list changes.
+ */
+
+const CACHE_VERSION = 'v3'; // v3 drops the ?query page variants v2 piled up
+const SHELL_CACHE = `boda-shell-${CACHE_VERSION}`;
+const MEDIA_CACHE = 'boda-media';
+const ALBUM_CACHE = 'boda-album'; // Same name as CONFIG.OFFLINE_ALBUM_CACHE
+const MEDIA_INDEX_KEY = '__media-index__'; // [{ url, size }] of MEDIA_CACHE, oldest first
+
+const NETWORK_TIMEOUT = 4000;
+const MEDIA_CACHE_MAX_BYTES = 100 * 1024 * 1024;
+
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'style.css',
+  'script.js',
+  'content.json',
+  'gallery.json',
+  'offline.html',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'icons/icon-192.png',
+  'icons/icon-512.png'
+];
+
+// ========================================================================
+// LIFECYCLE
+// ========================================================================
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(SHELL_FILES);
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const current = [SHELL_CACHE, MEDIA_CACHE, ALBUM_CACHE];
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('boda-') && !current.includes(name))
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+// ========================================================================
+// STRATEGIES
+// ========================================================================
+
+/**
+ * fetch() that gives up after a while, so a weak signal falls back to the cache
+ * @param {Request} request
+ * @param {number} timeout - ms
+ * @returns {Promise<Response>}
+ */
+const fetchWithTimeout = (request, timeout) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error('Network timeout')), timeout);
+  fetch(request).then(resolve, reject).finally(() => clearTimeout(timer));
+});
+
+/**
+ * Serve a byte range of a cached response (videos saved in the album)
+ * @param {Request} request - Carries the Range header
+ * @param {Response} response - Full cached response
+ * @returns {Promise<Response>}
+ */
+const toRangeResponse = async (request, response) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(request.headers.get('Range') || '');
+  if (!match || response.status !== 200 || response.type === 'opaque') return response;
+
+  const blob = await response.blob();
+  const start = match[1] ? Number(match[1]) : Math.max(0, blob.size - Number(match[2]));
+  const end = match[1] && match[2] ? Math.min(Number(match[2]), blob.size - 1) : blob.size - 1;
+  if (start > end) {
+    return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${blob.size}` } });
+  }
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    headers: {
+      'Content-Type': response.headers.get('Content-Type') || blob.type,
+      'Content-Length': String(end - start + 1),
+      'Content-Range': `bytes ${start}-${end}/${blob.size}`,
+      'Accept-Ranges': 'bytes'
+    }
+  });
+};
+
+/**
+ * Network first, cached copy when offline or too slow
+ * @param {FetchEvent} event
+ * @param {string|null} cacheKey - Shell URL the response is kept under, or null to not keep it
+ * @returns {Promise<Response>}
+ */
+const networkFirst = async (event, cacheKey) => {
+  const { request } = event;
+  try {
+    const response = await fetchWithTimeout(request, NETWORK_TIMEOUT);
+    if (response.ok && cacheKey) {
+      const copy = response.clone();
+      event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.put(cacheKey, copy)));
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(cacheKey || request);
+    if (cached) return cached;
+    if (request.mode === 'navigate') {
+      const offline = await caches.match('offline.html');
+      if (offline) return offline;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Fetch an image readably: <img> requests cross-origin files without CORS, which
+ * gives an opaque response; ask for CORS instead and fall back for hosts without it
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+const fetchMedia = async (request) => {
+  if (request.mode !== 'no-cors' || new URL(request.url).origin === self.location.origin) return fetch(request);
+  try {
+    return await fetch(new Request(request.url, { mode: 'cors', credentials: 'omit' }));
+  } catch (error) {
+    return fetch(request); // No CORS on this host: shown, but not cached
+  }
+};
+
+/**
+ * Images: cache first (album included); misses are fetched and kept in MEDIA_CACHE
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+const cacheFirstMedia = async (event) => {
+  const { request } = event;
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetchMedia(request);
+  if (response.ok) {
+    const copy = response.clone();
+    event.waitUntil((async () => {
+      const size = Number(response.headers.get('Content-Length')) || (await copy.clone().blob()).size;
+      const cache = await caches.open(MEDIA_CACHE);
+      await cache.put(request, copy);
+      await rememberMedia(request.url, size);
+    })());
+  }
+  return response;
+};
+
+// ========================================================================
+// MEDIA CACHE BUDGET
+// ========================================================================
+
+let mediaIndexQueue = Promise.resolve(); // Index updates run one at a time
+
+/**
+ * Record a cached image and drop the oldest ones over MEDIA_CACHE_MAX_BYTES
+ * @param {string} url
+ * @param {number} size - Bytes
+ * @returns {Promise<void>}
+ */
+const rememberMedia = (url, size) => {
+  const task = async () => {
+    const cache = await caches.open(MEDIA_CACHE);
+    const stored = await cache.match(MEDIA_INDEX_KEY);
+    const index = (stored ? await stored.json() : []).filter(entry => entry.url !== url);
+    index.push({ url, size });
+
+    let total = index.reduce((sum, entry) => sum + entry.size, 0);
+    while (total > MEDIA_CACHE_MAX_BYTES && index.length > 1) {
+      const oldest = index.shift();
+      total -= oldest.size;
+      await cache.delete(oldest.url);
+    }
+    await cache.put(MEDIA_INDEX_KEY, new Response(JSON.stringify(index), {
+      headers: { 'Content-Type': 'application/json' }
+    }));
+  };
+  mediaIndexQueue = mediaIndexQueue.then(task, task).catch(error => {
+    console.warn('Could not update the media cache index:', error);
+  });
+  return mediaIndexQueue;
+};
+
+// ========================================================================
+// ROUTING
+// ========================================================================
+
+/**
+ * @param {Request} request - Same-origin GET
+ * @param {string} path - Relative to the scope, without the query
+ * @returns {string|null} Shell URL to cache the response under, or null for anything else
+ */
+const getShellKey = (request, path) => {
+  if (request.mode === 'navigate' && (path === '' || path === 'index.html')) return './';
+  if (SHELL_FILES.includes(path) || path === 'api/uploads/approved') return path;
+  return null;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  const isSameOrigin = url.origin === self.location.origin;
+
+  // Moderator previews carry the token in the URL; never keep them
+  if (url.searchParams.has('token')) return;
+
+  if (request.destination === 'image') {
+    event.respondWith(cacheFirstMedia(event));
+    return;
+  }
+
+  // Videos are only served from the saved album; streaming them into the cache would blow the budget
+  if (request.destination === 'video' || request.destination === 'audio') {
+    event.respondWith(caches.match(request, { cacheName: ALBUM_CACHE })
+      .then(cached => cached ? toRangeResponse(request, cached) : fetch(request)));
+    return;
+  }
+
+  if (isSameOrigin) {
+    const path = url.pathname.slice(new URL(self.registration.scope).pathname.length);
+    // Scores and the moderation queue are live data; approved uploads are shown offline too
+    if (path.startsWith('api/') && path !== 'api/uploads/approved') return;
+    event.respondWith(networkFirst(event, getShellKey(request, path)));
+  }
+});
@@ -0,0 +1,86 @@
+'use strict';
+
+/**
+ * Sealed puzzles: answer locks and vaults open with the right answers only.
+ * Run with: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./helpers/load-script');
+
+const {
+  AnswerMatcher, PuzzleSystem, BonusSystem, normalizeAnswer,
+  createAnswerLock, openAnswerLock, encryptVault, decryptVault
+} = loadScript();
+
+const SALT = '0123456789abcdef0123456789abcdef';
+const SECRET = 'a1'.repeat(32);
+const OTHER_SECRET = 'b2'.repeat(32);
+
+// Objects built inside the script's VM context have that realm's prototypes
+const plain = value => JSON.parse(JSON.stringify(value));
+
+test('an answer lock gives the secret back for each accepted key only', async () => {
+  const lock = await createAnswerLock(SALT, 0, ['sevilla', normalizeAnswer('Cádiz'), 'sevilla'], SECRET);
+  assert.equal(lock.length, 2); // Duplicated keys share one entry
+  assert.ok(!JSON.stringify(lock).includes('sevilla'));
+  assert.ok(!JSON.stringify(lock).includes(SECRET));
+
+  assert.equal(await openAnswerLock(SALT, 0, 'sevilla', lock), SECRET);
+  assert.equal(await openAnswerLock(SALT, 0, normalizeAnswer('  CADIZ '), lock), SECRET);
+  assert.equal(await openAnswerLock(SALT, 0, 'malaga', lock), null);
+  assert.equal(await openAnswerLock(SALT, 1, 'sevilla', lock), null); // Another question's scope
+  assert.equal(await openAnswerLock('f'.repeat(32), 0, 'sevilla', lock), null);
+});
+
+test('a vault opens with the same secrets in the same order', async () => {
+  const data = { items: [{ src: 'secreto.jpg', caption: { es: 'Sorpresa', en: 'Surprise' } }] };
+  const vault = await encryptVault(data, [SECRET, OTHER_SECRET]);
+
+  assert.deepEqual(plain(await decryptVault(vault, [SECRET, OTHER_SECRET])), data);
+  await assert.rejects(decryptVault(vault, [OTHER_SECRET, SECRET]));
+  await assert.rejects(decryptVault(vault, [SECRET]));
+  assert.notEqual(await encryptVault(data, [SECRET, OTHER_SECRET]), vault); // Fresh IV each time
+});
+
+test('a sealed puzzle hides its solutions and opens its gallery with the right answers', async () => {
+  const fragment = { baseUrl: 'images/', items: [{ src: 'secreto.jpg', alt: 'Secreto' }] };
+  const draft = {
+    id: 'prueba',
+    questions: [
+      { type: 'single', question: '¿Dónde?', options: ['Sevilla', 'Cádiz'], correct: 1, explanation: 'Fue en Cádiz' },
+      { type: 'multi', question: '¿Qué había?', options: ['Tarta', 'Flores', 'Lluvia'], correct: [1, 0] },
+      { type: 'text', question: '¿Cómo se llama el perro?', answers: { es: ['Lirio'], en: ['Lily'] } }
+    ]
+  };
+
+  const sealed = await PuzzleSystem.seal(draft, fragment);
+  const published = JSON.stringify(sealed);
+  ['"correct"', '"answers"', 'Fue en Cádiz', 'secreto.jpg', 'Lirio', 'Lily'].forEach(text => {
+    assert.ok(!published.includes(text), `${text} leaked into the sealed puzzle`);
+  });
+
+  const [single, multi, text] = sealed.questions;
+  const { salt, vault } = sealed.seal;
+  const secrets = [
+    await openAnswerLock(salt, 0, '1', single.lock),
+    await openAnswerLock(salt, 1, '0,1', multi.lock),
+    (await new AnswerMatcher().openLock('creo que era lily', salt, 2, text.lock, text.near)).secret
+  ];
+  secrets.forEach(secret => assert.match(secret, /^[0-9a-f]{64}$/));
+  assert.equal(await openAnswerLock(salt, 0, '0', single.lock), null);
+
+  assert.deepEqual(plain(await decryptVault(vault, secrets)), { ...fragment, explanations: ['Fue en Cádiz', null, null] });
+});
+
+test('a sealed bonus opens with any accepted word', async () => {
+  const items = [{ src: 'bonus.jpg', alt: 'Bonus' }];
+  const { salt, lock, near, vault } = await BonusSystem.seal({ es: ['tarta'], en: ['cake'] }, items);
+  const matcher = new AnswerMatcher();
+
+  const { secret } = await matcher.openLock('¡La TARTA!', salt, 'bonus', lock, near);
+  assert.deepEqual(plain(await decryptVault(vault, [secret])), { items });
+  assert.deepEqual(plain(await decryptVault(vault, [(await matcher.openLock('cake', salt, 'bonus', lock, near)).secret])), { items });
+  assert.equal((await matcher.openLock('flores', salt, 'bonus', lock, near)).secret, null);
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+/**
+ * AnswerMatcher: plain answers (drafts) and sealed locks must agree.
+ * Run with: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./helpers/load-script');
+
+const { AnswerMatcher, CONFIG } = loadScript();
+
+const ANSWERS = {
+  es: ['huevo', 'huevos', 'cojones', 'falsa', 'montaje', 'editada', 'trucada', 'modificada'],
+  en: ['fake', 'photoshop', 'edited', 'balls', 'nuts', 'testicles'],
+  ca: ['ous', 'collons', 'falsa', 'muntatge', 'editada', 'trucada', 'modificada']
+};
+
+const matcher = new AnswerMatcher();
+
+/**
+ * @param {string} text - Guest answer
+ * @param {Object} sealed - { salt, lock, near } from createLock()
+ * @returns {Promise<'correct'|'close'|null>} Same shape as match()
+ */
+const openSealed = async (text, sealed) => {
+  const { secret, close } = await matcher.openLock(text, sealed.salt, 'bonus', sealed.lock, sealed.near);
+  if (secret) return 'correct';
+  return close ? 'close' : null;
+};
+
+const sealAnswers = async (answers) => {
+  const salt = 'a1b2c3d4e5f60718293a4b5c6d7e8f90';
+  const { lock, near } = await matcher.createLock(salt, 'bonus', answers, 'f'.repeat(64));
+  return { salt, lock, near };
+};
+
+test('accepts answers as whole words, with one typo in longer ones', () => {
+  assert.equal(matcher.match('¡Es FAKE!', ANSWERS), 'correct');
+  assert.equal(matcher.match('fotoshop', ANSWERS), 'correct');
+  assert.equal(matcher.match('modificda', ANSWERS), 'correct');
+  assert.equal(matcher.match('fakeada', ANSWERS), null);
+});
+
+test('negations only count right before the answer', () => {
+  assert.equal(matcher.match('not fake', ANSWERS), null);
+  assert.equal(matcher.match('no es fake', ANSWERS), null);
+  assert.equal(matcher.match("it's not a fake", ANSWERS), null);
+  assert.equal(matcher.match('no, es fake', ANSWERS), 'correct');
+  assert.equal(matcher.match('sin duda es fake', ANSWERS), 'correct');
+  assert.equal(matcher.match('nunca lo dirías pero es fake', ANSWERS), 'correct');
+});
+
+test('"photoshopped?" is close, not a pass', () => {
+  assert.equal(matcher.match('photoshopped?', ANSWERS), 'close');
+});
+
+test('sealed locks give the same verdict as plain answers', async () => {
+  const sealed = await sealAnswers(ANSWERS);
+  const inputs = [
+    'fake', 'Es fake', 'fotoshop', 'photoshopped?', 'not fake', 'no es fake', 'sin duda es fake',
+    'nunca lo dirías pero es fake', 'modificda', 'modfcada', 'monje', 'trcda', 'trucadaa', 'modificadass',
+    'mntaje', 'trukadda', 'xyz', 'huevo', 'uevos', 'collons', 'editadaz'
+  ];
+  for (const input of inputs) {
+    assert.equal(await openSealed(input, sealed), matcher.match(input, ANSWERS), input);
+  }
+});
+
+test('long sealed answers are cut and must be spelled right', async () => {
+  const sealed = await sealAnswers(ANSWERS);
+  const filler = 'la verdad es que me lo he pensado mucho y al final creo que';
+  assert.equal(await openSealed(`  ${filler} es fake  `, sealed), 'correct');
+  assert.equal(await openSealed(`${filler} está modificda`, sealed), null);
+  assert.equal(await openSealed('está modificda', sealed), 'correct');
+  assert.equal(await openSealed(`${'bla '.repeat(CONFIG.ANSWER_MAX_LENGTH)} fake`, sealed), null);
+});
+
+test('the published bonus lock no longer opens with "photoshopped"', async () => {
+  const { salt, lock, near } = CONFIG.BONUS_SECRET;
+  const bonus = { salt, lock, near };
+  assert.equal(await openSealed('fotoshop', bonus), 'correct');
+  assert.equal(await openSealed('photoshopped?', bonus), 'close');
+  assert.equal(await openSealed('not fake', bonus), null);
+  assert.equal(await openSealed('sin duda es fake', bonus), 'correct');
+});
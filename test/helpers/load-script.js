@@ -0,0 +1,59 @@
+'use strict';
+
+/**
+ * ========================================================================
+ * SCRIPT LOADER - Runs the browser script.js in Node for the tests
+ * ========================================================================
+ *
+ * script.js is a classic browser script; its module.exports block exposes the
+ * classes and helpers. This runs it in a fresh VM context with just enough
+ * browser globals (storage, navigator, a document that never fires
+ * DOMContentLoaded) for the top-level code, and WebCrypto from Node.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPT = path.resolve(__dirname, '..', '..', 'script.js');
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.url] - Page URL (location, ?lang=)
+ * @returns {Object} script.js exports
+ */
+const loadScript = ({ url = 'http://localhost/' } = {}) => {
+  const storage = new Map();
+  const context = {
+    console,
+    crypto: globalThis.crypto,
+    TextEncoder,
+    TextDecoder,
+    URL,
+    URLSearchParams,
+    atob,
+    btoa,
+    setTimeout,
+    clearTimeout,
+    location: new URL(url),
+    navigator: { language: 'es', languages: ['es'] },
+    localStorage: {
+      getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+      setItem: (key, value) => storage.set(key, String(value)),
+      removeItem: (key) => storage.delete(key)
+    },
+    document: { addEventListener() {} },
+    Element: class { matches() {} closest() {} },
+    IntersectionObserver: class {},
+    requestAnimationFrame: (callback) => setTimeout(callback, 16),
+    cancelAnimationFrame: clearTimeout,
+    module: { exports: {} }
+  };
+  context.window = context;
+
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync(SCRIPT, 'utf8'), context, { filename: SCRIPT });
+  return context.module.exports;
+};
+
+module.exports = { loadScript };
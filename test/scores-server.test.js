@@ -0,0 +1,106 @@
+'use strict';
+
+/**
+ * Scores API: posting scores, ranking and conditional GETs.
+ * Run with: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createServer } = require('../server/scores-server');
+
+/**
+ * Start a scores server on a free port for one test
+ * @param {Object} t - node:test context
+ * @returns {Promise<string>} Base URL of /api/scores
+ */
+const startServer = async (t) => {
+  const server = createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return `http://127.0.0.1:${server.address().port}/api/scores`;
+};
+
+const post = (endpoint, body) => fetch(endpoint, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+test('posted scores are ranked by total, keeping each puzzle best', async (t) => {
+  const endpoint = await startServer(t);
+
+  assert.equal((await post(endpoint, { playerId: 'aaaaaaaa', player: 'Tía Mari', puzzle: 'bonus', score: 300, seconds: 40 })).status, 201);
+  assert.equal((await post(endpoint, { playerId: 'aaaaaaaa', player: 'Tía Mari', puzzle: 'bonus', score: 100, seconds: 10 })).status, 201);
+  assert.equal((await post(endpoint, { playerId: 'aaaaaaaa', player: 'Tía Mari', puzzle: 'letter', score: 400, seconds: 90 })).status, 201);
+  assert.equal((await post(endpoint, { playerId: 'bbbbbbbb', player: '  Primo   Juan ', puzzle: 'bonus', score: 500, seconds: 20 })).status, 201);
+
+  const response = await fetch(`${endpoint}?limit=10`);
+  assert.equal(response.status, 200);
+  const board = await response.json();
+  assert.equal(board.version, 4);
+  assert.deepEqual(board.players.map(player => [player.player, player.total]), [['Tía Mari', 700], ['Primo Juan', 500]]);
+});
+
+test('invalid and oversized scores are rejected', async (t) => {
+  const endpoint = await startServer(t);
+
+  assert.equal((await post(endpoint, { playerId: 'x', player: 'Ana', puzzle: 'bonus', score: 1 })).status, 400);
+  assert.equal((await post(endpoint, { playerId: 'aaaaaaaa', player: '', puzzle: 'bonus', score: 1 })).status, 400);
+  assert.equal((await post(endpoint, { playerId: 'aaaaaaaa', player: 'Ana', puzzle: 'bonus', score: -5 })).status, 400);
+  const infinite = await fetch(endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: '{ "playerId": "aaaaaaaa", "player": "Ana", "puzzle": "bonus", "score": 1, "seconds": 1e999 }'
+  });
+  assert.equal(infinite.status, 400);
+
+  const tooLarge = await post(endpoint, { playerId: 'aaaaaaaa', player: 'Ana', puzzle: 'bonus', score: 1, padding: 'x'.repeat(64 * 1024) });
+  assert.equal(tooLarge.status, 413);
+  assert.deepEqual(await tooLarge.json(), { error: 'Body too large' });
+
+  const board = await (await fetch(endpoint)).json();
+  assert.deepEqual(board.players, []);
+});
+
+test('made-up puzzle ids can neither pad a total forever nor clash with Object built-ins', async (t) => {
+  const endpoint = await startServer(t);
+
+  for (const puzzle of ['__proto__', 'constructor', 'toString']) {
+    assert.equal((await post(endpoint, { playerId: 'aaaaaaaa', player: 'Ana', puzzle, score: 10 })).status, 201);
+  }
+  const statuses = [];
+  for (let index = 0; index < 25; index++) {
+    statuses.push((await post(endpoint, { playerId: 'aaaaaaaa', player: 'Ana', puzzle: `fake-${index}`, score: 10 })).status);
+  }
+  assert.equal(statuses.filter(status => status === 201).length, 17);
+  assert.deepEqual(await (await post(endpoint, { playerId: 'aaaaaaaa', player: 'Ana', puzzle: 'fake-24', score: 10 })).json(), { error: 'Too many puzzles' });
+  // Better scores for puzzles already on the board still count
+  assert.equal((await post(endpoint, { playerId: 'aaaaaaaa', player: 'Ana', puzzle: 'constructor', score: 50 })).status, 201);
+
+  const [player] = (await (await fetch(endpoint)).json()).players;
+  assert.deepEqual([player.solved, player.total], [20, 240]);
+});
+
+test('the ETag answers 304 until the board changes', async (t) => {
+  const endpoint = await startServer(t);
+
+  const first = await fetch(endpoint);
+  const etag = first.headers.get('etag');
+  assert.ok(etag);
+  assert.equal(first.headers.get('access-control-expose-headers'), 'ETag');
+
+  const unchanged = await fetch(endpoint, { headers: { 'If-None-Match': etag } });
+  assert.equal(unchanged.status, 304);
+
+  await post(endpoint, { playerId: 'aaaaaaaa', player: 'Ana', puzzle: 'bonus', score: 10, seconds: 5 });
+  const changed = await fetch(endpoint, { headers: { 'If-None-Match': etag } });
+  assert.equal(changed.status, 200);
+  assert.notEqual(changed.headers.get('etag'), etag);
+});
+
+test('a restarted board does not answer 304 to the previous one\'s ETag', async (t) => {
+  const etag = (await fetch(await startServer(t))).headers.get('etag');
+  const restarted = await fetch(await startServer(t), { headers: { 'If-None-Match': etag } });
+  assert.equal(restarted.status, 200);
+});
@@ -0,0 +1,119 @@
+'use strict';
+
+/**
+ * Guest uploads: upload, moderate, then list what the gallery shows.
+ * Run with: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+// Read when the server module loads
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'boda-uploads-'));
+process.env.UPLOAD_DATA_DIR = DATA_DIR;
+process.env.MODERATION_TOKEN = 'token-de-prueba';
+process.env.MAX_UPLOAD_BYTES = String(64 * 1024);
+
+const { createServer } = require('../server/upload-server');
+
+const MODERATOR = { Authorization: 'Bearer token-de-prueba' };
+const PHOTO = Buffer.from('not really a jpeg, but the server only stores bytes');
+
+const server = createServer();
+let base;
+
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+/**
+ * @param {Object} params - Query parameters
+ * @param {Buffer} body - File bytes
+ * @param {string} [type] - Content-Type
+ * @returns {Promise<Response>}
+ */
+const upload = (params, body, type = 'image/jpeg') => fetch(`${base}/api/uploads?${new URLSearchParams(params)}`, {
+  method: 'POST',
+  headers: { 'Content-Type': type },
+  body
+});
+
+test('an upload stays private until approved, then joins the manifest', async () => {
+  const response = await upload({ filename: 'baile.jpg', uploader: 'Tía Mari', caption: 'El baile' }, PHOTO);
+  assert.equal(response.status, 201);
+  const { id, status } = await response.json();
+  assert.equal(status, 'pending');
+
+  assert.deepEqual((await (await fetch(`${base}/api/uploads/approved`)).json()).items, []);
+  assert.equal((await fetch(`${base}/api/uploads/${id}/file`)).status, 404);
+  assert.equal((await fetch(`${base}/api/uploads?status=pending`)).status, 401);
+  assert.equal((await fetch(`${base}/api/uploads/${id}/file?token=token-de-prueba`)).status, 404);
+  assert.equal((await fetch(`${base}/api/uploads/${id}/file`, { headers: MODERATOR })).status, 200);
+
+  const pending = await (await fetch(`${base}/api/uploads?status=pending`, { headers: MODERATOR })).json();
+  assert.deepEqual(pending.items.map(record => [record.id, record.uploader, record.caption]), [[id, 'Tía Mari', 'El baile']]);
+
+  const approval = await fetch(`${base}/api/uploads/${id}/approve`, { method: 'POST', headers: MODERATOR });
+  assert.equal(approval.status, 200);
+  assert.deepEqual(await approval.json(), { id, status: 'approved' });
+
+  const manifest = await (await fetch(`${base}/api/uploads/approved`)).json();
+  assert.equal(manifest.baseUrl, './');
+  assert.equal(manifest.items.length, 1);
+  assert.deepEqual(
+    { id: manifest.items[0].id, type: manifest.items[0].type, src: manifest.items[0].src, caption: manifest.items[0].caption, credit: manifest.items[0].credit },
+    { id: `upload-${id}`, type: 'image', src: `${id}/file`, caption: 'El baile', credit: 'Tía Mari' }
+  );
+
+  const file = await fetch(`${base}/api/uploads/${id}/file`);
+  assert.equal(file.status, 200);
+  assert.equal(file.headers.get('content-type'), 'image/jpeg');
+  assert.equal(file.headers.get('x-content-type-options'), 'nosniff');
+  assert.deepEqual(Buffer.from(await file.arrayBuffer()), PHOTO);
+});
+
+test('uploads without a comment leave the caption to the page', async () => {
+  const { id } = await (await upload({ filename: 'tarta.jpg', uploader: 'Pepe' }, PHOTO)).json();
+  await fetch(`${base}/api/uploads/${id}/approve`, { method: 'POST', headers: MODERATOR });
+
+  const manifest = await (await fetch(`${base}/api/uploads/approved`)).json();
+  const item = manifest.items.find(entry => entry.id === `upload-${id}`);
+  assert.deepEqual({ caption: item.caption, credit: item.credit }, { caption: null, credit: 'Pepe' });
+});
+
+test('rejected uploads never reach the manifest', async () => {
+  const { id } = await (await upload({ filename: 'borrosa.jpg' }, PHOTO)).json();
+  const rejection = await fetch(`${base}/api/uploads/${id}/reject`, { method: 'POST', headers: MODERATOR });
+  assert.deepEqual(await rejection.json(), { id, status: 'rejected' });
+
+  const manifest = await (await fetch(`${base}/api/uploads/approved`)).json();
+  assert.ok(!manifest.items.some(item => item.id === `upload-${id}`));
+  assert.equal((await fetch(`${base}/api/uploads/${id}/file`)).status, 404);
+});
+
+test('wrong types, oversized files and bad tokens are refused', async () => {
+  assert.equal((await upload({}, PHOTO, 'text/plain')).status, 415);
+
+  const tooLarge = await upload({}, Buffer.alloc(128 * 1024));
+  assert.equal(tooLarge.status, 413);
+  assert.deepEqual(await tooLarge.json(), { error: 'File too large' });
+
+  const wrongToken = await fetch(`${base}/api/uploads`, { headers: { Authorization: 'Bearer otro' } });
+  assert.equal(wrongToken.status, 401);
+});
+
+test('static files never expose dotfiles or the server code', async () => {
+  assert.equal((await fetch(`${base}/index.html`)).status, 200);
+  assert.equal((await fetch(`${base}/.gitignore`)).status, 404);
+  assert.equal((await fetch(`${base}/server/upload-server.js`)).status, 404);
+  assert.equal((await fetch(`${base}/%E0%A4%A`)).status, 400);
+});
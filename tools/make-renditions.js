@@ -0,0 +1,111 @@
+'use strict';
+
+/**
+ * ========================================================================
+ * RENDITIONS - Thumbnail and medium sizes for the gallery manifest
+ * ========================================================================
+ *
+ * The grid and the lightbox load the smallest rendition that covers their
+ * slot (buildSrcset / pickRendition in script.js). Items without renditions
+ * make every phone download the full-size original (unless the opt-in
+ * CONFIG.IMAGE_RESIZE_URL service is set). This fetches each image
+ * of the manifest that has none yet, resizes it with ImageMagick and adds
+ * `renditions: { thumb, medium, full }` to the manifest:
+ *
+ *   node tools/make-renditions.js [--manifest gallery.json] [--out renditions]
+ *
+ * Then upload the files in --out next to the originals (the manifest's
+ * baseUrl, rendition src values are relative to it) and commit gallery.json.
+ * Needs ImageMagick 7 (`magick`, or set MAGICK) on the PATH. Photos of the
+ * secret galleries are sealed into content.json: run this on their draft
+ * manifest fragment before sealing.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const MAGICK = process.env.MAGICK || 'magick';
+const WIDTHS = { thumb: 480, medium: 1280 }; // Phone grid cell / phone and tablet lightbox, in device pixels (CONFIG.RESIZED_RENDITION_WIDTHS)
+const QUALITY = '82';
+
+/**
+ * @param {Array<string>} args - Command line arguments
+ * @returns {{manifest: string, out: string}}
+ */
+const parseArgs = (args) => {
+  const options = { manifest: 'gallery.json', out: 'renditions' };
+  for (let i = 0; i < args.length; i += 2) {
+    const key = args[i].replace(/^--/, '');
+    if (!(key in options) || args[i + 1] === undefined) throw new Error(`Unknown or incomplete option: ${args[i]}`);
+    options[key] = args[i + 1];
+  }
+  return options;
+};
+
+/**
+ * Original bytes of a manifest item: downloaded from baseUrl, or read next to the manifest
+ * @param {string} src - Item src as written in the manifest
+ * @param {string|undefined} baseUrl - Manifest baseUrl
+ * @param {string} manifestDir - Folder of the manifest file
+ * @returns {Promise<Buffer>}
+ */
+const readOriginal = async (src, baseUrl, manifestDir) => {
+  if (!baseUrl) return fs.readFileSync(path.join(manifestDir, decodeURIComponent(src.split('?')[0])));
+  const response = await fetch(new URL(src, baseUrl));
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return Buffer.from(await response.arrayBuffer());
+};
+
+/**
+ * @param {string} file - Image file
+ * @returns {number} Width once EXIF orientation is applied
+ */
+const readWidth = (file) => Number(execFileSync(MAGICK, [file, '-auto-orient', '-format', '%w', 'info:']).toString());
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const manifestPath = path.resolve(options.manifest);
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'renditions-'));
+  fs.mkdirSync(options.out, { recursive: true });
+
+  let added = 0;
+  for (const item of manifest.items || []) {
+    if (item.type === 'video' || !item.src || item.renditions) continue;
+
+    try {
+      const original = path.join(tmpDir, 'original');
+      fs.writeFileSync(original, await readOriginal(item.src, manifest.baseUrl, path.dirname(manifestPath)));
+      const fullWidth = readWidth(original);
+
+      const renditions = {};
+      Object.entries(WIDTHS).forEach(([key, width]) => {
+        if (width >= fullWidth) return; // The original is already small enough
+        const filename = `${item.id}-${key}.jpg`;
+        // -strip drops EXIF; the info panel reads it from the original
+        execFileSync(MAGICK, [original, '-auto-orient', '-resize', `${width}x`, '-strip', '-quality', QUALITY, path.join(options.out, filename)]);
+        renditions[key] = { src: filename, width };
+      });
+      item.renditions = { ...renditions, full: { src: item.src, width: fullWidth } };
+      added++;
+      console.log(`${item.id}: ${Object.keys(renditions).join(', ') || 'original only'} (${fullWidth}px)`);
+    } catch (error) {
+      console.error(`${item.id}: skipped,`, error.message);
+    }
+  }
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  if (!added) {
+    console.log('Every image already has renditions');
+    return;
+  }
+  fs.writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+  console.log(`Added renditions to ${added} items of ${options.manifest}; upload ${options.out}/ next to the originals`);
+};
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});